@@ -1,29 +1,68 @@
-// bsc_watcher.js — watches BSC USDT deposits via RPC logs (no BscScan)
+// bsc_watcher.js — watches token and native coin deposits via RPC (no BscScan)
+//   node bsc_watcher.js --chain BSC|POLY|ETH   (default BSC, or WATCHER_CHAIN)
+// One process per chain; RPC and confirmations come from lib/chains, the
+// tokens credited (and the wallet asset each lands in) from lib/deposit_tokens.
+//
+// Scans contiguous block ranges from a cursor kept in chain_cursors, so every
+// deposit address (deposit_addresses) is checked over every block and a
+// restart simply catches up. Each Transfer log is recorded in
+// chain_deposit_logs by (tx_hash, log_index) with the hash of its block and
+// becomes its own crypto_deposits row (or fills the address's open deposit
+// intent, lib/deposit_intents); native coin transfers are found by
+// reading the blocks and recorded with log_index -1. Transfers of tokens we do
+// not credit (ERC-20s outside the registry, ERC-721 / ERC-1155 NFTs) go to the
+// admin recovery queue (lib/token_recovery). When a block hash changes
+// (reorg) its logs and deposits are orphaned (a credit already made is
+// reversed along with its referral commission and reward credit progress,
+// the deposit is flagged for review and a 'wallet.deposit.reversed' webhook
+// is sent) and the range is scanned again. Reorgs deeper than
+// WATCHER_REORG_DEPTH are not detected.
 require('dotenv').config();
 require('dns').setDefaultResultOrder('ipv4first');
 
 const mysql = require('mysql2/promise');
-const crypto = require('crypto');
-const { JsonRpcProvider, formatUnits } = require('ethers');
+const { Wallet } = require('ethers');
+const { getChain } = require('./lib/chains');
 
 // ───────────────────── Config ─────────────────────
-const BSC_RPC = process.env.BSC_RPC || 'https://bsc-dataseed.binance.org/';
-const USDT_CONTRACT = (process.env.USDT_CONTRACT || '').toLowerCase();
-const USDT_DECIMALS = Number(process.env.USDT_DECIMALS || 18);
-const CONFIRMATIONS_REQUIRED = Number(process.env.CONFIRMATIONS_REQUIRED || 12);
-const LOG_LOOKBACK_BLOCKS = Number(process.env.LOG_LOOKBACK_BLOCKS || 200); // <- smaller window
-const SCAN_INTERVAL_MS = Number(process.env.SCAN_INTERVAL_MS || 30000);      // 30s between scans
+const argChain = process.argv.indexOf('--chain');
+const WATCH_CHAIN = argChain > 0 ? process.argv[argChain + 1] : process.env.WATCHER_CHAIN;
+
+let chain;
+try {
+  chain = getChain(WATCH_CHAIN);
+} catch (e) {
+  console.error(`[WATCHER] chain ${WATCH_CHAIN || 'BSC'} not configured (${e.message})`);
+  process.exit(1);
+}
+const CHAIN = chain.key;
+const CONFIRMATIONS_REQUIRED = chain.confirmations;
+const LOG_LOOKBACK_BLOCKS = Number(process.env.LOG_LOOKBACK_BLOCKS || 200); // first start: begin this far back
+const WATCHER_START_BLOCK = process.env.WATCHER_START_BLOCK ? Number(process.env.WATCHER_START_BLOCK) : null;
+const WATCHER_MAX_RANGE = Number(process.env.WATCHER_MAX_RANGE || 500);     // blocks per getLogs call
+const WATCHER_RANGES_PER_PASS = Number(process.env.WATCHER_RANGES_PER_PASS || 20); // catch-up step
+const WATCHER_REORG_DEPTH = Number(process.env.WATCHER_REORG_DEPTH || Math.max(CONFIRMATIONS_REQUIRED, 12));
+const SCAN_INTERVAL_MS = Number(process.env.SCAN_INTERVAL_MS || 30000);      // 30s between scans once caught up
 const SCAN_BATCH_SIZE = Number(process.env.SCAN_BATCH_SIZE || 32);          // max addrs per RPC call
-const { evaluateRewardCreditsForUser } = require('./lib/reward_credits');
+const { makeDepositService, reverseDepositHooks, sendDepositWebhook } = require('./lib/deposits');
+const { insertLedgerEntry } = require('./lib/ledger');
+const money = require('./lib/money');
+const {
+  NATIVE_LOG_INDEX,
+  listDepositTokens,
+  tokenAmountUnits,
+  belowMin,
+} = require('./lib/deposit_tokens');
+const { claimIntent } = require('./lib/deposit_intents');
+const {
+  ERC1155_SINGLE_TOPIC,
+  ERC1155_BATCH_TOPIC,
+  decodeErc1155,
+  recordUnsupportedTransfer,
+} = require('./lib/token_recovery');
 
 // ERC-20 Transfer topic
-const TRANSFER_TOPIC =
-  '0xddf252ad1be2c89b69c2b068fc378daa952ba7f163c4a11628f55a4df523b3ef';
-
-if (!USDT_CONTRACT) {
-  console.error('[WATCHER] Missing USDT_CONTRACT in .env');
-  process.exit(1);
-}
+const TRANSFER_TOPIC = chain.transferTopic;
 
 // ───────────────────── DB pool ─────────────────────
 const db = mysql.createPool({
@@ -35,154 +74,171 @@ const db = mysql.createPool({
 });
 
 // ───────────────────── Provider ─────────────────────
-const provider = new JsonRpcProvider(BSC_RPC, undefined, {
-  batchMaxCount: 1,   // avoid JSON-RPC batching (helps with some providers)
-});
+const provider = chain.provider(); // no JSON-RPC batching (helps with some providers)
+
+// ───────────────────── Crediting ─────────────────────
+// lib/deposits: atomic, idempotent credit, then reward credits, referral
+// commission, notifications and the webhook (the API server's sweep loop picks
+// the deposit up)
+const deposits = makeDepositService({ db });
+
+// ───────────────────── Cursor ─────────────────────
+async function loadCursor() {
+  const [[row]] = await db.query(
+    'SELECT block_number, block_hash FROM chain_cursors WHERE chain = ?',
+    [CHAIN]
+  );
+  return row ? { block: Number(row.block_number), hash: row.block_hash } : null;
+}
 
-// ───────────────────── Webhook helper ─────────────────────
-const DEPOSIT_WEBHOOK_URL = process.env.DEPOSIT_WEBHOOK_URL || '';
-const DEPOSIT_WEBHOOK_SECRET = process.env.DEPOSIT_WEBHOOK_SECRET || '';
+async function saveCursor(cursor) {
+  await db.query(
+    `INSERT INTO chain_cursors (chain, block_number, block_hash)
+     VALUES (?, ?, ?)
+     ON DUPLICATE KEY UPDATE block_number = VALUES(block_number), block_hash = VALUES(block_hash)`,
+    [CHAIN, cursor.block, cursor.hash]
+  );
+}
 
-async function sendDepositWebhook(payload) {
-  if (!DEPOSIT_WEBHOOK_URL) {
-    console.log('[WEBHOOK] DEPOSIT_WEBHOOK_URL not set, skipping');
-    return;
-  }
+// Canonical hash of block n, or null if the chain is now shorter than n.
+// RPC errors throw: the pass is retried rather than treated as a reorg.
+async function blockHash(n) {
+  const b = await provider.getBlock(n);
+  return b ? String(b.hash).toLowerCase() : null;
+}
 
-  const wrapper = {
-    event: 'wallet.deposit.credited',
-    ts: Date.now(),
-    data: payload,
-  };
-
-  const body = JSON.stringify(wrapper);
-  const headers = { 'content-type': 'application/json' };
-
-  if (DEPOSIT_WEBHOOK_SECRET) {
-    const sig = crypto
-      .createHmac('sha256', DEPOSIT_WEBHOOK_SECRET)
-      .update(body)
-      .digest('hex');
-    headers['x-ph1taka-signature'] = sig;
-  }
+async function cursorAt(n) {
+  const hash = await blockHash(n);
+  if (!hash) throw new Error(`block ${n} not available`);
+  return { block: n, hash };
+}
 
-  try {
-    await fetch(DEPOSIT_WEBHOOK_URL, {
-      method: 'POST',
-      headers,
-      body,
-    });
-    console.log('[WEBHOOK] deposit -> sent', payload);
-  } catch (err) {
-    console.error('[WEBHOOK] deposit -> FAILED', err);
-  }
+// ───────────────────── Reorg handling ─────────────────────
+
+// Takes back a credit whose transfer is gone and what its post-credit hooks
+// booked (inside the orphaning transaction)
+async function reverseDepositCredit(conn, dep, log) {
+  const units = money.parse(log.amount, dep.asset, { rounding: money.ROUND_DOWN });
+  const amt = money.format(units, dep.asset);
+
+  await conn.query(
+    `INSERT INTO wallet_balances (user_id, asset, balance)
+     VALUES (?, ?, ?)
+     ON DUPLICATE KEY UPDATE balance = balance + VALUES(balance)`,
+    [dep.user_id, dep.asset, money.format(-units, dep.asset)]
+  );
+  await insertLedgerEntry(conn, {
+    userId: dep.user_id,
+    asset: dep.asset,
+    chain: dep.chain,
+    type: 'deposit_reversal',
+    amount: amt,
+    refId: dep.id,
+    meta: { reason: 'reorg', tx_hash: log.tx_hash, log_index: log.log_index, block_hash: log.block_hash },
+  });
+  const undone = await reverseDepositHooks(conn, { depositId: dep.id, userId: dep.user_id });
+  return { amount: amt, ...undone };
 }
 
-// ───────────────────── Credit helper (same logic as server.js) ─────────────────────
-async function creditDepositAndWebhook({ depositId, amount, txHash, meta }) {
+// Marks a log and its deposit orphaned; if the transfer is re-mined at the same
+// (tx_hash, log_index) recordLog() revives both.
+async function orphanLog(log) {
   const conn = await db.getConnection();
-  let webhookPayload = null;
-
+  let reversed = null;
+  let reversedDep = null;
   try {
     await conn.beginTransaction();
 
-    const [depRows] = await conn.query(
-      `SELECT id, user_id, asset, chain, amount_received,
-              confirmations, required_confirmations, tx_hash
-         FROM crypto_deposits
-        WHERE id = ?
-        FOR UPDATE`,
-      [depositId]
+    const [upd] = await conn.query(
+      `UPDATE chain_deposit_logs SET status = 'orphaned' WHERE id = ? AND status = ?`,
+      [log.id, log.status]
     );
-
-    if (!depRows.length) throw new Error('deposit_not_found');
-    const dep = depRows[0];
-
-    const userId = dep.user_id;
-    const asset = dep.asset;
-    const chain = dep.chain;
-
-    // Idempotency: if already in ledger, no-op
-    const [exists] = await conn.query(
-      `SELECT id
-         FROM wallet_ledger
-        WHERE type = 'deposit'
-          AND ref_id = ?
-        LIMIT 1`,
-      [depositId]
-    );
-
-    if (exists.length) {
-      await conn.commit();
-      console.log('[DEPOSIT] already credited, skip', { depositId });
-      return;
-    }
-
-    const amtNum = Number(amount != null ? amount : dep.amount_received);
-    if (!Number.isFinite(amtNum) || amtNum <= 0) {
-      throw new Error('invalid_amount');
+    if (upd.affectedRows && log.deposit_id) {
+      const [[dep]] = await conn.query(
+        `SELECT id, user_id, asset, chain, status
+           FROM crypto_deposits
+          WHERE id = ?
+          FOR UPDATE`,
+        [log.deposit_id]
+      );
+      if (dep) {
+        if (log.status === 'credited') reversed = await reverseDepositCredit(conn, dep, log);
+        await conn.query(
+          `UPDATE crypto_deposits
+              SET status = 'orphaned', confirmations = 0, updated_at = NOW()
+            WHERE id = ?`,
+          [dep.id]
+        );
+        if (reversed) {
+          // the balance may have gone negative and claimed commissions stay paid: an admin looks
+          const note = `reorg: credit of ${reversed.amount} ${dep.asset} reversed`
+            + (reversed.referralsClaimed ? `, ${reversed.referralsClaimed} referral commission(s) already claimed` : '');
+          await conn.query(
+            `UPDATE crypto_deposits
+                SET payment_flag = 'reorged', review_status = 'open', review_note = ?
+              WHERE id = ?`,
+            [note, dep.id]
+          );
+          reversedDep = dep;
+        }
+      }
     }
-
-    // Upsert wallet balance
-    await conn.query(
-      `INSERT INTO wallet_balances (user_id, asset, balance)
-       VALUES (?, ?, ?)
-       ON DUPLICATE KEY UPDATE balance = balance + VALUES(balance)`,
-      [userId, asset, amtNum]
-    );
-
-    // Ledger
-    const ledgerMeta = Object.assign({}, meta || {}, { live: true });
-
-    await conn.query(
-      `INSERT INTO wallet_ledger
-         (user_id, ts, asset, chain, type, amount, ref_id, meta)
-       VALUES
-         (?, NOW(), ?, ?, 'deposit', ?, ?, ?)`,
-      [userId, asset, chain, amtNum, depositId, JSON.stringify(ledgerMeta)]
-    );
-
-    // Mark deposit as credited
-    await conn.query(
-      `UPDATE crypto_deposits
-          SET status           = 'credited',
-              amount_received  = COALESCE(amount_received, ?),
-              confirmations    = GREATEST(COALESCE(confirmations,0), required_confirmations),
-              tx_hash          = COALESCE(tx_hash, ?),
-              updated_at       = NOW()
-        WHERE id = ?`,
-      [amtNum, txHash || dep.tx_hash || `BSC-${depositId}`, depositId]
-    );
-    await evaluateRewardCreditsForUser(conn, userId);
     await conn.commit();
-
-    webhookPayload = {
-      depositId,
-      userId,
-      asset,
-      chain,
-      amount: amtNum.toString(),
-      tx_hash: txHash || dep.tx_hash || null,
-      status: 'credited',
-    };
-
-    console.log('[DEPOSIT] credited', webhookPayload);
   } catch (err) {
     await conn.rollback();
-    console.error('[DEPOSIT] creditDepositAndWebhook error', err);
     throw err;
   } finally {
     conn.release();
   }
 
-  if (webhookPayload) {
-    sendDepositWebhook(webhookPayload).catch((err) => {
-      console.error('[WEBHOOK] deposit -> async error', err);
-    });
+  if (reversed) {
+    console.error(
+      `[REORG] credited deposit ${log.deposit_id} lost its transfer tx=${log.tx_hash}; reversed ${reversed.amount}`
+      + ` (referral commissions withdrawn ${reversed.referralsRemoved}, already claimed ${reversed.referralsClaimed},`
+      + ` reward credits relocked ${reversed.rewardCreditsDemoted}); flagged for review`
+    );
+    // not awaited, like the credited webhook (lib/deposits)
+    sendDepositWebhook({
+      depositId: reversedDep.id,
+      userId: reversedDep.user_id,
+      asset: reversedDep.asset,
+      chain: reversedDep.chain,
+      amount: reversed.amount,
+      tx_hash: log.tx_hash,
+      status: 'reversed',
+    }, 'wallet.deposit.reversed');
+  } else {
+    console.warn(
+      `[REORG] orphaned log ${log.id} tx=${log.tx_hash}#${log.log_index} block=${log.block_number} deposit=${log.deposit_id || '-'}`
+    );
   }
 }
 
-// ───────────────────── Batch scan via logs ─────────────────────
+// Orphans logs from `fromBlock` on whose block hash changed.
+// Returns the lowest affected block number, or null.
+async function verifyLogs({ fromBlock, statuses }) {
+  const [rows] = await db.query(
+    `SELECT id, tx_hash, log_index, block_number, block_hash, amount, deposit_id, status
+       FROM chain_deposit_logs
+      WHERE chain = ? AND block_number >= ? AND status IN (?)
+      ORDER BY block_number ASC`,
+    [CHAIN, fromBlock, statuses]
+  );
+
+  const hashes = new Map();
+  let lowest = null;
+  for (const r of rows) {
+    const n = Number(r.block_number);
+    if (!hashes.has(n)) hashes.set(n, await blockHash(n));
+    if (hashes.get(n) === r.block_hash) continue;
+
+    await orphanLog(r);
+    lowest = lowest == null ? n : Math.min(lowest, n);
+  }
+  return lowest;
+}
+
+// ───────────────────── Range scan via logs ─────────────────────
 
 // Small helper: pad address to topic[2]
 function addrToTopic(addr) {
@@ -190,157 +246,371 @@ function addrToTopic(addr) {
   return '0x' + clean.padStart(64, '0');
 }
 
-let scanCursor = 0; // to rotate through deposits if there are many
+function topicToAddr(topic) {
+  return '0x' + String(topic || '').slice(-40).toLowerCase();
+}
 
-async function scanBatch(deps, currentBlock) {
-  const addrTopics = [];
-  const topicToDep = new Map();
+// Watched addresses, lower-cased address -> deposit_addresses row
+async function watchedAddresses() {
+  const [rows] = await db.query(
+    `SELECT id, user_id, address, address_index
+       FROM deposit_addresses
+      WHERE chain = ?
+      ORDER BY id ASC`,
+    [CHAIN]
+  );
+  const byAddress = new Map();
+  for (const a of rows) byAddress.set(String(a.address).toLowerCase(), a);
+  return byAddress;
+}
 
-  for (const dep of deps) {
-    const addr = (dep.address || '').toLowerCase();
-    if (!addr) continue;
-    const topic = addrToTopic(addr);
-    addrTopics.push(topic);
-    topicToDep.set(topic, dep);
-  }
+// Our own transfers into deposit addresses (gas top-ups from the hot wallet or
+// the sweeper's GAS_PK) are not deposits
+function ignoredSenders() {
+  const out = new Set(
+    String(process.env.WATCHER_IGNORE_FROM || '')
+      .split(',')
+      .map((a) => a.trim().toLowerCase())
+      .filter(Boolean)
+  );
+  try { out.add(chain.hotWallet().address.toLowerCase()); } catch (_) {}
+  try { if (process.env.GAS_PK) out.add(new Wallet(process.env.GAS_PK).address.toLowerCase()); } catch (_) {}
+  return out;
+}
 
-  if (!addrTopics.length) return;
+/**
+ * Records one incoming transfer and the deposit row it becomes.
+ * @param {{ txHash: string, logIndex: number, blockNumber: number, blockHash: string,
+ *           from: string|null, to: string, raw: bigint }} t
+ */
+async function recordTransfer(t, addr, token) {
+  const amountUnits = tokenAmountUnits(token, t.raw);
+  if (amountUnits <= 0n) return;
+  const amount = money.format(amountUnits, token.symbol);
+  const tooSmall = belowMin(token, amountUnits);
+
+  // a log re-mined after an orphaning comes back as 'seen'
+  const [ins] = await db.query(
+    `INSERT INTO chain_deposit_logs
+       (chain, tx_hash, log_index, block_number, block_hash, asset, token,
+        from_address, to_address, amount, status)
+     VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+     ON DUPLICATE KEY UPDATE
+       status       = IF(status = 'orphaned', VALUES(status), status),
+       block_number = VALUES(block_number),
+       block_hash   = VALUES(block_hash),
+       id           = LAST_INSERT_ID(id)`,
+    [
+      CHAIN, t.txHash, t.logIndex, t.blockNumber, t.blockHash, token.symbol, token.contract || 'native',
+      t.from, t.to, amount, tooSmall ? 'below_min' : 'seen',
+    ]
+  );
+  const logId = ins.insertId;
 
-  const fromBlock = Math.max(0, currentBlock - LOG_LOOKBACK_BLOCKS);
-  const toBlock = currentBlock;
+  if (tooSmall) {
+    console.log(`[SCAN] below minimum: ${amount} ${token.symbol} (min ${token.minDeposit}) tx=${t.txHash} -> ${t.to}`);
+    return;
+  }
 
-  let logs;
-  try {
-    logs = await provider.getLogs({
-      address: USDT_CONTRACT,
-      fromBlock,
-      toBlock,
-      topics: [TRANSFER_TOPIC, null, addrTopics],
+  const [[row]] = await db.query('SELECT status, deposit_id FROM chain_deposit_logs WHERE id = ?', [logId]);
+  if (!row || row.status !== 'seen') return;
+
+  // the first transfer fills the address's open intent, if any
+  const intent = row.deposit_id
+    ? null
+    : await claimIntent(db, {
+      depositAddressId: addr.id, asset: token.symbol, txHash: t.txHash, logIndex: t.logIndex, amountUnits,
     });
-  } catch (err) {
-    console.error(
-      `[SCAN] batch getLogs error from=${fromBlock} to=${toBlock} addrs=${addrTopics.length}`,
-      err
+  if (intent) {
+    await db.query('UPDATE chain_deposit_logs SET deposit_id = ? WHERE id = ?', [intent.id, logId]);
+    console.log(
+      `[SCAN] intent ${intent.id} user ${addr.user_id} addr ${addr.address} -> ${amount} ${token.symbol} tx=${t.txHash}#${t.logIndex} block=${t.blockNumber}${intent.flag ? ` (${intent.flag})` : ''}`
     );
     return;
   }
 
-  if (!logs.length) {
+  const [dep] = await db.query(
+    `INSERT INTO crypto_deposits
+       (user_id, chain, asset, source, network_symbol, address, address_index, deposit_address_id,
+        tx_hash, log_index, amount_received, confirmations, required_confirmations, status)
+     VALUES (?, ?, ?, 'any', ?, ?, ?, ?, ?, ?, ?, 0, ?, 'confirming')
+     ON DUPLICATE KEY UPDATE
+       status = IF(status = 'orphaned', 'confirming', status),
+       id     = LAST_INSERT_ID(id)`,
+    [
+      addr.user_id, CHAIN, token.symbol, CHAIN, addr.address, addr.address_index, addr.id,
+      t.txHash, t.logIndex, amount, CONFIRMATIONS_REQUIRED,
+    ]
+  );
+  if (!row.deposit_id) {
+    await db.query('UPDATE chain_deposit_logs SET deposit_id = ? WHERE id = ?', [dep.insertId, logId]);
     console.log(
-      `[SCAN] no logs for ${addrTopics.length} addresses in [${fromBlock}, ${toBlock}]`
+      `[SCAN] deposit ${dep.insertId} user ${addr.user_id} addr ${addr.address} -> ${amount} ${token.symbol} tx=${t.txHash}#${t.logIndex} block=${t.blockNumber}`
     );
-    return;
   }
+}
 
-  console.log(
-    `[SCAN] got ${logs.length} logs for ${addrTopics.length} addresses in [${fromBlock}, ${toBlock}]`
-  );
+// Transfer logs of any contract to the watched addresses: enabled registry
+// tokens are deposits, other ERC-20s and ERC-721s (a 4th, tokenId topic) are
+// queued for recovery
+async function scanTokenLogs(fromBlock, toBlock, byAddress, tokens) {
+  const byContract = new Map(tokens.map((t) => [t.contract, t]));
+  const topics = [...byAddress.keys()].map(addrToTopic);
+  let found = 0;
+
+  for (let i = 0; i < topics.length; i += SCAN_BATCH_SIZE) {
+    const batch = topics.slice(i, i + SCAN_BATCH_SIZE);
+    const logs = await provider.getLogs({
+      fromBlock,
+      toBlock,
+      topics: [TRANSFER_TOPIC, null, batch],
+    });
 
-  // sort logs oldest → newest
-  logs.sort((a, b) => {
-    if (a.blockNumber === b.blockNumber) {
-      return (a.logIndex || 0) - (b.logIndex || 0);
+    // oldest → newest
+    logs.sort((a, b) => (a.blockNumber - b.blockNumber) || (a.index - b.index));
+    for (const log of logs) {
+      if (log.removed) continue;
+      const addr = byAddress.get(topicToAddr(log.topics[2]));
+      if (!addr) continue;
+      const contract = String(log.address).toLowerCase();
+      const t = {
+        txHash: String(log.transactionHash).toLowerCase(),
+        logIndex: log.index,
+        blockNumber: log.blockNumber,
+        blockHash: String(log.blockHash).toLowerCase(),
+        from: topicToAddr(log.topics[1]),
+        to: addr.address.toLowerCase(),
+      };
+
+      if (log.topics.length === 4) {
+        await recordUnsupportedTransfer(db, {
+          ...t, chain: CHAIN, standard: 'erc721', contract, tokenId: BigInt(log.topics[3]), raw: 1n,
+        }, addr);
+        continue;
+      }
+      // ERC-20: one uint256 of data (anything else is not a token we can move)
+      if (log.topics.length !== 3 || String(log.data).length !== 66) continue;
+      const raw = BigInt(log.data);
+      const token = byContract.get(contract);
+      if (token) {
+        await recordTransfer({ ...t, raw }, addr, token);
+      } else if (raw > 0n) {
+        // zero-value transfers are address-poisoning spam, not funds
+        await recordUnsupportedTransfer(db, { ...t, chain: CHAIN, standard: 'erc20', contract, raw }, addr);
+      }
     }
-    return a.blockNumber - b.blockNumber;
-  });
+    found += logs.length;
+  }
+  return found;
+}
 
-  for (const log of logs) {
-    const toTopic = (log.topics[2] || '').toLowerCase();
-    const dep = topicToDep.get(toTopic);
-    if (!dep) continue;
+// ERC-1155 TransferSingle / TransferBatch to the watched addresses (the
+// recipient is topic 3); always queued for recovery
+async function scanErc1155Logs(fromBlock, toBlock, byAddress) {
+  const topics = [...byAddress.keys()].map(addrToTopic);
+  let found = 0;
 
-    const depositId = dep.id;
-    const requiredConfs =
-      dep.required_confirmations || CONFIRMATIONS_REQUIRED;
+  for (let i = 0; i < topics.length; i += SCAN_BATCH_SIZE) {
+    const batch = topics.slice(i, i + SCAN_BATCH_SIZE);
+    const logs = await provider.getLogs({
+      fromBlock,
+      toBlock,
+      topics: [[ERC1155_SINGLE_TOPIC, ERC1155_BATCH_TOPIC], null, null, batch],
+    });
 
-    const confirmations =
-      Number(currentBlock) - Number(log.blockNumber) + 1;
+    for (const log of logs) {
+      if (log.removed) continue;
+      const addr = byAddress.get(topicToAddr(log.topics[3]));
+      if (!addr) continue;
+
+      let items;
+      try {
+        items = decodeErc1155(log);
+      } catch (_) {
+        continue; // malformed data
+      }
+      for (const [subIndex, it] of items.entries()) {
+        if (it.raw <= 0n) continue;
+        await recordUnsupportedTransfer(db, {
+          chain: CHAIN,
+          txHash: String(log.transactionHash).toLowerCase(),
+          logIndex: log.index,
+          subIndex,
+          blockNumber: log.blockNumber,
+          blockHash: String(log.blockHash).toLowerCase(),
+          standard: 'erc1155',
+          contract: String(log.address).toLowerCase(),
+          tokenId: it.tokenId,
+          raw: it.raw,
+          from: topicToAddr(log.topics[2]),
+        }, addr);
+      }
+    }
+    found += logs.length;
+  }
+  return found;
+}
 
-    const humanAmount = Number(formatUnits(log.data, USDT_DECIMALS));
-    const txHash = log.transactionHash;
+// Native coin sent straight to a watched address (top-level transactions only:
+// value moved by a contract call's internal transfer is not seen here)
+async function scanNativeTransfers(fromBlock, toBlock, byAddress, token) {
+  const ignore = ignoredSenders();
+  let found = 0;
+
+  for (let n = fromBlock; n <= toBlock; n++) {
+    const block = await provider.getBlock(n, true);
+    if (!block) throw new Error(`block ${n} not available`);
+
+    for (const tx of block.prefetchedTransactions) {
+      const to = String(tx.to || '').toLowerCase();
+      const addr = to && byAddress.get(to);
+      if (!addr || tx.value <= 0n || ignore.has(String(tx.from).toLowerCase())) continue;
+
+      const receipt = await provider.getTransactionReceipt(tx.hash);
+      if (!receipt || Number(receipt.status) !== 1) continue;
+
+      await recordTransfer({
+        txHash: String(tx.hash).toLowerCase(),
+        logIndex: NATIVE_LOG_INDEX,
+        blockNumber: n,
+        blockHash: String(block.hash).toLowerCase(),
+        from: String(tx.from).toLowerCase(),
+        to,
+        raw: tx.value,
+      }, addr, token);
+      found++;
+    }
+  }
+  return found;
+}
 
-    console.log(
-      `[SCAN] dep ${depositId} addr ${(dep.address || '').toLowerCase()} -> tx=${txHash} amount=${humanAmount} conf=${confirmations}/${requiredConfs}`
-    );
+// All watched addresses over [fromBlock, toBlock]; throws if any call fails
+// so the cursor never moves past a range that was not fully read
+async function scanRange(fromBlock, toBlock, byAddress, tokens) {
+  const erc20s = tokens.filter((t) => !t.native);
+  const native = tokens.find((t) => t.native);
 
-    if (!Number.isFinite(humanAmount) || humanAmount <= 0) {
-      console.log(`[SCAN] dep ${depositId} -> invalid amount from log, skip`);
-      continue;
-    }
+  let found = 0;
+  found += await scanTokenLogs(fromBlock, toBlock, byAddress, erc20s);
+  found += await scanErc1155Logs(fromBlock, toBlock, byAddress);
+  if (native) found += await scanNativeTransfers(fromBlock, toBlock, byAddress, native);
+
+  if (found) {
+    console.log(`[SCAN] ${found} transfers for ${byAddress.size} addresses in [${fromBlock}, ${toBlock}]`);
+  }
+}
+
+// ───────────────────── Confirmations ─────────────────────
+async function confirmSeen(head) {
+  const [rows] = await db.query(
+    `SELECT l.id, l.deposit_id, l.tx_hash, l.block_number, l.amount, d.required_confirmations
+       FROM chain_deposit_logs l
+       JOIN crypto_deposits d ON d.id = l.deposit_id
+      WHERE l.chain = ? AND l.status = 'seen'
+      ORDER BY l.block_number ASC`,
+    [CHAIN]
+  );
+
+  for (const r of rows) {
+    const requiredConfs = Number(r.required_confirmations) || CONFIRMATIONS_REQUIRED;
+    const confirmations = Math.max(0, head - Number(r.block_number) + 1);
 
-    // Update deposit progress
     await db.query(
       `UPDATE crypto_deposits
-          SET tx_hash        = COALESCE(tx_hash, ?),
-              confirmations  = ?,
-              amount_received= COALESCE(amount_received, ?),
-              status         = CASE
-                                  WHEN ? >= required_confirmations THEN 'confirming'
-                                  ELSE 'confirming'
-                               END,
-              updated_at     = NOW()
-        WHERE id = ?`,
-      [txHash, confirmations, humanAmount, confirmations, depositId]
+          SET confirmations = ?, updated_at = NOW()
+        WHERE id = ? AND status <> 'credited'`,
+      [confirmations, r.deposit_id]
     );
 
     if (confirmations >= requiredConfs) {
       console.log(
-        `[WATCHER] CONFIRMED deposit ${depositId} amount=${humanAmount} tx=${txHash}`
+        `[WATCHER] CONFIRMED deposit ${r.deposit_id} amount=${r.amount} tx=${r.tx_hash} conf=${confirmations}/${requiredConfs}`
       );
-      await creditDepositAndWebhook({
-        depositId,
-        amount: humanAmount,
-        txHash,
-        meta: { source: 'bsc_logs' },
-      });
+      try {
+        await deposits.creditDeposit({
+          depositId: r.deposit_id,
+          amount: String(r.amount),
+          txHash: r.tx_hash,
+          logId: r.id,
+          source: CHAIN === 'BSC' ? 'bsc_logs' : 'rpc_logs',
+          meta: { block: Number(r.block_number) },
+        });
+      } catch (_) {
+        // logged in lib/deposits; retried next pass
+      }
     }
   }
 }
 
+// ───────────────────── One pass ─────────────────────
+
+// Returns true once the cursor has reached the chain head
 async function scanOnce() {
-  const currentBlock = await provider.getBlockNumber();
-
-  const [deps] = await db.query(
-    `SELECT id, address, required_confirmations
-       FROM crypto_deposits
-      WHERE chain = 'BSC'
-        AND asset = 'USDT'
-        AND status IN ('pending','seen','confirming')
-      ORDER BY id ASC`
-  );
+  const head = await provider.getBlockNumber();
+
+  let cursor = await loadCursor();
+  if (!cursor) {
+    const start = WATCHER_START_BLOCK != null ? WATCHER_START_BLOCK - 1 : head - LOG_LOOKBACK_BLOCKS;
+    cursor = await cursorAt(Math.max(0, Math.min(start, head)));
+    await saveCursor(cursor);
+    console.log(`[WATCHER] ${CHAIN} cursor initialised at block ${cursor.block}`);
+  }
 
-  console.log(
-    `[WATCHER] scanning ${deps.length} BSC deposit intents via RPC logs (block=${currentBlock})`
-  );
+  // 1) reorg at the tip: the block we stopped at is no longer canonical
+  let rewindTo = null;
+  const tipHash = cursor.block <= head ? await blockHash(cursor.block) : null;
+  if (tipHash !== cursor.hash) {
+    rewindTo = Math.max(0, cursor.block - WATCHER_REORG_DEPTH);
+    console.warn(`[REORG] ${CHAIN} block ${cursor.block} changed (${cursor.hash} -> ${tipHash}); rewinding to ${rewindTo}`);
+    await verifyLogs({ fromBlock: rewindTo + 1, statuses: ['seen', 'credited'] });
+  }
 
-  if (!deps.length) return;
+  // 2) unconfirmed logs whose block changed
+  const lowest = await verifyLogs({ fromBlock: 0, statuses: ['seen'] });
+  if (lowest != null) rewindTo = Math.min(rewindTo ?? lowest - 1, lowest - 1);
 
-  // Rotate through deposits if there are more than SCAN_BATCH_SIZE
-  const batch = [];
-  const n = Math.min(SCAN_BATCH_SIZE, deps.length);
+  if (rewindTo != null && rewindTo < cursor.block) {
+    cursor = await cursorAt(Math.max(0, rewindTo));
+    await saveCursor(cursor);
+  }
 
-  for (let i = 0; i < n; i++) {
-    const dep = deps[(scanCursor + i) % deps.length];
-    batch.push(dep);
+  // 3) contiguous ranges from the cursor towards the head
+  const byAddress = await watchedAddresses();
+  const tokens = await listDepositTokens(db, CHAIN);
+  let ranges = 0;
+  while (cursor.block < head && ranges < WATCHER_RANGES_PER_PASS) {
+    const fromBlock = cursor.block + 1;
+    const toBlock = Math.min(head, cursor.block + WATCHER_MAX_RANGE);
+    if (byAddress.size) await scanRange(fromBlock, toBlock, byAddress, tokens);
+    cursor = await cursorAt(toBlock);
+    await saveCursor(cursor);
+    ranges++;
   }
-  scanCursor = (scanCursor + n) % deps.length;
 
-  await scanBatch(batch, currentBlock);
+  const behind = head - cursor.block;
+  console.log(
+    `[WATCHER] ${CHAIN} cursor=${cursor.block} head=${head}${behind ? ` (catching up, ${behind} behind)` : ''} addresses=${byAddress.size} tokens=${tokens.map((t) => t.symbol).join(',') || '-'}`
+  );
+
+  // 4) credit what is deep enough
+  await confirmSeen(head);
+
+  return behind === 0;
 }
 
 // ───────────────────── Main loop ─────────────────────
 async function main() {
-  console.log(
-    '[WATCHER] Starting BSC USDT watcher (BSC RPC logs-based, batched)...'
-  );
+  console.log(`[WATCHER] Starting ${CHAIN} deposit watcher (cursor-based RPC logs)...`);
 
   while (true) {
+    let caughtUp = true;
     try {
-      await scanOnce();
+      caughtUp = await scanOnce();
     } catch (e) {
       console.error('[WATCHER] scanOnce error', e);
     }
-    await new Promise((resolve) => setTimeout(resolve, SCAN_INTERVAL_MS));
+    // behind the head: go straight on with the next ranges
+    if (caughtUp) await new Promise((resolve) => setTimeout(resolve, SCAN_INTERVAL_MS));
   }
 }
 
@@ -0,0 +1,200 @@
+// /server/lib/bank_payouts.js (CommonJS)
+// Bank payout queue for kind='bank' transfers. Operators send the PHP by hand
+// (InstaPay / PESONet) and record the result here.
+//
+//   pending ──claim──> processing ──sent──> sent
+//      │                  │  └──release──> pending
+//      └──────reject──────┴──> rejected (total debit refunded)
+//
+// The user gets an email at every step (notifyBankPayout).
+
+const money = require('./money');
+const { insertLedgerEntry } = require('./ledger');
+const { reverseTransferFees } = require('./house_fees');
+const { sendMail } = require('./mailer');
+const { buildBankPayoutEmail } = require('./emails/bank_payout');
+
+/**
+ * Creates the payout row inside the caller's transfer transaction (the
+ * 'withdraw' debit is already written).
+ *
+ * @returns {Promise<number>} payout id
+ */
+async function createBankPayout(conn, {
+  userId, debitLedgerId, rail, bankCode, bankName, accountName, accountNumber,
+  amountUsdt, totalDebitUsdt, payoutPhp, quote = null,
+}) {
+  const [ins] = await conn.query(
+    `INSERT INTO bank_payouts
+       (user_id, debit_ledger_id, rail, bank_code, bank_name, account_name, account_number,
+        amount_usdt, total_debit_usdt, payout_php, quote_json, status)
+     VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, 'pending')`,
+    [
+      userId, debitLedgerId, rail, bankCode, bankName, accountName, accountNumber,
+      amountUsdt, totalDebitUsdt, payoutPhp, quote ? JSON.stringify(quote) : null,
+    ]
+  );
+  return ins.insertId;
+}
+
+/** pending -> processing, owned by `adminRef`. Returns false if not pending. */
+async function claimPayout(db, id, adminRef) {
+  const [r] = await db.query(
+    `UPDATE bank_payouts
+        SET status='processing', claimed_by=?, claimed_at=NOW()
+      WHERE id=? AND status='pending'`,
+    [adminRef, id]
+  );
+  return r.affectedRows === 1;
+}
+
+/** processing -> pending (operator hands it back). */
+async function releasePayout(db, id, adminRef, { force = false } = {}) {
+  const [r] = await db.query(
+    `UPDATE bank_payouts
+        SET status='pending', claimed_by=NULL, claimed_at=NULL
+      WHERE id=? AND status='processing'${force ? '' : ' AND claimed_by=?'}`,
+    force ? [id] : [id, adminRef]
+  );
+  return r.affectedRows === 1;
+}
+
+/** processing -> sent with the bank reference and proof image URL. */
+async function markPayoutSent(db, id, adminRef, { referenceNo, proofUrl, force = false }) {
+  const [r] = await db.query(
+    `UPDATE bank_payouts
+        SET status='sent', reference_no=?, proof_url=?, sent_at=NOW()
+      WHERE id=? AND status='processing'${force ? '' : ' AND claimed_by=?'}`,
+    force ? [referenceNo, proofUrl, id] : [referenceNo, proofUrl, id, adminRef]
+  );
+  return r.affectedRows === 1;
+}
+
+/**
+ * pending|processing -> rejected, refunding total_debit_usdt with a 'refund'
+ * ledger entry in the same transaction.
+ */
+async function rejectPayout(db, id, { reason, adminRef }) {
+  const conn = await db.getConnection();
+  try {
+    await conn.beginTransaction();
+
+    const [[p]] = await conn.query('SELECT * FROM bank_payouts WHERE id=? FOR UPDATE', [id]);
+    if (!p) throw new Error('PAYOUT_NOT_FOUND');
+    if (p.status !== 'pending' && p.status !== 'processing') throw new Error(`PAYOUT_BAD_STATE:${p.status}`);
+
+    const refund = money.format(money.parse(p.total_debit_usdt, 'USDT'), 'USDT');
+
+    await conn.query(
+      `INSERT INTO wallet_balances (user_id, asset, balance)
+       VALUES (?, 'USDT', ?)
+       ON DUPLICATE KEY UPDATE balance = balance + VALUES(balance)`,
+      [p.user_id, refund]
+    );
+
+    const ledgerId = await insertLedgerEntry(conn, {
+      userId: p.user_id,
+      asset: 'USDT',
+      chain: 'BANK',
+      type: 'refund',
+      amount: refund,
+      refId: p.id,
+      meta: {
+        kind: 'bank_payout_refund',
+        payout_id: p.id,
+        debit_ledger_id: p.debit_ledger_id,
+        reason,
+        by: adminRef,
+      },
+    });
+
+    await conn.query(
+      `UPDATE bank_payouts
+          SET status='rejected', reject_reason=?, rejected_at=NOW(), refund_ledger_id=?
+        WHERE id=?`,
+      [reason, ledgerId, id]
+    );
+    await reverseTransferFees(conn, { debitLedgerId: p.debit_ledger_id, refundLedgerId: ledgerId, reason });
+
+    await conn.commit();
+    return { refundLedgerId: ledgerId };
+  } catch (e) {
+    try { await conn.rollback(); } catch (_) {}
+    throw e;
+  } finally {
+    conn.release();
+  }
+}
+
+function pickFirstName(u) {
+  if (u?.full_name) return String(u.full_name).trim().split(/\s+/)[0] || null;
+  if (u?.email) return String(u.email).split('@')[0] || null;
+  return null;
+}
+
+/** Emails the user about the payout's current status. Never throws. */
+async function notifyBankPayout(db, id) {
+  try {
+    const [[row]] = await db.query(
+      `SELECT p.*, u.email, u.full_name
+         FROM bank_payouts p
+         JOIN users u ON u.id = p.user_id
+        WHERE p.id=?`,
+      [id]
+    );
+    if (!row || !row.email) return;
+
+    const mail = buildBankPayoutEmail({
+      appName: process.env.APP_NAME || 'Vegapunk Wallet',
+      webUrl: process.env.APP_WEB_URL || process.env.REF_BASE_URL || '',
+      supportEmail: process.env.SUPPORT_EMAIL || process.env.SMTP_USER || '',
+      firstName: pickFirstName(row),
+      email: row.email,
+      status: row.status,
+      payoutId: row.id,
+      payoutPhp: row.payout_php,
+      totalDebitUsdt: money.format(money.parse(row.total_debit_usdt, 'USDT'), 'USDT'),
+      rail: row.rail,
+      bankName: row.bank_name,
+      accountNumber: row.account_number,
+      referenceNo: row.reference_no,
+      rejectReason: row.reject_reason,
+      timestampIso: new Date().toISOString(),
+    });
+
+    await sendMail({ to: row.email, ...mail });
+  } catch (e) {
+    console.error('[BANK_PAYOUT] notify failed', id, e?.message || e);
+  }
+}
+
+// DB row -> user API shape
+function formatBankPayout(p) {
+  return {
+    id: p.id,
+    status: p.status,
+    rail: p.rail,
+    bank_code: p.bank_code,
+    bank_name: p.bank_name,
+    account_name: p.account_name,
+    account_number: p.account_number,
+    amount_usdt: String(p.amount_usdt),
+    total_debit_usdt: String(p.total_debit_usdt),
+    payout_php: String(p.payout_php),
+    reference_no: p.reference_no || null,
+    reject_reason: p.reject_reason || null,
+    created_at: p.created_at,
+    sent_at: p.sent_at || null,
+    rejected_at: p.rejected_at || null,
+  };
+}
+
+module.exports = {
+  createBankPayout,
+  claimPayout,
+  releasePayout,
+  markPayoutSent,
+  rejectPayout,
+  notifyBankPayout,
+  formatBankPayout,
+};
@@ -0,0 +1,153 @@
+// /server/lib/chains/evm.js (CommonJS, ethers v6)
+// One EVM chain from the registry (lib/chains/index.js): provider, token
+// contracts, hot / deposit wallets and gas pricing.
+
+const { JsonRpcProvider, Network, Wallet, HDNodeWallet, Contract } = require('ethers');
+const money = require('../money');
+
+const ERC20_ABI = [
+  'function transfer(address to, uint256 value) external returns (bool)',
+  'function balanceOf(address owner) view returns (uint256)',
+  'function decimals() view returns (uint8)',
+  'event Transfer(address indexed from, address indexed to, uint256 value)',
+];
+
+// keccak256('Transfer(address,address,uint256)')
+const TRANSFER_TOPIC = '0xddf252ad1be2c89b69c2b068fc378daa952ba7f163c4a11628f55a4df523b3ef';
+
+const ERC20_TRANSFER_GAS = 80_000n;
+const NATIVE_TRANSFER_GAS = 21_000n;
+const FALLBACK_GAS_PRICE_WEI = 3_000_000_000n; // 3 gwei
+
+function hdPath(index) {
+  const acct = Number(process.env.HD_ACCOUNT || 0);
+  return `m/44'/60'/${acct}'/0/${index}`; // BIP44 EVM, same address on every EVM chain
+}
+
+/**
+ * @param {object} cfg  from the registry: key, name, chainId, gasAsset, rpc,
+ *                      confirmations, hotWalletPk, sweepTo, sweepMaxTopup, sweepTopupBudget,
+ *                      recoveryTo, coldTo,
+ *                      minNetworkFeeUsdt, maxNetworkFeeUsdt,
+ *                      tokens { ASSET: { address, decimals } }
+ */
+module.exports = function makeEvmChain(cfg) {
+  let provider = null;
+
+  function getProvider() {
+    if (!provider) {
+      // static network: no eth_chainId round trip per request, and a wrong
+      // RPC for the chain fails loudly instead of silently
+      provider = new JsonRpcProvider(cfg.rpc, Network.from(cfg.chainId), {
+        staticNetwork: true,
+        batchMaxCount: 1,
+      });
+    }
+    return provider;
+  }
+
+  function supports(asset) {
+    return !!cfg.tokens[String(asset || '').toUpperCase()]?.address;
+  }
+
+  function token(asset) {
+    const a = String(asset || '').toUpperCase();
+    const t = cfg.tokens[a];
+    if (!t?.address) {
+      throw Object.assign(new Error('UNSUPPORTED_ASSET'), { statusCode: 400, chain: cfg.key, asset: a });
+    }
+    return { asset: a, address: t.address, decimals: t.decimals };
+  }
+
+  function tokenContract(asset, runner = getProvider()) {
+    return new Contract(token(asset).address, ERC20_ABI, runner);
+  }
+
+  // any ERC-20 on this chain by address (deposit tokens, lib/deposit_tokens)
+  function erc20(address, runner = getProvider()) {
+    return new Contract(address, ERC20_ABI, runner);
+  }
+
+  function hotWallet() {
+    if (!cfg.hotWalletPk) throw new Error('HOT_WALLET_PK missing in env');
+    const pk = cfg.hotWalletPk.replace(/^"|"$/g, '');
+    if (!/^0x[0-9a-fA-F]{64}$/.test(pk)) {
+      throw new Error('HOT_WALLET_PK format invalid – must be 0x + 64 hex chars');
+    }
+    return new Wallet(pk, getProvider());
+  }
+
+  function depositWallet(index) {
+    const m = process.env.HD_MNEMONIC;
+    if (!m) throw new Error('HD_MNEMONIC missing');
+    return HDNodeWallet.fromPhrase(m, undefined, hdPath(index)).connect(getProvider());
+  }
+
+  // where deposits are swept to
+  function sweepTo() {
+    return cfg.sweepTo || hotWallet().address;
+  }
+
+  // where unsupported tokens sent to deposit addresses go (lib/token_recovery); null if unset
+  function recoveryTo() {
+    return cfg.recoveryTo || null;
+  }
+
+  // cold storage for the hot wallet's excess (lib/treasury_rebalance); null if unset
+  function coldTo() {
+    return cfg.coldTo || null;
+  }
+
+  async function gasPriceWei() {
+    try {
+      const feeData = await getProvider().getFeeData();
+      return feeData.gasPrice ?? feeData.maxFeePerGas ?? FALLBACK_GAS_PRICE_WEI;
+    } catch (err) {
+      console.error(`[GAS] ${cfg.key} getFeeData failed, using fallback 3 gwei`, err?.shortMessage || err?.message || err);
+      return FALLBACK_GAS_PRICE_WEI;
+    }
+  }
+
+  // token amounts: ledger units <-> raw on-chain integers
+  const toTokenUnits = (asset, units) => money.toChainUnits(units, asset, token(asset).decimals);
+  const fromTokenUnits = (asset, raw, rounding = money.ROUND_DOWN) =>
+    money.fromChainUnits(BigInt(raw), asset, token(asset).decimals, rounding);
+
+  return {
+    key: cfg.key,
+    name: cfg.name,
+    chainId: cfg.chainId,
+    gasAsset: cfg.gasAsset,
+    // rate-service pair pricing the gas token in USDT
+    gasRatePair: `${cfg.gasAsset}_USDT`,
+    confirmations: cfg.confirmations,
+    tokens: cfg.tokens,
+    // null = use the server-wide bounds
+    minNetworkFeeUsdt: cfg.minNetworkFeeUsdt,
+    maxNetworkFeeUsdt: cfg.maxNetworkFeeUsdt,
+    transferGasLimit: ERC20_TRANSFER_GAS,
+    nativeTransferGasLimit: NATIVE_TRANSFER_GAS,
+    // gas token, in wei
+    sweepMaxTopupWei: money.toChainUnits(money.parse(cfg.sweepMaxTopup, cfg.gasAsset, { rounding: money.ROUND_DOWN }), cfg.gasAsset),
+    sweepTopupBudgetWei: money.toChainUnits(money.parse(cfg.sweepTopupBudget, cfg.gasAsset, { rounding: money.ROUND_DOWN }), cfg.gasAsset),
+    transferTopic: TRANSFER_TOPIC,
+
+    provider: getProvider,
+    supports,
+    token,
+    tokenContract,
+    erc20,
+    hotWallet,
+    depositWallet,
+    sweepTo,
+    recoveryTo,
+    coldTo,
+    gasPriceWei,
+    toTokenUnits,
+    fromTokenUnits,
+  };
+};
+
+module.exports.ERC20_ABI = ERC20_ABI;
+module.exports.TRANSFER_TOPIC = TRANSFER_TOPIC;
+module.exports.hdPath = hdPath;
@@ -0,0 +1,197 @@
+// /server/lib/chains/index.js (CommonJS)
+// Registry of the EVM chains we take deposits on and withdraw to. Everything
+// chain-specific (RPC, token contracts + decimals, confirmation depth, gas
+// token) lives here; the watcher, sweeper, withdrawal worker and fee quotes
+// only ever ask the registry.
+//
+//   const chains = require('./lib/chains');
+//   const bsc = chains.getChain('bsc');            // throws UNSUPPORTED_CHAIN
+//   const usdt = bsc.tokenContract('USDT', bsc.hotWallet());
+//
+// Per chain (KEY = BSC | POLY | ETH | LOCAL), all optional except where noted:
+//   KEY_RPC                  JSON-RPC url (a chain without one is disabled)
+//   KEY_CHAIN_ID             override, e.g. a local fork (anvil / hardhat)
+//   KEY_USDT_CONTRACT        token contract (a chain without one takes no USDT)
+//   KEY_USDT_DECIMALS
+//   KEY_CONFIRMATIONS        deposit confirmation depth
+//   KEY_HOT_WALLET_PK        defaults to HOT_WALLET_PK
+//   KEY_SWEEP_TO_ADDRESS     defaults to DEPOSIT_SWEEP_TO_ADDRESS, then the hot wallet
+//   KEY_SWEEP_MAX_TOPUP      most gas token sent to a deposit address per sweep
+//   KEY_SWEEP_TOPUP_BUDGET   most gas token sent to deposit addresses per sweep budget
+//                            window (DEPOSIT_SWEEP_BUDGET_WINDOW_MIN, lib/sweeper.js)
+//   KEY_RECOVERY_ADDRESS     where unsupported tokens are recovered to
+//                            (defaults to TOKEN_RECOVERY_ADDRESS)
+//   KEY_COLD_WALLET_ADDRESS  cold storage the hot wallet's excess moves to
+//                            (defaults to TREASURY_COLD_WALLET_ADDRESS)
+//   KEY_MIN_NETWORK_FEE_USDT / KEY_MAX_NETWORK_FEE_USDT
+//                            withdrawal fee bounds (default: the global ones)
+// BSC also reads the pre-registry USDT_CONTRACT / USDT_DECIMALS /
+// CONFIRMATIONS_REQUIRED / DEPOSIT_SWEEP_MAX_TOPUP_BNB and falls back to the
+// public dataseed RPC.
+//
+// LOCAL is a dev chain for a local node (anvil / hardhat, chain id 31337):
+//   LOCAL_RPC=http://127.0.0.1:8545 LOCAL_USDT_CONTRACT=0x… (a test ERC-20)
+
+const makeEvmChain = require('./evm');
+
+const env = (k) => {
+  const v = process.env[k];
+  return v == null || String(v).trim() === '' ? null : String(v).trim();
+};
+const num = (v, d) => (v == null ? d : Number(v));
+
+const DEFS = {
+  BSC: {
+    name: 'BNB Smart Chain',
+    chainId: 56,
+    gasAsset: 'BNB',
+    confirmations: 12,
+    sweepMaxTopup: '0.01',
+    sweepTopupBudget: '0.05',
+    defaultRpc: 'https://bsc-dataseed.binance.org/',
+    tokens: { USDT: { decimals: 18 } },
+    // names used before the registry existed
+    legacyEnv: {
+      USDT_CONTRACT: 'USDT_CONTRACT',
+      USDT_DECIMALS: 'USDT_DECIMALS',
+      CONFIRMATIONS: 'CONFIRMATIONS_REQUIRED',
+      SWEEP_MAX_TOPUP: 'DEPOSIT_SWEEP_MAX_TOPUP_BNB',
+    },
+    aliases: ['BNB', 'BEP20', 'BEP-20'],
+  },
+  POLY: {
+    name: 'Polygon',
+    chainId: 137,
+    gasAsset: 'POL',
+    confirmations: 64,
+    sweepMaxTopup: '0.5',
+    sweepTopupBudget: '2.5',
+    tokens: { USDT: { decimals: 6 } },
+    aliases: ['POLYGON', 'MATIC'],
+  },
+  ETH: {
+    name: 'Ethereum',
+    chainId: 1,
+    gasAsset: 'ETH',
+    confirmations: 12,
+    sweepMaxTopup: '0.005',
+    sweepTopupBudget: '0.025',
+    networkFee: { min: '1', max: '15' },
+    tokens: { USDT: { decimals: 6 } },
+    aliases: ['ETHEREUM', 'ERC20', 'ERC-20'],
+  },
+  LOCAL: {
+    name: 'Local EVM node',
+    chainId: 31337,
+    gasAsset: 'ETH',
+    confirmations: 1,
+    sweepMaxTopup: '0.01',
+    sweepTopupBudget: '0.05',
+    tokens: { USDT: { decimals: 18 } },
+    aliases: ['ANVIL', 'HARDHAT'],
+  },
+};
+
+function chainUnsupported(chain) {
+  return Object.assign(new Error('UNSUPPORTED_CHAIN'), { statusCode: 400, chain });
+}
+
+function configFor(key, def) {
+  const get = (name) => env(`${key}_${name}`) || (def.legacyEnv?.[name] ? env(def.legacyEnv[name]) : null);
+
+  const tokens = {};
+  for (const [asset, t] of Object.entries(def.tokens)) {
+    tokens[asset] = {
+      address: get(`${asset}_CONTRACT`),
+      decimals: num(get(`${asset}_DECIMALS`), t.decimals),
+    };
+  }
+  return {
+    key,
+    name: def.name,
+    chainId: num(get('CHAIN_ID'), def.chainId),
+    gasAsset: def.gasAsset,
+    rpc: get('RPC') || def.defaultRpc || null,
+    confirmations: num(get('CONFIRMATIONS'), def.confirmations),
+    hotWalletPk: get('HOT_WALLET_PK') || env('HOT_WALLET_PK'),
+    sweepTo: get('SWEEP_TO_ADDRESS') || env('DEPOSIT_SWEEP_TO_ADDRESS'),
+    sweepMaxTopup: get('SWEEP_MAX_TOPUP') || def.sweepMaxTopup,
+    sweepTopupBudget: get('SWEEP_TOPUP_BUDGET') || def.sweepTopupBudget,
+    recoveryTo: get('RECOVERY_ADDRESS') || env('TOKEN_RECOVERY_ADDRESS'),
+    coldTo: get('COLD_WALLET_ADDRESS') || env('TREASURY_COLD_WALLET_ADDRESS'),
+    minNetworkFeeUsdt: get('MIN_NETWORK_FEE_USDT') || def.networkFee?.min || null,
+    maxNetworkFeeUsdt: get('MAX_NETWORK_FEE_USDT') || def.networkFee?.max || null,
+    tokens,
+  };
+}
+
+const ALIASES = {};
+for (const [key, def] of Object.entries(DEFS)) {
+  ALIASES[key] = key;
+  for (const a of def.aliases || []) ALIASES[a] = key;
+}
+
+const cache = {};
+
+/** 'bep20' -> 'BSC'; unknown names come back upper-cased (and fail getChain). */
+function normChain(chain) {
+  const c = String(chain || 'BSC').trim().toUpperCase();
+  return ALIASES[c] || c;
+}
+
+/** Adapter for `chain`. Throws UNSUPPORTED_CHAIN (statusCode 400) if unknown or not configured. */
+function getChain(chain) {
+  const key = normChain(chain);
+  if (!cache[key]) {
+    const def = DEFS[key];
+    if (!def) throw chainUnsupported(chain);
+    const cfg = configFor(key, def);
+    if (!cfg.rpc) throw chainUnsupported(chain);
+    cache[key] = makeEvmChain(cfg);
+  }
+  return cache[key];
+}
+
+function isChainEnabled(chain) {
+  try {
+    getChain(chain);
+    return true;
+  } catch (_) {
+    return false;
+  }
+}
+
+/** Configured chains (those with an RPC), optionally only ones that carry `asset`. */
+function listChains({ asset = null } = {}) {
+  return Object.keys(DEFS)
+    .filter(isChainEnabled)
+    .map(getChain)
+    .filter((c) => !asset || c.supports(asset));
+}
+
+/** Registry view for the API (no secrets). */
+function describeChain(c) {
+  return {
+    chain: c.key,
+    name: c.name,
+    chain_id: c.chainId,
+    gas_asset: c.gasAsset,
+    confirmations: c.confirmations,
+    assets: Object.keys(c.tokens).filter((a) => c.supports(a)),
+  };
+}
+
+/** Test hook: forget built adapters (env changes are picked up again). */
+function resetChains() {
+  for (const k of Object.keys(cache)) delete cache[k];
+}
+
+module.exports = {
+  CHAIN_KEYS: Object.keys(DEFS),
+  normChain,
+  getChain,
+  isChainEnabled,
+  listChains,
+  describeChain,
+  resetChains,
+};
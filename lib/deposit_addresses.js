@@ -0,0 +1,145 @@
+// /server/lib/deposit_addresses.js (CommonJS)
+// Permanent deposit addresses: one per user and chain, derived from the HD
+// wallet at an index taken from deposit_address_seq (migrations/014). Every
+// transfer to an address becomes its own crypto_deposits row (see the watcher),
+// or fills an open deposit intent (lib/deposit_intents).
+
+const { getChain } = require('./chains');
+
+const DEPOSITS_MAX_PAGE = 100;
+
+function formatAddress(row) {
+  return {
+    id: row.id,
+    chain: row.chain,
+    address: row.address,
+    address_index: Number(row.address_index),
+    created_at: row.created_at,
+  };
+}
+
+async function findCurrent(db, userId, chain) {
+  const [[row]] = await db.query(
+    `SELECT id, user_id, chain, address, address_index, created_at
+       FROM deposit_addresses
+      WHERE user_id=? AND chain=? AND is_current=1
+      LIMIT 1`,
+    [userId, chain]
+  );
+  return row || null;
+}
+
+// Next HD index. LAST_INSERT_ID(expr) is per connection, hence the dedicated conn.
+async function allocateIndex(conn) {
+  const [upd] = await conn.query(
+    'UPDATE deposit_address_seq SET next_index = LAST_INSERT_ID(next_index + 1) WHERE id = 1'
+  );
+  if (!upd.affectedRows) throw new Error('deposit_address_seq not initialised');
+  const [[r]] = await conn.query('SELECT LAST_INSERT_ID() - 1 AS idx');
+  return Number(r.idx);
+}
+
+/**
+ * The user's deposit address on `chain`, created on first use. Concurrent
+ * calls for the same user end up with the same row (the loser's index is
+ * simply never used).
+ *
+ * @returns {Promise<{ id: number, chain: string, address: string, address_index: number, created: boolean }>}
+ */
+async function getOrCreateDepositAddress(db, { userId, chain }) {
+  const c = getChain(chain);
+
+  const existing = await findCurrent(db, userId, c.key);
+  if (existing) return { ...formatAddress(existing), created: false };
+
+  const conn = await db.getConnection();
+  try {
+    const idx = await allocateIndex(conn);
+    const address = c.depositWallet(idx).address.toLowerCase();
+    try {
+      const [ins] = await conn.query(
+        `INSERT INTO deposit_addresses (user_id, chain, address, address_index, is_current)
+         VALUES (?, ?, ?, ?, 1)`,
+        [userId, c.key, address, idx]
+      );
+      console.log('[DEPOSIT ADDR] allocated', { userId, chain: c.key, idx, address });
+      return { id: ins.insertId, chain: c.key, address, address_index: idx, created: true };
+    } catch (e) {
+      if (e?.code !== 'ER_DUP_ENTRY') throw e;
+    }
+  } finally {
+    conn.release();
+  }
+
+  const row = await findCurrent(db, userId, c.key);
+  if (!row) throw new Error('deposit address allocation failed');
+  return { ...formatAddress(row), created: false };
+}
+
+async function listDepositAddresses(db, userId) {
+  const [rows] = await db.query(
+    `SELECT id, chain, address, address_index, created_at
+       FROM deposit_addresses
+      WHERE user_id=? AND is_current=1
+      ORDER BY chain ASC`,
+    [userId]
+  );
+  return rows.map(formatAddress);
+}
+
+/**
+ * A user's incoming deposits, newest first.
+ *
+ * @param {object} q
+ * @param {string} [q.chain]
+ * @param {string} [q.status]
+ * @param {number} [q.before]  id cursor (next_before of the previous page)
+ * @param {number} [q.limit]
+ * @returns {Promise<{ items: object[], next_before: number|null }>}
+ */
+async function listUserDeposits(db, userId, { chain = null, status = null, before = 0, limit = 20 } = {}) {
+  const pageSize = Math.min(DEPOSITS_MAX_PAGE, Math.max(1, Number(limit) || 20));
+  const where = ['user_id=?', "status <> 'expired'"];
+  const args = [userId];
+  if (chain) { where.push('chain=?'); args.push(chain); }
+  if (status) { where.push('status=?'); args.push(status); }
+  if (Number(before) > 0) { where.push('id < ?'); args.push(Number(before)); }
+
+  const [rows] = await db.query(
+    `SELECT id, chain, asset, address, tx_hash, log_index, amount_expected, amount_received,
+            confirmations, required_confirmations, status, expires_at, payment_flag,
+            created_at, updated_at
+       FROM crypto_deposits
+      WHERE ${where.join(' AND ')}
+      ORDER BY id DESC
+      LIMIT ?`,
+    [...args, pageSize + 1]
+  );
+
+  const hasMore = rows.length > pageSize;
+  const items = rows.slice(0, pageSize).map((r) => ({
+    id: r.id,
+    chain: r.chain,
+    asset: r.asset,
+    address: r.address,
+    tx_hash: r.tx_hash,
+    log_index: r.log_index == null ? null : Number(r.log_index),
+    amount: r.amount_received == null ? null : String(r.amount_received),
+    amount_expected: r.amount_expected == null ? null : String(r.amount_expected),
+    confirmations: Number(r.confirmations || 0),
+    required_confirmations: Number(r.required_confirmations || 0),
+    status: r.status,
+    expires_at: r.expires_at,
+    payment_flag: r.payment_flag,
+    created_at: r.created_at,
+    updated_at: r.updated_at,
+  }));
+  return { items, next_before: hasMore ? items[items.length - 1].id : null };
+}
+
+module.exports = {
+  DEPOSITS_MAX_PAGE,
+  getOrCreateDepositAddress,
+  listDepositAddresses,
+  listUserDeposits,
+};
@@ -0,0 +1,164 @@
+// /server/lib/deposit_intents.js (CommonJS)
+// Deposit intents: a 'pending' crypto_deposits row (no tx yet) on the user's
+// permanent address (lib/deposit_addresses), optionally with the amount the
+// user means to send, that lapses after DEPOSIT_INTENT_TTL_MIN minutes.
+//
+// - Each address + asset has at most one open intent: a new one expires the
+//   previous.
+// - The watcher fills the open intent with the first transfer of that asset to
+//   the address (claimIntent); a transfer not matching amount_expected is
+//   flagged 'underpaid' / 'overpaid' with review_status 'open'. The amount
+//   received is what gets credited either way.
+// - expireStaleIntents() (hourly cleanup in server.js) closes lapsed intents;
+//   from then on they are no longer matched and later transfers to the
+//   address become plain deposits.
+//
+// The payment URI is EIP-681: the native coin as a value transfer, tokens as
+// a call to the contract's transfer(address, uint256).
+
+const money = require('./money');
+
+const INTENT_TTL_MIN = Number(process.env.DEPOSIT_INTENT_TTL_MIN || 60);
+const EXPIRE_BATCH = 1000;
+
+/**
+ * EIP-681 URI paying `address` on `chain` in `token`, for `units` (ledger
+ * units of token.symbol) when given.
+ */
+function paymentUri(chain, token, address, units = null) {
+  const raw = units == null ? null : money.toChainUnits(units, token.symbol, token.decimals).toString();
+  if (token.native) {
+    return `ethereum:${address}@${chain.chainId}${raw ? `?value=${raw}` : ''}`;
+  }
+  return `ethereum:${token.contract}@${chain.chainId}/transfer?address=${address}${raw ? `&uint256=${raw}` : ''}`;
+}
+
+/** null if paid as expected (or nothing expected), else 'underpaid' / 'overpaid'. */
+function paymentFlag(expectedUnits, receivedUnits) {
+  if (expectedUnits == null || expectedUnits <= 0n) return null;
+  if (receivedUnits < expectedUnits) return 'underpaid';
+  if (receivedUnits > expectedUnits) return 'overpaid';
+  return null;
+}
+
+/**
+ * Opens an intent to deposit `token` to the user's address `addr`.
+ *
+ * @param {object} i
+ * @param {number} i.userId
+ * @param {object} i.chain    lib/chains adapter
+ * @param {object} i.token    lib/deposit_tokens token
+ * @param {object} i.addr     getOrCreateDepositAddress() result
+ * @param {bigint|null} [i.amountUnits]  expected amount, ledger units
+ * @returns {Promise<object>} formatted intent
+ */
+async function createDepositIntent(db, { userId, chain, token, addr, amountUnits = null }) {
+  const amountExpected = amountUnits == null ? null : money.format(amountUnits, token.symbol);
+
+  const conn = await db.getConnection();
+  try {
+    await conn.beginTransaction();
+
+    // the previous open intent of this address + asset lapses
+    await conn.query(
+      `UPDATE crypto_deposits
+          SET status='expired'
+        WHERE deposit_address_id=? AND asset=? AND status='pending' AND tx_hash IS NULL`,
+      [addr.id, token.symbol]
+    );
+
+    const [ins] = await conn.query(
+      `INSERT INTO crypto_deposits
+         (user_id, chain, asset, source, network_symbol, address, address_index, deposit_address_id,
+          amount_expected, confirmations, required_confirmations, status, expires_at)
+       VALUES (?, ?, ?, 'any', ?, ?, ?, ?, ?, 0, ?, 'pending', NOW() + INTERVAL ? MINUTE)`,
+      [
+        userId, chain.key, token.symbol, chain.key, addr.address, addr.address_index, addr.id,
+        amountExpected, chain.confirmations, INTENT_TTL_MIN,
+      ]
+    );
+
+    const [[row]] = await conn.query('SELECT expires_at FROM crypto_deposits WHERE id=?', [ins.insertId]);
+    await conn.commit();
+
+    return {
+      id: ins.insertId,
+      chain: chain.key,
+      asset: token.symbol,
+      address: addr.address,
+      amount_expected: amountExpected,
+      expires_at: row.expires_at,
+      payment_uri: paymentUri(chain, token, addr.address, amountUnits),
+    };
+  } catch (e) {
+    try { await conn.rollback(); } catch (_) {}
+    throw e;
+  } finally {
+    conn.release();
+  }
+}
+
+/**
+ * Fills the open intent of `depositAddressId` + `asset` with an incoming
+ * transfer (watcher). Returns the intent id and its payment flag, or null if
+ * there is no open intent (the caller records a plain deposit).
+ *
+ * @param {object} t
+ * @param {number} t.depositAddressId
+ * @param {string} t.asset
+ * @param {string} t.txHash
+ * @param {number} t.logIndex
+ * @param {bigint} t.amountUnits  received, ledger units of `asset`
+ */
+async function claimIntent(db, { depositAddressId, asset, txHash, logIndex, amountUnits }) {
+  const [[intent]] = await db.query(
+    `SELECT id, amount_expected
+       FROM crypto_deposits
+      WHERE deposit_address_id=? AND asset=? AND status='pending' AND tx_hash IS NULL
+        AND expires_at > NOW()
+      ORDER BY id ASC
+      LIMIT 1`,
+    [depositAddressId, asset]
+  );
+  if (!intent) return null;
+
+  const expected = intent.amount_expected == null ? null : money.parse(intent.amount_expected, asset);
+  const flag = paymentFlag(expected, amountUnits);
+
+  const [upd] = await db.query(
+    `UPDATE crypto_deposits
+        SET tx_hash=?, log_index=?, amount_received=?, status='confirming',
+            payment_flag=?, review_status=?
+      WHERE id=? AND status='pending' AND tx_hash IS NULL`,
+    [txHash, logIndex, money.format(amountUnits, asset), flag, flag ? 'open' : null, intent.id]
+  );
+  if (!upd.affectedRows) return null; // expired (or claimed) in between
+
+  if (flag) {
+    console.warn(
+      `[DEPOSIT INTENT] ${intent.id} ${flag}: expected ${intent.amount_expected} got ${money.format(amountUnits, asset)} ${asset}`
+    );
+  }
+  return { id: intent.id, flag };
+}
+
+/** Closes lapsed intents; returns how many. */
+async function expireStaleIntents(db) {
+  const [r] = await db.query(
+    `UPDATE crypto_deposits
+        SET status='expired'
+      WHERE status='pending' AND tx_hash IS NULL AND expires_at <= NOW()
+      LIMIT ?`,
+    [EXPIRE_BATCH]
+  );
+  return r.affectedRows;
+}
+
+module.exports = {
+  INTENT_TTL_MIN,
+  paymentUri,
+  paymentFlag,
+  createDepositIntent,
+  claimIntent,
+  expireStaleIntents,
+};
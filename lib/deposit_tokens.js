@@ -0,0 +1,109 @@
+// /server/lib/deposit_tokens.js (CommonJS)
+// Token registry for deposits: which tokens the watcher credits on a chain,
+// the wallet asset each one lands in, and the minimum credited amount.
+//
+// Rows come from deposit_tokens (migrations/015, /admin/deposit-tokens).
+// Tokens configured only in env through lib/chains (e.g. BSC_USDT_CONTRACT)
+// are included as enabled with no minimum unless a row with the same symbol
+// exists. contract = null is the chain's native coin.
+
+const money = require('./money');
+const { getChain } = require('./chains');
+
+// chain_deposit_logs / crypto_deposits log_index of a native coin transfer
+const NATIVE_LOG_INDEX = -1;
+
+function fromRow(r) {
+  return {
+    id: r.id,
+    chain: r.chain,
+    symbol: r.symbol,
+    contract: r.contract ? String(r.contract).toLowerCase() : null,
+    native: !r.contract,
+    decimals: Number(r.decimals),
+    enabled: !!Number(r.enabled),
+    minDeposit: String(r.min_deposit ?? '0'),
+    source: 'db',
+  };
+}
+
+// env-configured tokens of the chain (lib/chains), if the chain is configured
+function envTokens(chain) {
+  let c;
+  try {
+    c = getChain(chain);
+  } catch (_) {
+    return [];
+  }
+  return Object.keys(c.tokens).filter((a) => c.supports(a)).map((a) => {
+    const t = c.token(a);
+    return {
+      id: null,
+      chain: c.key,
+      symbol: a,
+      contract: t.address.toLowerCase(),
+      native: false,
+      decimals: t.decimals,
+      enabled: true,
+      minDeposit: '0',
+      source: 'env',
+    };
+  });
+}
+
+/**
+ * Deposit tokens of `chain` (registry key), rows first then env-only tokens.
+ * @returns {Promise<Array<{ symbol: string, contract: string|null, native: boolean, decimals: number, enabled: boolean, minDeposit: string }>>}
+ */
+async function listDepositTokens(db, chain, { enabledOnly = true } = {}) {
+  const [rows] = await db.query(
+    'SELECT * FROM deposit_tokens WHERE chain=? ORDER BY id ASC',
+    [chain]
+  );
+  const tokens = rows.map(fromRow);
+  for (const t of envTokens(chain)) {
+    if (!tokens.some((x) => x.symbol === t.symbol)) tokens.push(t);
+  }
+  return enabledOnly ? tokens.filter((t) => t.enabled) : tokens;
+}
+
+/** One token by symbol (enabled or not), or null. */
+async function getDepositToken(db, chain, symbol) {
+  const s = String(symbol || '').trim().toUpperCase();
+  const all = await listDepositTokens(db, chain, { enabledOnly: false });
+  return all.find((t) => t.symbol === s) || null;
+}
+
+/** Raw on-chain amount -> wallet units of the token's asset (rounded down). */
+function tokenAmountUnits(token, raw) {
+  return money.fromChainUnits(BigInt(raw), token.symbol, token.decimals, money.ROUND_DOWN);
+}
+
+function belowMin(token, units) {
+  const min = money.parse(token.minDeposit || 0, token.symbol, { rounding: money.ROUND_UP });
+  return min > 0n && units < min;
+}
+
+/** API / admin view. */
+function formatDepositToken(t) {
+  return {
+    id: t.id,
+    chain: t.chain,
+    symbol: t.symbol,
+    contract: t.contract,
+    native: t.native,
+    decimals: t.decimals,
+    enabled: t.enabled,
+    min_deposit: money.format(money.parse(t.minDeposit || 0, t.symbol, { rounding: money.ROUND_UP }), t.symbol),
+    source: t.source,
+  };
+}
+
+module.exports = {
+  NATIVE_LOG_INDEX,
+  listDepositTokens,
+  getDepositToken,
+  tokenAmountUnits,
+  belowMin,
+  formatDepositToken,
+};
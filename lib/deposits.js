@@ -0,0 +1,318 @@
+// /server/lib/deposits.js (CommonJS)
+// Crediting of crypto deposits, shared by every entry point: the API server
+// (admin / dev manual credit), the chain watchers, workers/sweeper.js and the
+// mock deposit routes.
+//
+//   const deposits = makeDepositService({ db });           // default hooks
+//   deposits.use('sweep', sweepHook(triggerDepositSweep));  // per process extras
+//   await deposits.creditDeposit({ depositId, txHash, source: 'manual' });
+//
+// creditDeposit() books the wallet balance, the 'deposit' ledger row and the
+// crypto_deposits status in one transaction and is idempotent: a deposit with
+// a live credit (deposits minus reorg reversals) is left alone. After the
+// commit the post-credit hooks run in registration order; a failing hook is
+// logged and never undoes the credit or stops the hooks after it.
+// reverseDepositHooks() undoes what it can of them when a reorg takes the
+// credit back (bsc_watcher.js).
+
+const crypto = require('crypto');
+const money = require('./money');
+const { insertLedgerEntry } = require('./ledger');
+const { evaluateRewardCreditsForUser } = require('./reward_credits');
+const { notifyRewardCreditEmailsForUser } = require('./notify_reward_credits');
+const { awardReferral, reverseReferralAward } = require('./referrals');
+
+const DEPOSIT_WEBHOOK_URL = process.env.DEPOSIT_WEBHOOK_URL || '';
+const DEPOSIT_WEBHOOK_SECRET = process.env.DEPOSIT_WEBHOOK_SECRET || '';
+const DEPOSIT_WEBHOOK_TIMEOUT_MS = Number(process.env.DEPOSIT_WEBHOOK_TIMEOUT_MS || 10_000);
+
+async function sendDepositWebhook(payload, event = 'wallet.deposit.credited') {
+  if (!DEPOSIT_WEBHOOK_URL) {
+    console.log('[WEBHOOK] DEPOSIT_WEBHOOK_URL not set, skipping webhook');
+    return;
+  }
+
+  const body = JSON.stringify({
+    event,
+    ts: Date.now(),
+    data: payload,
+  });
+  const headers = { 'content-type': 'application/json' };
+
+  if (DEPOSIT_WEBHOOK_SECRET) {
+    headers['x-ph1taka-signature'] = crypto
+      .createHmac('sha256', DEPOSIT_WEBHOOK_SECRET)
+      .update(body)
+      .digest('hex');
+  }
+
+  try {
+    await fetch(DEPOSIT_WEBHOOK_URL, {
+      method: 'POST',
+      headers,
+      body,
+      signal: AbortSignal.timeout(DEPOSIT_WEBHOOK_TIMEOUT_MS),
+    });
+    console.log('[WEBHOOK] deposit -> sent', event, payload);
+  } catch (err) {
+    console.error('[WEBHOOK] deposit -> FAILED', err);
+  }
+}
+
+/* ───────────── Hooks ─────────────
+   A hook is async (credit, { db }) => void, where credit is
+   { depositId, userId, asset, chain, amount, txHash, ledgerId, source }. */
+
+// Reward credits whose conditions include deposits (lib/reward_credits)
+async function rewardCreditsHook(credit, { db }) {
+  const conn = await db.getConnection();
+  try {
+    await conn.beginTransaction();
+    await evaluateRewardCreditsForUser(conn, credit.userId);
+    await conn.commit();
+  } catch (e) {
+    try { await conn.rollback(); } catch (_) {}
+    throw e;
+  } finally {
+    conn.release();
+  }
+}
+
+// Emails for reward credits the evaluation moved on
+async function notificationsHook(credit, { db }) {
+  await notifyRewardCreditEmailsForUser(db, credit.userId);
+}
+
+// Not awaited: a slow endpoint must not hold up the crediting caller (the
+// watcher confirms deposits one after another)
+async function webhookHook(credit) {
+  sendDepositWebhook({
+    depositId: credit.depositId,
+    userId: credit.userId,
+    asset: credit.asset,
+    chain: credit.chain,
+    amount: credit.amount,
+    tx_hash: credit.txHash,
+    status: 'credited',
+  });
+}
+
+/** Starts the on-chain sweep of the deposit; `trigger(depositId)` must not throw. */
+function sweepHook(trigger) {
+  return async (credit) => {
+    trigger(credit.depositId); // not awaited: sweeps wait for confirmations
+  };
+}
+
+/** Referral commission on the deposit (lib/referrals.js, type 'deposit'; off unless REF_DEPOSIT_RATE). */
+async function referralHook(credit, { db }) {
+  const out = await awardReferral(db, {
+    refereeId: credit.userId,
+    type: 'deposit',
+    asset: credit.asset,
+    baseAmount: credit.amount,
+    sourceRef: `deposit:${credit.depositId}`,
+    meta: { deposit_id: credit.depositId, chain: credit.chain, tx_hash: credit.txHash },
+  });
+  if (out && out.ok === false && !['NO_RATE', 'NO_RECIPIENTS', 'BAD_INPUT'].includes(out.reason)) {
+    console.warn('[DEPOSIT] referral not awarded', credit.depositId, out.reason);
+  }
+}
+
+/**
+ * Undoes the post-credit hooks of a deposit whose credit was just reversed,
+ * inside the reversing transaction: its pending referral commissions are
+ * withdrawn and reward credits are re-evaluated for the depositor and their
+ * referrer (claimable ones the deposit no longer backs go back to locked).
+ * Commissions already claimed cannot be taken back: the caller flags the
+ * deposit for review. The 'wallet.deposit.reversed' webhook goes out after
+ * the commit (sendDepositWebhook).
+ *
+ * @returns {Promise<{ referralsRemoved: number, referralsClaimed: number, rewardCreditsDemoted: number }>}
+ */
+async function reverseDepositHooks(conn, { depositId, userId }) {
+  const ref = await reverseReferralAward(conn, { type: 'deposit', sourceRef: `deposit:${depositId}` });
+
+  const [[u]] = await conn.query('SELECT referrer_id FROM users WHERE id=?', [userId]);
+  let demoted = 0;
+  for (const uid of [userId, u?.referrer_id].filter(Boolean)) {
+    demoted += (await evaluateRewardCreditsForUser(conn, uid)).demoted;
+  }
+
+  return { referralsRemoved: ref.removed, referralsClaimed: ref.claimed.length, rewardCreditsDemoted: demoted };
+}
+
+const DEFAULT_HOOKS = [
+  ['reward_credits', rewardCreditsHook],
+  ['referral', referralHook],
+  ['notifications', notificationsHook],
+  ['webhook', webhookHook],
+];
+
+/* ───────────── Service ───────────── */
+
+/**
+ * @param {object} opts
+ * @param {import('mysql2/promise').Pool} opts.db
+ * @param {boolean} [opts.defaultHooks=true]  reward credits, referral, notifications, webhook
+ */
+function makeDepositService({ db, defaultHooks = true }) {
+  if (!db) throw new Error('makeDepositService: db is required');
+
+  const hooks = defaultHooks ? DEFAULT_HOOKS.slice() : [];
+
+  /** Registers a post-credit hook (runs after the ones already registered). */
+  function use(name, fn) {
+    if (typeof fn !== 'function') throw new Error(`deposit hook ${name}: not a function`);
+    hooks.push([name, fn]);
+    return service;
+  }
+
+  async function runHooks(credit) {
+    for (const [name, fn] of hooks) {
+      try {
+        await fn(credit, { db });
+      } catch (e) {
+        console.error(`[DEPOSIT] hook ${name} failed for deposit ${credit.depositId}`, e?.message || e);
+      }
+    }
+  }
+
+  /**
+   * Credits one deposit to its user's wallet.
+   *
+   * @param {object} c
+   * @param {number} c.depositId
+   * @param {string|number|null} [c.amount]  defaults to amount_received
+   * @param {string|null} [c.txHash]
+   * @param {number|null} [c.logId]  chain_deposit_logs row (watcher): marked
+   *                                 'credited' in the same transaction; nothing
+   *                                 happens if it is no longer 'seen' (orphaned)
+   * @param {string} [c.source]      ledger meta source (manual, rpc_logs, sweeper, mock, …)
+   * @param {object} [c.meta]        extra ledger meta
+   * @returns {Promise<{ credited: boolean, reason?: string, ledgerId?: number, amount?: string }>}
+   */
+  async function creditDeposit({ depositId, amount = null, txHash = null, logId = null, source = 'live', meta = {} }) {
+    const conn = await db.getConnection();
+    let credit = null;
+
+    try {
+      await conn.beginTransaction();
+
+      const [[dep]] = await conn.query(
+        `SELECT id, user_id, asset, chain, amount_received, status, tx_hash
+           FROM crypto_deposits
+          WHERE id = ?
+          FOR UPDATE`,
+        [depositId]
+      );
+      if (!dep) throw new Error('deposit_not_found');
+
+      if (logId) {
+        const [marked] = await conn.query(
+          `UPDATE chain_deposit_logs SET status = 'credited' WHERE id = ? AND status = 'seen'`,
+          [logId]
+        );
+        if (!marked.affectedRows) {
+          await conn.rollback();
+          console.log('[DEPOSIT] log no longer pending, skip', { depositId, logId });
+          return { credited: false, reason: 'log_not_pending' };
+        }
+      } else if (dep.status === 'orphaned') {
+        // its transfer was reorged out; the watcher revives it if re-mined
+        await conn.rollback();
+        return { credited: false, reason: 'orphaned' };
+      }
+
+      // Idempotency: if already in ledger (and not reversed by a reorg), no-op
+      const [[credits]] = await conn.query(
+        `SELECT COALESCE(SUM(type = 'deposit'), 0) - COALESCE(SUM(type = 'deposit_reversal'), 0) AS live
+           FROM wallet_ledger
+          WHERE type IN ('deposit', 'deposit_reversal')
+            AND ref_id = ?`,
+        [depositId]
+      );
+      if (Number(credits.live) > 0) {
+        await conn.commit();
+        console.log('[DEPOSIT] already credited, skip', { depositId });
+        return { credited: false, reason: 'already_credited' };
+      }
+
+      // sub-unit dust is dropped
+      let amtUnits;
+      try {
+        amtUnits = money.parse(amount != null ? amount : dep.amount_received, dep.asset, { rounding: money.ROUND_DOWN });
+      } catch (_) {
+        throw new Error('invalid_amount');
+      }
+      if (amtUnits <= 0n) throw new Error('invalid_amount');
+      const amtStr = money.format(amtUnits, dep.asset);
+      const hash = txHash || dep.tx_hash || null;
+
+      await conn.query(
+        `INSERT INTO wallet_balances (user_id, asset, balance)
+         VALUES (?, ?, ?)
+         ON DUPLICATE KEY UPDATE balance = balance + VALUES(balance)`,
+        [dep.user_id, dep.asset, amtStr]
+      );
+
+      const ledgerId = await insertLedgerEntry(conn, {
+        userId: dep.user_id,
+        asset: dep.asset,
+        chain: dep.chain,
+        type: 'deposit',
+        amount: amtStr,
+        refId: depositId,
+        meta: { source, ...meta, live: true, tx_hash: hash },
+      });
+
+      await conn.query(
+        `UPDATE crypto_deposits
+            SET status           = 'credited',
+                amount_received  = COALESCE(amount_received, ?),
+                confirmations    = GREATEST(COALESCE(confirmations,0), required_confirmations),
+                tx_hash          = COALESCE(tx_hash, ?),
+                updated_at       = NOW()
+          WHERE id = ?`,
+        [amtStr, hash || `MANUAL-${depositId}`, depositId]
+      );
+
+      await conn.commit();
+
+      credit = {
+        depositId,
+        userId: dep.user_id,
+        asset: dep.asset,
+        chain: dep.chain,
+        amount: amtStr,
+        txHash: hash,
+        ledgerId,
+        source,
+      };
+      console.log('[DEPOSIT] credited', credit);
+    } catch (err) {
+      try { await conn.rollback(); } catch (_) {}
+      console.error('[DEPOSIT] credit error', depositId, err?.message || err);
+      throw err;
+    } finally {
+      conn.release();
+    }
+
+    await runHooks(credit);
+    return { credited: true, ledgerId: credit.ledgerId, amount: credit.amount };
+  }
+
+  const service = { creditDeposit, use, hooks };
+  return service;
+}
+
+module.exports = {
+  makeDepositService,
+  sendDepositWebhook,
+  reverseDepositHooks,
+  rewardCreditsHook,
+  notificationsHook,
+  webhookHook,
+  sweepHook,
+  referralHook,
+};
@@ -0,0 +1,122 @@
+// /server/lib/emails/bank_payout.js (CommonJS)
+
+function fmtPhp(n) {
+  const x = Number(n || 0);
+  return x.toLocaleString('en-PH', { minimumFractionDigits: 2, maximumFractionDigits: 2 });
+}
+
+function maskAccount(acct) {
+  const s = String(acct || '');
+  return s.length <= 4 ? s : `${'•'.repeat(Math.min(6, s.length - 4))}${s.slice(-4)}`;
+}
+
+const COPY = {
+  pending: {
+    subject: (amt) => `Bank transfer received: ₱${amt}`,
+    line: (amt, bank) => `We’ve received your request to send ₱${amt} to ${bank}. We’ll let you know once it is on its way.`,
+  },
+  processing: {
+    subject: (amt) => `Bank transfer in progress: ₱${amt}`,
+    line: (amt, bank) => `Your transfer of ₱${amt} to ${bank} is now being processed.`,
+  },
+  sent: {
+    subject: (amt) => `Bank transfer sent: ₱${amt}`,
+    line: (amt, bank) => `We’ve sent ₱${amt} to your ${bank} account.`,
+  },
+  rejected: {
+    subject: (amt) => `Bank transfer rejected: ₱${amt}`,
+    line: (amt, bank) => `Your transfer of ₱${amt} to ${bank} could not be completed. The USDT has been returned to your wallet.`,
+  },
+};
+
+function buildBankPayoutEmail({
+  appName,
+  webUrl,
+  supportEmail,
+  firstName,
+  email,
+  status,
+  payoutId,
+  payoutPhp,
+  totalDebitUsdt,
+  rail,
+  bankName,
+  accountNumber,
+  referenceNo,
+  rejectReason,
+  timestampIso,
+}) {
+  const copy = COPY[status];
+  if (!copy) throw new Error(`bank_payout email: unknown status ${status}`);
+
+  const amount = fmtPhp(payoutPhp);
+  const who = firstName || email || 'there';
+  const brand = appName || 'Vegapunk Wallet';
+  const link = webUrl ? `${webUrl.replace(/\/$/, '')}/#/wallet` : null;
+  const railLabel = rail === 'pesonet' ? 'PESONet' : 'InstaPay';
+
+  const subject = `${brand} — ${copy.subject(amount)}`;
+  const line = copy.line(amount, bankName);
+
+  const rows = [
+    ['Payout ID', String(payoutId)],
+    ['Bank', `${bankName} (${railLabel})`],
+    ['Account', maskAccount(accountNumber)],
+    ['Debited', `${totalDebitUsdt} USDT`],
+    referenceNo ? ['Reference No.', referenceNo] : null,
+    rejectReason ? ['Reason', rejectReason] : null,
+  ].filter(Boolean);
+
+  const text = [
+    `Hi ${who},`,
+    ``,
+    line,
+    ...rows.map(([k, v]) => `${k}: ${v}`),
+    link ? `` : null,
+    link ? `Open your wallet: ${link}` : null,
+    ``,
+    `Time: ${timestampIso}`,
+    supportEmail ? `Support: ${supportEmail}` : null,
+  ].filter((l) => l !== null).join('\n');
+
+  const html = `
+  <div style="font-family:Arial,sans-serif;line-height:1.5;color:#111827;">
+    <h2 style="margin:0 0 10px 0;">${brand}</h2>
+    <p style="margin:0 0 12px 0;">Hi ${escapeHtml(who)},</p>
+
+    <p style="margin:0 0 12px 0;">${escapeHtml(line)}</p>
+
+    <div style="border:1px solid #e5e7eb;border-radius:12px;padding:12px;margin:0 0 12px 0;">
+      ${rows.map(([k, v]) => `<div><b>${escapeHtml(k)}:</b> ${escapeHtml(v)}</div>`).join('\n      ')}
+      <div style="margin-top:6px;color:#6b7280;font-size:12px;">Time: ${escapeHtml(timestampIso)}</div>
+    </div>
+
+    ${link ? `
+      <p style="margin:0 0 12px 0;">
+        <a href="${link}" style="display:inline-block;padding:10px 14px;border-radius:10px;
+           background:#111827;color:#ffffff;text-decoration:none;">
+          Open Wallet
+        </a>
+      </p>
+    ` : ''}
+
+    ${supportEmail ? `
+      <p style="margin:18px 0 0 0;color:#6b7280;font-size:12px;">
+        Questions about this transfer? Contact support: ${escapeHtml(supportEmail)}
+      </p>
+    ` : ''}
+  </div>
+  `.trim();
+
+  return { subject, text, html };
+}
+
+function escapeHtml(s) {
+  return String(s)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+module.exports = { buildBankPayoutEmail };
@@ -0,0 +1,328 @@
+// /server/lib/house_fees.js (CommonJS)
+// House revenue and on-chain costs.
+//
+// - Transfer fees (network / conversion / send, from the quote the user
+//   accepted) are credited to the house account (HOUSE_USER_ID) as one
+//   'fee_income' ledger row per fee type, ref_id = the user's debit row.
+//   A refunded transfer books matching 'fee_reversal' rows.
+// - Swap fees (taken from the amount swapped) are credited the same way,
+//   fee_type 'swap_fee', ref_id = the user's swap_out row.
+// - Gas actually paid (withdrawals, deposit sweeps, gas top-ups, token
+//   recoveries) goes to gas_costs, priced in USDT at the chain's gas-token
+//   rate of the moment.
+// - revenueReport() puts the two side by side per day.
+
+const money = require('./money');
+const { insertLedgerEntry } = require('./ledger');
+const { getChain } = require('./chains');
+
+// wallet_balances / wallet_ledger user id the fees are credited to (0 = reserved house account)
+const HOUSE_USER_ID = Number(process.env.HOUSE_USER_ID || 0);
+
+// quote field -> fee_type
+const QUOTE_FEES = {
+  network_fee_usdt: 'network_fee',
+  conversion_fee_usdt: 'conversion_fee',
+  send_fee_usdt: 'send_fee',
+};
+const FEE_TYPES = [...Object.values(QUOTE_FEES), 'swap_fee'];
+const GAS_KINDS = ['withdrawal', 'sweep', 'gas_topup', 'recovery'];
+
+function feesFromQuote(quote, asset) {
+  const out = [];
+  for (const [field, feeType] of Object.entries(QUOTE_FEES)) {
+    if (quote?.[field] == null) continue;
+    const units = money.parse(quote[field], asset, { rounding: money.ROUND_UP });
+    if (units > 0n) out.push({ feeType, units });
+  }
+  return out;
+}
+
+async function creditHouse(conn, asset, signed) {
+  await conn.query(
+    `INSERT INTO wallet_balances (user_id, asset, balance)
+     VALUES (?, ?, ?)
+     ON DUPLICATE KEY UPDATE balance = balance + VALUES(balance)`,
+    [HOUSE_USER_ID, asset, signed]
+  );
+}
+
+/**
+ * Books the fees of a transfer inside the caller's transaction.
+ *
+ * @param {import('mysql2/promise').PoolConnection} conn
+ * @param {object} f
+ * @param {number} f.userId          who paid
+ * @param {string} f.asset
+ * @param {string|null} [f.chain]
+ * @param {number} f.debitLedgerId   the user's transfer_out / withdraw row
+ * @param {object} f.quote           locked transfer quote
+ * @param {object} [f.meta]          extra meta (kind, quote_id, withdrawal_id, …)
+ * @returns {Promise<number[]>} fee_income ledger ids
+ */
+async function bookTransferFees(conn, { userId, asset, chain = null, debitLedgerId, quote, meta = {} }) {
+  const ids = [];
+  for (const { feeType, units } of feesFromQuote(quote, asset)) {
+    const amount = money.format(units, asset);
+    await creditHouse(conn, asset, amount);
+    ids.push(await insertLedgerEntry(conn, {
+      userId: HOUSE_USER_ID,
+      asset,
+      chain,
+      type: 'fee_income',
+      amount,
+      refId: debitLedgerId,
+      meta: { fee_type: feeType, payer_user_id: userId, ...meta },
+    }));
+  }
+  return ids;
+}
+
+/**
+ * Books a swap fee inside the swap's transaction. `feeUsdt` (the fee at the
+ * swap's mid rate) lets revenueReport count fees taken in other assets.
+ *
+ * @param {import('mysql2/promise').PoolConnection} conn
+ * @param {object} f
+ * @param {number} f.userId           who swapped
+ * @param {string} f.asset            the from-asset the fee was taken in
+ * @param {bigint} f.units
+ * @param {number} f.swapOutLedgerId  the user's swap_out row
+ * @param {string|null} [f.feeUsdt]
+ * @param {object} [f.meta]           extra meta (swap_id, pair, …)
+ * @returns {Promise<number|null>} fee_income ledger id (null for a zero fee)
+ */
+async function bookSwapFee(conn, { userId, asset, units, swapOutLedgerId, feeUsdt = null, meta = {} }) {
+  if (units <= 0n) return null;
+  const amount = money.format(units, asset);
+  await creditHouse(conn, asset, amount);
+  return insertLedgerEntry(conn, {
+    userId: HOUSE_USER_ID,
+    asset,
+    chain: 'BSC',
+    type: 'fee_income',
+    amount,
+    refId: swapOutLedgerId,
+    meta: { fee_type: 'swap_fee', payer_user_id: userId, fee_usdt: feeUsdt, ...meta },
+  });
+}
+
+/**
+ * Reverses the fee_income rows of a refunded transfer (same transaction as the
+ * refund). Rows already reversed are skipped, so a second call is a no-op.
+ */
+async function reverseTransferFees(conn, { debitLedgerId, refundLedgerId = null, reason = null }) {
+  if (!debitLedgerId) return [];
+
+  const [rows] = await conn.query(
+    `SELECT id, type, asset, chain, amount, meta
+       FROM wallet_ledger
+      WHERE user_id=? AND ref_id=? AND type IN ('fee_income', 'fee_reversal')
+      FOR UPDATE`,
+    [HOUSE_USER_ID, String(debitLedgerId)]
+  );
+  const parse = (m) => (typeof m === 'string' ? JSON.parse(m) : m) || {};
+  const reversed = new Set(
+    rows.filter((r) => r.type === 'fee_reversal').map((r) => Number(parse(r.meta).fee_income_id))
+  );
+
+  const ids = [];
+  for (const r of rows.filter((x) => x.type === 'fee_income' && !reversed.has(Number(x.id)))) {
+    const m = parse(r.meta);
+    const units = money.parse(r.amount, r.asset);
+    await creditHouse(conn, r.asset, money.format(-units, r.asset));
+    ids.push(await insertLedgerEntry(conn, {
+      userId: HOUSE_USER_ID,
+      asset: r.asset,
+      chain: r.chain,
+      type: 'fee_reversal',
+      amount: money.format(units, r.asset),
+      refId: debitLedgerId,
+      meta: {
+        fee_type: m.fee_type,
+        payer_user_id: m.payer_user_id ?? null,
+        fee_income_id: r.id,
+        refund_ledger_id: refundLedgerId,
+        reason,
+      },
+    }));
+  }
+  return ids;
+}
+
+// `pair` (gas token or asset in USDT) now, or the last recorded rate (workers without a rate service)
+async function gasTokenRate(db, pair, rates) {
+  if (rates) {
+    try { return String(await rates.getRate(pair)); } catch (_) {}
+  }
+  const [[row]] = await db.query(
+    'SELECT rate FROM rates_history WHERE pair=? ORDER BY id DESC LIMIT 1',
+    [pair]
+  );
+  return row ? String(row.rate) : null;
+}
+
+/**
+ * Records the gas paid by one of our transactions. Safe to call again for the
+ * same tx (the tx hash is unique). Never throws: cost tracking must not break
+ * the send it describes.
+ *
+ * @param {object} g
+ * @param {'withdrawal'|'sweep'|'gas_topup'|'recovery'} g.kind
+ * @param {number|null} [g.refId]  withdrawal id / deposit id / unsupported_transfers id
+ * @param {import('ethers').TransactionReceipt} g.receipt
+ * @param {string} [g.chain]       registry key (lib/chains)
+ * @param {bigint} [g.valueWei]    gas token moved by the tx (gas top-ups)
+ * @param {object} [g.rates]       rate service (lib/rates)
+ */
+async function recordGasCost(db, { kind, refId = null, chain = 'BSC', receipt, valueWei = 0n, rates = null }) {
+  try {
+    if (!GAS_KINDS.includes(kind)) throw new Error(`GAS_BAD_KIND:${kind}`);
+    if (!receipt?.hash) return;
+
+    const gasUsed = BigInt(receipt.gasUsed ?? 0n);
+    const gasPrice = BigInt(receipt.gasPrice ?? receipt.effectiveGasPrice ?? 0n);
+    const feeWei = receipt.fee != null ? BigInt(receipt.fee) : gasUsed * gasPrice;
+
+    const c = getChain(chain);
+    const rate = await gasTokenRate(db, c.gasRatePair, rates).catch(() => null);
+    const feeUsdt = rate == null
+      ? null
+      : money.format(
+        money.convert(money.fromChainUnits(feeWei, c.gasAsset, 18, money.ROUND_UP), c.gasAsset, rate, 'USDT', money.ROUND_UP),
+        'USDT'
+      );
+
+    await db.query(
+      `INSERT IGNORE INTO gas_costs
+         (kind, ref_id, chain, gas_asset, tx_hash, from_address, status, gas_used, gas_price_wei,
+          fee_native, value_native, gas_rate_usdt, fee_usdt)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+      [
+        kind, refId, c.key, c.gasAsset, String(receipt.hash).toLowerCase(), receipt.from || null,
+        Number(receipt.status) === 1 ? 'ok' : 'reverted',
+        gasUsed.toString(), gasPrice.toString(),
+        money.formatDp(feeWei, 18), money.formatDp(BigInt(valueWei || 0n), 18),
+        rate, feeUsdt,
+      ]
+    );
+  } catch (e) {
+    console.warn('[GAS] cost record failed', kind, refId, receipt?.hash, e?.message || e);
+  }
+}
+
+const usdt = (v) => money.parse(v ?? 0, 'USDT');
+const fmt = (u) => money.format(u, 'USDT');
+
+function emptyDay(day) {
+  return {
+    day,
+    fees: Object.fromEntries(FEE_TYPES.map((t) => [t, { collected: 0n, reversed: 0n }])),
+    gas: Object.fromEntries(GAS_KINDS.map((k) => [k, { count: 0, native: {}, usdt: 0n, unpriced: 0 }])),
+  };
+}
+
+function finishDay(d) {
+  const fees = {};
+  let feesNet = 0n;
+  for (const [t, f] of Object.entries(d.fees)) {
+    const net = f.collected - f.reversed;
+    feesNet += net;
+    fees[t] = { collected: fmt(f.collected), reversed: fmt(f.reversed), net: fmt(net) };
+  }
+  const gas = {};
+  let gasTotal = 0n;
+  for (const [k, g] of Object.entries(d.gas)) {
+    gasTotal += g.usdt;
+    const native = Object.fromEntries(Object.entries(g.native).map(([a, u]) => [a, money.formatDp(u, 18)]));
+    gas[k] = { count: g.count, native, usdt: fmt(g.usdt), unpriced: g.unpriced };
+  }
+  return {
+    day: d.day,
+    fees,
+    gas,
+    fees_net_usdt: fmt(feesNet),
+    gas_usdt: fmt(gasTotal),
+    net_usdt: fmt(feesNet - gasTotal),
+    // what users paid as network fee vs what withdrawals actually burned
+    network_fee_gap_usdt: fmt((d.fees.network_fee.collected - d.fees.network_fee.reversed) - d.gas.withdrawal.usdt),
+  };
+}
+
+/**
+ * Fees collected (net of reversals) vs gas spent, per day and fee type / gas
+ * kind, for inclusive YYYY-MM-DD days. Amounts are USDT strings.
+ */
+async function revenueReport(db, { from, to }) {
+  const start = `${from} 00:00:00`;
+  const endExcl = `${new Date(Date.parse(`${to}T00:00:00Z`) + 86_400_000).toISOString().slice(0, 10)} 00:00:00`;
+
+  const [feeRows] = await db.query(
+    `SELECT DATE_FORMAT(ts, '%Y-%m-%d') AS day,
+            JSON_UNQUOTE(JSON_EXTRACT(meta, '$.fee_type')) AS fee_type,
+            type,
+            SUM(CASE WHEN asset='USDT' THEN ABS(amount)
+                     ELSE CAST(JSON_UNQUOTE(JSON_EXTRACT(meta, '$.fee_usdt')) AS DECIMAL(36,18)) END) AS total
+       FROM wallet_ledger
+      WHERE user_id=? AND type IN ('fee_income', 'fee_reversal')
+        AND (asset='USDT' OR JSON_TYPE(JSON_EXTRACT(meta, '$.fee_usdt')) = 'STRING')
+        AND ts >= ? AND ts < ?
+      GROUP BY day, fee_type, type`,
+    [HOUSE_USER_ID, start, endExcl]
+  );
+  const [gasRows] = await db.query(
+    `SELECT DATE_FORMAT(created_at, '%Y-%m-%d') AS day, kind, gas_asset,
+            COUNT(*) AS n,
+            SUM(fee_native) AS native,
+            COALESCE(SUM(fee_usdt), 0) AS usdt,
+            SUM(fee_usdt IS NULL) AS unpriced
+       FROM gas_costs
+      WHERE created_at >= ? AND created_at < ?
+      GROUP BY day, kind, gas_asset`,
+    [start, endExcl]
+  );
+
+  const days = new Map();
+  const total = emptyDay(null);
+  const at = (day) => {
+    if (!days.has(day)) days.set(day, emptyDay(day));
+    return days.get(day);
+  };
+
+  for (const r of feeRows) {
+    if (!FEE_TYPES.includes(r.fee_type)) continue;
+    const key = r.type === 'fee_income' ? 'collected' : 'reversed';
+    at(r.day).fees[r.fee_type][key] += usdt(r.total);
+    total.fees[r.fee_type][key] += usdt(r.total);
+  }
+  for (const r of gasRows) {
+    if (!GAS_KINDS.includes(r.kind)) continue;
+    for (const g of [at(r.day).gas[r.kind], total.gas[r.kind]]) {
+      g.count += Number(r.n);
+      g.native[r.gas_asset] = (g.native[r.gas_asset] || 0n) + money.toUnitsDp(r.native ?? 0, 18);
+      g.usdt += usdt(r.usdt);
+      g.unpriced += Number(r.unpriced || 0);
+    }
+  }
+
+  const { day: _day, ...totals } = finishDay(total);
+  return {
+    from,
+    to,
+    house_user_id: HOUSE_USER_ID,
+    days: [...days.keys()].sort().map((d) => finishDay(days.get(d))),
+    totals,
+  };
+}
+
+module.exports = {
+  HOUSE_USER_ID,
+  FEE_TYPES,
+  GAS_KINDS,
+  bookTransferFees,
+  bookSwapFee,
+  reverseTransferFees,
+  gasTokenRate,
+  recordGasCost,
+  revenueReport,
+};
@@ -0,0 +1,161 @@
+// /server/lib/idempotency.js (CommonJS)
+// `Idempotency-Key` support for money-moving POSTs, backed by idempotency_keys.
+//
+//   const idempotent = makeIdempotency({ db });
+//   app.post('/v1/wallet/swap', requireAuth, idempotent('wallet.swap'), handler);
+//
+// - no header              -> request runs as before
+// - new key                -> row reserved as 'pending', handler runs, response stored
+// - same key + same body   -> stored response replayed (Idempotent-Replayed: true)
+// - same key + other body  -> 409 IDEMPOTENCY_KEY_REUSED
+// - same key still running -> 409 IDEMPOTENCY_IN_PROGRESS
+// 5xx responses are not stored: the key is released so the client can retry.
+// Must run after requireAuth (keys are scoped per user).
+
+const crypto = require('crypto');
+
+const IDEMPOTENCY_TTL_HOURS = Number(process.env.IDEMPOTENCY_TTL_HOURS || 24);
+const KEY_RE = /^[A-Za-z0-9_\-:.]{8,128}$/;
+
+// JSON.stringify with sorted object keys so {a,b} and {b,a} hash the same
+function stableStringify(v) {
+  if (Array.isArray(v)) return `[${v.map(stableStringify).join(',')}]`;
+  if (v && typeof v === 'object') {
+    return `{${Object.keys(v).sort().map((k) => `${JSON.stringify(k)}:${stableStringify(v[k])}`).join(',')}}`;
+  }
+  return JSON.stringify(v ?? null);
+}
+
+function requestHash(req) {
+  return crypto
+    .createHash('sha256')
+    .update(`${req.method} ${req.baseUrl || ''}${req.path}\n${stableStringify(req.body || {})}`)
+    .digest('hex');
+}
+
+async function reserveKey(db, { userId, key, scope, hash, ttlHours }) {
+  try {
+    await db.query(
+      `INSERT INTO idempotency_keys (user_id, idem_key, scope, request_hash, status, expires_at)
+       VALUES (?, ?, ?, ?, 'pending', NOW() + INTERVAL ? HOUR)`,
+      [userId, key, scope, hash, ttlHours]
+    );
+    return null;
+  } catch (e) {
+    if (e?.code !== 'ER_DUP_ENTRY') throw e;
+  }
+
+  const [[row]] = await db.query(
+    `SELECT id, scope, request_hash, status, response_status, response_body,
+            expires_at <= NOW() AS expired
+       FROM idempotency_keys
+      WHERE user_id=? AND idem_key=?`,
+    [userId, key]
+  );
+  if (!row) return reserveKey(db, { userId, key, scope, hash, ttlHours });
+
+  // Expired keys are free again
+  if (Number(row.expired)) {
+    await db.query('DELETE FROM idempotency_keys WHERE id=? AND expires_at <= NOW()', [row.id]);
+    return reserveKey(db, { userId, key, scope, hash, ttlHours });
+  }
+  return row;
+}
+
+/**
+ * @param {object} deps
+ * @param {import('mysql2/promise').Pool} deps.db
+ * @param {number} [deps.ttlHours]  how long a key (and its stored response) is kept
+ * @returns {(scope: string) => import('express').RequestHandler}
+ */
+function makeIdempotency({ db, ttlHours = IDEMPOTENCY_TTL_HOURS }) {
+  if (!db) throw new Error('makeIdempotency: db is required');
+
+  return function idempotent(scope) {
+    return async function idempotencyMiddleware(req, res, next) {
+      const key = (req.get('Idempotency-Key') || '').trim();
+      if (!key) return next();
+
+      if (!KEY_RE.test(key)) {
+        return res.status(400).json({ error: 'BAD_IDEMPOTENCY_KEY' });
+      }
+      if (!req.userId) return res.status(401).json({ error: 'NO_TOKEN' });
+
+      const userId = req.userId;
+      const hash = requestHash(req);
+
+      let existing;
+      try {
+        existing = await reserveKey(db, { userId, key, scope, hash, ttlHours });
+      } catch (e) {
+        console.error('[IDEMPOTENCY] reserve failed', e?.message || e);
+        return res.status(500).json({ error: 'SERVER_ERR' });
+      }
+
+      if (existing) {
+        if (existing.scope !== scope || existing.request_hash !== hash) {
+          return res.status(409).json({ error: 'IDEMPOTENCY_KEY_REUSED' });
+        }
+        if (existing.status !== 'completed') {
+          return res.status(409).json({ error: 'IDEMPOTENCY_IN_PROGRESS' });
+        }
+
+        let body = existing.response_body;
+        if (typeof body === 'string') {
+          try { body = JSON.parse(body); } catch (_) {}
+        }
+        res.set('Idempotent-Replayed', 'true');
+        return res.status(existing.response_status || 200).json(body);
+      }
+
+      // Persist the handler's response before it goes out. If the client
+      // disconnects mid-request the key stays 'pending' until it expires, so a
+      // retry can never run the handler a second time.
+      const json = res.json.bind(res);
+      let stored = false;
+      res.json = (body) => {
+        if (stored) return json(body);
+        stored = true;
+
+        const status = res.statusCode;
+        const write = status < 500
+          ? db.query(
+              `UPDATE idempotency_keys
+                  SET status='completed', response_status=?, response_body=?, completed_at=NOW()
+                WHERE user_id=? AND idem_key=?`,
+              [status, JSON.stringify(body ?? null), userId, key]
+            )
+          : db.query(
+              `DELETE FROM idempotency_keys WHERE user_id=? AND idem_key=? AND status='pending'`,
+              [userId, key]
+            );
+
+        write
+          .catch((e) => console.error('[IDEMPOTENCY] store failed', { scope, userId }, e?.message || e))
+          .finally(() => json(body));
+        return res;
+      };
+
+      return next();
+    };
+  };
+}
+
+/** Deletes expired keys; returns the number removed. */
+async function purgeExpiredKeys(db, { batch = 5000 } = {}) {
+  let removed = 0;
+  for (;;) {
+    const [r] = await db.query(
+      'DELETE FROM idempotency_keys WHERE expires_at <= NOW() ORDER BY id LIMIT ?',
+      [batch]
+    );
+    removed += r.affectedRows;
+    if (r.affectedRows < batch) break;
+  }
+  return removed;
+}
+
+module.exports = {
+  makeIdempotency,
+  purgeExpiredKeys,
+};
@@ -0,0 +1,168 @@
+// /server/lib/ledger.js (CommonJS)
+// Central registry of wallet_ledger entry types.
+//
+// Every row is stored with its canonical sign:
+//   credit → amount > 0, debit → amount < 0, either → caller decides
+// Writers always pass a positive amount (except 'either' types) and go through
+// insertLedgerEntry(), which applies the sign and validates ref_id + meta.
+
+// ref formats
+const REF_NONE = null;           // ref_id must be NULL
+const REF_ID = /^\d+$/;          // numeric id of the source row
+
+const LEDGER_TYPES = {
+  // ── credits ──
+  deposit:         { direction: 'credit', ref: REF_ID, meta: ['source'] },
+  swap_in:         { direction: 'credit', ref: REF_NONE, meta: ['pair'] },
+  transfer_in:     { direction: 'credit', ref: REF_ID, meta: ['kind'] },
+  refund:          { direction: 'credit', ref: REF_ID, meta: ['kind'] },
+  referral_bonus:  { direction: 'credit', ref: REF_ID, meta: ['events'] },
+  reward_credit:   { direction: 'credit', ref: /^reward_credit:\d+$/, meta: ['creditId'] },
+  stake_payout:    { direction: 'credit', ref: REF_ID, meta: [] },
+  stake_refund:    { direction: 'credit', ref: REF_ID, meta: [] },
+  stake_referral:  { direction: 'credit', ref: REF_ID, meta: [] },
+  referral_reward: { direction: 'credit', ref: REF_ID, meta: [] },
+  fee_income:      { direction: 'credit', ref: REF_ID, meta: ['fee_type'] },   // house account only
+
+  // ── debits ──
+  swap_out:        { direction: 'debit', ref: REF_NONE, meta: ['pair'] },
+  transfer_out:    { direction: 'debit', ref: REF_NONE, meta: ['kind'] },
+  withdraw:        { direction: 'debit', ref: REF_NONE, meta: ['kind', 'account_number'] },
+  stake_lock:      { direction: 'debit', ref: REF_ID, meta: ['position_id', 'units'] },
+  purchase:        { direction: 'debit', ref: REF_ID, meta: [] },
+  fee:             { direction: 'debit', ref: REF_ID, meta: [] },
+  fee_reversal:    { direction: 'debit', ref: REF_ID, meta: ['fee_type'] },   // house account only
+  deposit_reversal: { direction: 'debit', ref: REF_ID, meta: ['reason'] },  // credited deposit lost to a reorg
+
+  // ── signed by caller ──
+  adjustment:      { direction: 'either', ref: /^recon:\d+$/, meta: ['reason_code'] },
+};
+
+const DEBIT_TYPES = Object.keys(LEDGER_TYPES).filter((t) => LEDGER_TYPES[t].direction === 'debit');
+const CREDIT_TYPES = Object.keys(LEDGER_TYPES).filter((t) => LEDGER_TYPES[t].direction === 'credit');
+
+function getLedgerType(type) {
+  const def = LEDGER_TYPES[type];
+  if (!def) throw new Error(`LEDGER_UNKNOWN_TYPE:${type}`);
+  return def;
+}
+
+// Number | decimal string -> plain decimal string (no exponent)
+function toDecimalString(amount) {
+  if (typeof amount === 'number') {
+    if (!Number.isFinite(amount)) throw new Error('LEDGER_BAD_AMOUNT');
+    const s = String(amount);
+    if (!/e/i.test(s)) return s;
+    return amount.toFixed(18).replace(/\.?0+$/, '');
+  }
+  const s = String(amount ?? '').trim();
+  if (!/^[-+]?\d+(\.\d+)?$/.test(s)) throw new Error('LEDGER_BAD_AMOUNT');
+  return s;
+}
+
+/**
+ * Applies the canonical sign of `type` to `amount`.
+ * Returns a decimal string ('-12.5' for a debit of 12.5).
+ */
+function signedAmount(type, amount) {
+  const def = getLedgerType(type);
+  const s = toDecimalString(amount);
+  if (def.direction === 'either') return s.replace(/^\+/, '');
+
+  const abs = s.replace(/^[-+]/, '');
+  if (/^0+(\.0+)?$/.test(abs)) throw new Error('LEDGER_ZERO_AMOUNT');
+  return def.direction === 'debit' ? `-${abs}` : abs;
+}
+
+function checkRef(type, def, refId) {
+  if (def.ref === REF_NONE) {
+    if (refId != null) throw new Error(`LEDGER_BAD_REF:${type}`);
+    return null;
+  }
+  const ref = refId == null ? '' : String(refId);
+  if (!def.ref.test(ref)) throw new Error(`LEDGER_BAD_REF:${type}:${ref}`);
+  return ref;
+}
+
+function checkMeta(type, def, meta) {
+  const m = meta || {};
+  for (const k of def.meta) {
+    if (m[k] == null) throw new Error(`LEDGER_META_MISSING:${type}.${k}`);
+  }
+  return m;
+}
+
+/**
+ * The only way rows should be written to wallet_ledger.
+ *
+ * @param {import('mysql2/promise').PoolConnection} conn
+ * @param {object} e
+ * @param {number} e.userId
+ * @param {string} e.asset
+ * @param {string|null} [e.chain]
+ * @param {string} e.type          key of LEDGER_TYPES
+ * @param {number|string} e.amount positive magnitude ('either' types: signed)
+ * @param {string|number|null} [e.refId]
+ * @param {object} [e.meta]
+ * @returns {Promise<number>} inserted ledger id
+ */
+async function insertLedgerEntry(conn, { userId, asset, chain = null, type, amount, refId = null, meta = null }) {
+  const def = getLedgerType(type);
+  const signed = signedAmount(type, amount);
+  const ref = checkRef(type, def, refId);
+  const m = checkMeta(type, def, meta);
+
+  const [ins] = await conn.query(
+    `INSERT INTO wallet_ledger
+       (user_id, ts, asset, chain, type, amount, ref_id, meta)
+     VALUES (?, NOW(), ?, ?, ?, ?, ?, ?)`,
+    [userId, asset, chain, type, signed, ref, JSON.stringify(m)]
+  );
+  return ins.insertId;
+}
+
+/**
+ * Merges `patch` into an existing entry's meta (e.g. the tx_hash of a
+ * withdrawal, known only after broadcast). Amount, type and ref never change.
+ */
+async function annotateLedgerEntry(conn, ledgerId, patch) {
+  if (!ledgerId || !patch) return;
+  await conn.query(
+    `UPDATE wallet_ledger
+        SET meta = JSON_MERGE_PATCH(IF(JSON_VALID(meta), meta, JSON_OBJECT()), ?)
+      WHERE id=?`,
+    [JSON.stringify(patch), ledgerId]
+  );
+}
+
+// DB row -> API shape (amount is already canonically signed)
+function formatLedgerRow(r) {
+  let meta = null;
+  try {
+    meta = r.meta == null ? null : (typeof r.meta === 'string' ? JSON.parse(r.meta) : r.meta);
+  } catch {
+    meta = null;
+  }
+
+  return {
+    id: r.id,
+    ts: r.ts,
+    asset: r.asset,
+    chain: r.chain,
+    type: r.type,
+    amount: (r.amount ?? 0).toString(),
+    ref_id: r.ref_id,
+    meta,
+  };
+}
+
+module.exports = {
+  LEDGER_TYPES,
+  DEBIT_TYPES,
+  CREDIT_TYPES,
+  getLedgerType,
+  signedAmount,
+  insertLedgerEntry,
+  annotateLedgerEntry,
+  formatLedgerRow,
+};
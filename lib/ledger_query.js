@@ -0,0 +1,225 @@
+// /server/lib/ledger_query.js (CommonJS)
+// Filtered, cursor-paged reads of wallet_ledger for the history API and the
+// admin search. Query params (all optional, lists are comma separated):
+//
+//   type=deposit,swap_in   asset=USDT,VPK   chain=BSC
+//   from=2026-09-01  to=2026-09-30 (inclusive days)  |  days=30
+//   min_amount=10  max_amount=500  (on the absolute amount)
+//   ref_id=123  tx_hash=0xabc…  limit=20  cursor=<next_cursor>
+//
+// Every combination starts from one of the indexes in migrations/007.
+
+const crypto = require('crypto');
+const money = require('./money');
+const { LEDGER_TYPES, formatLedgerRow } = require('./ledger');
+
+const LEDGER_MAX_PAGE = 100;
+const LEDGER_MAX_DAYS = Number(process.env.LEDGER_MAX_DAYS || 3660);
+
+const DATE_RE = /^\d{4}-\d{2}-\d{2}$/;
+const AMOUNT_RE = /^\d+(\.\d+)?$/;
+const TX_HASH_RE = /^0x[0-9a-fA-F]{64}$/;
+
+function list(v) {
+  const arr = Array.isArray(v) ? v : String(v ?? '').split(',');
+  return [...new Set(arr.map((s) => String(s).trim()).filter(Boolean))];
+}
+
+function nextDay(day) {
+  return new Date(Date.parse(`${day}T00:00:00Z`) + 86_400_000).toISOString().slice(0, 10);
+}
+
+function validDay(day) {
+  const t = Date.parse(`${day}T00:00:00Z`);
+  return Number.isFinite(t) && new Date(t).toISOString().slice(0, 10) === day;
+}
+
+/**
+ * Query string -> normalized filters.
+ *
+ * @returns {{ ok: true, filters: object } | { ok: false, error: string }}
+ */
+function parseLedgerFilters(q = {}) {
+  const f = {};
+
+  if (q.type) {
+    f.types = list(q.type).map((t) => t.toLowerCase());
+    if (f.types.some((t) => !LEDGER_TYPES[t])) return { ok: false, error: 'BAD_TYPE' };
+  }
+  if (q.asset) {
+    f.assets = list(q.asset).map((a) => (a.toUpperCase() === 'MHV' ? 'VPK' : a.toUpperCase()));
+    if (f.assets.some((a) => !/^[A-Z0-9]{2,16}$/.test(a))) return { ok: false, error: 'BAD_ASSET' };
+  }
+  if (q.chain) {
+    f.chains = list(q.chain).map((c) => c.toUpperCase());
+    if (f.chains.some((c) => !/^[A-Z0-9_]{2,16}$/.test(c))) return { ok: false, error: 'BAD_CHAIN' };
+  }
+
+  if (q.days != null && q.days !== '') {
+    const days = Number(q.days);
+    if (!Number.isInteger(days) || days < 1 || days > LEDGER_MAX_DAYS) return { ok: false, error: 'BAD_RANGE' };
+    f.days = days;
+  }
+  if (q.from) {
+    if (!DATE_RE.test(String(q.from)) || !validDay(String(q.from))) return { ok: false, error: 'BAD_RANGE' };
+    f.from = `${q.from} 00:00:00`;
+  }
+  if (q.to) {
+    if (!DATE_RE.test(String(q.to)) || !validDay(String(q.to))) return { ok: false, error: 'BAD_RANGE' };
+    f.toExcl = `${nextDay(String(q.to))} 00:00:00`;
+  }
+  if (f.from && f.toExcl && f.from >= f.toExcl) return { ok: false, error: 'BAD_RANGE' };
+
+  for (const [key, prop] of [['min_amount', 'minAmount'], ['max_amount', 'maxAmount']]) {
+    if (q[key] == null || q[key] === '') continue;
+    const s = String(q[key]).trim();
+    if (!AMOUNT_RE.test(s)) return { ok: false, error: 'BAD_AMOUNT' };
+    f[prop] = s;
+  }
+  if (f.minAmount && f.maxAmount && Number(f.minAmount) > Number(f.maxAmount)) {
+    return { ok: false, error: 'BAD_AMOUNT' };
+  }
+
+  if (q.ref_id) {
+    f.refId = String(q.ref_id).trim().slice(0, 64);
+  }
+  if (q.tx_hash) {
+    const h = String(q.tx_hash).trim();
+    if (!TX_HASH_RE.test(h)) return { ok: false, error: 'BAD_TX_HASH' };
+    f.txHash = h.toLowerCase();
+  }
+
+  if (q.user_id != null && q.user_id !== '') {
+    const uid = Number(q.user_id);
+    if (!Number.isInteger(uid) || uid <= 0) return { ok: false, error: 'BAD_USER_ID' };
+    f.userId = uid;
+  }
+
+  return { ok: true, filters: f };
+}
+
+function buildWhere(f) {
+  const where = [];
+  const args = [];
+  const add = (sql, ...a) => { where.push(sql); args.push(...a); };
+
+  if (f.userId) add('user_id = ?', f.userId);
+  if (f.types) add('type IN (?)', f.types);
+  if (f.assets) add('asset IN (?)', f.assets);
+  if (f.chains) add('chain IN (?)', f.chains);
+  if (f.days) add('ts >= NOW() - INTERVAL ? DAY', f.days);
+  if (f.from) add('ts >= ?', f.from);
+  if (f.toExcl) add('ts < ?', f.toExcl);
+  if (f.minAmount) add('ABS(amount) >= ?', f.minAmount);
+  if (f.maxAmount) add('ABS(amount) <= ?', f.maxAmount);
+  if (f.refId) add('ref_id = ?', f.refId);
+  if (f.txHash) add('tx_hash = ?', f.txHash);
+
+  return { sql: where.length ? `WHERE ${where.join(' AND ')}` : '', args };
+}
+
+// Cursors are bound to the filter set they were issued for
+function filterFingerprint(f) {
+  const keys = Object.keys(f).sort();
+  return crypto
+    .createHash('sha256')
+    .update(JSON.stringify(keys.map((k) => [k, f[k]])))
+    .digest('base64url')
+    .slice(0, 12);
+}
+
+function encodeCursor(lastId, f) {
+  return Buffer.from(JSON.stringify({ b: String(lastId), f: filterFingerprint(f) })).toString('base64url');
+}
+
+function decodeCursor(cursor, f) {
+  try {
+    const c = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+    if (!/^\d+$/.test(String(c.b)) || c.f !== filterFingerprint(f)) return null;
+    return c.b;
+  } catch {
+    return null;
+  }
+}
+
+function fmtTotal(v, asset) {
+  if (!money.hasAsset(asset)) return String(v ?? 0);
+  return money.format(money.parse(v ?? 0, asset), asset);
+}
+
+async function ledgerTotals(db, f) {
+  const { sql, args } = buildWhere(f);
+  const [rows] = await db.query(
+    `SELECT asset,
+            COUNT(*) AS n,
+            COALESCE(SUM(CASE WHEN amount > 0 THEN amount ELSE 0 END), 0) AS credits,
+            COALESCE(SUM(CASE WHEN amount < 0 THEN -amount ELSE 0 END), 0) AS debits,
+            COALESCE(SUM(amount), 0) AS net
+       FROM wallet_ledger
+       ${sql}
+      GROUP BY asset`,
+    args
+  );
+
+  return {
+    count: rows.reduce((n, r) => n + Number(r.n), 0),
+    by_asset: Object.fromEntries(rows.map((r) => [r.asset, {
+      count: Number(r.n),
+      credits: fmtTotal(r.credits, r.asset),
+      debits: fmtTotal(r.debits, r.asset),
+      net: fmtTotal(r.net, r.asset),
+    }])),
+  };
+}
+
+/**
+ * One page of ledger rows, newest first.
+ *
+ * Totals (count + credits / debits / net per asset over the whole filter) are
+ * returned on the first page only; follow-up pages send `totals: null`.
+ *
+ * @param {object} p
+ * @param {object} p.filters   from parseLedgerFilters (userId is forced by the caller for users)
+ * @param {string} [p.cursor]  next_cursor of the previous page
+ * @param {number} [p.before]  legacy id cursor
+ * @param {number} [p.limit]
+ * @returns {Promise<{ items: object[], next_cursor: string|null, next_before: number|null, totals: object|null }>}
+ */
+async function queryLedger(db, { filters, cursor = null, before = 0, limit = 20 }) {
+  const pageSize = Math.min(LEDGER_MAX_PAGE, Math.max(1, Number(limit) || 20));
+
+  let beforeId = Number(before) > 0 ? String(Number(before)) : null;
+  if (cursor) {
+    beforeId = decodeCursor(cursor, filters);
+    if (!beforeId) throw Object.assign(new Error('BAD_CURSOR'), { statusCode: 400 });
+  }
+
+  const { sql, args } = buildWhere(filters);
+  const pageWhere = beforeId ? `${sql ? `${sql} AND` : 'WHERE'} id < ?` : sql;
+
+  const [rows] = await db.query(
+    `SELECT id, user_id, ts, asset, chain, type, amount, ref_id, meta
+       FROM wallet_ledger
+       ${pageWhere}
+      ORDER BY id DESC
+      LIMIT ?`,
+    [...args, ...(beforeId ? [beforeId] : []), pageSize + 1]
+  );
+
+  const hasMore = rows.length > pageSize;
+  const data = rows.slice(0, pageSize);
+  const lastId = hasMore ? data[data.length - 1].id : null;
+
+  return {
+    items: data.map((r) => (filters.userId ? formatLedgerRow(r) : { ...formatLedgerRow(r), user_id: r.user_id })),
+    next_cursor: lastId ? encodeCursor(lastId, filters) : null,
+    next_before: lastId,
+    totals: beforeId ? null : await ledgerTotals(db, filters),
+  };
+}
+
+module.exports = {
+  LEDGER_MAX_PAGE,
+  parseLedgerFilters,
+  queryLedger,
+};
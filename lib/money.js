@@ -0,0 +1,201 @@
+// /server/lib/money.js (CommonJS)
+// Exact fixed-point money math. Amounts are BigInt "units" at the asset's
+// ledger precision (1 USDT unit = 0.000001 USDT) and are stored/sent to MySQL
+// as decimal strings via format(). Never do money math on JS Numbers.
+//
+//   const u = parse('12.5', 'USDT');              // 12500000n
+//   const vpk = convert(u, 'USDT', 100, 'VPK');   // 125000n  (= 1250.00 VPK)
+//   format(vpk, 'VPK');                           // '1250.00'
+
+const ROUND_DOWN = 'down';           // toward zero
+const ROUND_UP = 'up';               // away from zero
+const ROUND_HALF_UP = 'half_up';     // ties away from zero
+const ROUND_HALF_EVEN = 'half_even'; // ties to even (banker's)
+
+// dp = ledger precision; chainDecimals = on-chain token decimals
+const ASSETS = {
+  USDT: { dp: 6, chainDecimals: Number(process.env.USDT_DECIMALS || 18) },
+  USDC: { dp: 6 },
+  FDUSD: { dp: 6 },
+  VPK: { dp: 2 },
+  PHP: { dp: 2 },
+  BNB: { dp: 8, chainDecimals: 18 },
+  ETH: { dp: 8, chainDecimals: 18 },
+  POL: { dp: 8, chainDecimals: 18 },
+};
+
+const ALIASES = { MHV: 'VPK' };
+
+function assetDef(asset) {
+  const a = String(asset || '').trim().toUpperCase();
+  const def = ASSETS[ALIASES[a] || a];
+  if (!def) throw new Error(`MONEY_UNKNOWN_ASSET:${asset}`);
+  return def;
+}
+
+function dpOf(asset) {
+  return assetDef(asset).dp;
+}
+
+function hasAsset(asset) {
+  const a = String(asset || '').trim().toUpperCase();
+  return !!ASSETS[ALIASES[a] || a];
+}
+
+// a / b with explicit rounding (b > 0)
+function divRound(a, b, rounding) {
+  if (b <= 0n) throw new Error('MONEY_DIV_BY_ZERO');
+  let q = a / b;
+  const r = a % b;
+  if (r === 0n) return q;
+
+  const absR = r < 0n ? -r : r;
+  let bump;
+  switch (rounding) {
+    case ROUND_DOWN: bump = false; break;
+    case ROUND_UP: bump = true; break;
+    case ROUND_HALF_UP: bump = absR * 2n >= b; break;
+    case ROUND_HALF_EVEN: {
+      const twice = absR * 2n;
+      bump = twice > b || (twice === b && q % 2n !== 0n);
+      break;
+    }
+    default: throw new Error(`MONEY_BAD_ROUNDING:${rounding}`);
+  }
+  if (bump) q += a < 0n ? -1n : 1n;
+  return q;
+}
+
+// '1.5e-7' -> '0.00000015' (String(number) uses exponents outside 1e-7..1e21)
+function expandExponent(s) {
+  const m = /^([-+]?)(\d+)(?:\.(\d+))?e([-+]?\d+)$/i.exec(s);
+  if (!m) return s;
+  const digits = m[2] + (m[3] || '');
+  const point = m[2].length + Number(m[4]);
+  let out;
+  if (point <= 0) out = `0.${'0'.repeat(-point)}${digits}`;
+  else if (point >= digits.length) out = digits + '0'.repeat(point - digits.length);
+  else out = `${digits.slice(0, point)}.${digits.slice(point)}`;
+  return m[1] === '-' ? `-${out}` : out;
+}
+
+// number | decimal string | bigint -> { int, scale } so that value = int / 10^scale
+function splitDecimal(value) {
+  if (typeof value === 'bigint') return { int: value, scale: 0 };
+
+  let s;
+  if (typeof value === 'number') {
+    if (!Number.isFinite(value)) throw new Error('MONEY_BAD_NUMBER');
+    s = expandExponent(String(value));
+  } else {
+    s = String(value ?? '').trim();
+  }
+
+  const m = /^([-+]?)(\d*)(?:\.(\d*))?$/.exec(s);
+  if (!m || (m[2] === '' && !m[3])) throw new Error(`MONEY_BAD_NUMBER:${s}`);
+
+  const frac = (m[3] || '').replace(/0+$/, '');
+  const int = BigInt((m[2] || '0') + frac);
+  return { int: m[1] === '-' ? -int : int, scale: frac.length };
+}
+
+function rescale(int, fromScale, toScale, rounding) {
+  if (toScale >= fromScale) return int * 10n ** BigInt(toScale - fromScale);
+  return divRound(int, 10n ** BigInt(fromScale - toScale), rounding);
+}
+
+/**
+ * Decimal -> BigInt units at `dp` decimals.
+ * strict=true rejects values with more decimals than dp (user input).
+ */
+function toUnitsDp(value, dp, { rounding = ROUND_HALF_UP, strict = false } = {}) {
+  const { int, scale } = splitDecimal(value);
+  if (strict && scale > dp) throw new Error('MONEY_TOO_PRECISE');
+  return rescale(int, scale, dp, rounding);
+}
+
+function parse(value, asset, opts) {
+  return toUnitsDp(value, dpOf(asset), opts);
+}
+
+function formatDp(units, dp) {
+  const neg = units < 0n;
+  const s = (neg ? -units : units).toString().padStart(dp + 1, '0');
+  const out = dp ? `${s.slice(0, -dp)}.${s.slice(-dp)}` : s;
+  return neg ? `-${out}` : out;
+}
+
+// BigInt units -> fixed decimal string ('12.500000')
+function format(units, asset) {
+  return formatDp(units, dpOf(asset));
+}
+
+// For JSON responses that historically returned numbers
+function toNumber(units, asset) {
+  return Number(format(units, asset));
+}
+
+/** units of `fromAsset` × rate -> units of `toAsset` */
+function convert(units, fromAsset, rate, toAsset, rounding = ROUND_DOWN) {
+  const r = splitDecimal(rate);
+  if (r.int <= 0n) throw new Error('MONEY_BAD_RATE');
+  const num = units * r.int * 10n ** BigInt(dpOf(toAsset));
+  const den = 10n ** BigInt(r.scale + dpOf(fromAsset));
+  return divRound(num, den, rounding);
+}
+
+/** units of `fromAsset` ÷ rate -> units of `toAsset` */
+function convertInverse(units, fromAsset, rate, toAsset, rounding = ROUND_DOWN) {
+  const r = splitDecimal(rate);
+  if (r.int <= 0n) throw new Error('MONEY_BAD_RATE');
+  const num = units * 10n ** BigInt(r.scale + dpOf(toAsset));
+  const den = r.int * 10n ** BigInt(dpOf(fromAsset));
+  return divRound(num, den, rounding);
+}
+
+/** Same-asset scaling: units × mul ÷ div (fees, percentages, shares) */
+function mulDiv(units, mul, div = 1, rounding = ROUND_DOWN) {
+  const m = splitDecimal(mul);
+  const d = splitDecimal(div);
+  if (d.int <= 0n) throw new Error('MONEY_DIV_BY_ZERO');
+  return divRound(
+    units * m.int * 10n ** BigInt(d.scale),
+    d.int * 10n ** BigInt(m.scale),
+    rounding
+  );
+}
+
+/** Ledger units -> on-chain integer amount (wei) */
+function toChainUnits(units, asset, decimals = assetDef(asset).chainDecimals) {
+  return rescale(units, dpOf(asset), Number(decimals), ROUND_DOWN);
+}
+
+/** On-chain integer amount (wei) -> ledger units; dust below dp is dropped by default */
+function fromChainUnits(raw, asset, decimals = assetDef(asset).chainDecimals, rounding = ROUND_DOWN) {
+  return rescale(BigInt(raw), Number(decimals), dpOf(asset), rounding);
+}
+
+const min = (a, b) => (a < b ? a : b);
+const max = (a, b) => (a > b ? a : b);
+
+module.exports = {
+  ROUND_DOWN,
+  ROUND_UP,
+  ROUND_HALF_UP,
+  ROUND_HALF_EVEN,
+  ASSETS,
+  dpOf,
+  hasAsset,
+  toUnitsDp,
+  formatDp,
+  parse,
+  format,
+  toNumber,
+  convert,
+  convertInverse,
+  mulDiv,
+  toChainUnits,
+  fromChainUnits,
+  min,
+  max,
+};
@@ -0,0 +1,628 @@
+// /server/lib/outbound_txs.js (CommonJS, ethers v6)
+// Every transaction the hot wallets send (withdrawals, stake splits, gas
+// top-ups, moves to cold storage) goes through here, persisted in outbound_txs
+// (migrations/018).
+//
+//   queued ──> signed ──> broadcast ──> confirmed | reverted
+//      └──> failed (never signed: nothing went out)
+//
+// - Sends of one chain are serialized by a MySQL named lock, so nonces are
+//   handed out one at a time: max(stored next nonce, node's pending count).
+// - The signed raw transaction and its hash are stored before broadcasting, so
+//   a crash or RPC error right after the send is rebroadcast, not re-signed.
+// - A transaction still unmined after OUTBOUND_BUMP_AFTER_SEC is re-signed
+//   with the same nonce and a higher gas price (outbound_tx_attempts keeps
+//   every version); whichever version is mined settles the row.
+// - A row whose nonce was used by another transaction is marked 'failed'
+//   with NONCE_CONSUMED for an admin to look at.
+//
+// Callers enqueue with a (purpose, refId) pair, which makes a retry return the
+// existing row instead of sending twice. sendOutboundTx() throws
+// OUTBOUND_NOT_SENT only when nothing can go out any more, so it is safe to
+// refund or retry on that error.
+
+const { Interface, Transaction, formatUnits, parseUnits } = require('ethers');
+const { getChain } = require('./chains');
+const { ERC20_ABI } = require('./chains/evm');
+
+const PURPOSES = ['withdrawal', 'stake_split', 'gas_topup', 'rebalance'];
+const STATUSES = ['queued', 'signed', 'broadcast', 'confirmed', 'reverted', 'failed'];
+const LIVE_STATUSES = ['signed', 'broadcast'];
+
+const OUTBOUND_BATCH = Number(process.env.OUTBOUND_BATCH || 20);
+const OUTBOUND_LOCK_WAIT_SEC = Number(process.env.OUTBOUND_LOCK_WAIT_SEC || 15);
+const OUTBOUND_CONFIRMATIONS = Number(process.env.OUTBOUND_CONFIRMATIONS || 1);
+const OUTBOUND_BUMP_AFTER_SEC = Number(process.env.OUTBOUND_BUMP_AFTER_SEC || 90);
+const OUTBOUND_BUMP_PCT = Number(process.env.OUTBOUND_BUMP_PCT || 1.2); // nodes require >= +10%
+const OUTBOUND_MAX_BUMPS = Number(process.env.OUTBOUND_MAX_BUMPS || 5);
+// 0 = no cap
+const OUTBOUND_MAX_GAS_PRICE_GWEI = Number(process.env.OUTBOUND_MAX_GAS_PRICE_GWEI || 0);
+const OUTBOUND_GAS_BUFFER_PCT = Number(process.env.OUTBOUND_GAS_BUFFER_PCT || 1.2);
+const LIST_MAX_PAGE = 100;
+
+const erc20Iface = new Interface(ERC20_ABI);
+
+const errText = (e) => String(e?.shortMessage || e?.message || e).slice(0, 255);
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+function outboundError(code, extra = {}) {
+  return Object.assign(new Error(code), { code, ...extra });
+}
+
+/** Call data of an ERC-20 transfer(to, raw). */
+function erc20TransferData(to, raw) {
+  return erc20Iface.encodeFunctionData('transfer', [to, raw]);
+}
+
+const pct = (wei, factor) => (wei * BigInt(Math.round(factor * 10000))) / 10000n;
+
+function maxGasPriceWei() {
+  return OUTBOUND_MAX_GAS_PRICE_GWEI > 0 ? parseUnits(String(OUTBOUND_MAX_GAS_PRICE_GWEI), 'gwei') : null;
+}
+
+/* ───────────── Queue ───────────── */
+
+/**
+ * Queues a send; idempotent per (purpose, refId). A row that failed before
+ * signing is queued again, anything else is returned as is.
+ *
+ * @param {object} t
+ * @param {string} t.chain          registry key
+ * @param {'withdrawal'|'stake_split'|'gas_topup'|'rebalance'} t.purpose
+ * @param {string|number} t.refId
+ * @param {string} t.to
+ * @param {bigint} [t.valueWei=0n]
+ * @param {string} [t.data='0x']
+ * @param {bigint|null} [t.gasLimit] estimated (plus buffer) when omitted
+ * @returns {Promise<number>} outbound_txs id
+ */
+async function enqueueOutboundTx(db, { chain, purpose, refId, to, valueWei = 0n, data = '0x', gasLimit = null }) {
+  if (!PURPOSES.includes(purpose)) throw new Error(`OUTBOUND_BAD_PURPOSE:${purpose}`);
+  const c = getChain(chain);
+  const from = c.hotWallet().address.toLowerCase();
+
+  try {
+    const [ins] = await db.query(
+      `INSERT INTO outbound_txs (chain, purpose, ref_id, from_address, to_address, value_wei, data, gas_limit)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+      [c.key, purpose, String(refId), from, String(to).toLowerCase(), String(valueWei), data,
+        gasLimit == null ? null : String(gasLimit)]
+    );
+    return ins.insertId;
+  } catch (e) {
+    if (e?.code !== 'ER_DUP_ENTRY') throw e;
+  }
+
+  const [[row]] = await db.query(
+    'SELECT id, status, nonce FROM outbound_txs WHERE purpose=? AND ref_id=?',
+    [purpose, String(refId)]
+  );
+  if (row.status === 'failed' && row.nonce == null) {
+    await db.query(
+      `UPDATE outbound_txs SET status='queued', error=NULL WHERE id=? AND status='failed' AND nonce IS NULL`,
+      [row.id]
+    );
+  }
+  return row.id;
+}
+
+/* ───────────── Per-chain lock ───────────── */
+
+// GET_LOCK is per connection: hold one connection for the whole run
+async function withChainLock(db, chainKey, fn) {
+  const name = `outbound_txs:${chainKey}`;
+  const lockConn = await db.getConnection();
+  try {
+    const [[lk]] = await lockConn.query('SELECT GET_LOCK(?, ?) AS got', [name, OUTBOUND_LOCK_WAIT_SEC]);
+    if (!lk?.got) return false;
+    try {
+      await fn();
+    } finally {
+      await lockConn.query('SELECT RELEASE_LOCK(?)', [name]).catch(() => {});
+    }
+    return true;
+  } finally {
+    lockConn.release();
+  }
+}
+
+/* ───────────── Signing + broadcast (under the chain lock) ───────────── */
+
+async function nextNonce(db, chain, from) {
+  const pending = await chain.provider().getTransactionCount(from, 'pending');
+  const [[row]] = await db.query(
+    'SELECT next_nonce FROM outbound_nonces WHERE chain=? AND address=?',
+    [chain.key, from]
+  );
+  return Math.max(Number(pending), Number(row?.next_nonce ?? 0));
+}
+
+async function signAttempt(wallet, chain, row, { nonce, gasLimit, gasPrice }) {
+  const raw = await wallet.signTransaction({
+    type: 0,
+    chainId: chain.chainId,
+    nonce,
+    to: row.to_address,
+    value: BigInt(row.value_wei),
+    data: row.data || '0x',
+    gasLimit,
+    gasPrice,
+  });
+  return { raw, hash: Transaction.from(raw).hash };
+}
+
+async function insertAttempt(conn, id, { hash, raw, gasPrice }) {
+  await conn.query(
+    `INSERT INTO outbound_tx_attempts (outbound_tx_id, tx_hash, gas_price_wei, raw_tx) VALUES (?, ?, ?, ?)`,
+    [id, hash, String(gasPrice), raw]
+  );
+}
+
+// Sends a signed version; the row goes to 'broadcast' once the node has it.
+// A rejection is kept in `error` and the tracker tries again.
+async function pushRaw(db, chain, id, raw) {
+  try {
+    await chain.provider().broadcastTransaction(raw);
+  } catch (e) {
+    if (!/already known|known transaction|already imported/i.test(errText(e))) {
+      console.warn('[OUTBOUND] broadcast error', { id, chain: chain.key, error: errText(e) });
+      await db.query('UPDATE outbound_txs SET error=? WHERE id=?', [errText(e), id]).catch(() => {});
+      return;
+    }
+  }
+  await db.query(
+    `UPDATE outbound_txs
+        SET status='broadcast', error=NULL, broadcast_at=COALESCE(broadcast_at, NOW()), last_sent_at=NOW()
+      WHERE id=? AND status IN (?)`,
+    [id, LIVE_STATUSES]
+  );
+}
+
+async function signQueued(db, chain) {
+  const [rows] = await db.query(
+    `SELECT * FROM outbound_txs WHERE chain=? AND status='queued' ORDER BY id ASC LIMIT ?`,
+    [chain.key, OUTBOUND_BATCH]
+  );
+  if (!rows.length) return;
+
+  const wallet = chain.hotWallet();
+  const from = wallet.address.toLowerCase();
+
+  for (const row of rows) {
+    if (row.from_address !== from) {
+      await db.query(
+        `UPDATE outbound_txs SET status='failed', error='HOT_WALLET_CHANGED' WHERE id=? AND status='queued'`,
+        [row.id]
+      );
+      continue;
+    }
+
+    // estimate before taking a nonce: a send that would revert uses none
+    let gasLimit;
+    try {
+      gasLimit = row.gas_limit != null
+        ? BigInt(row.gas_limit)
+        : pct(await chain.provider().estimateGas({
+          from, to: row.to_address, value: BigInt(row.value_wei), data: row.data || '0x',
+        }), OUTBOUND_GAS_BUFFER_PCT);
+    } catch (e) {
+      console.error('[OUTBOUND] estimate failed', { id: row.id, purpose: row.purpose, error: errText(e) });
+      await db.query(
+        `UPDATE outbound_txs SET status='failed', error=? WHERE id=? AND status='queued'`,
+        [errText(e), row.id]
+      );
+      continue;
+    }
+
+    const nonce = await nextNonce(db, chain, from);
+    let gasPrice = await chain.gasPriceWei();
+    const cap = maxGasPriceWei();
+    if (cap != null && gasPrice > cap) gasPrice = cap;
+    const signed = await signAttempt(wallet, chain, row, { nonce, gasLimit, gasPrice });
+
+    // persisted before it leaves: from here on the row is only ever rebroadcast
+    const conn = await db.getConnection();
+    try {
+      await conn.beginTransaction();
+      const [upd] = await conn.query(
+        `UPDATE outbound_txs
+            SET status='signed', nonce=?, gas_limit=?, gas_price_wei=?, raw_tx=?, tx_hash=?,
+                attempts=1, error=NULL
+          WHERE id=? AND status='queued'`,
+        [nonce, String(gasLimit), String(gasPrice), signed.raw, signed.hash, row.id]
+      );
+      if (!upd.affectedRows) {
+        await conn.rollback();
+        continue; // cancelled in between (sendOutboundTx)
+      }
+      await insertAttempt(conn, row.id, { ...signed, gasPrice });
+      await conn.query(
+        `INSERT INTO outbound_nonces (chain, address, next_nonce) VALUES (?, ?, ?)
+         ON DUPLICATE KEY UPDATE next_nonce=GREATEST(next_nonce, VALUES(next_nonce))`,
+        [chain.key, from, nonce + 1]
+      );
+      await conn.commit();
+    } catch (e) {
+      try { await conn.rollback(); } catch (_) {}
+      throw e;
+    } finally {
+      conn.release();
+    }
+
+    console.log('[OUTBOUND] signed', {
+      id: row.id, chain: chain.key, purpose: row.purpose, ref: row.ref_id, nonce, tx: signed.hash,
+    });
+    await pushRaw(db, chain, row.id, signed.raw);
+  }
+}
+
+/* ───────────── Tracking + gas bumping (under the chain lock) ───────────── */
+
+async function settle(db, row, receipt, confirmations) {
+  const confs = Number(await receipt.confirmations());
+  if (receipt.status === 0) {
+    await db.query(
+      `UPDATE outbound_txs
+          SET status='reverted', tx_hash=?, block_number=?, confirmations=?, confirmed_at=NOW(), error='TX_REVERTED'
+        WHERE id=?`,
+      [receipt.hash, receipt.blockNumber, confs, row.id]
+    );
+    console.warn('[OUTBOUND] reverted', { id: row.id, purpose: row.purpose, ref: row.ref_id, tx: receipt.hash });
+    return;
+  }
+  if (confs >= confirmations) {
+    await db.query(
+      `UPDATE outbound_txs
+          SET status='confirmed', tx_hash=?, block_number=?, confirmations=?, confirmed_at=NOW(), error=NULL
+        WHERE id=?`,
+      [receipt.hash, receipt.blockNumber, confs, row.id]
+    );
+    console.log('[OUTBOUND] confirmed', { id: row.id, purpose: row.purpose, ref: row.ref_id, tx: receipt.hash });
+    return;
+  }
+  await db.query(
+    'UPDATE outbound_txs SET tx_hash=?, block_number=?, confirmations=? WHERE id=?',
+    [receipt.hash, receipt.blockNumber, confs, row.id]
+  );
+}
+
+async function bump(db, chain, row, { force = false } = {}) {
+  const prev = BigInt(row.gas_price_wei);
+  const market = await chain.gasPriceWei();
+  let gasPrice = pct(prev, Math.max(OUTBOUND_BUMP_PCT, 1.1));
+  if (market > gasPrice) gasPrice = market;
+
+  const cap = maxGasPriceWei();
+  if (cap != null && gasPrice > cap) gasPrice = cap;
+  if (gasPrice <= prev || (!force && row.attempts > OUTBOUND_MAX_BUMPS)) {
+    // nothing left to raise: just make sure the node still has it
+    await pushRaw(db, chain, row.id, row.raw_tx);
+    return null;
+  }
+
+  const wallet = chain.hotWallet();
+  const signed = await signAttempt(wallet, chain, row, {
+    nonce: Number(row.nonce), gasLimit: BigInt(row.gas_limit), gasPrice,
+  });
+
+  const conn = await db.getConnection();
+  try {
+    await conn.beginTransaction();
+    await insertAttempt(conn, row.id, { ...signed, gasPrice });
+    await conn.query(
+      `UPDATE outbound_txs SET gas_price_wei=?, raw_tx=?, tx_hash=?, attempts=attempts+1 WHERE id=?`,
+      [String(gasPrice), signed.raw, signed.hash, row.id]
+    );
+    await conn.commit();
+  } catch (e) {
+    try { await conn.rollback(); } catch (_) {}
+    throw e;
+  } finally {
+    conn.release();
+  }
+
+  console.warn('[OUTBOUND] gas bumped', {
+    id: row.id, nonce: Number(row.nonce), gwei: formatUnits(gasPrice, 'gwei'), tx: signed.hash,
+  });
+  await pushRaw(db, chain, row.id, signed.raw);
+  return signed.hash;
+}
+
+async function trackOne(db, chain, row, confirmations) {
+  const provider = chain.provider();
+
+  // any version may be the one mined
+  const [attempts] = await db.query(
+    'SELECT tx_hash FROM outbound_tx_attempts WHERE outbound_tx_id=? ORDER BY id DESC',
+    [row.id]
+  );
+  for (const a of attempts) {
+    const receipt = await provider.getTransactionReceipt(a.tx_hash);
+    if (receipt) return settle(db, row, receipt, confirmations);
+  }
+
+  const sinceSec = row.last_sent_at ? (Date.now() - new Date(row.last_sent_at).getTime()) / 1000 : Infinity;
+
+  const mined = await provider.getTransactionCount(row.from_address, 'latest');
+  if (Number(mined) > Number(row.nonce)) {
+    // give the receipt time to show up before blaming another sender
+    if (sinceSec < OUTBOUND_BUMP_AFTER_SEC) return;
+    await db.query(
+      `UPDATE outbound_txs SET status='failed', error='NONCE_CONSUMED' WHERE id=? AND status IN (?)`,
+      [row.id, LIVE_STATUSES]
+    );
+    console.error('[OUTBOUND] nonce used by another transaction', {
+      id: row.id, purpose: row.purpose, ref: row.ref_id, nonce: Number(row.nonce),
+    });
+    return;
+  }
+
+  if (row.status === 'signed') {
+    await pushRaw(db, chain, row.id, row.raw_tx);
+    return;
+  }
+  if (sinceSec >= OUTBOUND_BUMP_AFTER_SEC) await bump(db, chain, row);
+}
+
+// live rows, plus confirmed ones a waiter wants deeper than the worker's depth
+async function trackLive(db, chain, confirmations) {
+  const [rows] = await db.query(
+    `SELECT * FROM outbound_txs
+      WHERE chain=? AND (status IN (?) OR (status='confirmed' AND confirmations < ?))
+      ORDER BY nonce ASC
+      LIMIT ?`,
+    [chain.key, LIVE_STATUSES, confirmations, OUTBOUND_BATCH * 5]
+  );
+  for (const row of rows) {
+    try {
+      await trackOne(db, chain, row, confirmations);
+    } catch (e) {
+      console.error('[OUTBOUND] track failed', row.id, errText(e));
+    }
+  }
+}
+
+/**
+ * Signs and sends the queued rows of one chain, then advances the live ones
+ * (receipts, rebroadcasts, gas bumps). Returns false if another process holds
+ * the chain's lock.
+ */
+async function runOutboundChain(db, chainKey, { confirmations = OUTBOUND_CONFIRMATIONS } = {}) {
+  const chain = getChain(chainKey);
+  return withChainLock(db, chain.key, async () => {
+    await signQueued(db, chain);
+    await trackLive(db, chain, confirmations);
+  });
+}
+
+/** One worker tick over every chain with unfinished sends. */
+async function runOutboundWorker(db, { confirmations = OUTBOUND_CONFIRMATIONS } = {}) {
+  const [rows] = await db.query(
+    `SELECT DISTINCT chain FROM outbound_txs WHERE status IN ('queued','signed','broadcast')`
+  );
+  for (const { chain } of rows) {
+    try {
+      await runOutboundChain(db, chain, { confirmations });
+    } catch (e) {
+      console.error('[OUTBOUND] worker failed for', chain, errText(e));
+    }
+  }
+}
+
+/* ───────────── Senders ───────────── */
+
+/**
+ * Queues a send and pushes it out right away.
+ *
+ * Resolves with the row once it is signed (tx_hash set; it may still be
+ * waiting for a rebroadcast), or with the earlier row for a (purpose, refId)
+ * that was already sent. Throws OUTBOUND_NOT_SENT (with `detail`) when it
+ * failed before signing, or could not be signed now and was cancelled: in
+ * both cases nothing went out and nothing will. OUTBOUND_FAILED means it was
+ * signed but its nonce went to another transaction.
+ */
+async function sendOutboundTx(db, spec) {
+  const id = await enqueueOutboundTx(db, spec);
+  let row = await loadRow(db, id);
+
+  if (row.status === 'queued') {
+    try {
+      await runOutboundChain(db, row.chain);
+    } catch (e) {
+      console.error('[OUTBOUND] send failed', id, errText(e));
+    }
+    row = await loadRow(db, id);
+  }
+  if (row.status === 'queued') {
+    // lock busy or RPC down: cancel, unless a worker signed it in between
+    const [cancel] = await db.query(
+      `UPDATE outbound_txs SET status='failed', error='NOT_SENT' WHERE id=? AND status='queued'`,
+      [id]
+    );
+    if (!cancel.affectedRows) row = await loadRow(db, id);
+    else row = { ...row, status: 'failed', error: 'NOT_SENT' };
+  }
+  if (row.status === 'failed') {
+    if (row.nonce == null) throw outboundError('OUTBOUND_NOT_SENT', { detail: row.error, outboundTxId: id });
+    // signed once and then lost its nonce: not retried automatically
+    throw outboundError('OUTBOUND_FAILED', { detail: row.error, txHash: row.tx_hash, outboundTxId: id });
+  }
+  return formatOutboundTx(row);
+}
+
+/**
+ * Waits until an outbound tx has `confirmations`, driving the chain in the
+ * meantime. Resolves with { tx, receipt }; throws TX_REVERTED,
+ * OUTBOUND_FAILED or OUTBOUND_TIMEOUT (the tx stays tracked by the worker).
+ */
+async function waitForOutboundTx(db, id, { confirmations = 1, timeoutMs = 180_000, pollMs = 3000 } = {}) {
+  const deadline = Date.now() + timeoutMs;
+  for (;;) {
+    const row = await loadRow(db, id);
+    if (row.status === 'failed') throw outboundError('OUTBOUND_FAILED', { detail: row.error, outboundTxId: id });
+    if (row.status === 'reverted') throw outboundError('TX_REVERTED', { txHash: row.tx_hash, outboundTxId: id });
+    if (row.status === 'confirmed' && Number(row.confirmations) >= confirmations) {
+      const receipt = await getChain(row.chain).provider().getTransactionReceipt(row.tx_hash);
+      return { tx: formatOutboundTx(row), receipt };
+    }
+    if (Date.now() >= deadline) throw outboundError('OUTBOUND_TIMEOUT', { txHash: row.tx_hash, outboundTxId: id });
+
+    await sleep(pollMs);
+    await runOutboundChain(db, row.chain, { confirmations: Math.max(confirmations, OUTBOUND_CONFIRMATIONS) });
+  }
+}
+
+/**
+ * Sends native gas token from the hot wallet and waits for it to be mined.
+ *
+ * `refId` is stable per thing being funded (`sweep:…`, `recovery:<id>`); each
+ * top-up is attempt `<refId>#<n>` in outbound_txs. While the latest attempt
+ * is not finished (e.g. a caller gave up on OUTBOUND_TIMEOUT) it is waited on
+ * again instead of sending another one; a new attempt is only queued once
+ * the last one is confirmed, reverted or failed.
+ */
+async function sendGasTopup(db, { chain, refId, to, valueWei, confirmations = 1 }) {
+  const c = getChain(chain);
+  const [[last]] = await db.query(
+    `SELECT id, ref_id, status, nonce
+       FROM outbound_txs
+      WHERE purpose='gas_topup' AND chain=? AND ref_id LIKE CONCAT(?, '#%')
+      ORDER BY id DESC
+      LIMIT 1`,
+    [c.key, String(refId)]
+  );
+  if (last && (last.status === 'queued' || LIVE_STATUSES.includes(last.status))) {
+    console.warn('[OUTBOUND] gas top-up still in flight, waiting on it', last.ref_id);
+    return waitForOutboundTx(db, last.id, { confirmations });
+  }
+
+  const attempt = last ? Number(String(last.ref_id).split('#').pop()) + 1 : 1;
+  const tx = await sendOutboundTx(db, {
+    chain: c.key, purpose: 'gas_topup', refId: `${refId}#${attempt}`, to, valueWei, gasLimit: c.nativeTransferGasLimit,
+  });
+  return waitForOutboundTx(db, tx.id, { confirmations });
+}
+
+/* ───────────── Status ───────────── */
+
+async function loadRow(db, id) {
+  const [[row]] = await db.query('SELECT * FROM outbound_txs WHERE id=?', [id]);
+  if (!row) throw outboundError('OUTBOUND_NOT_FOUND', { outboundTxId: id });
+  return row;
+}
+
+function formatOutboundTx(r) {
+  return {
+    id: Number(r.id),
+    chain: r.chain,
+    purpose: r.purpose,
+    ref_id: r.ref_id,
+    from_address: r.from_address,
+    to_address: r.to_address,
+    value_wei: String(r.value_wei),
+    nonce: r.nonce == null ? null : Number(r.nonce),
+    gas_limit: r.gas_limit == null ? null : String(r.gas_limit),
+    gas_price_gwei: r.gas_price_wei == null ? null : formatUnits(BigInt(r.gas_price_wei), 'gwei'),
+    tx_hash: r.tx_hash,
+    status: r.status,
+    attempts: Number(r.attempts),
+    block_number: r.block_number == null ? null : Number(r.block_number),
+    confirmations: Number(r.confirmations),
+    error: r.error,
+    broadcast_at: r.broadcast_at,
+    last_sent_at: r.last_sent_at,
+    confirmed_at: r.confirmed_at,
+    created_at: r.created_at,
+  };
+}
+
+/** One outbound tx with every signed version, or null. */
+async function getOutboundTx(db, id) {
+  const [[row]] = await db.query('SELECT * FROM outbound_txs WHERE id=?', [id]);
+  if (!row) return null;
+  const [attempts] = await db.query(
+    `SELECT tx_hash, gas_price_wei, created_at FROM outbound_tx_attempts WHERE outbound_tx_id=? ORDER BY id ASC`,
+    [id]
+  );
+  return {
+    ...formatOutboundTx(row),
+    versions: attempts.map((a) => ({
+      tx_hash: a.tx_hash,
+      gas_price_gwei: formatUnits(BigInt(a.gas_price_wei), 'gwei'),
+      created_at: a.created_at,
+    })),
+  };
+}
+
+/** The outbound tx of a withdrawal / split / top-up, or null. */
+async function getOutboundTxByRef(db, purpose, refId) {
+  const [[row]] = await db.query(
+    'SELECT * FROM outbound_txs WHERE purpose=? AND ref_id=?',
+    [purpose, String(refId)]
+  );
+  return row ? formatOutboundTx(row) : null;
+}
+
+/**
+ * Outbound txs, newest first.
+ * @returns {Promise<{ items: object[], next_before: number|null }>}
+ */
+async function listOutboundTxs(db, { chain = null, status = null, purpose = null, before = 0, limit = 50 } = {}) {
+  const pageSize = Math.min(LIST_MAX_PAGE, Math.max(1, Number(limit) || 50));
+  const where = ['1=1'];
+  const args = [];
+  if (chain) { where.push('chain=?'); args.push(chain); }
+  if (status) { where.push('status=?'); args.push(status); }
+  if (purpose) { where.push('purpose=?'); args.push(purpose); }
+  if (Number(before) > 0) { where.push('id < ?'); args.push(Number(before)); }
+
+  const [rows] = await db.query(
+    `SELECT * FROM outbound_txs
+      WHERE ${where.join(' AND ')}
+      ORDER BY id DESC
+      LIMIT ?`,
+    [...args, pageSize + 1]
+  );
+
+  const hasMore = rows.length > pageSize;
+  const items = rows.slice(0, pageSize).map(formatOutboundTx);
+  return { items, next_before: hasMore ? items[items.length - 1].id : null };
+}
+
+/**
+ * Re-signs a live tx with a higher gas price now (admin), regardless of its
+ * age or bump count. Returns the new hash, or null if the price could not be
+ * raised (cap) and the current version was only rebroadcast.
+ */
+async function bumpOutboundTx(db, id) {
+  const row = await loadRow(db, id);
+  if (row.status !== 'broadcast' && row.status !== 'signed') {
+    throw outboundError('BAD_STATUS', { status: row.status });
+  }
+  const chain = getChain(row.chain);
+  let hash = null;
+  const got = await withChainLock(db, chain.key, async () => {
+    const cur = await loadRow(db, id);
+    if (!LIVE_STATUSES.includes(cur.status)) throw outboundError('BAD_STATUS', { status: cur.status });
+    hash = await bump(db, chain, cur, { force: true });
+  });
+  if (!got) throw outboundError('OUTBOUND_BUSY');
+  return hash;
+}
+
+module.exports = {
+  PURPOSES,
+  STATUSES,
+  erc20TransferData,
+  enqueueOutboundTx,
+  sendOutboundTx,
+  waitForOutboundTx,
+  sendGasTopup,
+  runOutboundChain,
+  runOutboundWorker,
+  getOutboundTx,
+  getOutboundTxByRef,
+  listOutboundTxs,
+  bumpOutboundTx,
+  formatOutboundTx,
+};
@@ -0,0 +1,90 @@
+// /server/lib/pdf.js (CommonJS)
+// Minimal PDF 1.4 writer for generated documents (statements). Text and
+// lines only, standard Type1 fonts, WinAnsi (Latin-1) text — no dependency.
+//
+//   const buf = renderPdf([
+//     [{ x: 40, y: 800, text: 'Hello', size: 14, font: 'bold' }, { line: [40, 790, 555, 790] }],
+//   ]);
+
+const FONTS = {
+  regular: { ref: 'F1', base: 'Helvetica' },
+  bold:    { ref: 'F2', base: 'Helvetica-Bold' },
+  mono:    { ref: 'F3', base: 'Courier' },
+};
+
+// Latin-1 only; anything else becomes '?'. Escapes PDF string delimiters.
+function escapeText(s) {
+  return String(s ?? '')
+    .replace(/[^\x20-\x7e\xa0-\xff]/g, '?')
+    .replace(/([\\()])/g, '\\$1');
+}
+
+function num(n) {
+  return Number(n).toFixed(2).replace(/\.?0+$/, '');
+}
+
+function pageContent(items) {
+  const ops = [];
+  for (const it of items) {
+    if (it.line) {
+      const [x1, y1, x2, y2] = it.line;
+      ops.push(`${num(it.width || 0.5)} w ${num(x1)} ${num(y1)} m ${num(x2)} ${num(y2)} l S`);
+      continue;
+    }
+    const font = FONTS[it.font || 'regular'] || FONTS.regular;
+    ops.push(`BT /${font.ref} ${num(it.size || 10)} Tf ${num(it.x)} ${num(it.y)} Td (${escapeText(it.text)}) Tj ET`);
+  }
+  return ops.join('\n');
+}
+
+/**
+ * @param {Array<Array<object>>} pages  per page: text items { x, y, text, size?, font? }
+ *                                      and line items { line: [x1, y1, x2, y2], width? }
+ * @param {object} [opts]
+ * @param {number} [opts.width=595]     A4 portrait, in points
+ * @param {number} [opts.height=842]
+ * @param {string} [opts.title]
+ * @returns {Buffer}
+ */
+function renderPdf(pages, { width = 595, height = 842, title = null } = {}) {
+  const objects = []; // index + 1 = object number
+  const add = (body) => { objects.push(body); return objects.length; };
+
+  const catalogNo = add(null); // filled in once the page tree exists
+  const pagesNo = add(null);
+  const infoNo = title ? add(`<< /Title (${escapeText(title)}) /Producer (vegapunk) >>`) : null;
+
+  const fontRes = Object.values(FONTS)
+    .map((f) => `/${f.ref} ${add(`<< /Type /Font /Subtype /Type1 /BaseFont /${f.base} /Encoding /WinAnsiEncoding >>`)} 0 R`)
+    .join(' ');
+
+  const kids = [];
+  for (const items of (pages.length ? pages : [[]])) {
+    const content = pageContent(items);
+    const contentNo = add(`<< /Length ${Buffer.byteLength(content, 'latin1')} >>\nstream\n${content}\nendstream`);
+    kids.push(add(
+      `<< /Type /Page /Parent ${pagesNo} 0 R /MediaBox [0 0 ${width} ${height}] ` +
+      `/Resources << /Font << ${fontRes} >> >> /Contents ${contentNo} 0 R >>`
+    ));
+  }
+
+  objects[catalogNo - 1] = `<< /Type /Catalog /Pages ${pagesNo} 0 R >>`;
+  objects[pagesNo - 1] = `<< /Type /Pages /Kids [${kids.map((k) => `${k} 0 R`).join(' ')}] /Count ${kids.length} >>`;
+
+  let out = '%PDF-1.4\n%\xe2\xe3\xcf\xd3\n';
+  const offsets = [];
+  objects.forEach((body, i) => {
+    offsets.push(Buffer.byteLength(out, 'latin1'));
+    out += `${i + 1} 0 obj\n${body}\nendobj\n`;
+  });
+
+  const xrefAt = Buffer.byteLength(out, 'latin1');
+  out += `xref\n0 ${objects.length + 1}\n0000000000 65535 f \n`;
+  out += offsets.map((o) => `${String(o).padStart(10, '0')} 00000 n \n`).join('');
+  out += `trailer\n<< /Size ${objects.length + 1} /Root ${catalogNo} 0 R${infoNo ? ` /Info ${infoNo} 0 R` : ''} >>\n`;
+  out += `startxref\n${xrefAt}\n%%EOF\n`;
+
+  return Buffer.from(out, 'latin1');
+}
+
+module.exports = { renderPdf, escapeText };
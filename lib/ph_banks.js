@@ -0,0 +1,131 @@
+// /server/lib/ph_banks.js (CommonJS)
+// PH bank / e-wallet directory for bank payouts: which rails each institution
+// is reachable on and what its account numbers look like.
+//
+// InstaPay: real-time, max PHP 50,000 per transfer, banks + e-wallets
+// PESONet:  batch (same / next banking day), no per-transfer cap, banks only
+
+const INSTAPAY = 'instapay';
+const PESONET = 'pesonet';
+
+const INSTAPAY_MAX_PHP = Number(process.env.INSTAPAY_MAX_PHP || 50000);
+
+// digits: allowed account number lengths after stripping spaces/dashes
+// mobile: e-wallet accounts are the 11-digit mobile number (09XXXXXXXXX)
+const INSTITUTIONS = {
+  BDO:       { name: 'BDO Unibank',               rails: [INSTAPAY, PESONET], digits: [10, 12] },
+  BPI:       { name: 'Bank of the Philippine Islands', rails: [INSTAPAY, PESONET], digits: [10] },
+  MBTC:      { name: 'Metrobank',                 rails: [INSTAPAY, PESONET], digits: [13] },
+  LBP:       { name: 'Land Bank of the Philippines', rails: [INSTAPAY, PESONET], digits: [10] },
+  PNB:       { name: 'Philippine National Bank',  rails: [INSTAPAY, PESONET], digits: [12] },
+  UBP:       { name: 'UnionBank',                 rails: [INSTAPAY, PESONET], digits: [12] },
+  SECB:      { name: 'Security Bank',             rails: [INSTAPAY, PESONET], digits: [13] },
+  RCBC:      { name: 'RCBC',                      rails: [INSTAPAY, PESONET], digits: [10] },
+  CBC:       { name: 'China Bank',                rails: [INSTAPAY, PESONET], digits: [10, 12] },
+  EWB:       { name: 'EastWest Bank',             rails: [INSTAPAY, PESONET], digits: [12] },
+  PSB:       { name: 'PSBank',                    rails: [INSTAPAY, PESONET], digits: [12] },
+  DBP:       { name: 'Development Bank of the Philippines', rails: [INSTAPAY, PESONET], digits: [10] },
+  AUB:       { name: 'Asia United Bank',          rails: [INSTAPAY, PESONET], digits: [12] },
+  SEABANK:   { name: 'SeaBank',                   rails: [INSTAPAY],          digits: [11, 12] },
+  GOTYME:    { name: 'GoTyme Bank',               rails: [INSTAPAY],          digits: [12] },
+  GCASH:     { name: 'GCash',                     rails: [INSTAPAY],          mobile: true },
+  MAYA:      { name: 'Maya',                      rails: [INSTAPAY],          mobile: true },
+  SHOPEEPAY: { name: 'ShopeePay',                 rails: [INSTAPAY],          mobile: true },
+  COINSPH:   { name: 'Coins.ph',                  rails: [INSTAPAY],          mobile: true },
+};
+
+// Free-text names the app has been sending as bank_name
+const ALIASES = {
+  'BANCO DE ORO': 'BDO',
+  'BDO UNIBANK': 'BDO',
+  'BANK OF THE PHILIPPINE ISLANDS': 'BPI',
+  METROBANK: 'MBTC',
+  'METROPOLITAN BANK': 'MBTC',
+  LANDBANK: 'LBP',
+  'LAND BANK': 'LBP',
+  'PHILIPPINE NATIONAL BANK': 'PNB',
+  UNIONBANK: 'UBP',
+  'UNION BANK': 'UBP',
+  'SECURITY BANK': 'SECB',
+  'CHINA BANK': 'CBC',
+  CHINABANK: 'CBC',
+  EASTWEST: 'EWB',
+  'EASTWEST BANK': 'EWB',
+  'EAST WEST BANK': 'EWB',
+  'ASIA UNITED BANK': 'AUB',
+  'GOTYME BANK': 'GOTYME',
+  PAYMAYA: 'MAYA',
+  'SHOPEE PAY': 'SHOPEEPAY',
+  'COINS.PH': 'COINSPH',
+  COINS: 'COINSPH',
+};
+
+function resolveInstitution(codeOrName) {
+  const key = String(codeOrName || '').trim().toUpperCase().replace(/\s+/g, ' ');
+  if (!key) return null;
+  const code = INSTITUTIONS[key] ? key : ALIASES[key];
+  return code ? { code, ...INSTITUTIONS[code] } : null;
+}
+
+function normalizeAccountNumber(inst, raw) {
+  const s = String(raw || '').replace(/[\s-]/g, '');
+  if (inst.mobile) {
+    // 09XXXXXXXXX | 639XXXXXXXXX | +639XXXXXXXXX -> 09XXXXXXXXX
+    const m = /^(?:\+?63|0)(9\d{9})$/.exec(s);
+    return m ? `0${m[1]}` : null;
+  }
+  if (!/^\d+$/.test(s)) return null;
+  return inst.digits.includes(s.length) ? s : null;
+}
+
+/**
+ * Validates a payout destination and picks the rail.
+ *
+ * @param {object} p
+ * @param {string} p.bank           bank code (BDO, GCASH, …) or display name
+ * @param {string} p.accountNumber
+ * @param {string} [p.rail]         'instapay' | 'pesonet'; picked from amount when omitted
+ * @param {number|string} [p.amountPhp]
+ * @returns {{ ok: true, bankCode: string, bankName: string, rail: string, accountNumber: string }
+ *         | { ok: false, error: string }}
+ */
+function validatePayoutAccount({ bank, accountNumber, rail = null, amountPhp = 0 }) {
+  const inst = resolveInstitution(bank);
+  if (!inst) return { ok: false, error: 'BANK_NOT_SUPPORTED' };
+
+  const acct = normalizeAccountNumber(inst, accountNumber);
+  if (!acct) return { ok: false, error: 'BAD_ACCOUNT_NUMBER' };
+
+  const php = Number(amountPhp || 0);
+  const fitsInstapay = php <= INSTAPAY_MAX_PHP;
+
+  let chosen = rail ? String(rail).toLowerCase() : null;
+  if (chosen && chosen !== INSTAPAY && chosen !== PESONET) return { ok: false, error: 'BAD_RAIL' };
+
+  if (!chosen) {
+    const pesonetOk = inst.rails.includes(PESONET);
+    chosen = inst.rails.includes(INSTAPAY) && (fitsInstapay || !pesonetOk) ? INSTAPAY : PESONET;
+  }
+  if (!inst.rails.includes(chosen)) return { ok: false, error: 'RAIL_NOT_SUPPORTED' };
+  if (chosen === INSTAPAY && !fitsInstapay) return { ok: false, error: 'INSTAPAY_LIMIT_EXCEEDED' };
+
+  return { ok: true, bankCode: inst.code, bankName: inst.name, rail: chosen, accountNumber: acct };
+}
+
+function listInstitutions() {
+  return Object.entries(INSTITUTIONS).map(([code, i]) => ({
+    code,
+    name: i.name,
+    rails: i.rails,
+    type: i.mobile ? 'ewallet' : 'bank',
+  }));
+}
+
+module.exports = {
+  INSTAPAY,
+  PESONET,
+  INSTAPAY_MAX_PHP,
+  resolveInstitution,
+  validatePayoutAccount,
+  listInstitutions,
+};
@@ -0,0 +1,277 @@
+// /server/lib/rates/index.js (CommonJS)
+// One exchange-rate service for the whole server.
+//
+//   const rates = makeRateService({ db });
+//   const usdtPhp = await rates.getRate('USDT_PHP');   // throws RATE_UNAVAILABLE
+//
+// - providers are picked with RATES_PROVIDERS (default 'manual,coingecko,binance')
+// - an active manual override wins; otherwise the median of the providers
+//   that answered, dropping quotes more than RATES_MAX_DEVIATION_PCT off it
+// - cached for RATES_TTL_MS; a rate older than RATES_MAX_AGE_SEC is never used
+//   (no silent fallback to a static .env rate)
+// - every aggregated rate is written to rates_history
+
+const makeCoinGeckoProvider = require('./providers/coingecko');
+const makeBinanceProvider = require('./providers/binance');
+const makeManualProvider = require('./providers/manual');
+const makeFileProvider = require('./providers/file');
+
+// *_USDT gas-token pairs price network fees per chain (lib/chains)
+const PAIRS = ['USDT_PHP', 'BNB_USDT', 'ETH_USDT', 'POL_USDT'];
+
+const RATES_PROVIDERS = process.env.RATES_PROVIDERS || 'manual,coingecko,binance';
+const RATES_TTL_MS = Number(process.env.RATES_TTL_MS || 60_000);
+const RATES_MAX_AGE_SEC = Number(process.env.RATES_MAX_AGE_SEC || 900);
+const RATES_MAX_DEVIATION_PCT = Number(process.env.RATES_MAX_DEVIATION_PCT || 5);
+const RATES_HISTORY_DAYS = Number(process.env.RATES_HISTORY_DAYS || 90);
+
+const PROVIDER_FACTORIES = {
+  coingecko: () => makeCoinGeckoProvider(),
+  binance: () => makeBinanceProvider(),
+  manual: ({ db }) => makeManualProvider({ db }),
+  file: () => makeFileProvider(),
+};
+
+function rateUnavailable(pair) {
+  return Object.assign(new Error('RATE_UNAVAILABLE'), { statusCode: 503, pair });
+}
+
+function median(nums) {
+  const s = [...nums].sort((a, b) => a - b);
+  const mid = s.length >> 1;
+  return s.length % 2 ? s[mid] : (s[mid - 1] + s[mid]) / 2;
+}
+
+function buildProviders(names, deps) {
+  return String(names)
+    .split(',')
+    .map((n) => n.trim().toLowerCase())
+    .filter(Boolean)
+    .map((n) => {
+      const make = PROVIDER_FACTORIES[n];
+      if (!make) throw new Error(`RATES_UNKNOWN_PROVIDER:${n}`);
+      return make(deps);
+    });
+}
+
+const supports = (p, pair) => !p.pairs || p.pairs.includes(pair);
+const goodRate = (r) => Number.isFinite(r) && r > 0;
+
+/**
+ * @param {object} o
+ * @param {import('mysql2/promise').Pool} o.db
+ * @param {Array<{ name: string, pairs: string[]|null, override?: boolean, fetchRate(pair): Promise<number|null> }>} [o.providers]
+ */
+function makeRateService({
+  db,
+  providers = null,
+  ttlMs = RATES_TTL_MS,
+  maxAgeSec = RATES_MAX_AGE_SEC,
+  maxDeviationPct = RATES_MAX_DEVIATION_PCT,
+} = {}) {
+  if (!db) throw new Error('makeRateService: db is required');
+  const list = providers || buildProviders(RATES_PROVIDERS, { db });
+
+  const cache = {};       // pair -> { rate, source, sources, at }
+  const inflight = {};    // pair -> Promise
+  const failedAt = {};    // pair -> ms of the last refresh where no provider answered
+
+  async function aggregate(pair) {
+    const sources = {};
+    const errors = {};
+
+    for (const p of list.filter((x) => x.override && supports(x, pair))) {
+      try {
+        const r = await p.fetchRate(pair);
+        if (goodRate(r)) return { rate: r, source: p.name, sources: { [p.name]: r } };
+      } catch (e) {
+        errors[p.name] = e.message;
+      }
+    }
+
+    await Promise.all(list.filter((x) => !x.override && supports(x, pair)).map(async (p) => {
+      try {
+        const r = Number(await p.fetchRate(pair));
+        if (goodRate(r)) sources[p.name] = r;
+        else errors[p.name] = 'BAD_RATE';
+      } catch (e) {
+        errors[p.name] = e.message;
+      }
+    }));
+
+    const values = Object.values(sources);
+    if (!values.length) {
+      console.error('[RATES] no provider answered for', pair, errors);
+      return null;
+    }
+
+    const mid = median(values);
+    const kept = Object.entries(sources)
+      .filter(([, r]) => Math.abs(r - mid) / mid * 100 <= maxDeviationPct);
+    const dropped = Object.keys(sources).filter((n) => !kept.some(([k]) => k === n));
+    if (dropped.length) console.warn('[RATES] outliers dropped for', pair, dropped, sources);
+
+    return { rate: median(kept.map(([, r]) => r)), source: 'median', sources };
+  }
+
+  async function record(pair, out) {
+    try {
+      await db.query(
+        'INSERT INTO rates_history (pair, rate, source, sources_json) VALUES (?, ?, ?, ?)',
+        [pair, out.rate, out.source, JSON.stringify(out.sources)]
+      );
+    } catch (e) {
+      console.error('[RATES] history insert failed', pair, e?.message || e);
+    }
+  }
+
+  async function refreshPair(pair) {
+    if (!inflight[pair]) {
+      inflight[pair] = (async () => {
+        const out = await aggregate(pair);
+        if (out) {
+          cache[pair] = { ...out, at: Date.now() };
+          delete failedAt[pair];
+          await record(pair, out);
+        } else {
+          failedAt[pair] = Date.now();
+        }
+        return cache[pair] || null;
+      })().finally(() => { delete inflight[pair]; });
+    }
+    return inflight[pair];
+  }
+
+  // After a restart the in-memory cache is empty: the last recorded rate is
+  // still fine if it is young enough
+  async function lastRecorded(pair) {
+    const [[row]] = await db.query(
+      `SELECT rate, source, sources_json, TIMESTAMPDIFF(SECOND, created_at, NOW()) AS age
+         FROM rates_history
+        WHERE pair=?
+        ORDER BY id DESC
+        LIMIT 1`,
+      [pair]
+    );
+    if (!row || Number(row.age) > maxAgeSec) return null;
+    return {
+      rate: Number(row.rate),
+      source: row.source,
+      sources: typeof row.sources_json === 'string' ? JSON.parse(row.sources_json) : row.sources_json,
+      at: Date.now() - Number(row.age) * 1000,
+    };
+  }
+
+  const fresh = (c) => c && Date.now() - c.at < ttlMs;
+  const usable = (c) => c && Date.now() - c.at <= maxAgeSec * 1000;
+
+  /** Current rate for `pair` (e.g. 'USDT_PHP'). Throws RATE_UNAVAILABLE (statusCode 503). */
+  async function getRate(pair) {
+    const entry = await getEntry(pair);
+    return entry.rate;
+  }
+
+  async function getEntry(pair) {
+    if (!PAIRS.includes(pair)) throw new Error(`RATES_UNKNOWN_PAIR:${pair}`);
+    if (fresh(cache[pair])) return cache[pair];
+    // providers just failed: don't make every request wait on them again
+    if (usable(cache[pair]) && Date.now() - (failedAt[pair] || 0) < ttlMs) return cache[pair];
+
+    const c = await refreshPair(pair);
+    if (usable(c)) return c;
+
+    if (!cache[pair]) {
+      const last = await lastRecorded(pair).catch(() => null);
+      if (last) {
+        cache[pair] = last;
+        return last;
+      }
+    }
+    throw rateUnavailable(pair);
+  }
+
+  /** Refreshes every pair (scheduled); failures keep the previous value. */
+  async function refreshAll() {
+    const out = {};
+    for (const pair of PAIRS) {
+      const c = await refreshPair(pair).catch(() => null);
+      out[pair] = c ? c.rate : null;
+    }
+    return out;
+  }
+
+  /** Snapshot for /v1/rates: one entry per pair, null where nothing usable. */
+  async function current() {
+    const out = {};
+    for (const pair of PAIRS) {
+      try {
+        const c = await getEntry(pair);
+        out[pair] = {
+          rate: c.rate,
+          source: c.source,
+          sources: c.sources,
+          updated_at: new Date(c.at).toISOString(),
+          age_sec: Math.round((Date.now() - c.at) / 1000),
+        };
+      } catch (_) {
+        out[pair] = null;
+      }
+    }
+    return out;
+  }
+
+  /**
+   * Bucketed history (avg / low / high per bucket), oldest first.
+   */
+  async function history(pair, { hours = 24, points = 200 } = {}) {
+    if (!PAIRS.includes(pair)) throw new Error(`RATES_UNKNOWN_PAIR:${pair}`);
+    const bucketSec = Math.max(60, Math.ceil((hours * 3600) / points));
+    const [rows] = await db.query(
+      `SELECT FROM_UNIXTIME(FLOOR(UNIX_TIMESTAMP(created_at) / ?) * ?) AS t,
+              AVG(rate) AS rate, MIN(rate) AS low, MAX(rate) AS high
+         FROM rates_history
+        WHERE pair=? AND created_at >= NOW() - INTERVAL ? HOUR
+        GROUP BY t
+        ORDER BY t ASC`,
+      [bucketSec, bucketSec, pair, hours]
+    );
+    return {
+      pair,
+      hours,
+      bucket_sec: bucketSec,
+      points: rows.map((r) => ({ t: r.t, rate: Number(r.rate), low: Number(r.low), high: Number(r.high) })),
+    };
+  }
+
+  /** Drops cached values so the next read re-aggregates (after an override change). */
+  function invalidate(pair = null) {
+    if (pair) delete cache[pair];
+    else for (const k of Object.keys(cache)) delete cache[k];
+  }
+
+  return {
+    pairs: PAIRS,
+    providers: list.map((p) => p.name),
+    getRate,
+    refreshAll,
+    current,
+    history,
+    invalidate,
+  };
+}
+
+/** Deletes history older than RATES_HISTORY_DAYS. Returns the row count. */
+async function purgeRatesHistory(db, days = RATES_HISTORY_DAYS) {
+  const [r] = await db.query(
+    'DELETE FROM rates_history WHERE created_at < NOW() - INTERVAL ? DAY LIMIT 10000',
+    [days]
+  );
+  return r.affectedRows || 0;
+}
+
+module.exports = {
+  PAIRS,
+  makeRateService,
+  purgeRatesHistory,
+  median,
+};
@@ -0,0 +1,20 @@
+// Binance spot ticker — gas tokens →USDT (Binance has no USDT/PHP market)
+const BINANCE_URL = process.env.BINANCE_URL || 'https://api.binance.com/api/v3/ticker/price';
+
+const SYMBOLS = { BNB_USDT: 'BNBUSDT', ETH_USDT: 'ETHUSDT', POL_USDT: 'POLUSDT' };
+
+module.exports = function makeBinanceProvider({ timeoutMs = 5000 } = {}) {
+  return {
+    name: 'binance',
+    pairs: Object.keys(SYMBOLS),
+
+    async fetchRate(pair) {
+      const resp = await fetch(`${BINANCE_URL}?symbol=${SYMBOLS[pair]}`, {
+        signal: AbortSignal.timeout(timeoutMs),
+      });
+      if (!resp.ok) throw new Error(`HTTP ${resp.status}`);
+      const j = await resp.json();
+      return parseFloat(j.price);
+    },
+  };
+};
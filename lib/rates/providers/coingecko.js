@@ -0,0 +1,26 @@
+// CoinGecko simple/price — USDT→PHP and gas tokens →USD (≈ USDT)
+const COINGECKO_URL = process.env.COINGECKO_URL || 'https://api.coingecko.com/api/v3/simple/price';
+
+const IDS = {
+  USDT_PHP: { id: 'tether', vs: 'php' },
+  BNB_USDT: { id: 'binancecoin', vs: 'usd' },
+  ETH_USDT: { id: 'ethereum', vs: 'usd' },
+  POL_USDT: { id: 'polygon-ecosystem-token', vs: 'usd' },
+};
+
+module.exports = function makeCoinGeckoProvider({ timeoutMs = 5000 } = {}) {
+  return {
+    name: 'coingecko',
+    pairs: Object.keys(IDS),
+
+    async fetchRate(pair) {
+      const q = IDS[pair];
+      const resp = await fetch(`${COINGECKO_URL}?ids=${q.id}&vs_currencies=${q.vs}`, {
+        signal: AbortSignal.timeout(timeoutMs),
+      });
+      if (!resp.ok) throw new Error(`HTTP ${resp.status}`);
+      const data = await resp.json();
+      return Number(data?.[q.id]?.[q.vs]);
+    },
+  };
+};
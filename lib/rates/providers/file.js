@@ -0,0 +1,20 @@
+// Local JSON stub for offline dev / tests:
+//   RATES_PROVIDERS=file RATES_FILE=./rates.local.json
+//   { "USDT_PHP": 58.25, "BNB_USDT": 600 }
+// The file is re-read on every refresh, so it can be edited while running.
+const fs = require('fs/promises');
+const path = require('path');
+
+const RATES_FILE = process.env.RATES_FILE || path.join(__dirname, '..', '..', '..', 'rates.local.json');
+
+module.exports = function makeFileProvider({ file = RATES_FILE } = {}) {
+  return {
+    name: 'file',
+    pairs: null, // whatever the file has
+
+    async fetchRate(pair) {
+      const data = JSON.parse(await fs.readFile(file, 'utf8'));
+      return data[pair] == null ? null : Number(data[pair]);
+    },
+  };
+};
@@ -0,0 +1,20 @@
+// Admin override from rate_overrides. When set, it replaces the aggregate
+// for that pair instead of taking part in the median.
+module.exports = function makeManualProvider({ db }) {
+  if (!db) throw new Error('makeManualProvider: db is required');
+
+  return {
+    name: 'manual',
+    override: true,
+    pairs: null, // any pair
+
+    async fetchRate(pair) {
+      const [[row]] = await db.query(
+        `SELECT rate FROM rate_overrides
+          WHERE pair=? AND (expires_at IS NULL OR expires_at > NOW())`,
+        [pair]
+      );
+      return row ? Number(row.rate) : null;
+    },
+  };
+};
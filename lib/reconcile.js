@@ -0,0 +1,203 @@
+// /server/lib/reconcile.js (CommonJS)
+// Rebuilds every user's per-asset balance from wallet_ledger and compares it
+// with wallet_balances (which many code paths update in place).
+// - report mode: only records drift per (user, asset)
+// - repair mode: writes an 'adjustment' ledger row so the ledger matches the
+//   stored balance again, tagged with a reason code
+//
+// Signs are forced from the ledger registry (lib/ledger.js) so rows written
+// before the sign backfill still reconcile.
+
+const { DEBIT_TYPES, CREDIT_TYPES, insertLedgerEntry } = require('./ledger');
+const money = require('./money');
+
+// Drift is compared exactly at the asset's ledger precision (lib/money.js);
+// assets unknown to the money module fall back to 18 dp.
+function driftUnits(value, asset) {
+  return money.hasAsset(asset)
+    ? money.parse(value ?? 0, asset)
+    : money.toUnitsDp(value ?? 0, 18);
+}
+
+function formatDrift(units, asset) {
+  return money.hasAsset(asset) ? money.format(units, asset) : money.formatDp(units, 18);
+}
+
+function signedAmountSql(col = 'amount') {
+  return `CASE
+            WHEN type IN (?) THEN -ABS(${col})
+            WHEN type IN (?) THEN ABS(${col})
+            ELSE ${col}
+          END`;
+}
+
+/**
+ * Returns one row per (user_id, asset) whose stored balance differs from the
+ * ledger-derived balance by at least one unit of the asset.
+ */
+async function findDrift(conn, { userId = null } = {}) {
+  const userSql = userId ? ' WHERE user_id = ?' : '';
+  const userArgs = userId ? [userId] : [];
+
+  const sql = `
+    SELECT x.user_id,
+           x.asset,
+           SUM(x.ledger_amt)                    AS ledger_balance,
+           SUM(x.stored_amt)                    AS stored_balance,
+           SUM(x.stored_amt) - SUM(x.ledger_amt) AS drift,
+           SUM(x.entries)                       AS entries
+      FROM (
+        SELECT user_id, UPPER(asset) AS asset,
+               ${signedAmountSql()} AS ledger_amt,
+               0 AS stored_amt,
+               1 AS entries
+          FROM wallet_ledger${userSql}
+        UNION ALL
+        SELECT user_id, UPPER(asset) AS asset,
+               0 AS ledger_amt,
+               balance AS stored_amt,
+               0 AS entries
+          FROM wallet_balances${userSql}
+      ) x
+     GROUP BY x.user_id, x.asset`;
+
+  const [rows] = await conn.query(sql, [DEBIT_TYPES, CREDIT_TYPES, ...userArgs, ...userArgs]);
+
+  const drift = rows
+    .filter((r) => driftUnits(r.drift, r.asset) !== 0n)
+    .map((r) => ({
+      user_id: Number(r.user_id),
+      asset: r.asset,
+      ledger_balance: String(r.ledger_balance ?? 0),
+      stored_balance: String(r.stored_balance ?? 0),
+      drift: String(r.drift ?? 0),
+      entries: Number(r.entries || 0),
+    }));
+
+  return { pairsChecked: rows.length, drift };
+}
+
+/**
+ * Re-checks one (user, asset) pair under a row lock and, if it still drifts,
+ * writes a correcting ledger entry. Returns the inserted ledger id or null.
+ */
+async function repairPair(db, { userId, asset, reasonCode, runId }) {
+  const conn = await db.getConnection();
+  try {
+    await conn.beginTransaction();
+
+    const [[bal]] = await conn.query(
+      `SELECT COALESCE(SUM(balance),0) AS balance
+         FROM wallet_balances
+        WHERE user_id=? AND asset=?
+        FOR UPDATE`,
+      [userId, asset]
+    );
+
+    const [[led]] = await conn.query(
+      `SELECT COALESCE(SUM(${signedAmountSql()}),0) AS ledger_balance
+         FROM wallet_ledger
+        WHERE user_id=? AND asset=?`,
+      [DEBIT_TYPES, CREDIT_TYPES, userId, asset]
+    );
+
+    const [[d]] = await conn.query(
+      'SELECT CAST(? AS DECIMAL(36,18)) - CAST(? AS DECIMAL(36,18)) AS drift',
+      [String(bal.balance), String(led.ledger_balance)]
+    );
+    const units = driftUnits(d.drift, asset);
+
+    if (units === 0n) {
+      await conn.rollback();
+      return null;
+    }
+    const drift = formatDrift(units, asset);
+
+    const ledgerId = await insertLedgerEntry(conn, {
+      userId,
+      asset,
+      chain: 'SYSTEM',
+      type: 'adjustment',
+      amount: drift,
+      refId: `recon:${runId}`,
+      meta: {
+        kind: 'reconcile_adjustment',
+        reason_code: reasonCode,
+        run_id: runId,
+        stored_balance: String(bal.balance),
+        ledger_balance: String(led.ledger_balance),
+      },
+    });
+
+    await conn.commit();
+    return ledgerId;
+  } catch (e) {
+    try { await conn.rollback(); } catch (_) {}
+    throw e;
+  } finally {
+    conn.release();
+  }
+}
+
+/**
+ * Runs a full reconciliation pass and persists it in ledger_reconcile_runs.
+ *
+ * @param {import('mysql2/promise').Pool} db
+ * @param {object} [opts]
+ * @param {boolean} [opts.repair=false]      write correcting ledger entries
+ * @param {string}  [opts.reasonCode]        required when repair=true
+ * @param {number}  [opts.userId]            limit to one user
+ * @param {string}  [opts.triggeredBy]       'schedule' | 'admin:<id>' | 'cli'
+ */
+async function runReconciliation(db, { repair = false, reasonCode = null, userId = null, triggeredBy = 'schedule' } = {}) {
+  if (repair && !reasonCode) throw new Error('REASON_CODE_REQUIRED');
+
+  const [ins] = await db.query(
+    `INSERT INTO ledger_reconcile_runs (mode, reason_code, triggered_by, user_id)
+     VALUES (?, ?, ?, ?)`,
+    [repair ? 'repair' : 'report', reasonCode, triggeredBy, userId]
+  );
+  const runId = ins.insertId;
+
+  try {
+    const { pairsChecked, drift } = await findDrift(db, { userId });
+
+    let repaired = 0;
+    if (repair) {
+      for (const row of drift) {
+        const ledgerId = await repairPair(db, {
+          userId: row.user_id,
+          asset: row.asset,
+          reasonCode,
+          runId,
+        });
+        row.adjustment_ledger_id = ledgerId;
+        if (ledgerId) repaired++;
+      }
+    }
+
+    await db.query(
+      `UPDATE ledger_reconcile_runs
+          SET pairs_checked=?, drift_count=?, repaired=?, report_json=?, finished_at=NOW()
+        WHERE id=?`,
+      [pairsChecked, drift.length, repaired, JSON.stringify(drift), runId]
+    );
+
+    if (drift.length) {
+      console.warn('[RECONCILE] drift detected', { runId, pairs: drift.length, repaired });
+    }
+
+    return { runId, mode: repair ? 'repair' : 'report', pairsChecked, driftCount: drift.length, repaired, drift };
+  } catch (e) {
+    await db.query(
+      `UPDATE ledger_reconcile_runs SET error=LEFT(?,255), finished_at=NOW() WHERE id=?`,
+      [String(e?.message || e), runId]
+    ).catch(() => {});
+    throw e;
+  }
+}
+
+module.exports = {
+  findDrift,
+  runReconciliation,
+};
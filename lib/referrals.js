@@ -0,0 +1,280 @@
+// /server/lib/referrals.js (CommonJS)
+// Referral commissions: 3 levels + company, written to referral_events as
+// 'pending' for the referrers to claim (routes/referrals.js). Shared by the
+// API server (conversions, staking rewards) and every deposit crediting path
+// (lib/deposits referral hook: watchers, workers/sweeper.js, mock routes).
+
+const money = require('./money');
+
+const REF_CONVERSION_RATE = Number(process.env.REF_CONVERSION_RATE || 0.005); // 0.5%
+const REF_STAKING_RATE    = Number(process.env.REF_STAKING_RATE || 0.10);    // 10%
+const REF_DEPOSIT_RATE    = Number(process.env.REF_DEPOSIT_RATE || 0);       // off unless set (lib/deposits)
+
+// Company wallet user id (optional)
+const REF_COMPANY_USER_ID = Number(process.env.REF_COMPANY_USER_ID || 0);
+
+// Multi-level nominal shares (sum to 10)
+const LVL1_SHARE    = 4.5; // 4.5%
+const LVL2_SHARE    = 2.5; // 2.5%
+const LVL3_SHARE    = 1.5; // 1.5%
+const COMPANY_SHARE = 1.5; // 1.5%
+const TOTAL_SHARE   = LVL1_SHARE + LVL2_SHARE + LVL3_SHARE + COMPANY_SHARE; // 10
+
+function isValidType(t) {
+  return t === 'conversion' || t === 'staking_reward' || t === 'deposit';
+}
+
+function isValidAsset(a) {
+  return a === 'PHP' || a === 'USDT';
+}
+
+function parseMeta(input) {
+  if (!input) return {};
+  if (typeof input === 'object') return input;
+  if (typeof input === 'string') {
+    try { return JSON.parse(input); } catch { return { raw: input }; }
+  }
+  return {};
+}
+
+/**
+ * Core award helper
+ * - 3 levels + company with roll-up
+ * - idempotent per beneficiary: (referee_id, type, source_ref, referrer_id)
+ */
+async function awardReferral(db, { refereeId, type, asset, baseAmount, sourceRef, meta = null }) {
+  // ── Validate input ───────────────────────────────────────────────
+  const tRaw = String(type || '').trim();
+  const aRaw = String(asset || 'USDT').trim().toUpperCase();
+
+  const t = isValidType(tRaw) ? tRaw : null;
+  const a = isValidAsset(aRaw) ? aRaw : 'USDT';
+
+  let baseUnits = 0n;
+  try { baseUnits = money.parse(baseAmount, a); } catch (_) {}
+
+  // deposits come in many assets; only pay on the ones commissions are paid in
+  if (!t || baseUnits <= 0n || (t === 'deposit' && !isValidAsset(aRaw))) {
+    return { ok: false, reason: 'BAD_INPUT' };
+  }
+  const amt = money.format(baseUnits, a);
+
+  // ── Resolve 3-level upline chain ─────────────────────────────────
+  // u0 = referee, u0.referrer_id = level 1
+  const [rows] = await db.query(
+    `SELECT
+       u0.referrer_id AS lvl1_id,
+       u1.referrer_id AS lvl2_id,
+       u2.referrer_id AS lvl3_id
+     FROM users u0
+     LEFT JOIN users u1 ON u1.id = u0.referrer_id
+     LEFT JOIN users u2 ON u2.id = u1.referrer_id
+     WHERE u0.id = ?
+     LIMIT 1`,
+    [refereeId]
+  );
+
+  const chain = rows[0] || {};
+  const lvl1Id = chain.lvl1_id || null;
+  const lvl2Id = chain.lvl2_id || null;
+  const lvl3Id = chain.lvl3_id || null;
+
+  const companyId =
+    Number.isFinite(REF_COMPANY_USER_ID) && REF_COMPANY_USER_ID > 0
+      ? REF_COMPANY_USER_ID
+      : null;
+
+  if (!lvl1Id && !lvl2Id && !lvl3Id && !companyId) {
+    return { ok: false, reason: 'NO_RECIPIENTS' };
+  }
+
+  // ── Total referral pool rate ─────────────────────────────────────
+  const totalRate = (t === 'conversion') ? REF_CONVERSION_RATE
+    : (t === 'deposit') ? REF_DEPOSIT_RATE
+    : REF_STAKING_RATE;
+  if (!Number.isFinite(totalRate) || totalRate <= 0) {
+    return { ok: false, reason: 'NO_RATE' };
+  }
+
+  const poolUnits = money.mulDiv(baseUnits, totalRate, 1, money.ROUND_DOWN);
+  if (poolUnits <= 0n) {
+    return { ok: false, reason: 'NO_COMMISSION' };
+  }
+  const pool = money.toNumber(poolUnits, a);
+
+  // ── Normalize meta + build deterministic source_ref ──────────────
+  const metaObj = parseMeta(meta);
+
+  let src = (sourceRef ?? '').toString().trim();
+  if (!src) {
+    const det =
+      metaObj.orderId || metaObj.order_id ||
+      metaObj.txHash  || metaObj.tx_hash  ||
+      metaObj.tx      || metaObj.reference || metaObj.ref;
+    src = det ? `${t}:${String(det)}` : `${t}:${refereeId}:${Date.now()}`; // last resort
+  }
+
+  // ── Read existing beneficiary rows for this trigger ──────────────
+  // (Do NOT early-return — we allow filling missing levels later)
+  const [existing] = await db.query(
+    `SELECT id, referrer_id
+       FROM referral_events
+      WHERE referee_id=? AND type=? AND source_ref=?`,
+    [refereeId, t, src]
+  );
+  const existingSet = new Set(existing.map(r => Number(r.referrer_id)));
+  const firstExistingId = existing[0]?.id || null;
+
+  // ── Build effective weights (roll missing levels → company) ──────
+  const weights = {};
+  let totalEffectiveWeight = 0;
+
+  if (lvl1Id) { weights.lvl1 = LVL1_SHARE; totalEffectiveWeight += LVL1_SHARE; }
+  if (lvl2Id) { weights.lvl2 = LVL2_SHARE; totalEffectiveWeight += LVL2_SHARE; }
+  if (lvl3Id) { weights.lvl3 = LVL3_SHARE; totalEffectiveWeight += LVL3_SHARE; }
+
+  if (companyId) {
+    let coW = COMPANY_SHARE;
+    if (!lvl1Id) coW += LVL1_SHARE;
+    if (!lvl2Id) coW += LVL2_SHARE;
+    if (!lvl3Id) coW += LVL3_SHARE;
+
+    weights.company = coW;
+    totalEffectiveWeight += coW;
+  }
+
+  if (!totalEffectiveWeight || totalEffectiveWeight <= 0) {
+    return { ok: false, reason: 'NO_EFFECTIVE_WEIGHTS' };
+  }
+
+  // Level shares round down; the company takes the remainder so the
+  // shares always add up to the pool exactly.
+  function calcShareUnits(weight) {
+    return money.mulDiv(poolUnits, weight, totalEffectiveWeight, money.ROUND_DOWN);
+  }
+
+  function buildMeta(levelLabel) {
+    return JSON.stringify({ ...metaObj, level: levelLabel });
+  }
+
+  const events = [];
+
+  let allocated = 0n;
+  const pushShare = (referrerId, units, levelLabel, level) => {
+    allocated += units;
+    if (units <= 0n) return 0;
+    const commission = money.format(units, a);
+    events.push({ referrerId, commission, metaJson: buildMeta(levelLabel), level });
+    return Number(commission);
+  };
+
+  // Level 1
+  let lvl1Commission = 0;
+  if (lvl1Id && weights.lvl1) {
+    lvl1Commission = pushShare(lvl1Id, calcShareUnits(weights.lvl1), 1, 'lvl1');
+  }
+
+  // Level 2
+  if (lvl2Id && weights.lvl2) {
+    pushShare(lvl2Id, calcShareUnits(weights.lvl2), 2, 'lvl2');
+  }
+
+  // Level 3
+  if (lvl3Id && weights.lvl3) {
+    pushShare(lvl3Id, calcShareUnits(weights.lvl3), 3, 'lvl3');
+  }
+
+  // Company
+  let companyCommission = 0;
+  if (companyId && weights.company) {
+    companyCommission = pushShare(companyId, poolUnits - allocated, 'company', 'company');
+  }
+
+  if (!events.length) {
+    return { ok: false, reason: 'NO_COMMISSION_EVENTS' };
+  }
+
+  // ── Insert events (idempotent per beneficiary) ───────────────────
+  let firstId = null;
+  let inserted = 0;
+
+  for (const ev of events) {
+    // skip if already exists for this beneficiary (fast path)
+    if (existingSet.has(Number(ev.referrerId))) {
+      if (!firstId) firstId = firstExistingId;
+      continue;
+    }
+
+    const [ins] = await db.query(
+      `INSERT IGNORE INTO referral_events
+         (referee_id, referrer_id, type, asset, base_amount,
+          commission_amount, status, source_ref, meta)
+       VALUES (?,?,?,?,?,?, 'pending', ?, ?)`,
+      [refereeId, ev.referrerId, t, a, amt, ev.commission, src, ev.metaJson]
+    );
+
+    if (ins.affectedRows === 1) {
+      inserted++;
+      if (!firstId && ins.insertId) firstId = ins.insertId;
+    }
+  }
+
+  if (!firstId && firstExistingId) firstId = firstExistingId;
+
+  return {
+    ok: true,
+    duplicate: inserted === 0 && existing.length > 0,
+    id: firstId,
+    commission: lvl1Commission, // backward compatibility
+    asset: a,
+    referrerId: lvl1Id || companyId || null,
+    breakdown: {
+      pool,
+      weights: {
+        lvl1: weights.lvl1 || 0,
+        lvl2: weights.lvl2 || 0,
+        lvl3: weights.lvl3 || 0,
+        company: weights.company || 0,
+        totalEffectiveWeight,
+        nominalTotal: TOTAL_SHARE,
+      },
+      level1: lvl1Commission,
+      level2: Number(events.find(e => e.level === 'lvl2')?.commission || 0),
+      level3: Number(events.find(e => e.level === 'lvl3')?.commission || 0),
+      company: companyCommission,
+    },
+  };
+}
+
+/**
+ * Takes back the commissions of a trigger that no longer stands (a deposit
+ * reorged out). Pending rows are deleted, so a re-mined transfer earns them
+ * again; rows already claimed cannot be and are returned to the caller.
+ */
+async function reverseReferralAward(db, { type, sourceRef }) {
+  const [rows] = await db.query(
+    `SELECT id, referrer_id, asset, commission_amount, status
+       FROM referral_events
+      WHERE type=? AND source_ref=?
+      FOR UPDATE`,
+    [type, sourceRef]
+  );
+  const pending = rows.filter(r => r.status === 'pending');
+  if (pending.length) {
+    await db.query(
+      `DELETE FROM referral_events WHERE id IN (?) AND status='pending'`,
+      [pending.map(r => r.id)]
+    );
+  }
+  return { removed: pending.length, claimed: rows.filter(r => r.status !== 'pending') };
+}
+
+module.exports = {
+  REF_CONVERSION_RATE,
+  REF_STAKING_RATE,
+  REF_DEPOSIT_RATE,
+  isValidType,
+  isValidAsset,
+  awardReferral,
+  reverseReferralAward,
+};
@@ -4,6 +4,7 @@
 // - "qualified referrals" = referred accounts whose USDT deposit >= refereeDepositMin (default 10)
 // Claimable only when:
 //   depositOk AND qualifiedCount >= referralsMin
+// Deposits count net of reorg reversals ('deposit_reversal' rows are negative).
 
 function safeJson(v) {
   if (v == null) return {};
@@ -34,7 +35,7 @@ async function getDepositTotals(conn, userId) {
     `
     SELECT COALESCE(SUM(amount),0) AS total
     FROM wallet_ledger
-    WHERE user_id=? AND type='deposit' AND asset='USDT'
+    WHERE user_id=? AND type IN ('deposit','deposit_reversal') AND asset='USDT'
     `,
     [userId]
   );
@@ -44,7 +45,7 @@ async function getDepositTotals(conn, userId) {
     SELECT COALESCE(SUM(l.amount),0) AS total
     FROM wallet_ledger l
     JOIN crypto_deposits d ON d.id = l.ref_id
-    WHERE l.user_id=? AND l.type='deposit' AND l.asset='USDT'
+    WHERE l.user_id=? AND l.type IN ('deposit','deposit_reversal') AND l.asset='USDT'
       AND d.source='coinsph'
     `,
     [userId]
@@ -55,7 +56,7 @@ async function getDepositTotals(conn, userId) {
     SELECT COALESCE(SUM(l.amount),0) AS total
     FROM wallet_ledger l
     JOIN crypto_deposits d ON d.id = l.ref_id
-    WHERE l.user_id=? AND l.type='deposit' AND l.asset='USDT'
+    WHERE l.user_id=? AND l.type IN ('deposit','deposit_reversal') AND l.asset='USDT'
       AND d.source='binance'
     `,
     [userId]
@@ -89,7 +90,7 @@ async function getReferralDepositProgress(conn, userId, minUsdt, source = 'any')
       COALESCE(
         SUM(
           CASE
-            WHEN l.type='deposit' AND l.asset='USDT'
+            WHEN l.type IN ('deposit','deposit_reversal') AND l.asset='USDT'
              AND (?='any' OR d.source=?)
             THEN l.amount
             ELSE 0
@@ -0,0 +1,317 @@
+// /server/lib/statements.js (CommonJS)
+// Account statements built from wallet_ledger: opening / closing balance for
+// one asset over a date range, a running balance per row and a readable
+// description per ledger type. Rendered as JSON, CSV or PDF.
+
+const money = require('./money');
+const { renderPdf } = require('./pdf');
+
+const STATEMENT_MAX_DAYS = Number(process.env.STATEMENT_MAX_DAYS || 366);
+const STATEMENT_MAX_ROWS = Number(process.env.STATEMENT_MAX_ROWS || 10000);
+
+const DATE_RE = /^\d{4}-\d{2}-\d{2}$/;
+const MONTH_RE = /^\d{4}-\d{2}$/;
+
+const DAY_MS = 86_400_000;
+
+function parseMeta(m) {
+  if (m == null) return {};
+  if (typeof m === 'object') return m;
+  try { return JSON.parse(m) || {}; } catch { return {}; }
+}
+
+function shortAddr(a) {
+  const s = String(a || '');
+  return s.length > 12 ? `${s.slice(0, 6)}...${s.slice(-4)}` : s;
+}
+
+function swapPair(m) {
+  const [a, b] = String(m.pair || '').split('->');
+  return a && b ? ` ${a} to ${b}` : '';
+}
+
+function last4(s) {
+  const d = String(s || '').replace(/\D/g, '');
+  return d ? `****${d.slice(-4)}` : '';
+}
+
+// type -> (meta, row) => text
+const DESCRIPTIONS = {
+  deposit: (m, r) => (m.source === 'mock' ? 'Deposit (test)' : `Deposit via ${r.chain || 'BSC'}`),
+  swap_in: (m) => `Swap${swapPair(m)} (received)`,
+  swap_out: (m) => `Swap${swapPair(m)} (sent)`,
+  transfer_in: (m) => (m.kind === 'internal' ? 'Received from another user' : 'Transfer received'),
+  transfer_out: (m) => {
+    if (m.kind === 'internal') return 'Sent to another user';
+    if (m.to_address) return `Withdrawal to ${shortAddr(m.to_address)}`;
+    return 'Transfer sent';
+  },
+  withdraw: (m) => `Bank transfer to ${[m.bank_name, last4(m.account_number)].filter(Boolean).join(' ')}`.trim(),
+  refund: (m) => {
+    if (m.kind === 'withdrawal_refund') return 'Refund: withdrawal not completed';
+    if (m.kind === 'bank_payout_refund') return 'Refund: bank transfer rejected';
+    return 'Refund';
+  },
+  referral_bonus: () => 'Referral bonus',
+  referral_reward: () => 'Referral reward',
+  reward_credit: (m) => (m.title ? `Reward credit: ${m.title}` : 'Reward credit'),
+  stake_lock: () => 'Staked (locked)',
+  stake_payout: () => 'Staking payout',
+  stake_refund: () => 'Stake returned',
+  stake_referral: () => 'Staking referral commission',
+  purchase: () => 'Purchase',
+  fee: () => 'Fee',
+  deposit_reversal: (m, r) => (m.reason === 'reorg' ? `Deposit reversed (${r.chain || 'BSC'} reorg)` : 'Deposit reversed'),
+  fee_income: (m) => `Fee income (${String(m.fee_type || 'fee').replace(/_/g, ' ')})`,
+  fee_reversal: (m) => `Fee reversed (${String(m.fee_type || 'fee').replace(/_/g, ' ')})`,
+  adjustment: () => 'Balance adjustment',
+};
+
+function describeLedgerRow(row) {
+  const fn = DESCRIPTIONS[row.type];
+  if (fn) return fn(parseMeta(row.meta), row);
+  const t = String(row.type || 'entry').replace(/_/g, ' ');
+  return t.charAt(0).toUpperCase() + t.slice(1);
+}
+
+function isoDay(d) {
+  return new Date(d).toISOString().slice(0, 10);
+}
+
+/**
+ * Resolves ?month=YYYY-MM or ?from=YYYY-MM-DD&to=YYYY-MM-DD (both inclusive).
+ *
+ * @returns {{ ok: true, from: string, to: string } | { ok: false, error: string }}
+ */
+function parseStatementRange({ month, from, to }) {
+  if (month) {
+    if (!MONTH_RE.test(month)) return { ok: false, error: 'BAD_MONTH' };
+    const [y, m] = month.split('-').map(Number);
+    if (m < 1 || m > 12) return { ok: false, error: 'BAD_MONTH' };
+    return {
+      ok: true,
+      from: `${month}-01`,
+      to: isoDay(Date.UTC(y, m, 0)),
+    };
+  }
+
+  if (!DATE_RE.test(from || '') || !DATE_RE.test(to || '')) return { ok: false, error: 'BAD_RANGE' };
+  const a = Date.parse(`${from}T00:00:00Z`);
+  const b = Date.parse(`${to}T00:00:00Z`);
+  if (!Number.isFinite(a) || !Number.isFinite(b) || isoDay(a) !== from || isoDay(b) !== to) {
+    return { ok: false, error: 'BAD_RANGE' };
+  }
+  if (b < a) return { ok: false, error: 'BAD_RANGE' };
+  if ((b - a) / DAY_MS + 1 > STATEMENT_MAX_DAYS) return { ok: false, error: 'RANGE_TOO_LONG' };
+  return { ok: true, from, to };
+}
+
+/**
+ * Builds the statement for one user + asset. `from` / `to` are inclusive
+ * YYYY-MM-DD days compared against wallet_ledger.ts.
+ *
+ * Throws STATEMENT_TOO_LARGE when the range has more than STATEMENT_MAX_ROWS rows.
+ */
+async function buildStatement(db, { userId, asset, from, to }) {
+  const start = `${from} 00:00:00`;
+  const endExcl = `${isoDay(Date.parse(`${to}T00:00:00Z`) + DAY_MS)} 00:00:00`;
+
+  const [[user]] = await db.query(
+    'SELECT id, full_name, email, phone FROM users WHERE id=? LIMIT 1',
+    [userId]
+  );
+  if (!user) throw new Error('STATEMENT_USER_NOT_FOUND');
+
+  const [[open]] = await db.query(
+    `SELECT COALESCE(SUM(amount), 0) AS bal
+       FROM wallet_ledger
+      WHERE user_id=? AND asset=? AND ts < ?`,
+    [userId, asset, start]
+  );
+
+  const [rows] = await db.query(
+    `SELECT id, ts, asset, chain, type, amount, ref_id, meta
+       FROM wallet_ledger
+      WHERE user_id=? AND asset=? AND ts >= ? AND ts < ?
+      ORDER BY ts ASC, id ASC
+      LIMIT ?`,
+    [userId, asset, start, endExcl, STATEMENT_MAX_ROWS + 1]
+  );
+  if (rows.length > STATEMENT_MAX_ROWS) throw new Error('STATEMENT_TOO_LARGE');
+
+  const opening = money.parse(open.bal, asset);
+  let running = opening;
+  let credits = 0n;
+  let debits = 0n;
+
+  const items = rows.map((r) => {
+    const amt = money.parse(r.amount, asset);
+    running += amt;
+    if (amt >= 0n) credits += amt;
+    else debits -= amt;
+    return {
+      id: r.id,
+      ts: r.ts,
+      type: r.type,
+      description: describeLedgerRow(r),
+      chain: r.chain,
+      ref_id: r.ref_id,
+      amount: money.format(amt, asset),
+      balance: money.format(running, asset),
+    };
+  });
+
+  return {
+    user: { id: user.id, full_name: user.full_name, email: user.email, phone: user.phone },
+    asset,
+    from,
+    to,
+    opening_balance: money.format(opening, asset),
+    closing_balance: money.format(running, asset),
+    total_credits: money.format(credits, asset),
+    total_debits: money.format(debits, asset),
+    count: items.length,
+    items,
+    generated_at: new Date().toISOString(),
+  };
+}
+
+function fmtTs(ts) {
+  const d = ts instanceof Date ? ts : new Date(ts);
+  if (Number.isNaN(d.getTime())) return String(ts || '');
+  const p = (n) => String(n).padStart(2, '0');
+  return `${d.getFullYear()}-${p(d.getMonth() + 1)}-${p(d.getDate())} ${p(d.getHours())}:${p(d.getMinutes())}:${p(d.getSeconds())}`;
+}
+
+function csvCell(v) {
+  const s = String(v ?? '');
+  // leading = + - @ would be run as a formula by spreadsheet apps
+  const safe = /^[=+@]/.test(s) || (/^-/.test(s) && !/^-\d/.test(s)) ? `'${s}` : s;
+  return /[",\n\r]/.test(safe) ? `"${safe.replace(/"/g, '""')}"` : safe;
+}
+
+function statementToCsv(st) {
+  const lines = [
+    ['Statement', st.asset, `${st.from} to ${st.to}`],
+    ['Account', st.user.full_name || '', st.user.email || st.user.phone || ''],
+    ['Opening balance', st.opening_balance],
+    [],
+    ['Date', 'Description', 'Type', 'Reference', 'Amount', 'Balance'],
+    ...st.items.map((i) => [fmtTs(i.ts), i.description, i.type, i.ref_id || '', i.amount, i.balance]),
+    [],
+    ['Total credits', st.total_credits],
+    ['Total debits', st.total_debits],
+    ['Closing balance', st.closing_balance],
+  ];
+  return lines.map((l) => l.map(csvCell).join(',')).join('\r\n') + '\r\n';
+}
+
+// ── PDF layout (A4, Courier table so columns line up) ──
+const PAGE_W = 595;
+const PAGE_H = 842;
+const MARGIN = 40;
+const ROW_H = 12;
+const COLS = { date: 19, desc: 44, amount: 18, balance: 18 };
+
+function fit(s, n) {
+  const t = String(s ?? '');
+  return t.length > n ? `${t.slice(0, n - 3)}...` : t.padEnd(n);
+}
+
+function tableLine(date, desc, amount, balance) {
+  return `${fit(date, COLS.date)} ${fit(desc, COLS.desc)} ${String(amount).padStart(COLS.amount)} ${String(balance).padStart(COLS.balance)}`;
+}
+
+function statementToPdf(st) {
+  const pages = [];
+  let page;
+  let y;
+
+  const text = (x, yy, t, size = 9, font = 'regular') => page.push({ x, y: yy, text: t, size, font });
+  const rule = (yy) => page.push({ line: [MARGIN, yy, PAGE_W - MARGIN, yy] });
+
+  function newPage() {
+    page = [];
+    pages.push(page);
+    y = PAGE_H - MARGIN;
+
+    if (pages.length === 1) {
+      text(MARGIN, y, 'Account Statement', 16, 'bold');
+      y -= 22;
+      text(MARGIN, y, `${st.user.full_name || '-'}   (user #${st.user.id})`, 10);
+      y -= 13;
+      text(MARGIN, y, `${st.asset} - ${st.from} to ${st.to}`, 10);
+      y -= 20;
+      text(MARGIN, y, tableLine('', 'Opening balance', '', st.opening_balance), 8, 'mono');
+      y -= 18;
+    }
+
+    text(MARGIN, y, tableLine('Date', 'Description', 'Amount', 'Balance'), 8, 'mono');
+    y -= 4;
+    rule(y);
+    y -= ROW_H;
+  }
+
+  newPage();
+  for (const i of st.items) {
+    if (y < MARGIN + 60) newPage();
+    text(MARGIN, y, tableLine(fmtTs(i.ts), i.description, i.amount, i.balance), 8, 'mono');
+    y -= ROW_H;
+  }
+  if (!st.items.length) {
+    text(MARGIN, y, 'No transactions in this period.', 9);
+    y -= ROW_H;
+  }
+
+  if (y < MARGIN + 60) newPage();
+  rule(y + 8);
+  y -= 4;
+  text(MARGIN, y, tableLine('', 'Total credits', st.total_credits, ''), 8, 'mono');
+  y -= ROW_H;
+  text(MARGIN, y, tableLine('', 'Total debits', st.total_debits, ''), 8, 'mono');
+  y -= ROW_H;
+  text(MARGIN, y, tableLine('', 'Closing balance', '', st.closing_balance), 8, 'mono');
+
+  pages.forEach((p, idx) => {
+    p.push({
+      x: MARGIN,
+      y: MARGIN - 15,
+      text: `Generated ${st.generated_at.slice(0, 19).replace('T', ' ')} UTC  -  page ${idx + 1} of ${pages.length}`,
+      size: 7,
+      font: 'regular',
+    });
+  });
+
+  return renderPdf(pages, { width: PAGE_W, height: PAGE_H, title: `Statement ${st.asset} ${st.from} - ${st.to}` });
+}
+
+const FORMATS = ['json', 'csv', 'pdf'];
+
+/**
+ * Sends a built statement as JSON, CSV or PDF (download).
+ */
+function sendStatement(res, st, format = 'json') {
+  if (format === 'json') return res.json(st);
+
+  const name = `statement-${st.user.id}-${st.asset}-${st.from}_${st.to}.${format}`;
+  res.setHeader('Content-Disposition', `attachment; filename="${name}"`);
+  res.setHeader('Cache-Control', 'no-store');
+  if (format === 'csv') {
+    res.type('text/csv; charset=utf-8');
+    return res.send(`\ufeff${statementToCsv(st)}`); // BOM so Excel reads UTF-8 names
+  }
+  res.type('application/pdf');
+  return res.send(statementToPdf(st));
+}
+
+module.exports = {
+  FORMATS,
+  STATEMENT_MAX_DAYS,
+  STATEMENT_MAX_ROWS,
+  describeLedgerRow,
+  parseStatementRange,
+  buildStatement,
+  statementToCsv,
+  statementToPdf,
+  sendStatement,
+};
@@ -0,0 +1,320 @@
+// /server/lib/swap_pairs.js (CommonJS)
+// Swap pairs from the swap_pairs table (managed in /admin/swap-pairs) and the
+// one swap implementation used by /v1/wallet/swap and routes/wallet.js.
+//
+// Rates are quote per 1 base (USDT/VPK = 100). See migrations/009 for how
+// spreads, the fee and the limits apply.
+
+const money = require('./money');
+const { insertLedgerEntry } = require('./ledger');
+const { useSwapQuote } = require('./swap_quotes');
+const { bookSwapFee } = require('./house_fees');
+
+const BPS = 10_000n;
+const RATE_DP = 18;
+
+function swapError(code, status = 400, extra = {}) {
+  return Object.assign(new Error(code), { statusCode: status, extra });
+}
+
+function normSwapAsset(a) {
+  const x = String(a || '').trim().toUpperCase();
+  return x === 'MHV' ? 'VPK' : x;
+}
+
+/** Pair row for either direction of from/to, or null. */
+async function findSwapPair(db, fromAsset, toAsset) {
+  const [[row]] = await db.query(
+    `SELECT * FROM swap_pairs
+      WHERE (base_asset=? AND quote_asset=?) OR (base_asset=? AND quote_asset=?)
+      LIMIT 1`,
+    [fromAsset, toAsset, toAsset, fromAsset]
+  );
+  return row || null;
+}
+
+async function listSwapPairs(db, { enabledOnly = false } = {}) {
+  const [rows] = await db.query(
+    `SELECT * FROM swap_pairs ${enabledOnly ? 'WHERE enabled=1' : ''} ORDER BY id ASC`
+  );
+  return rows;
+}
+
+/** Mid rate (quote per base) as a decimal string. Throws RATE_UNAVAILABLE. */
+async function pairMidRate(pair, rates = null) {
+  if (pair.rate_mode === 'source') {
+    if (!rates || !pair.rate_source) throw swapError('RATE_UNAVAILABLE', 503);
+    return String(await rates.getRate(pair.rate_source));
+  }
+  if (pair.base_rate == null || Number(pair.base_rate) <= 0) throw swapError('RATE_UNAVAILABLE', 503);
+  return String(pair.base_rate);
+}
+
+// rate × (10000 ± bps) / 10000, exact, as a decimal string
+function applySpread(rate, bps, sign) {
+  const r = money.toUnitsDp(rate, RATE_DP);
+  return money.formatDp(r * (BPS + BigInt(sign) * BigInt(bps)), RATE_DP + 4);
+}
+
+/**
+ * Prices a swap without touching balances.
+ *
+ * @returns {{ side: 'buy'|'sell', midRate: string, rate: string, fromUnits: bigint,
+ *             feeUnits: bigint, toUnits: bigint, baseUnits: bigint }}
+ */
+function priceSwap(pair, { fromAsset, toAsset, fromUnits, midRate }) {
+  const side = fromAsset === pair.base_asset ? 'buy' : 'sell';
+
+  // buy: user gets less quote per base; sell: user pays more quote per base
+  const rate = side === 'buy'
+    ? applySpread(midRate, pair.buy_spread_bps || 0, -1)
+    : applySpread(midRate, pair.sell_spread_bps || 0, +1);
+
+  const feeUnits = money.mulDiv(fromUnits, Number(pair.fee_bps || 0), 10_000, money.ROUND_UP);
+  const netUnits = fromUnits - feeUnits;
+
+  // received amount is always rounded down
+  const toUnits = netUnits <= 0n
+    ? 0n
+    : side === 'buy'
+      ? money.convert(netUnits, fromAsset, rate, toAsset, money.ROUND_DOWN)
+      : money.convertInverse(netUnits, fromAsset, rate, toAsset, money.ROUND_DOWN);
+
+  const baseUnits = side === 'buy'
+    ? fromUnits
+    : money.convertInverse(fromUnits, fromAsset, midRate, pair.base_asset, money.ROUND_DOWN);
+
+  return { side, midRate, rate, fromUnits, feeUnits, toUnits, baseUnits };
+}
+
+// Fee in USDT at the mid rate when one side of the pair is USDT, else null
+function feeInUsdt(pair, fromAsset, feeUnits, midRate) {
+  if (fromAsset === 'USDT') return money.format(feeUnits, 'USDT');
+  if (pair.quote_asset === 'USDT' && fromAsset === pair.base_asset) {
+    return money.format(money.convert(feeUnits, fromAsset, midRate, 'USDT', money.ROUND_DOWN), 'USDT');
+  }
+  if (pair.base_asset === 'USDT' && fromAsset === pair.quote_asset) {
+    return money.format(money.convertInverse(feeUnits, fromAsset, midRate, 'USDT', money.ROUND_DOWN), 'USDT');
+  }
+  return null;
+}
+
+function parseLimit(v, asset) {
+  return v == null ? null : money.parse(v, asset);
+}
+
+// Base units already swapped today by this user on this pair
+async function usedToday(conn, userId, pair) {
+  const [[r]] = await conn.query(
+    `SELECT COALESCE(SUM(base_amount), 0) AS used
+       FROM swaps
+      WHERE user_id=? AND pair_id=? AND created_at >= CURDATE()`,
+    [userId, pair.id]
+  );
+  return money.parse(r.used, pair.base_asset);
+}
+
+function checkPerSwapLimits(pair, priced) {
+  const base = pair.base_asset;
+  const min = parseLimit(pair.min_base_amount, base);
+  const max = parseLimit(pair.max_base_amount, base);
+  if (min != null && priced.baseUnits < min) {
+    throw swapError('BELOW_MIN_SWAP', 400, { min: money.toNumber(min, base), asset: base });
+  }
+  if (max != null && priced.baseUnits > max) {
+    throw swapError('ABOVE_MAX_SWAP', 400, { max: money.toNumber(max, base), asset: base });
+  }
+}
+
+/**
+ * Loads, validates and prices a swap. Throws coded errors (statusCode + extra).
+ */
+async function prepareSwap(db, { fromAsset, toAsset, amount, rates = null }) {
+  const from = normSwapAsset(fromAsset);
+  const to = normSwapAsset(toAsset);
+  if (!from || !to || from === to) throw swapError('PAIR_NOT_SUPPORTED');
+
+  const pair = await findSwapPair(db, from, to);
+  if (!pair) throw swapError('PAIR_NOT_SUPPORTED');
+  if (!Number(pair.enabled)) throw swapError('PAIR_DISABLED', 409);
+
+  let fromUnits;
+  try {
+    fromUnits = money.parse(amount, from, { strict: true });
+  } catch (_) {
+    throw swapError('BAD_AMOUNT');
+  }
+  if (fromUnits <= 0n) throw swapError('BAD_AMOUNT');
+
+  const midRate = await pairMidRate(pair, rates);
+  const priced = priceSwap(pair, { fromAsset: from, toAsset: to, fromUnits, midRate });
+  if (priced.toUnits <= 0n) throw swapError('AMOUNT_TOO_SMALL');
+  checkPerSwapLimits(pair, priced);
+
+  return { pair, fromAsset: from, toAsset: to, ...priced };
+}
+
+/**
+ * Executes a prepared swap in its own transaction: balance check, daily
+ * limit, balances, swaps row, the swap_out / swap_in ledger pair and the
+ * house's swap fee row.
+ * A swap rebuilt from a quote (swap.quoteId) also consumes that quote.
+ *
+ * @returns {Promise<object>} the prepared swap plus { swapId }
+ */
+async function executeSwap(db, { userId, swap, meta = {} }) {
+  const { pair, fromAsset, toAsset, fromUnits, feeUnits, toUnits, baseUnits } = swap;
+  const quoteId = swap.quoteId || null;
+
+  const conn = await db.getConnection();
+  try {
+    await conn.beginTransaction();
+
+    if (quoteId && !(await useSwapQuote(conn, quoteId, userId))) {
+      throw swapError('QUOTE_EXPIRED', 409);
+    }
+
+    // Both of the user's pair rows, in asset order: opposite swaps on the same
+    // pair queue on the same rows, so the daily limit below sees every swap
+    const [rows] = await conn.query(
+      `SELECT asset, balance FROM wallet_balances
+        WHERE user_id=? AND asset IN (?, ?)
+        ORDER BY asset
+        FOR UPDATE`,
+      [userId, fromAsset, toAsset]
+    );
+    const fromRow = rows.find((r) => r.asset === fromAsset);
+    const currentBal = money.parse(fromRow?.balance || 0, fromAsset);
+    if (currentBal < fromUnits) {
+      throw swapError('INSUFFICIENT_FUNDS', 400, { balance: money.toNumber(currentBal, fromAsset) });
+    }
+
+    const daily = parseLimit(pair.daily_limit_base, pair.base_asset);
+    if (daily != null) {
+      const used = await usedToday(conn, userId, pair);
+      if (used + baseUnits > daily) {
+        const left = daily > used ? daily - used : 0n;
+        throw swapError('DAILY_LIMIT_EXCEEDED', 400, {
+          remaining: money.toNumber(left, pair.base_asset),
+          asset: pair.base_asset,
+        });
+      }
+    }
+
+    const fromAmount = money.format(fromUnits, fromAsset);
+    const toAmount = money.format(toUnits, toAsset);
+    const feeAmount = money.format(feeUnits, fromAsset);
+
+    await conn.query(
+      `INSERT INTO wallet_balances (user_id, asset, balance)
+       VALUES (?, ?, ?)
+       ON DUPLICATE KEY UPDATE balance = balance + VALUES(balance)`,
+      [userId, fromAsset, money.format(-fromUnits, fromAsset)]
+    );
+    await conn.query(
+      `INSERT INTO wallet_balances (user_id, asset, balance)
+       VALUES (?, ?, ?)
+       ON DUPLICATE KEY UPDATE balance = balance + VALUES(balance)`,
+      [userId, toAsset, toAmount]
+    );
+
+    const [ins] = await conn.query(
+      `INSERT INTO swaps
+         (user_id, pair_id, quote_id, side, from_asset, to_asset, from_amount, fee_amount,
+          to_amount, base_amount, mid_rate, rate)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+      [
+        userId, pair.id, quoteId, swap.side, fromAsset, toAsset, fromAmount, feeAmount,
+        toAmount, money.format(baseUnits, pair.base_asset), swap.midRate, swap.rate,
+      ]
+    );
+    const swapId = ins.insertId;
+    if (quoteId) {
+      await conn.query('UPDATE swap_quotes SET swap_id=? WHERE id=?', [swapId, quoteId]);
+    }
+
+    const ledgerMeta = {
+      pair: `${fromAsset}->${toAsset}`,
+      swap_id: swapId,
+      quote_id: quoteId,
+      side: swap.side,
+      mid_rate: swap.midRate,
+      rate: swap.rate,
+      fee: feeAmount,
+      fee_asset: fromAsset,
+      ...meta,
+    };
+    const swapOutId = await insertLedgerEntry(conn, {
+      userId, asset: fromAsset, chain: 'BSC', type: 'swap_out', amount: fromAmount, meta: ledgerMeta,
+    });
+    await insertLedgerEntry(conn, {
+      userId, asset: toAsset, chain: 'BSC', type: 'swap_in', amount: toAmount, meta: ledgerMeta,
+    });
+    await bookSwapFee(conn, {
+      userId,
+      asset: fromAsset,
+      units: feeUnits,
+      swapOutLedgerId: swapOutId,
+      feeUsdt: feeInUsdt(pair, fromAsset, feeUnits, swap.midRate),
+      meta: { swap_id: swapId, pair: ledgerMeta.pair },
+    });
+
+    await conn.commit();
+    return { ...swap, swapId };
+  } catch (e) {
+    try { await conn.rollback(); } catch (_) {}
+    throw e;
+  } finally {
+    conn.release();
+  }
+}
+
+/** Public view of a pair (indicative buy / sell rates included). */
+async function formatSwapPair(pair, rates = null) {
+  let mid = null;
+  try { mid = await pairMidRate(pair, rates); } catch (_) {}
+  const lim = (v) => (v == null ? null : money.toNumber(money.parse(v, pair.base_asset), pair.base_asset));
+  return {
+    id: pair.id,
+    base_asset: pair.base_asset,
+    quote_asset: pair.quote_asset,
+    mid_rate: mid == null ? null : Number(mid),
+    buy_rate: mid == null ? null : Number(applySpread(mid, pair.buy_spread_bps || 0, -1)),
+    sell_rate: mid == null ? null : Number(applySpread(mid, pair.sell_spread_bps || 0, +1)),
+    fee_bps: Number(pair.fee_bps || 0),
+    min_base_amount: lim(pair.min_base_amount),
+    max_base_amount: lim(pair.max_base_amount),
+    daily_limit_base: lim(pair.daily_limit_base),
+    enabled: !!Number(pair.enabled),
+  };
+}
+
+/**
+ * Mid rate of base/quote for code that only needs the conversion (staking).
+ * Falls back to `fallback` when the pair is missing.
+ */
+async function getPairMidRate(db, base, quote, { rates = null, fallback = null } = {}) {
+  const pair = await findSwapPair(db, base, quote);
+  if (!pair) {
+    if (fallback != null) return String(fallback);
+    throw swapError('PAIR_NOT_SUPPORTED');
+  }
+  const mid = await pairMidRate(pair, rates);
+  // stored the other way round: invert
+  if (pair.base_asset !== base) {
+    return money.formatDp(money.toUnitsDp(1, RATE_DP * 2) / money.toUnitsDp(mid, RATE_DP), RATE_DP);
+  }
+  return mid;
+}
+
+module.exports = {
+  normSwapAsset,
+  findSwapPair,
+  listSwapPairs,
+  pairMidRate,
+  priceSwap,
+  prepareSwap,
+  executeSwap,
+  formatSwapPair,
+  getPairMidRate,
+};
@@ -0,0 +1,105 @@
+// /server/lib/swap_quotes.js (CommonJS)
+// Locked-price swap quotes.
+//
+//   POST /v1/wallet/swap/quote        -> priced with lib/swap_pairs, stored with a TTL
+//   POST /v1/wallet/swap { quote_id } -> executes exactly those amounts
+//
+// Single use; the swaps row and both ledger entries carry the quote id.
+
+const crypto = require('crypto');
+const money = require('./money');
+
+const SWAP_QUOTE_TTL_SEC = Number(process.env.SWAP_QUOTE_TTL_SEC || 30);
+
+/**
+ * Stores a swap prepared by prepareSwap().
+ *
+ * @returns {Promise<{ id: string, expiresAt: Date, ttlSec: number }>}
+ */
+async function createSwapQuote(db, { userId, swap, ttlSec = SWAP_QUOTE_TTL_SEC }) {
+  const id = `sq_${crypto.randomBytes(12).toString('hex')}`;
+  await db.query(
+    `INSERT INTO swap_quotes
+       (id, user_id, pair_id, side, from_asset, to_asset, from_amount, fee_amount,
+        to_amount, base_amount, mid_rate, rate, expires_at)
+     VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, NOW() + INTERVAL ? SECOND)`,
+    [
+      id, userId, swap.pair.id, swap.side, swap.fromAsset, swap.toAsset,
+      money.format(swap.fromUnits, swap.fromAsset),
+      money.format(swap.feeUnits, swap.fromAsset),
+      money.format(swap.toUnits, swap.toAsset),
+      money.format(swap.baseUnits, swap.pair.base_asset),
+      swap.midRate,
+      swap.rate,
+      ttlSec,
+    ]
+  );
+  return { id, expiresAt: new Date(Date.now() + ttlSec * 1000), ttlSec };
+}
+
+/**
+ * Rebuilds the prepared swap from a stored quote, for executeSwap().
+ *
+ * @returns {Promise<{ ok: true, swap: object } | { ok: false, status: number, error: string }>}
+ */
+async function loadSwapQuote(db, { quoteId, userId }) {
+  const [[q]] = await db.query(
+    `SELECT q.*, q.expires_at <= NOW() AS expired
+       FROM swap_quotes q
+      WHERE q.id=? AND q.user_id=?`,
+    [quoteId, userId]
+  );
+  if (!q) return { ok: false, status: 404, error: 'QUOTE_NOT_FOUND' };
+  if (q.used_at) return { ok: false, status: 409, error: 'QUOTE_ALREADY_USED' };
+  if (Number(q.expired)) return { ok: false, status: 409, error: 'QUOTE_EXPIRED' };
+
+  const [[pair]] = await db.query('SELECT * FROM swap_pairs WHERE id=?', [q.pair_id]);
+  if (!pair) return { ok: false, status: 400, error: 'PAIR_NOT_SUPPORTED' };
+  if (!Number(pair.enabled)) return { ok: false, status: 409, error: 'PAIR_DISABLED' };
+
+  return {
+    ok: true,
+    swap: {
+      pair,
+      side: q.side,
+      fromAsset: q.from_asset,
+      toAsset: q.to_asset,
+      fromUnits: money.parse(q.from_amount, q.from_asset),
+      feeUnits: money.parse(q.fee_amount, q.from_asset),
+      toUnits: money.parse(q.to_amount, q.to_asset),
+      baseUnits: money.parse(q.base_amount, pair.base_asset),
+      midRate: String(q.mid_rate),
+      rate: q.rate,
+      quoteId: q.id,
+    },
+  };
+}
+
+/** Marks the quote used inside the swap transaction; false if it lost the race or expired. */
+async function useSwapQuote(conn, quoteId, userId) {
+  const [r] = await conn.query(
+    `UPDATE swap_quotes
+        SET used_at = NOW()
+      WHERE id=? AND user_id=? AND used_at IS NULL AND expires_at > NOW()`,
+    [quoteId, userId]
+  );
+  return r.affectedRows === 1;
+}
+
+/** Deletes unused quotes that expired more than a day ago. Returns the row count. */
+async function purgeExpiredSwapQuotes(db) {
+  const [r] = await db.query(
+    `DELETE FROM swap_quotes
+      WHERE used_at IS NULL AND expires_at < NOW() - INTERVAL 1 DAY
+      LIMIT 5000`
+  );
+  return r.affectedRows || 0;
+}
+
+module.exports = {
+  SWAP_QUOTE_TTL_SEC,
+  createSwapQuote,
+  loadSwapQuote,
+  useSwapQuote,
+  purgeExpiredSwapQuotes,
+};
@@ -0,0 +1,402 @@
+// /server/lib/sweeper.js (CommonJS, ethers v6)
+// The one deposit sweep engine, used by the API server (post-credit hook and
+// the sweep schedule) and by the CLI worker (workers/sweeper.js).
+//
+// Credited deposits move from their HD deposit address (lib/chains
+// depositWallet) to the chain's sweep target (sweepTo: the hot wallet unless
+// KEY_SWEEP_TO_ADDRESS is set). Work is grouped per address + token: one
+// balance read and one transfer cover every unswept deposit made to it.
+//
+// crypto_deposits.sweep_status is the only sweep state:
+//   NULL / queued -> topping_up -> sweeping -> swept, or failed (retried)
+// and sweep_next_at defers a row: below its threshold (DEPOSIT_SWEEP_RECHECK_MIN),
+// after a failure (DEPOSIT_SWEEP_RETRY_MIN), and while a top-up or transfer is
+// in flight (DEPOSIT_SWEEP_STUCK_MIN; past that, the row is settled from its
+// transfer's receipt).
+//
+// An address is swept only when that is worth the gas: its balance must reach
+// DEPOSIT_SWEEP_MIN_<ASSET> (token units) and DEPOSIT_SWEEP_MIN_GAS_MULTIPLE
+// times the gas of the transfer and of its top-up, priced through the *_USDT
+// rates (a token without a rate only gets the fixed minimum). ERC-20 sweeps
+// get their gas from the hot wallet through the outbound tx queue
+// (lib/outbound_txs): at most KEY_SWEEP_MAX_TOPUP per address and
+// KEY_SWEEP_TOPUP_BUDGET per chain over the last DEPOSIT_SWEEP_BUDGET_WINDOW_MIN,
+// counted from the top-ups already in outbound_txs, so scheduled runs, the
+// post-credit trigger and the CLI all draw on the same budget. Top-ups are
+// keyed per deposit address (sweep:<chain>:<address>): an unfinished one is
+// waited on, never sent again.
+//
+// Runs are serialized per chain by a MySQL named lock. A dry run takes no
+// lock, writes nothing and reports what a real run would do.
+
+const { formatUnits, parseUnits } = require('ethers');
+const money = require('./money');
+const { getChain, listChains } = require('./chains');
+const { getDepositToken } = require('./deposit_tokens');
+const { recordGasCost, gasTokenRate } = require('./house_fees');
+const { sendGasTopup } = require('./outbound_txs');
+
+const SWEEP_STATUSES = ['queued', 'topping_up', 'sweeping', 'swept', 'failed'];
+
+const SWEEP_CONFS = Number(process.env.DEPOSIT_SWEEP_CONFS || process.env.CONFIRMATIONS_REQUIRED || 1);
+const SWEEP_GAS_BUFFER_PCT = Number(process.env.DEPOSIT_SWEEP_GAS_BUFFER_PCT || 1.25);
+const SWEEP_MIN_GAS_MULTIPLE = String(process.env.DEPOSIT_SWEEP_MIN_GAS_MULTIPLE || '10');
+const SWEEP_RECHECK_MIN = Number(process.env.DEPOSIT_SWEEP_RECHECK_MIN || 60);
+const SWEEP_RETRY_MIN = Number(process.env.DEPOSIT_SWEEP_RETRY_MIN || 5);
+const SWEEP_STUCK_MIN = Number(process.env.DEPOSIT_SWEEP_STUCK_MIN || 30);
+const SWEEP_BATCH = Number(process.env.DEPOSIT_SWEEP_BATCH || 20);
+const SWEEP_BUDGET_WINDOW_MIN = Number(process.env.DEPOSIT_SWEEP_BUDGET_WINDOW_MIN || 60);
+
+const errText = (e) => String(e?.detail || e?.shortMessage || e?.message || e).slice(0, 255);
+const lockName = (chain) => `deposit_sweeper:${chain.key}`;
+const topupRef = (chain, address) => `sweep:${chain.key}:${address}`;
+
+/* ───────────── Thresholds ───────────── */
+
+/** DEPOSIT_SWEEP_MIN_<ASSET> in raw token units (0 when unset). */
+function fixedMinRaw(token) {
+  const v = String(process.env[`DEPOSIT_SWEEP_MIN_${token.symbol}`] || '').trim();
+  return v ? parseUnits(v, token.decimals) : 0n;
+}
+
+// USDT price of `asset`: the rate service, else the last stored rate
+async function usdtRate(db, asset, rates) {
+  if (asset === 'USDT') return '1';
+  return gasTokenRate(db, `${asset}_USDT`, rates).catch(() => null);
+}
+
+/**
+ * Smallest balance (raw token units) worth `costWei` of gas, or null when the
+ * token cannot be priced against the gas coin.
+ */
+async function worthGasRaw(db, { chain, token, costWei, rates }) {
+  if (!(Number(SWEEP_MIN_GAS_MULTIPLE) > 0)) return 0n;
+  const gasWei = money.mulDiv(costWei, SWEEP_MIN_GAS_MULTIPLE, 1, money.ROUND_UP);
+  if (token.native) return gasWei;
+  if (!money.hasAsset(token.symbol)) return null;
+
+  const [gasRate, assetRate] = await Promise.all([
+    usdtRate(db, chain.gasAsset, rates),
+    usdtRate(db, token.symbol, rates),
+  ]);
+  if (!gasRate || !assetRate) return null;
+
+  const gasUsdt = money.convert(
+    money.fromChainUnits(gasWei, chain.gasAsset, 18, money.ROUND_UP), chain.gasAsset, gasRate, 'USDT', money.ROUND_UP
+  );
+  const units = money.convertInverse(gasUsdt, 'USDT', assetRate, token.symbol, money.ROUND_UP);
+  return money.toChainUnits(units, token.symbol, token.decimals);
+}
+
+/* ───────────── Top-up budget ───────────── */
+
+/** Gas token sent to deposit addresses of `chain` in the budget window (wei). */
+async function topupSpentWei(db, chain) {
+  const [[row]] = await db.query(
+    `SELECT COALESCE(SUM(value_wei), 0) AS spent
+       FROM outbound_txs
+      WHERE purpose='gas_topup' AND chain=? AND ref_id LIKE CONCAT('sweep:', ?, ':%')
+        AND created_at >= NOW() - INTERVAL ? MINUTE
+        AND NOT (status='failed' AND nonce IS NULL)`,
+    [chain.key, chain.key, SWEEP_BUDGET_WINDOW_MIN]
+  );
+  return BigInt(String(row?.spent ?? 0).split('.')[0]);
+}
+
+/* ───────────── State ───────────── */
+
+async function setSweepState(db, ids, status, error = null, deferMin = 0) {
+  await db.query(
+    `UPDATE crypto_deposits
+        SET sweep_status=?, sweep_error=LEFT(?,255),
+            sweep_next_at=IF(? > 0, NOW() + INTERVAL ? MINUTE, NULL)
+      WHERE id IN (?)`,
+    [status, error, deferMin, deferMin, ids]
+  );
+}
+
+// the address is permanent: what was swept also covers the earlier open
+// deposits of the token to it (deferred ones included)
+async function markSwept(db, chain, group, txHash, note = null) {
+  await db.query(
+    `UPDATE crypto_deposits
+        SET sweep_status='swept', sweep_tx_hash=COALESCE(?, sweep_tx_hash), swept_at=NOW(),
+            sweep_error=?, sweep_next_at=NULL
+      WHERE chain=? AND LOWER(address)=? AND UPPER(asset)=? AND status='credited' AND id <= ?
+        AND (id IN (?) OR sweep_status IS NULL OR sweep_status IN ('queued','failed'))`,
+    [txHash, note, chain.key, group.address, group.asset, Math.max(...group.ids), group.ids]
+  );
+}
+
+/** Credited, unswept and due deposits of `chain`, grouped per address + token. */
+async function dueGroups(db, chain, { limit, address = null, asset = null }) {
+  const [rows] = await db.query(
+    `SELECT LOWER(address) AS address, UPPER(asset) AS asset, MAX(address_index) AS address_index,
+            GROUP_CONCAT(id ORDER BY id) AS ids
+       FROM crypto_deposits
+      WHERE chain=? AND status='credited'
+        AND (sweep_status IS NULL OR sweep_status IN ('queued','failed'))
+        AND (sweep_next_at IS NULL OR sweep_next_at <= NOW())
+        ${address ? 'AND LOWER(address)=? AND UPPER(asset)=?' : ''}
+      GROUP BY LOWER(address), UPPER(asset)
+      ORDER BY MIN(id) ASC
+      LIMIT ?`,
+    [chain.key, ...(address ? [address, asset] : []), limit]
+  );
+  return rows.map((r) => ({
+    address: r.address,
+    asset: r.asset,
+    addressIndex: Number(r.address_index || 0),
+    ids: String(r.ids).split(',').map(Number),
+  }));
+}
+
+/**
+ * Settles rows left in topping_up / sweeping past their deadline (restart,
+ * crash): from the transfer's receipt when there is one, else as failed so
+ * the next run re-reads the balance and retries.
+ */
+async function settleInFlight(db, chain, { limit, rates }) {
+  const [rows] = await db.query(
+    `SELECT id, sweep_status, sweep_tx_hash
+       FROM crypto_deposits
+      WHERE chain=? AND sweep_status IN ('topping_up','sweeping')
+        AND (sweep_next_at IS NULL OR sweep_next_at <= NOW())
+      ORDER BY id ASC
+      LIMIT ?`,
+    [chain.key, limit]
+  );
+
+  const provider = chain.provider();
+  for (const r of rows) {
+    if (r.sweep_status !== 'sweeping' || !r.sweep_tx_hash) {
+      await setSweepState(db, [r.id], 'failed', 'INTERRUPTED', 0);
+      continue;
+    }
+    const receipt = await provider.getTransactionReceipt(r.sweep_tx_hash);
+    if (receipt) {
+      await recordGasCost(db, { kind: 'sweep', refId: r.id, chain: chain.key, receipt, rates });
+      if (Number(receipt.status) === 1) {
+        await db.query(
+          `UPDATE crypto_deposits
+              SET sweep_status='swept', swept_at=NOW(), sweep_error=NULL, sweep_next_at=NULL
+            WHERE id=?`,
+          [r.id]
+        );
+      } else {
+        await setSweepState(db, [r.id], 'failed', 'SWEEP_REVERTED', 0);
+      }
+    } else if (await provider.getTransaction(r.sweep_tx_hash)) {
+      await setSweepState(db, [r.id], 'sweeping', null, SWEEP_STUCK_MIN); // still pending
+    } else {
+      await setSweepState(db, [r.id], 'failed', 'SWEEP_TX_DROPPED', 0);
+    }
+  }
+  return rows.length;
+}
+
+/* ───────────── Sweep ───────────── */
+
+/**
+ * One address + token: reads the balances, applies the thresholds and the
+ * top-up budget (ctx.budgetWei, spent as it goes), then tops up and sweeps
+ * unless ctx.dryRun. Returns the report line; never throws.
+ */
+async function sweepGroup(db, chain, group, ctx) {
+  const item = { chain: chain.key, asset: group.asset, address: group.address, deposit_ids: group.ids };
+  const lastId = Math.max(...group.ids);
+
+  const settle = async (action, status, reason, deferMin) => {
+    if (!ctx.dryRun) await setSweepState(db, group.ids, status, reason, deferMin);
+    return { ...item, action, reason };
+  };
+
+  let token;
+  let signer;
+  let amount;
+  let topupWei = 0n;
+  let gasLimit;
+  let gasPrice;
+  try {
+    token = await getDepositToken(db, chain.key, group.asset);
+    if (!token) return settle('failed', 'failed', 'UNSUPPORTED_ASSET', SWEEP_RECHECK_MIN);
+
+    signer = chain.depositWallet(group.addressIndex);
+    if (signer.address.toLowerCase() !== group.address) {
+      return settle('failed', 'failed', `DERIVED_ADDRESS_MISMATCH derived=${signer.address}`, SWEEP_RECHECK_MIN);
+    }
+
+    const provider = chain.provider();
+    gasPrice = await chain.gasPriceWei();
+    gasLimit = token.native ? chain.nativeTransferGasLimit : chain.transferGasLimit;
+    const feeWei = gasPrice * gasLimit;
+    const gasBalWei = await provider.getBalance(signer.address);
+
+    if (token.native) {
+      // everything except the gas of this very transfer
+      item.balance = formatUnits(gasBalWei, token.decimals);
+      amount = gasBalWei - feeWei;
+    } else {
+      amount = await chain.erc20(token.contract).balanceOf(signer.address);
+      item.balance = formatUnits(amount, token.decimals);
+      const bufferBps = BigInt(Math.max(10000, Math.round(SWEEP_GAS_BUFFER_PCT * 10000)));
+      const neededWei = (feeWei * bufferBps) / 10000n;
+      if (gasBalWei < neededWei) topupWei = neededWei - gasBalWei;
+    }
+    const costWei = feeWei + (topupWei > 0n ? gasPrice * chain.nativeTransferGasLimit : 0n);
+    item.gas_cost = formatUnits(costWei, 18);
+    item.topup = formatUnits(topupWei, 18);
+
+    // nothing here any more: swept by an earlier run or out of band
+    if ((token.native ? gasBalWei : amount) === 0n) {
+      if (!ctx.dryRun) await markSwept(db, chain, group, null, 'NOTHING_ON_CHAIN');
+      return { ...item, action: 'empty', reason: 'NOTHING_ON_CHAIN' };
+    }
+    if (amount <= 0n) return settle('defer', 'queued', 'BELOW_GAS', SWEEP_RECHECK_MIN);
+
+    const minRaw = fixedMinRaw(token);
+    const worthRaw = await worthGasRaw(db, { chain, token, costWei, rates: ctx.rates });
+    const threshold = worthRaw == null ? minRaw : money.max(minRaw, worthRaw);
+    item.threshold = formatUnits(threshold, token.decimals);
+    if (worthRaw == null) item.unpriced = true;
+    if (amount < threshold) return settle('defer', 'queued', 'BELOW_THRESHOLD', SWEEP_RECHECK_MIN);
+
+    if (topupWei > chain.sweepMaxTopupWei) {
+      return settle('failed', 'failed', `NEEDS_MANUAL_GAS_TOPUP (cap ${formatUnits(chain.sweepMaxTopupWei, 18)} ${chain.gasAsset})`, SWEEP_RECHECK_MIN);
+    }
+    // retried once the window has room again
+    if (topupWei > ctx.budgetWei) return settle('defer', 'queued', 'TOPUP_BUDGET_SPENT', SWEEP_RETRY_MIN);
+    ctx.budgetWei -= topupWei;
+  } catch (e) {
+    return settle('failed', 'failed', errText(e), SWEEP_RETRY_MIN);
+  }
+
+  item.amount = formatUnits(amount, token.decimals);
+  if (ctx.dryRun) return { ...item, action: 'sweep' };
+
+  try {
+    const to = chain.sweepTo();
+    if (topupWei > 0n) {
+      await setSweepState(db, group.ids, 'topping_up', null, SWEEP_STUCK_MIN);
+      const { tx, receipt } = await sendGasTopup(db, {
+        chain: chain.key,
+        refId: topupRef(chain, group.address),
+        to: signer.address,
+        valueWei: topupWei,
+      });
+      await recordGasCost(db, { kind: 'gas_topup', refId: lastId, chain: chain.key, receipt, valueWei: topupWei, rates: ctx.rates });
+      item.topup_tx_hash = tx.tx_hash;
+    }
+
+    await setSweepState(db, group.ids, 'sweeping', null, SWEEP_STUCK_MIN);
+    // legacy gas price: the top-up above was sized for it
+    const tx = token.native
+      ? await signer.sendTransaction({ to, value: amount, gasLimit, gasPrice })
+      : await chain.erc20(token.contract, signer).transfer(to, amount, { gasLimit, gasPrice });
+    await db.query('UPDATE crypto_deposits SET sweep_tx_hash=? WHERE id IN (?)', [tx.hash, group.ids]);
+    console.log('[SWEEP] sent', chain.key, group.asset, item.amount, group.address, '->', to, tx.hash);
+
+    const receipt = await tx.wait(SWEEP_CONFS);
+    await recordGasCost(db, { kind: 'sweep', refId: lastId, chain: chain.key, receipt, rates: ctx.rates });
+    if (Number(receipt.status) !== 1) throw new Error('SWEEP_REVERTED');
+
+    await markSwept(db, chain, group, tx.hash);
+    return { ...item, action: 'swept', to, sweep_tx_hash: tx.hash };
+  } catch (e) {
+    console.error('[SWEEP] failed', chain.key, group.asset, group.address, errText(e));
+    return settle('failed', 'failed', errText(e), SWEEP_RETRY_MIN);
+  }
+}
+
+async function withChainLock(db, chain, fn) {
+  const lockConn = await db.getConnection();
+  try {
+    const [[lk]] = await lockConn.query('SELECT GET_LOCK(?, 0) AS got', [lockName(chain)]);
+    if (!lk?.got) return null;
+    try {
+      return await fn();
+    } finally {
+      await lockConn.query('SELECT RELEASE_LOCK(?)', [lockName(chain)]).catch(() => {});
+    }
+  } finally {
+    lockConn.release();
+  }
+}
+
+/**
+ * One pass over one chain. `address` + `asset` restrict it to that group
+ * (post-credit trigger). Returns null when another run holds the chain.
+ */
+async function sweepChain(db, chain, { dryRun = false, limit = SWEEP_BATCH, rates = null, address = null, asset = null } = {}) {
+  const run = async () => {
+    const spentWei = await topupSpentWei(db, chain);
+    const ctx = { dryRun, rates, budgetWei: money.max(0n, chain.sweepTopupBudgetWei - spentWei) };
+    const report = {
+      chain: chain.key,
+      to: chain.sweepTo(),
+      topup_budget: formatUnits(chain.sweepTopupBudgetWei, 18),
+      topup_window_min: SWEEP_BUDGET_WINDOW_MIN,
+      topup_spent: formatUnits(spentWei, 18),
+      settled: 0,
+      items: [],
+    };
+    if (!dryRun && !address) report.settled = await settleInFlight(db, chain, { limit, rates });
+
+    for (const g of await dueGroups(db, chain, { limit, address, asset })) {
+      report.items.push(await sweepGroup(db, chain, g, ctx));
+    }
+    report.topup_budget_left = formatUnits(ctx.budgetWei, 18);
+    return report;
+  };
+  return dryRun ? run() : withChainLock(db, chain, run);
+}
+
+/**
+ * Sweep pass over every configured chain (or just `chain`).
+ *
+ * @param {object} [o]
+ * @param {string|null} [o.chain]   registry key; default every configured chain
+ * @param {boolean} [o.dryRun]      read and report only
+ * @param {number} [o.limit]        address groups per chain
+ * @param {object} [o.rates]        rate service (lib/rates), for gas pricing
+ * @returns {Promise<{ dryRun: boolean, chains: object[] }>}
+ */
+async function runSweeper(db, { chain = null, dryRun = false, limit = SWEEP_BATCH, rates = null } = {}) {
+  const chains = chain ? [getChain(chain)] : listChains();
+  const out = [];
+  for (const c of chains) {
+    try {
+      out.push((await sweepChain(db, c, { dryRun, limit, rates })) || { chain: c.key, skipped: true, reason: 'SWEEP_RUNNING' });
+    } catch (e) {
+      console.error('[SWEEP] chain failed', c.key, errText(e));
+      out.push({ chain: c.key, error: errText(e) });
+    }
+  }
+  return { dryRun, chains: out };
+}
+
+/** Sweeps the address + token of one credited deposit now (post-credit trigger). */
+async function sweepDeposit(db, depositId, { rates = null } = {}) {
+  const [[d]] = await db.query(
+    'SELECT id, chain, asset, address, status, sweep_status FROM crypto_deposits WHERE id=? LIMIT 1',
+    [depositId]
+  );
+  if (!d) throw new Error('DEPOSIT_NOT_FOUND');
+  if (d.status !== 'credited') return { skipped: true, reason: 'not_credited' };
+  if (d.sweep_status === 'swept') return { skipped: true, reason: 'already_swept' };
+
+  const report = await sweepChain(db, getChain(d.chain), {
+    limit: 1,
+    rates,
+    address: String(d.address).toLowerCase(),
+    asset: String(d.asset).toUpperCase(),
+  });
+  if (!report) return { skipped: true, reason: 'sweeper_busy' };
+  return report.items[0] || { skipped: true, reason: 'not_due' };
+}
+
+module.exports = {
+  SWEEP_STATUSES,
+  runSweeper,
+  sweepDeposit,
+};
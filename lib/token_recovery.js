@@ -0,0 +1,387 @@
+// /server/lib/token_recovery.js (CommonJS, ethers v6)
+// Tokens sent to our deposit addresses that we do not credit: ERC-20s outside
+// the deposit token registry (lib/deposit_tokens), ERC-721 and ERC-1155 NFTs.
+//
+// The watcher records each such transfer in unsupported_transfers
+// (migrations/016); admins see them as a recovery queue (/admin/token-recovery)
+// and a superadmin can send them on to the chain's recovery address
+// (KEY_RECOVERY_ADDRESS / TOKEN_RECOVERY_ADDRESS, lib/chains), signed by the
+// deposit address's HD key after a gas top-up from the hot wallet. Nothing
+// was credited, so nothing touches wallet_ledger: every attempt is audited in
+// token_recoveries instead.
+//
+// Rows are not orphaned on reorg (a re-mined transfer just updates its block);
+// recovery checks the address still holds the tokens before sending.
+
+const { AbiCoder, Contract, id: keccakId, isAddress, formatUnits } = require('ethers');
+const { getChain } = require('./chains');
+const { recordGasCost } = require('./house_fees');
+const { sendGasTopup } = require('./outbound_txs');
+
+const STANDARDS = ['erc20', 'erc721', 'erc1155'];
+const STATUSES = ['detected', 'recovering', 'recovered', 'failed', 'ignored'];
+// a failed recovery can be retried; anything else is final or in flight
+const OPEN_STATUSES = ['detected', 'failed'];
+const QUEUE_MAX_PAGE = 100;
+
+const ERC1155_SINGLE_TOPIC = keccakId('TransferSingle(address,address,address,uint256,uint256)');
+const ERC1155_BATCH_TOPIC = keccakId('TransferBatch(address,address,address,uint256[],uint256[])');
+
+const ABI = {
+  erc20: [
+    'function balanceOf(address owner) view returns (uint256)',
+    'function transfer(address to, uint256 value) returns (bool)',
+  ],
+  erc721: [
+    'function ownerOf(uint256 tokenId) view returns (address)',
+    'function transferFrom(address from, address to, uint256 tokenId)',
+  ],
+  erc1155: [
+    'function balanceOf(address owner, uint256 id) view returns (uint256)',
+    'function safeTransferFrom(address from, address to, uint256 id, uint256 value, bytes data)',
+  ],
+};
+const META_ABI = [
+  'function symbol() view returns (string)',
+  'function decimals() view returns (uint8)',
+];
+
+const RECOVERY_CONFS = Number(process.env.TOKEN_RECOVERY_CONFS || 1);
+const RECOVERY_GAS_BUFFER_PCT = Number(process.env.TOKEN_RECOVERY_GAS_BUFFER_PCT || 1.25);
+
+function recoveryError(code, statusCode, extra = {}) {
+  return Object.assign(new Error(code), { statusCode, ...extra });
+}
+
+/** The ids and amounts of an ERC-1155 TransferSingle / TransferBatch log. */
+function decodeErc1155(log) {
+  const coder = AbiCoder.defaultAbiCoder();
+  if (log.topics[0] === ERC1155_SINGLE_TOPIC) {
+    const [tokenId, value] = coder.decode(['uint256', 'uint256'], log.data);
+    return [{ tokenId, raw: value }];
+  }
+  const [ids, values] = coder.decode(['uint256[]', 'uint256[]'], log.data);
+  return ids.map((tokenId, i) => ({ tokenId, raw: values[i] }));
+}
+
+// symbol / decimals as the contract reports them, once per contract and process
+const metaCache = new Map();
+
+async function tokenMeta(chain, contract, standard) {
+  const key = `${chain.key}:${contract}`;
+  if (!metaCache.has(key)) {
+    const c = new Contract(contract, META_ABI, chain.provider());
+    const [symbol, decimals] = await Promise.all([
+      c.symbol().then((s) => String(s).slice(0, 32)).catch(() => null),
+      standard === 'erc20' ? c.decimals().then(Number).catch(() => null) : null,
+    ]);
+    metaCache.set(key, { symbol, decimals });
+  }
+  return metaCache.get(key);
+}
+
+/**
+ * Records one unsupported transfer into a deposit address (watcher). Safe to
+ * call again for the same log: only the block is updated.
+ *
+ * @param {object} t
+ * @param {string} t.chain        registry key
+ * @param {string} t.txHash
+ * @param {number} t.logIndex
+ * @param {number} [t.subIndex]   position in an ERC-1155 TransferBatch
+ * @param {number} t.blockNumber
+ * @param {string} t.blockHash
+ * @param {'erc20'|'erc721'|'erc1155'} t.standard
+ * @param {string} t.contract
+ * @param {bigint|null} [t.tokenId]
+ * @param {bigint} t.raw          on-chain amount (1 for ERC-721)
+ * @param {string|null} t.from
+ * @param {object} addr           deposit_addresses row it was sent to
+ * @returns {Promise<boolean>} true if the transfer is new
+ */
+async function recordUnsupportedTransfer(db, t, addr) {
+  const chain = getChain(t.chain);
+  const contract = String(t.contract).toLowerCase();
+  const meta = await tokenMeta(chain, contract, t.standard);
+
+  const [ins] = await db.query(
+    `INSERT IGNORE INTO unsupported_transfers
+       (chain, tx_hash, log_index, sub_index, block_number, block_hash, standard, token_contract,
+        token_symbol, token_decimals, token_id, raw_amount, from_address, to_address,
+        deposit_address_id, user_id)
+     VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+    [
+      chain.key, t.txHash, t.logIndex, t.subIndex || 0, t.blockNumber, t.blockHash, t.standard, contract,
+      meta.symbol, meta.decimals, t.tokenId == null ? null : String(t.tokenId), String(t.raw),
+      t.from, String(addr.address).toLowerCase(), addr.id, addr.user_id,
+    ]
+  );
+
+  const created = ins.affectedRows === 1;
+  if (!created) {
+    await db.query(
+      `UPDATE unsupported_transfers SET block_number=?, block_hash=?
+        WHERE chain=? AND tx_hash=? AND log_index=? AND sub_index=?`,
+      [t.blockNumber, t.blockHash, chain.key, t.txHash, t.logIndex, t.subIndex || 0]
+    );
+  } else {
+    console.warn(
+      `[RECOVERY] unsupported ${t.standard} ${meta.symbol || '?'} ${contract} -> ${addr.address} (user ${addr.user_id})` +
+      ` raw=${t.raw}${t.tokenId != null ? ` id=${t.tokenId}` : ''} tx=${t.txHash}#${t.logIndex}`
+    );
+  }
+  return created;
+}
+
+function formatTransfer(r) {
+  const raw = String(r.raw_amount);
+  return {
+    id: r.id,
+    chain: r.chain,
+    standard: r.standard,
+    token_contract: r.token_contract,
+    token_symbol: r.token_symbol,
+    token_decimals: r.token_decimals == null ? null : Number(r.token_decimals),
+    token_id: r.token_id,
+    raw_amount: raw,
+    amount: r.token_decimals == null ? null : formatUnits(BigInt(raw), Number(r.token_decimals)),
+    from_address: r.from_address,
+    to_address: r.to_address,
+    user_id: r.user_id == null ? null : Number(r.user_id),
+    tx_hash: r.tx_hash,
+    log_index: Number(r.log_index),
+    block_number: Number(r.block_number),
+    status: r.status,
+    recovery_tx_hash: r.recovery_tx_hash,
+    error: r.error,
+    note: r.note,
+    resolved_by: r.resolved_by,
+    resolved_at: r.resolved_at,
+    created_at: r.created_at,
+  };
+}
+
+/**
+ * The recovery queue, newest first.
+ * @returns {Promise<{ items: object[], next_before: number|null }>}
+ */
+async function listUnsupportedTransfers(db, { chain = null, status = null, before = 0, limit = 50 } = {}) {
+  const pageSize = Math.min(QUEUE_MAX_PAGE, Math.max(1, Number(limit) || 50));
+  const where = ['1=1'];
+  const args = [];
+  if (chain) { where.push('chain=?'); args.push(chain); }
+  if (status) { where.push('status=?'); args.push(status); }
+  if (Number(before) > 0) { where.push('id < ?'); args.push(Number(before)); }
+
+  const [rows] = await db.query(
+    `SELECT * FROM unsupported_transfers
+      WHERE ${where.join(' AND ')}
+      ORDER BY id DESC
+      LIMIT ?`,
+    [...args, pageSize + 1]
+  );
+
+  const hasMore = rows.length > pageSize;
+  const items = rows.slice(0, pageSize).map(formatTransfer);
+  return { items, next_before: hasMore ? items[items.length - 1].id : null };
+}
+
+/** One queue item with its recovery attempts, or null. */
+async function getUnsupportedTransfer(db, id) {
+  const [[row]] = await db.query('SELECT * FROM unsupported_transfers WHERE id=?', [id]);
+  if (!row) return null;
+  const [attempts] = await db.query(
+    `SELECT id, to_address, gas_topup_tx_hash, tx_hash, status, error, admin_ref, created_at
+       FROM token_recoveries
+      WHERE transfer_id=?
+      ORDER BY id ASC`,
+    [id]
+  );
+  return { ...formatTransfer(row), recoveries: attempts };
+}
+
+async function loadOpen(db, id) {
+  const [[row]] = await db.query('SELECT * FROM unsupported_transfers WHERE id=?', [id]);
+  if (!row) throw recoveryError('NOT_FOUND', 404);
+  if (!OPEN_STATUSES.includes(row.status)) throw recoveryError('BAD_STATUS', 409, { status: row.status });
+  return row;
+}
+
+// Contract call that moves the item from `from` to `to`, after checking it is still held
+async function buildTransfer(row, signer, to) {
+  const from = signer.address;
+  const c = new Contract(row.token_contract, ABI[row.standard], signer);
+  const raw = BigInt(row.raw_amount);
+
+  if (row.standard === 'erc20') {
+    const held = await c.balanceOf(from);
+    if (held < raw) throw recoveryError('NOT_HELD', 409, { held: held.toString() });
+    return { c, method: 'transfer', args: [to, raw] };
+  }
+  const tokenId = BigInt(row.token_id);
+  if (row.standard === 'erc721') {
+    const owner = await c.ownerOf(tokenId);
+    if (String(owner).toLowerCase() !== from.toLowerCase()) throw recoveryError('NOT_HELD', 409, { owner });
+    return { c, method: 'transferFrom', args: [from, to, tokenId] };
+  }
+  const held = await c.balanceOf(from, tokenId);
+  if (held < raw) throw recoveryError('NOT_HELD', 409, { held: held.toString() });
+  return { c, method: 'safeTransferFrom', args: [from, to, tokenId, raw, '0x'] };
+}
+
+// Hot wallet -> deposit address (outbound tx queue), enough gas token for `gasLimit` (capped per chain)
+async function topUpGas(db, { chain, signer, gasLimit, gasPrice, refId, rates }) {
+  const bufferBps = BigInt(Math.max(10000, Math.round(RECOVERY_GAS_BUFFER_PCT * 10000)));
+  const neededWei = (gasPrice * gasLimit * bufferBps) / 10000n;
+  const balWei = await chain.provider().getBalance(signer.address);
+  if (balWei >= neededWei) return null;
+
+  const diffWei = neededWei - balWei;
+  if (diffWei > chain.sweepMaxTopupWei) {
+    throw recoveryError('NEEDS_MANUAL_GAS_TOPUP', 409, {
+      needed: formatUnits(diffWei, 18),
+      cap: formatUnits(chain.sweepMaxTopupWei, 18),
+    });
+  }
+
+  const { tx, receipt } = await sendGasTopup(db, {
+    chain: chain.key,
+    refId: `recovery:${refId}`,
+    to: signer.address,
+    valueWei: diffWei,
+  });
+  await recordGasCost(db, { kind: 'recovery', refId, chain: chain.key, receipt, valueWei: diffWei, rates });
+  return tx.tx_hash;
+}
+
+/**
+ * Sends one queued transfer to the recovery address (superadmin action).
+ * Throws coded errors (statusCode set) for the API; a failure after the item
+ * was claimed marks it 'failed' so it can be retried.
+ *
+ * @param {object} r
+ * @param {number} r.id        unsupported_transfers id
+ * @param {string|null} [r.to] overrides the chain's recovery address
+ * @param {string} r.adminRef  who triggered it (audit)
+ * @param {object} [r.rates]   rate service, for gas cost pricing
+ */
+async function recoverUnsupportedTransfer(db, { id, to = null, adminRef, rates = null }) {
+  const row = await loadOpen(db, id);
+
+  let chain;
+  try {
+    chain = getChain(row.chain);
+  } catch (_) {
+    throw recoveryError('UNSUPPORTED_CHAIN', 400);
+  }
+  const recipient = to || chain.recoveryTo();
+  if (!recipient) throw recoveryError('NO_RECOVERY_ADDRESS', 400);
+  if (!isAddress(recipient)) throw recoveryError('BAD_RECOVERY_ADDRESS', 400);
+
+  const [[addr]] = await db.query(
+    'SELECT address, address_index FROM deposit_addresses WHERE chain=? AND address=? LIMIT 1',
+    [row.chain, row.to_address]
+  );
+  if (!addr) throw recoveryError('DEPOSIT_ADDRESS_NOT_FOUND', 409);
+  const signer = chain.depositWallet(Number(addr.address_index));
+  if (signer.address.toLowerCase() !== String(addr.address).toLowerCase()) {
+    throw recoveryError('DERIVED_ADDRESS_MISMATCH', 500);
+  }
+
+  // claim: a second click (or admin) loses here
+  const [claim] = await db.query(
+    `UPDATE unsupported_transfers
+        SET status='recovering', error=NULL
+      WHERE id=? AND status IN (?)`,
+    [id, OPEN_STATUSES]
+  );
+  if (!claim.affectedRows) throw recoveryError('BAD_STATUS', 409);
+
+  const audit = {
+    transfer_id: id,
+    chain: chain.key,
+    standard: row.standard,
+    token_contract: row.token_contract,
+    token_id: row.token_id,
+    raw_amount: String(row.raw_amount),
+    from_address: signer.address.toLowerCase(),
+    to_address: recipient.toLowerCase(),
+    gas_topup_tx_hash: null,
+    tx_hash: null,
+    admin_ref: adminRef,
+  };
+
+  try {
+    const { c, method, args } = await buildTransfer(row, signer, recipient);
+    const gasLimit = (await c[method].estimateGas(...args)) * 12n / 10n;
+    const gasPrice = await chain.gasPriceWei();
+
+    audit.gas_topup_tx_hash = await topUpGas(db, { chain, signer, gasLimit, gasPrice, refId: id, rates });
+
+    const tx = await c[method](...args, { gasLimit, gasPrice });
+    audit.tx_hash = tx.hash;
+    const receipt = await tx.wait(RECOVERY_CONFS);
+    await recordGasCost(db, { kind: 'recovery', refId: id, chain: chain.key, receipt, rates });
+    if (Number(receipt.status) !== 1) throw recoveryError('TX_REVERTED', 502);
+
+    await db.query(
+      `UPDATE unsupported_transfers
+          SET status='recovered', recovery_tx_hash=?, resolved_by=?, resolved_at=NOW()
+        WHERE id=?`,
+      [tx.hash, adminRef, id]
+    );
+    await insertAudit(db, { ...audit, status: 'sent', error: null });
+    console.warn('[RECOVERY] sent', { id, by: adminRef, to: audit.to_address, tx: tx.hash });
+
+    return { ok: true, id, to: audit.to_address, tx_hash: tx.hash, gas_topup_tx_hash: audit.gas_topup_tx_hash };
+  } catch (e) {
+    const msg = String(e?.shortMessage || e?.message || e).slice(0, 255);
+    console.error('[RECOVERY] failed', { id, by: adminRef, error: msg });
+    await db.query(
+      "UPDATE unsupported_transfers SET status='failed', error=? WHERE id=?",
+      [msg, id]
+    ).catch(() => {});
+    await insertAudit(db, { ...audit, status: 'failed', error: msg }).catch(() => {});
+    throw e.statusCode ? e : recoveryError('RECOVERY_FAILED', 502, { detail: msg });
+  }
+}
+
+async function insertAudit(db, a) {
+  await db.query(
+    `INSERT INTO token_recoveries
+       (transfer_id, chain, standard, token_contract, token_id, raw_amount, from_address, to_address,
+        gas_topup_tx_hash, tx_hash, status, error, admin_ref)
+     VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+    [
+      a.transfer_id, a.chain, a.standard, a.token_contract, a.token_id, a.raw_amount, a.from_address,
+      a.to_address, a.gas_topup_tx_hash, a.tx_hash, a.status, a.error, a.admin_ref,
+    ]
+  );
+}
+
+/** Closes a queue item without moving anything (spam airdrops, dust). */
+async function ignoreUnsupportedTransfer(db, { id, adminRef, note = null }) {
+  await loadOpen(db, id);
+  const [upd] = await db.query(
+    `UPDATE unsupported_transfers
+        SET status='ignored', note=?, resolved_by=?, resolved_at=NOW()
+      WHERE id=? AND status IN (?)`,
+    [note, adminRef, id, OPEN_STATUSES]
+  );
+  if (!upd.affectedRows) throw recoveryError('BAD_STATUS', 409);
+  console.warn('[RECOVERY] ignored', { id, by: adminRef, note });
+  return { ok: true, id };
+}
+
+module.exports = {
+  STANDARDS,
+  STATUSES,
+  ERC1155_SINGLE_TOPIC,
+  ERC1155_BATCH_TOPIC,
+  decodeErc1155,
+  recordUnsupportedTransfer,
+  listUnsupportedTransfers,
+  getUnsupportedTransfer,
+  recoverUnsupportedTransfer,
+  ignoreUnsupportedTransfer,
+};
@@ -0,0 +1,131 @@
+// /server/lib/transfer_quotes.js (CommonJS)
+// Binding quotes for POST /v1/wallet/transfer.
+//
+//   POST /v1/wallet/transfer/quote  -> fees + rates locked, stored with a TTL
+//   POST /v1/wallet/transfer        -> { quote_id, … } is charged exactly that quote
+//
+// A quote is single use and only valid for the user, kind, asset, chain,
+// amount (and to_address, if one was quoted) it was issued for.
+
+const crypto = require('crypto');
+const money = require('./money');
+
+const TRANSFER_QUOTE_TTL_SEC = Number(process.env.TRANSFER_QUOTE_TTL_SEC || 60);
+
+function newQuoteId() {
+  return `q_${crypto.randomBytes(12).toString('hex')}`;
+}
+
+/**
+ * Persists a quote produced by quoteCryptoTransfer / quoteBankTransfer.
+ *
+ * @returns {Promise<{ id: string, expiresAt: Date, ttlSec: number }>}
+ */
+async function createTransferQuote(db, {
+  userId, kind, asset, chain = null, amount, toAddress = null, quote, ttlSec = TRANSFER_QUOTE_TTL_SEC,
+}) {
+  const id = newQuoteId();
+  await db.query(
+    `INSERT INTO transfer_quotes
+       (id, user_id, kind, asset, chain, amount, total_debit, recv_amount_php,
+        rate_bnb_usdt, rate_usdt_php, to_address, quote_json, expires_at)
+     VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, NOW() + INTERVAL ? SECOND)`,
+    [
+      id, userId, kind, asset, chain, amount,
+      String(quote.total_debit_usdt),
+      quote.recv_amount_php == null ? null : String(quote.recv_amount_php),
+      quote.rate_bnb_usdt ?? null,
+      quote.rate_usdt_php ?? null,
+      toAddress,
+      JSON.stringify(quote),
+      ttlSec,
+    ]
+  );
+  return { id, expiresAt: new Date(Date.now() + ttlSec * 1000), ttlSec };
+}
+
+/**
+ * Loads a quote for submit and checks it still applies to this request.
+ *
+ * @returns {Promise<{ ok: true, row: object, quote: object }
+ *         | { ok: false, status: number, error: string }>}
+ */
+async function loadTransferQuote(db, { quoteId, userId, kind, asset, chain, amountUnits, toAddress }) {
+  const [[row]] = await db.query(
+    `SELECT *, expires_at <= NOW() AS expired
+       FROM transfer_quotes
+      WHERE id=? AND user_id=?`,
+    [quoteId, userId]
+  );
+  if (!row) return { ok: false, status: 404, error: 'QUOTE_NOT_FOUND' };
+  if (row.used_at) return { ok: false, status: 409, error: 'QUOTE_ALREADY_USED' };
+  if (Number(row.expired)) return { ok: false, status: 409, error: 'QUOTE_EXPIRED' };
+
+  const sameTarget =
+    row.kind === kind &&
+    row.asset === asset &&
+    (row.kind !== 'crypto' || row.chain === chain) &&
+    money.parse(row.amount, asset) === amountUnits &&
+    (!row.to_address || String(row.to_address).toLowerCase() === String(toAddress || '').toLowerCase());
+  if (!sameTarget) return { ok: false, status: 400, error: 'QUOTE_MISMATCH' };
+
+  const quote = typeof row.quote_json === 'string' ? JSON.parse(row.quote_json) : row.quote_json;
+  return { ok: true, row, quote };
+}
+
+/**
+ * Marks the quote used inside the transfer transaction. Returns false when
+ * another request used it first or it expired in the meantime.
+ */
+async function useTransferQuote(conn, quoteId, userId) {
+  const [r] = await conn.query(
+    `UPDATE transfer_quotes
+        SET used_at = NOW()
+      WHERE id=? AND user_id=? AND used_at IS NULL AND expires_at > NOW()`,
+    [quoteId, userId]
+  );
+  return r.affectedRows === 1;
+}
+
+// |live - locked| / locked in basis points, rounded up
+function driftBps(locked, live, asset) {
+  if (locked == null || live == null) return 0;
+  const a = money.parse(locked, asset);
+  const b = money.parse(live, asset);
+  if (a <= 0n) return 0;
+  const diff = a > b ? a - b : b - a;
+  return Number((diff * 10000n + a - 1n) / a);
+}
+
+/**
+ * How far a fresh quote has moved from the locked one: the larger of the
+ * total debit and PHP payout drift, in basis points.
+ */
+function quoteDriftBps(locked, live) {
+  return Math.max(
+    driftBps(locked.total_debit_usdt, live.total_debit_usdt, 'USDT'),
+    driftBps(locked.recv_amount_php, live.recv_amount_php, 'PHP'),
+  );
+}
+
+/**
+ * Deletes unused quotes that expired more than a day ago (used ones stay as
+ * the record of what was charged). Returns the row count.
+ */
+async function purgeExpiredQuotes(db) {
+  const [r] = await db.query(
+    `DELETE FROM transfer_quotes
+      WHERE used_at IS NULL AND expires_at < NOW() - INTERVAL 1 DAY
+      LIMIT 5000`
+  );
+  return r.affectedRows || 0;
+}
+
+module.exports = {
+  TRANSFER_QUOTE_TTL_SEC,
+  createTransferQuote,
+  loadTransferQuote,
+  useTransferQuote,
+  quoteDriftBps,
+  purgeExpiredQuotes,
+};
@@ -0,0 +1,467 @@
+// /server/lib/treasury.js (CommonJS, ethers v6)
+// Solvency monitor: per asset, what we owe users against what we hold on chain.
+//
+//   owed = wallet_balances + pending referral_events + claimable reward_credits
+//          + withdrawals debited but not sent yet (the coins are still ours),
+//            failed ones awaiting their refund included; broadcast ones have
+//            already left the hot wallet
+//   held = hot wallet + sweep target + cold wallet + unswept deposit addresses,
+//          read on chain
+//          for every chain in the registry and every token it knows
+//          (lib/deposit_tokens, plus the native gas coin)
+//
+// runTreasurySnapshot() stores both sides in treasury_snapshots /
+// treasury_snapshot_assets (migrations/019) with coverage = held / owed. An
+// asset below its threshold (TREASURY_MIN_COVERAGE, per asset
+// TREASURY_MIN_COVERAGE_<ASSET>) opens a treasury_alerts row, logged and
+// emailed to TREASURY_ALERT_EMAIL; the first snapshot back above resolves it.
+// Assets with failed balance reads are marked incomplete and never alert, and
+// off-chain assets (PHP, …) get no coverage at all.
+
+const { formatUnits } = require('ethers');
+const money = require('./money');
+const { listChains } = require('./chains');
+const { listDepositTokens } = require('./deposit_tokens');
+const { sendMail } = require('./mailer');
+
+const TREASURY_MIN_COVERAGE = Number(process.env.TREASURY_MIN_COVERAGE || 1);
+const TREASURY_MAX_DEPOSIT_ADDRESSES = Number(process.env.TREASURY_MAX_DEPOSIT_ADDRESSES || 500);
+const TREASURY_ALERT_EMAIL = (process.env.TREASURY_ALERT_EMAIL || '').trim();
+
+const ALERT_STATUSES = ['open', 'acknowledged', 'resolved'];
+const ACTIVE_ALERT = ['open', 'acknowledged'];
+const COVERAGE_DP = 4;
+
+const errText = (e) => String(e?.shortMessage || e?.message || e).slice(0, 255);
+
+// Amounts are BigInt units at the asset's ledger precision (lib/money.js);
+// assets unknown to the money module fall back to 18 dp.
+const dpFor = (asset) => (money.hasAsset(asset) ? money.dpOf(asset) : 18);
+const toUnits = (value, asset) => money.toUnitsDp(value ?? 0, dpFor(asset));
+const fmt = (units, asset) => money.formatDp(units, dpFor(asset));
+
+function rawToUnits(raw, asset, decimals) {
+  return money.hasAsset(asset)
+    ? money.fromChainUnits(BigInt(raw), asset, decimals, money.ROUND_DOWN)
+    : money.toUnitsDp(formatUnits(BigInt(raw), decimals), 18, { rounding: money.ROUND_DOWN });
+}
+
+function minCoverage(asset) {
+  const v = process.env[`TREASURY_MIN_COVERAGE_${asset}`];
+  return v != null && v !== '' ? Number(v) : TREASURY_MIN_COVERAGE;
+}
+
+/* ───────────── Owed ───────────── */
+
+const OWED_PARTS = ['balances', 'referrals', 'reward_credits', 'withdrawals'];
+
+/** Map asset -> { balances, referrals, reward_credits, withdrawals } (units). */
+async function owedByAsset(db) {
+  const out = new Map();
+  const add = (rows, part) => {
+    for (const r of rows) {
+      const asset = String(r.asset).toUpperCase();
+      if (!out.has(asset)) out.set(asset, Object.fromEntries(OWED_PARTS.map((p) => [p, 0n])));
+      out.get(asset)[part] += toUnits(r.total, asset);
+    }
+  };
+
+  const [balances] = await db.query(
+    'SELECT UPPER(asset) AS asset, SUM(balance) AS total FROM wallet_balances GROUP BY UPPER(asset)'
+  );
+  add(balances, 'balances');
+
+  const [referrals] = await db.query(
+    `SELECT UPPER(asset) AS asset, SUM(commission_amount) AS total
+       FROM referral_events
+      WHERE status='pending'
+      GROUP BY UPPER(asset)`
+  );
+  add(referrals, 'referrals');
+
+  // reward credits are denominated in USDT
+  const [credits] = await db.query(
+    `SELECT 'USDT' AS asset, COALESCE(SUM(amount_usdt), 0) AS total
+       FROM reward_credits
+      WHERE status='claimable' AND (expires_at IS NULL OR expires_at > NOW())`
+  );
+  add(credits, 'reward_credits');
+
+  const [withdrawals] = await db.query(
+    `SELECT UPPER(asset) AS asset, SUM(amount) AS total
+       FROM withdrawals
+      WHERE status IN ('requested','pending_review','queued','failed')
+      GROUP BY UPPER(asset)`
+  );
+  add(withdrawals, 'withdrawals');
+
+  return out;
+}
+
+/* ───────────── Held ───────────── */
+
+async function readBalance(chain, token, address) {
+  if (token.native) return chain.provider().getBalance(address);
+  return chain.erc20(token.contract).balanceOf(address);
+}
+
+/**
+ * On-chain holdings of one chain: one entry per (source, address, asset)
+ * with a non-zero balance; failed reads go to `errors`.
+ */
+async function holdingsOfChain(db, chain, errors) {
+  const tokens = await listDepositTokens(db, chain.key, { enabledOnly: false });
+  if (!tokens.some((t) => t.native)) {
+    tokens.push({ symbol: chain.gasAsset, contract: null, native: true, decimals: 18 });
+  }
+  const bySymbol = new Map(tokens.map((t) => [t.symbol, t]));
+
+  const wallets = [];
+  const hot = chain.hotWallet().address.toLowerCase();
+  wallets.push({ source: 'hot', address: hot, assets: tokens.map((t) => t.symbol) });
+  const sweep = String(chain.sweepTo()).toLowerCase();
+  if (sweep !== hot) wallets.push({ source: 'sweep', address: sweep, assets: tokens.map((t) => t.symbol) });
+
+  // cold storage: the configured cold wallet and wherever the rebalancer
+  // (lib/treasury_rebalance.js) has moved hot wallet excess to
+  const [coldRows] = await db.query(
+    `SELECT DISTINCT LOWER(to_address) AS address
+       FROM treasury_movements
+      WHERE chain=? AND direction='hot_to_cold' AND status='confirmed' AND to_address IS NOT NULL`,
+    [chain.key]
+  );
+  const cold = new Set(coldRows.map((r) => r.address));
+  if (chain.coldTo()) cold.add(String(chain.coldTo()).toLowerCase());
+  for (const address of cold) {
+    if (address === hot || address === sweep) continue;
+    wallets.push({ source: 'cold', address, assets: tokens.map((t) => t.symbol) });
+  }
+
+  // deposit addresses: only the assets still waiting for a sweep there
+  const [rows] = await db.query(
+    `SELECT LOWER(address) AS address, GROUP_CONCAT(DISTINCT asset) AS assets
+       FROM crypto_deposits
+      WHERE chain=? AND status='credited' AND COALESCE(sweep_status, '') <> 'swept'
+      GROUP BY LOWER(address)
+      ORDER BY MIN(id) ASC
+      LIMIT ?`,
+    [chain.key, TREASURY_MAX_DEPOSIT_ADDRESSES + 1]
+  );
+  if (rows.length > TREASURY_MAX_DEPOSIT_ADDRESSES) {
+    errors.push({
+      chain: chain.key,
+      asset: null,
+      error: `DEPOSIT_ADDRESSES_TRUNCATED: only the first ${TREASURY_MAX_DEPOSIT_ADDRESSES} were read`,
+    });
+  }
+  for (const r of rows.slice(0, TREASURY_MAX_DEPOSIT_ADDRESSES)) {
+    wallets.push({ source: 'deposits', address: r.address, assets: String(r.assets).toUpperCase().split(',') });
+  }
+
+  const holdings = [];
+  for (const w of wallets) {
+    for (const symbol of w.assets) {
+      const token = bySymbol.get(symbol);
+      if (!token) continue; // asset no longer in the registry: nothing to read
+      try {
+        const raw = await readBalance(chain, token, w.address);
+        if (BigInt(raw) === 0n) continue;
+        holdings.push({
+          chain: chain.key, source: w.source, address: w.address, asset: symbol,
+          units: rawToUnits(raw, symbol, token.decimals),
+        });
+      } catch (e) {
+        errors.push({ chain: chain.key, asset: symbol, address: w.address, error: errText(e) });
+      }
+    }
+  }
+  return { holdings, assets: tokens.map((t) => t.symbol) };
+}
+
+/* ───────────── Snapshot ───────────── */
+
+function coverageOf(held, owed) {
+  if (owed <= 0n) return null;
+  return money.formatDp((held * 10n ** BigInt(COVERAGE_DP)) / owed, COVERAGE_DP);
+}
+
+/** Emails the treasury team (TREASURY_ALERT_EMAIL); never throws. */
+async function notifyTreasury(subject, lines) {
+  if (!TREASURY_ALERT_EMAIL) return;
+  const appName = process.env.APP_NAME || 'Vegapunk Wallet';
+  try {
+    await sendMail({ to: TREASURY_ALERT_EMAIL, subject: `[${appName}] ${subject}`, text: lines.join('\n') });
+  } catch (e) {
+    console.error('[TREASURY] email failed', errText(e));
+  }
+}
+
+async function notifyAlert(alert) {
+  console.error('[TREASURY] coverage below threshold', alert);
+  await notifyTreasury(`Treasury alert: ${alert.asset} coverage ${alert.coverage}`, [
+    `${alert.asset} coverage is ${alert.coverage} (threshold ${alert.min_coverage}).`,
+    `Owed to users: ${alert.owed_total} ${alert.asset}`,
+    `Held on chain: ${alert.held_total} ${alert.asset}`,
+    `Snapshot #${alert.snapshot_id}, alert #${alert.id}.`,
+  ]);
+}
+
+// Opens / refreshes / resolves the alert of one asset after a snapshot
+async function updateAlert(db, snapshotId, a) {
+  const [[active]] = await db.query(
+    `SELECT id, lowest_coverage FROM treasury_alerts WHERE asset=? AND status IN (?) ORDER BY id DESC LIMIT 1`,
+    [a.asset, ACTIVE_ALERT]
+  );
+
+  if (!a.below_threshold) {
+    if (active && a.coverage != null && !a.incomplete) {
+      await db.query(
+        `UPDATE treasury_alerts SET status='resolved', resolved_at=NOW(), last_snapshot_id=?, coverage=? WHERE id=?`,
+        [snapshotId, a.coverage, active.id]
+      );
+      console.warn('[TREASURY] coverage back above threshold', { asset: a.asset, coverage: a.coverage, alert: active.id });
+    }
+    return;
+  }
+
+  if (active) {
+    await db.query(
+      `UPDATE treasury_alerts
+          SET last_snapshot_id=?, coverage=?, lowest_coverage=LEAST(lowest_coverage, ?),
+              owed_total=?, held_total=?
+        WHERE id=?`,
+      [snapshotId, a.coverage, a.coverage, a.owed_total, a.held_total, active.id]
+    );
+    return;
+  }
+
+  const [ins] = await db.query(
+    `INSERT INTO treasury_alerts
+       (asset, first_snapshot_id, last_snapshot_id, coverage, lowest_coverage, min_coverage, owed_total, held_total)
+     VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+    [a.asset, snapshotId, snapshotId, a.coverage, a.coverage, a.min_coverage, a.owed_total, a.held_total]
+  );
+  await notifyAlert({ id: ins.insertId, snapshot_id: snapshotId, ...a });
+}
+
+/**
+ * Takes one solvency snapshot and persists it.
+ *
+ * @param {import('mysql2/promise').Pool} db
+ * @param {object} [opts]
+ * @param {string} [opts.triggeredBy]  'schedule' | 'admin:<id>'
+ */
+async function runTreasurySnapshot(db, { triggeredBy = 'schedule' } = {}) {
+  const [ins] = await db.query('INSERT INTO treasury_snapshots (triggered_by) VALUES (?)', [triggeredBy]);
+  const snapshotId = ins.insertId;
+
+  try {
+    const owed = await owedByAsset(db);
+
+    const errors = [];
+    const holdings = [];
+    const onchainAssets = new Set();
+    for (const chain of listChains()) {
+      // known on-chain even if every read below fails (then: incomplete, not off-chain)
+      onchainAssets.add(chain.gasAsset);
+      Object.keys(chain.tokens).filter((x) => chain.supports(x)).forEach((x) => onchainAssets.add(x));
+      try {
+        const out = await holdingsOfChain(db, chain, errors);
+        holdings.push(...out.holdings);
+        out.assets.forEach((a) => onchainAssets.add(a));
+      } catch (e) {
+        errors.push({ chain: chain.key, asset: null, error: errText(e) });
+      }
+    }
+
+    // a chain-wide failure leaves every asset incomplete
+    const chainFailed = errors.some((e) => e.asset == null);
+    const incompleteAssets = new Set(errors.filter((e) => e.asset).map((e) => e.asset));
+
+    const assets = [...new Set([...owed.keys(), ...onchainAssets])].sort();
+    const rows = assets.map((asset) => {
+      const o = owed.get(asset) || Object.fromEntries(OWED_PARTS.map((p) => [p, 0n]));
+      const owedTotal = OWED_PARTS.reduce((s, p) => s + o[p], 0n);
+      const held = { hot: 0n, sweep: 0n, cold: 0n, deposits: 0n };
+      for (const h of holdings) if (h.asset === asset) held[h.source] += h.units;
+      const heldTotal = held.hot + held.sweep + held.cold + held.deposits;
+
+      const onchain = onchainAssets.has(asset);
+      const incomplete = onchain && (chainFailed || incompleteAssets.has(asset));
+      const coverage = onchain ? coverageOf(heldTotal, owedTotal) : null;
+      const min = minCoverage(asset);
+
+      return {
+        asset,
+        owed_balances: fmt(o.balances, asset),
+        owed_referrals: fmt(o.referrals, asset),
+        owed_reward_credits: fmt(o.reward_credits, asset),
+        owed_withdrawals: fmt(o.withdrawals, asset),
+        owed_total: fmt(owedTotal, asset),
+        held_hot: fmt(held.hot, asset),
+        held_sweep: fmt(held.sweep, asset),
+        held_cold: fmt(held.cold, asset),
+        held_deposits: fmt(held.deposits, asset),
+        held_total: fmt(heldTotal, asset),
+        onchain,
+        incomplete,
+        coverage,
+        min_coverage: min.toFixed(COVERAGE_DP),
+        below_threshold: coverage != null && !incomplete && Number(coverage) < min,
+      };
+    });
+
+    for (const a of rows) {
+      await db.query(
+        `INSERT INTO treasury_snapshot_assets
+           (snapshot_id, asset, owed_balances, owed_referrals, owed_reward_credits, owed_withdrawals, owed_total,
+            held_hot, held_sweep, held_cold, held_deposits, held_total, onchain, incomplete, coverage,
+            min_coverage, below_threshold)
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+        [
+          snapshotId, a.asset, a.owed_balances, a.owed_referrals, a.owed_reward_credits, a.owed_withdrawals,
+          a.owed_total, a.held_hot, a.held_sweep, a.held_cold, a.held_deposits, a.held_total, a.onchain ? 1 : 0,
+          a.incomplete ? 1 : 0, a.coverage, a.min_coverage, a.below_threshold ? 1 : 0,
+        ]
+      );
+    }
+
+    const report = holdings.map((h) => ({
+      chain: h.chain, source: h.source, address: h.address, asset: h.asset, amount: fmt(h.units, h.asset),
+    }));
+    const below = rows.filter((a) => a.below_threshold).length;
+    await db.query(
+      `UPDATE treasury_snapshots
+          SET assets_count=?, below_count=?, report_json=?, errors_json=?, finished_at=NOW()
+        WHERE id=?`,
+      [rows.length, below, JSON.stringify(report), JSON.stringify(errors), snapshotId]
+    );
+
+    for (const a of rows) {
+      if (!a.onchain) continue;
+      try {
+        await updateAlert(db, snapshotId, a);
+      } catch (e) {
+        console.error('[TREASURY] alert update failed', a.asset, errText(e));
+      }
+    }
+
+    if (errors.length) console.warn('[TREASURY] snapshot had read errors', { snapshotId, errors: errors.length });
+    return { snapshotId, assets: rows, belowCount: below, errors };
+  } catch (e) {
+    await db.query(
+      `UPDATE treasury_snapshots SET error=LEFT(?,255), finished_at=NOW() WHERE id=?`,
+      [errText(e), snapshotId]
+    ).catch(() => {});
+    throw e;
+  }
+}
+
+/* ───────────── Reads ───────────── */
+
+const safeJson = (v) => {
+  if (v == null) return null;
+  if (typeof v === 'object') return v;
+  try { return JSON.parse(v); } catch (_) { return null; }
+};
+
+function formatAssetRow(r) {
+  return {
+    asset: r.asset,
+    owed: {
+      balances: String(r.owed_balances),
+      referrals: String(r.owed_referrals),
+      reward_credits: String(r.owed_reward_credits),
+      withdrawals: String(r.owed_withdrawals),
+      total: String(r.owed_total),
+    },
+    held: {
+      hot: String(r.held_hot),
+      sweep: String(r.held_sweep),
+      cold: String(r.held_cold),
+      deposits: String(r.held_deposits),
+      total: String(r.held_total),
+    },
+    onchain: !!Number(r.onchain),
+    incomplete: !!Number(r.incomplete),
+    coverage: r.coverage == null ? null : String(r.coverage),
+    min_coverage: String(r.min_coverage),
+    below_threshold: !!Number(r.below_threshold),
+  };
+}
+
+/** One snapshot with its per asset totals and holdings breakdown (latest if id is null), or null. */
+async function getTreasurySnapshot(db, id = null) {
+  const [[snap]] = id
+    ? await db.query('SELECT * FROM treasury_snapshots WHERE id=?', [id])
+    : await db.query('SELECT * FROM treasury_snapshots WHERE finished_at IS NOT NULL AND error IS NULL ORDER BY id DESC LIMIT 1');
+  if (!snap) return null;
+
+  const [assets] = await db.query(
+    'SELECT * FROM treasury_snapshot_assets WHERE snapshot_id=? ORDER BY asset ASC',
+    [snap.id]
+  );
+  return {
+    id: snap.id,
+    triggered_by: snap.triggered_by,
+    started_at: snap.started_at,
+    finished_at: snap.finished_at,
+    error: snap.error,
+    below_count: Number(snap.below_count),
+    assets: assets.map(formatAssetRow),
+    holdings: safeJson(snap.report_json) || [],
+    errors: safeJson(snap.errors_json) || [],
+  };
+}
+
+/** Coverage trend of one asset over the last `days`, oldest first. */
+async function treasuryHistory(db, { asset, days = 30 }) {
+  const [rows] = await db.query(
+    `SELECT s.id AS snapshot_id, s.started_at, a.owed_total, a.held_total, a.coverage, a.incomplete, a.below_threshold
+       FROM treasury_snapshot_assets a
+       JOIN treasury_snapshots s ON s.id = a.snapshot_id
+      WHERE a.asset=? AND s.started_at >= NOW() - INTERVAL ? DAY
+      ORDER BY s.id ASC`,
+    [String(asset).toUpperCase(), days]
+  );
+  return rows.map((r) => ({
+    snapshot_id: r.snapshot_id,
+    at: r.started_at,
+    owed_total: String(r.owed_total),
+    held_total: String(r.held_total),
+    coverage: r.coverage == null ? null : String(r.coverage),
+    incomplete: !!Number(r.incomplete),
+    below_threshold: !!Number(r.below_threshold),
+  }));
+}
+
+async function listTreasuryAlerts(db, { status = null, limit = 50 } = {}) {
+  const where = status ? 'WHERE status=?' : `WHERE status IN ('open','acknowledged')`;
+  const [rows] = await db.query(
+    `SELECT * FROM treasury_alerts ${where} ORDER BY id DESC LIMIT ?`,
+    status ? [status, limit] : [limit]
+  );
+  return rows;
+}
+
+/** Marks an open alert as seen; it stays active until coverage recovers. */
+async function acknowledgeTreasuryAlert(db, { id, adminRef, note = null }) {
+  const [upd] = await db.query(
+    `UPDATE treasury_alerts
+        SET status='acknowledged', acknowledged_by=?, acknowledged_at=NOW(), note=?
+      WHERE id=? AND status='open'`,
+    [adminRef, note, id]
+  );
+  return upd.affectedRows === 1;
+}
+
+module.exports = {
+  ALERT_STATUSES,
+  owedByAsset,
+  runTreasurySnapshot,
+  getTreasurySnapshot,
+  treasuryHistory,
+  listTreasuryAlerts,
+  acknowledgeTreasuryAlert,
+  notifyTreasury,
+};
@@ -0,0 +1,426 @@
+// /server/lib/treasury_rebalance.js (CommonJS)
+// Hot / cold rebalancing against per chain + asset targets (treasury_targets,
+// migrations/020):
+//
+// - hot balance above hot_ceiling: the excess is sent to the chain's cold
+//   wallet (lib/chains coldTo) through the outbound tx queue
+//   (lib/outbound_txs, purpose 'rebalance'), one move in flight at a time;
+// - below hot_floor: an admin top-up request is opened (the cold wallet cannot
+//   sign here), asking to refill up to the middle of the band so the next run
+//   does not bounce it straight back out; one open request per chain + asset,
+//   its amount refreshed on every run;
+// - back at or above the floor: the open request is resolved.
+//
+// Deposits are swept to the chain's sweep target (the hot wallet unless
+// KEY_SWEEP_TO_ADDRESS is set); this is what then keeps the hot wallet inside
+// its band. Every move and request is a treasury_movements row. Runs are serialized by
+// a MySQL named lock (schedule in server.js, /admin/treasury/rebalance).
+
+const money = require('./money');
+const { getChain } = require('./chains');
+const { getDepositToken } = require('./deposit_tokens');
+const { erc20TransferData, sendOutboundTx, getOutboundTx, getOutboundTxByRef } = require('./outbound_txs');
+const { notifyTreasury } = require('./treasury');
+
+const REBALANCE_LOCK = 'treasury_rebalance';
+// a 'pending' move with no outbound tx after this long never went out
+const PENDING_STALE_MIN = 10;
+const MOVEMENT_STATUSES = ['pending', 'sent', 'confirmed', 'failed', 'requested', 'completed', 'cancelled', 'resolved'];
+const LIST_MAX_PAGE = 100;
+
+const errText = (e) => String(e?.detail || e?.shortMessage || e?.message || e).slice(0, 255);
+
+function rebalanceError(code, statusCode, extra = {}) {
+  return Object.assign(new Error(code), { statusCode, ...extra });
+}
+
+/** The token behind `asset` on `chain`: the deposit token registry, else the native gas coin. */
+async function treasuryToken(db, chain, asset) {
+  const t = await getDepositToken(db, chain.key, asset);
+  if (t) return t;
+  if (asset === chain.gasAsset) return { symbol: asset, contract: null, native: true, decimals: 18 };
+  return null;
+}
+
+async function hotBalanceRaw(chain, token) {
+  const hot = chain.hotWallet().address;
+  return token.native ? chain.provider().getBalance(hot) : chain.erc20(token.contract).balanceOf(hot);
+}
+
+/* ───────────── Targets ───────────── */
+
+function formatTarget(r) {
+  return {
+    id: r.id,
+    chain: r.chain,
+    asset: r.asset,
+    hot_floor: String(r.hot_floor),
+    hot_ceiling: String(r.hot_ceiling),
+    enabled: !!Number(r.enabled),
+    updated_by: r.updated_by,
+    updated_at: r.updated_at,
+  };
+}
+
+async function listTreasuryTargets(db, { enabledOnly = false } = {}) {
+  const [rows] = await db.query(
+    `SELECT * FROM treasury_targets ${enabledOnly ? 'WHERE enabled=1' : ''} ORDER BY chain ASC, asset ASC`
+  );
+  return rows.map(formatTarget);
+}
+
+/**
+ * Creates or replaces the target of chain + asset (superadmin).
+ * Throws UNSUPPORTED_CHAIN / UNKNOWN_ASSET / UNKNOWN_TOKEN / BAD_BAND.
+ */
+async function setTreasuryTarget(db, { chain: chainKey, asset, hotFloor, hotCeiling, enabled = true, adminRef }) {
+  let chain;
+  try {
+    chain = getChain(chainKey);
+  } catch (_) {
+    throw rebalanceError('UNSUPPORTED_CHAIN', 400);
+  }
+  if (!money.hasAsset(asset)) throw rebalanceError('UNKNOWN_ASSET', 400);
+  if (!(await treasuryToken(db, chain, asset))) throw rebalanceError('UNKNOWN_TOKEN', 400);
+
+  const floor = money.parse(hotFloor, asset, { strict: true });
+  const ceiling = money.parse(hotCeiling, asset, { strict: true });
+  if (floor < 0n || ceiling <= 0n || floor > ceiling) throw rebalanceError('BAD_BAND', 400);
+
+  await db.query(
+    `INSERT INTO treasury_targets (chain, asset, hot_floor, hot_ceiling, enabled, updated_by)
+     VALUES (?, ?, ?, ?, ?, ?)
+     ON DUPLICATE KEY UPDATE
+       hot_floor=VALUES(hot_floor), hot_ceiling=VALUES(hot_ceiling),
+       enabled=VALUES(enabled), updated_by=VALUES(updated_by)`,
+    [chain.key, asset, money.format(floor, asset), money.format(ceiling, asset), enabled ? 1 : 0, adminRef]
+  );
+  console.warn('[REBALANCE] target set', {
+    chain: chain.key, asset, floor: money.format(floor, asset), ceiling: money.format(ceiling, asset), enabled, by: adminRef,
+  });
+
+  const [[row]] = await db.query('SELECT * FROM treasury_targets WHERE chain=? AND asset=?', [chain.key, asset]);
+  return formatTarget(row);
+}
+
+/* ───────────── Moves in flight ───────────── */
+
+// pending / sent hot -> cold moves follow their outbound tx
+async function syncMovements(db) {
+  const [rows] = await db.query(
+    `SELECT id, status, outbound_tx_id, tx_hash, created_at FROM treasury_movements
+      WHERE direction='hot_to_cold' AND status IN ('pending','sent')
+      ORDER BY id ASC`
+  );
+
+  for (const m of rows) {
+    const ob = m.outbound_tx_id
+      ? await getOutboundTx(db, m.outbound_tx_id)
+      : await getOutboundTxByRef(db, 'rebalance', m.id);
+
+    if (!ob) {
+      // the process died before queueing it
+      const ageMin = (Date.now() - new Date(m.created_at).getTime()) / 60_000;
+      if (ageMin >= PENDING_STALE_MIN) {
+        await db.query(
+          `UPDATE treasury_movements SET status='failed', error='NOT_SENT' WHERE id=? AND status='pending'`,
+          [m.id]
+        );
+      }
+      continue;
+    }
+
+    if (ob.status === 'confirmed') {
+      await db.query(
+        `UPDATE treasury_movements SET status='confirmed', outbound_tx_id=?, tx_hash=?, resolved_at=NOW() WHERE id=?`,
+        [ob.id, ob.tx_hash, m.id]
+      );
+      console.log('[REBALANCE] move confirmed', { id: m.id, tx: ob.tx_hash });
+    } else if (ob.status === 'reverted' || (ob.status === 'failed' && ob.nonce != null)) {
+      await db.query(
+        `UPDATE treasury_movements SET status='failed', outbound_tx_id=?, tx_hash=?, error=? WHERE id=?`,
+        [ob.id, ob.tx_hash, ob.error || 'TX_REVERTED', m.id]
+      );
+      console.error('[REBALANCE] move failed on chain', { id: m.id, tx: ob.tx_hash, error: ob.error });
+    } else if (ob.status === 'failed') {
+      await db.query(
+        `UPDATE treasury_movements SET status='failed', outbound_tx_id=?, error=? WHERE id=?`,
+        [ob.id, ob.error || 'NOT_SENT', m.id]
+      );
+    } else if (ob.tx_hash && (m.status === 'pending' || ob.tx_hash !== m.tx_hash)) {
+      // signed (or re-signed with more gas)
+      await db.query(
+        `UPDATE treasury_movements SET status='sent', outbound_tx_id=?, tx_hash=? WHERE id=?`,
+        [ob.id, ob.tx_hash, m.id]
+      );
+    }
+  }
+}
+
+/* ───────────── One target ───────────── */
+
+async function moveToCold(db, { chain, token, target, balance, ceiling, requestedBy }) {
+  const asset = target.asset;
+  const cold = chain.coldTo();
+  if (!cold) {
+    console.warn('[REBALANCE] above ceiling but no cold wallet configured', { chain: chain.key, asset });
+    return { action: 'no_cold_wallet' };
+  }
+
+  const [[inflight]] = await db.query(
+    `SELECT id FROM treasury_movements
+      WHERE chain=? AND asset=? AND direction='hot_to_cold' AND status IN ('pending','sent')
+      LIMIT 1`,
+    [chain.key, asset]
+  );
+  if (inflight) return { action: 'in_flight', movementId: inflight.id };
+
+  const excess = balance - ceiling;
+  const raw = money.toChainUnits(excess, asset, token.decimals);
+  const hot = chain.hotWallet().address.toLowerCase();
+
+  const [ins] = await db.query(
+    `INSERT INTO treasury_movements
+       (chain, asset, direction, amount, from_address, to_address, hot_balance, hot_floor, hot_ceiling,
+        status, requested_by)
+     VALUES (?, ?, 'hot_to_cold', ?, ?, ?, ?, ?, ?, 'pending', ?)`,
+    [
+      chain.key, asset, money.format(excess, asset), hot, String(cold).toLowerCase(),
+      money.format(balance, asset), target.hot_floor, target.hot_ceiling, requestedBy,
+    ]
+  );
+  const movementId = ins.insertId;
+
+  try {
+    const tx = await sendOutboundTx(db, {
+      chain: chain.key,
+      purpose: 'rebalance',
+      refId: movementId,
+      to: token.native ? cold : token.contract,
+      valueWei: token.native ? raw : 0n,
+      data: token.native ? '0x' : erc20TransferData(cold, raw),
+      gasLimit: token.native ? chain.nativeTransferGasLimit : null,
+    });
+    await db.query(
+      `UPDATE treasury_movements SET status='sent', outbound_tx_id=?, tx_hash=? WHERE id=? AND status='pending'`,
+      [tx.id, tx.tx_hash, movementId]
+    );
+    console.warn('[REBALANCE] excess moved to cold', {
+      id: movementId, chain: chain.key, asset, amount: money.format(excess, asset), tx: tx.tx_hash,
+    });
+    return { action: 'moved', movementId, amount: money.format(excess, asset), txHash: tx.tx_hash };
+  } catch (e) {
+    // OUTBOUND_NOT_SENT: nothing left; anything else is settled by syncMovements
+    if (e?.code === 'OUTBOUND_NOT_SENT') {
+      await db.query(
+        `UPDATE treasury_movements SET status='failed', error=? WHERE id=? AND status='pending'`,
+        [errText(e), movementId]
+      );
+    }
+    console.error('[REBALANCE] move to cold failed', { id: movementId, chain: chain.key, asset, error: errText(e) });
+    return { action: 'move_failed', movementId, error: errText(e) };
+  }
+}
+
+async function requestTopup(db, { chain, target, balance, floor, ceiling, requestedBy }) {
+  const asset = target.asset;
+  const amount = (floor + ceiling) / 2n - balance;
+
+  const [[open]] = await db.query(
+    `SELECT id FROM treasury_movements
+      WHERE chain=? AND asset=? AND direction='cold_to_hot' AND status='requested'
+      LIMIT 1`,
+    [chain.key, asset]
+  );
+  if (open) {
+    await db.query(
+      `UPDATE treasury_movements SET amount=?, hot_balance=?, hot_floor=?, hot_ceiling=? WHERE id=?`,
+      [money.format(amount, asset), money.format(balance, asset), target.hot_floor, target.hot_ceiling, open.id]
+    );
+    return { action: 'topup_pending', movementId: open.id, amount: money.format(amount, asset) };
+  }
+
+  const hot = chain.hotWallet().address.toLowerCase();
+  const [ins] = await db.query(
+    `INSERT INTO treasury_movements
+       (chain, asset, direction, amount, from_address, to_address, hot_balance, hot_floor, hot_ceiling,
+        status, requested_by)
+     VALUES (?, ?, 'cold_to_hot', ?, ?, ?, ?, ?, ?, 'requested', ?)`,
+    [
+      chain.key, asset, money.format(amount, asset), chain.coldTo() ? String(chain.coldTo()).toLowerCase() : null,
+      hot, money.format(balance, asset), target.hot_floor, target.hot_ceiling, requestedBy,
+    ]
+  );
+
+  console.warn('[REBALANCE] hot wallet below floor, top-up requested', {
+    id: ins.insertId, chain: chain.key, asset, balance: money.format(balance, asset), amount: money.format(amount, asset),
+  });
+  await notifyTreasury(`Hot wallet top-up needed: ${chain.key} ${asset}`, [
+    `The ${chain.key} hot wallet holds ${money.format(balance, asset)} ${asset}, below its floor of ${target.hot_floor}.`,
+    `Please send ${money.format(amount, asset)} ${asset} from cold storage to ${hot}`,
+    `and mark request #${ins.insertId} completed in the admin (/admin/treasury/movements).`,
+  ]);
+  return { action: 'topup_requested', movementId: ins.insertId, amount: money.format(amount, asset) };
+}
+
+async function rebalanceTarget(db, target, { requestedBy }) {
+  const chain = getChain(target.chain);
+  const asset = target.asset;
+  const token = await treasuryToken(db, chain, asset);
+  if (!token) return { action: 'unknown_token' };
+
+  const balance = money.fromChainUnits(BigInt(await hotBalanceRaw(chain, token)), asset, token.decimals);
+  const floor = money.parse(target.hot_floor, asset);
+  const ceiling = money.parse(target.hot_ceiling, asset);
+
+  if (balance >= floor) {
+    const [res] = await db.query(
+      `UPDATE treasury_movements
+          SET status='resolved', resolved_by=?, resolved_at=NOW(), note='BALANCE_RECOVERED'
+        WHERE chain=? AND asset=? AND direction='cold_to_hot' AND status='requested'`,
+      [requestedBy, chain.key, asset]
+    );
+    if (res.affectedRows) console.log('[REBALANCE] top-up request resolved, balance back above floor', { chain: chain.key, asset });
+  }
+
+  const ctx = { chain, token, target, balance, floor, ceiling, requestedBy };
+  let out = { action: 'none' };
+  if (balance > ceiling) out = await moveToCold(db, ctx);
+  else if (balance < floor) out = await requestTopup(db, ctx);
+  return { ...out, balance: money.format(balance, asset) };
+}
+
+/**
+ * One rebalancing pass over every enabled target. Returns one result per
+ * target, or { skipped: true } if another run holds the lock.
+ *
+ * @param {import('mysql2/promise').Pool} db
+ * @param {object} [opts]
+ * @param {string} [opts.requestedBy]  'schedule' | 'admin:<id>'
+ */
+async function runRebalance(db, { requestedBy = 'schedule' } = {}) {
+  const lockConn = await db.getConnection();
+  try {
+    const [[lk]] = await lockConn.query('SELECT GET_LOCK(?, 5) AS got', [REBALANCE_LOCK]);
+    if (!lk?.got) return { skipped: true };
+
+    try {
+      await syncMovements(db);
+
+      const results = [];
+      for (const t of await listTreasuryTargets(db, { enabledOnly: true })) {
+        try {
+          results.push({ chain: t.chain, asset: t.asset, ...(await rebalanceTarget(db, t, { requestedBy })) });
+        } catch (e) {
+          console.error('[REBALANCE] target failed', t.chain, t.asset, errText(e));
+          results.push({ chain: t.chain, asset: t.asset, action: 'error', error: errText(e) });
+        }
+      }
+      return { skipped: false, results };
+    } finally {
+      await lockConn.query('SELECT RELEASE_LOCK(?)', [REBALANCE_LOCK]).catch(() => {});
+    }
+  } finally {
+    lockConn.release();
+  }
+}
+
+/* ───────────── Movements log ───────────── */
+
+function formatMovement(r) {
+  return {
+    id: r.id,
+    chain: r.chain,
+    asset: r.asset,
+    direction: r.direction,
+    amount: String(r.amount),
+    from_address: r.from_address,
+    to_address: r.to_address,
+    hot_balance: String(r.hot_balance),
+    hot_floor: String(r.hot_floor),
+    hot_ceiling: String(r.hot_ceiling),
+    status: r.status,
+    outbound_tx_id: r.outbound_tx_id == null ? null : Number(r.outbound_tx_id),
+    tx_hash: r.tx_hash,
+    error: r.error,
+    requested_by: r.requested_by,
+    resolved_by: r.resolved_by,
+    resolved_at: r.resolved_at,
+    note: r.note,
+    created_at: r.created_at,
+  };
+}
+
+/**
+ * Movements and top-up requests, newest first.
+ * @returns {Promise<{ items: object[], next_before: number|null }>}
+ */
+async function listTreasuryMovements(db, { chain = null, asset = null, direction = null, status = null, before = 0, limit = 50 } = {}) {
+  const pageSize = Math.min(LIST_MAX_PAGE, Math.max(1, Number(limit) || 50));
+  const where = ['1=1'];
+  const args = [];
+  if (chain) { where.push('chain=?'); args.push(chain); }
+  if (asset) { where.push('asset=?'); args.push(asset); }
+  if (direction) { where.push('direction=?'); args.push(direction); }
+  if (status) { where.push('status=?'); args.push(status); }
+  if (Number(before) > 0) { where.push('id < ?'); args.push(Number(before)); }
+
+  const [rows] = await db.query(
+    `SELECT * FROM treasury_movements
+      WHERE ${where.join(' AND ')}
+      ORDER BY id DESC
+      LIMIT ?`,
+    [...args, pageSize + 1]
+  );
+
+  const hasMore = rows.length > pageSize;
+  const items = rows.slice(0, pageSize).map(formatMovement);
+  return { items, next_before: hasMore ? items[items.length - 1].id : null };
+}
+
+async function loadRequest(db, id) {
+  const [[row]] = await db.query('SELECT * FROM treasury_movements WHERE id=?', [id]);
+  if (!row) throw rebalanceError('NOT_FOUND', 404);
+  if (row.direction !== 'cold_to_hot' || row.status !== 'requested') {
+    throw rebalanceError('BAD_STATE', 409, { status: row.status });
+  }
+  return row;
+}
+
+/** Records the cold -> hot transfer an admin made for a top-up request. */
+async function completeTopupRequest(db, { id, adminRef, txHash = null, amount = null, note = null }) {
+  const row = await loadRequest(db, id);
+  const amt = amount == null ? null : money.format(money.parse(amount, row.asset, { strict: true }), row.asset);
+
+  const [upd] = await db.query(
+    `UPDATE treasury_movements
+        SET status='completed', tx_hash=?, amount=COALESCE(?, amount), note=?, resolved_by=?, resolved_at=NOW()
+      WHERE id=? AND status='requested'`,
+    [txHash, amt, note, adminRef, id]
+  );
+  if (!upd.affectedRows) throw rebalanceError('BAD_STATE', 409);
+  console.warn('[REBALANCE] top-up completed', { id, by: adminRef, tx: txHash, amount: amt || String(row.amount) });
+  return { ok: true, id, status: 'completed' };
+}
+
+async function cancelTopupRequest(db, { id, adminRef, note = null }) {
+  await loadRequest(db, id);
+  const [upd] = await db.query(
+    `UPDATE treasury_movements SET status='cancelled', note=?, resolved_by=?, resolved_at=NOW()
+      WHERE id=? AND status='requested'`,
+    [note, adminRef, id]
+  );
+  if (!upd.affectedRows) throw rebalanceError('BAD_STATE', 409);
+  console.warn('[REBALANCE] top-up cancelled', { id, by: adminRef, note });
+  return { ok: true, id, status: 'cancelled' };
+}
+
+module.exports = {
+  MOVEMENT_STATUSES,
+  listTreasuryTargets,
+  setTreasuryTarget,
+  runRebalance,
+  listTreasuryMovements,
+  completeTopupRequest,
+  cancelTopupRequest,
+};
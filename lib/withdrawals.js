@@ -0,0 +1,354 @@
+// /server/lib/withdrawals.js (CommonJS)
+// On-chain withdrawals as an explicit state machine.
+//
+//   requested ──> pending_review ──> queued ──> broadcast ──> confirmed
+//        │              │              │            │
+//        └──────────────┴──────────────┴────────────┴──> failed ──> refunded
+//
+// - The user's balance is debited (transfer_out) when the row is created.
+// - A background worker broadcasts queued rows and tracks confirmations.
+// - Every failure is compensated with a 'refund' ledger entry (failed -> refunded).
+// - A send whose outcome is unknown (crash / RPC timeout after the request went
+//   out) is parked in pending_review instead of being retried automatically,
+//   and so is a broadcast one whose nonce was taken by another transaction.
+// - Sends go through the hot wallet's outbound tx queue (lib/outbound_txs),
+//   keyed by the withdrawal id; a gas bump there changes the tx hash tracked here.
+
+const money = require('./money');
+const { insertLedgerEntry, annotateLedgerEntry } = require('./ledger');
+const { reverseTransferFees, recordGasCost } = require('./house_fees');
+const { getOutboundTxByRef } = require('./outbound_txs');
+
+// Withdrawals at or above this amount wait for an admin (0 = never)
+const WITHDRAW_REVIEW_MIN_USDT = Number(process.env.WITHDRAW_REVIEW_MIN_USDT || 1000);
+const WITHDRAW_MAX_ATTEMPTS = Number(process.env.WITHDRAW_MAX_ATTEMPTS || 3);
+const WITHDRAW_STUCK_MIN = Number(process.env.WITHDRAW_STUCK_MIN || 10);
+const WITHDRAW_BATCH = Number(process.env.WITHDRAW_BATCH || 20);
+
+const STATUSES = ['requested', 'pending_review', 'queued', 'broadcast', 'confirmed', 'failed', 'refunded'];
+
+// to -> allowed from
+const TRANSITIONS = {
+  pending_review: ['requested', 'queued', 'broadcast'],
+  queued:         ['requested', 'pending_review'],
+  broadcast:      ['queued'],
+  confirmed:      ['broadcast'],
+  failed:         ['requested', 'pending_review', 'queued', 'broadcast'],
+  refunded:       ['failed'],
+};
+
+// ethers v6 error codes that are raised before a transaction leaves the node
+const PRE_BROADCAST_CODES = new Set([
+  'CALL_EXCEPTION',
+  'INSUFFICIENT_FUNDS',
+  'INVALID_ARGUMENT',
+  'UNCONFIGURED_NAME',
+  'NONCE_EXPIRED',
+  'REPLACEMENT_UNDERPRICED',
+  'OUTBOUND_NOT_SENT', // lib/outbound_txs: never signed, and now never will be
+]);
+
+function isPreBroadcastError(e) {
+  if (PRE_BROADCAST_CODES.has(e?.code)) return true;
+  return /^(HOT_WALLET_PK|USDT_CONTRACT|BAD_TO_ADDRESS)/.test(String(e?.message || ''));
+}
+
+const errText = (e) => String(e?.shortMessage || e?.message || e).slice(0, 255);
+
+/**
+ * Moves a withdrawal to `to` if it is currently in an allowed source state.
+ * Returns true when the row changed.
+ */
+async function transition(conn, id, to, fields = {}) {
+  const from = TRANSITIONS[to];
+  if (!from) throw new Error(`WITHDRAWAL_BAD_STATE:${to}`);
+
+  const cols = Object.keys(fields);
+  const set = ['status=?', ...cols.map((c) => `${c}=?`)].join(', ');
+  const [r] = await conn.query(
+    `UPDATE withdrawals SET ${set} WHERE id=? AND status IN (?)`,
+    [to, ...cols.map((c) => fields[c]), id, from]
+  );
+  return r.affectedRows === 1;
+}
+
+/**
+ * Creates a withdrawal inside the caller's transaction. The caller has already
+ * locked and checked the balance; this debits it, writes the transfer_out
+ * ledger entry and routes the row to review or the broadcast queue.
+ *
+ * @param {import('mysql2/promise').PoolConnection} conn
+ * @param {object} w
+ * @param {number} w.userId
+ * @param {string} w.asset
+ * @param {string} w.chain
+ * @param {string} w.toAddress
+ * @param {bigint} w.amountUnits      sent on-chain (asset units, lib/money.js)
+ * @param {bigint} w.debitUnits       amount + fees taken from the balance
+ * @param {object} [w.quote]
+ * @param {object} [w.meta]           extra ledger meta
+ * @returns {Promise<{ id: number, status: string, ledgerId: number }>}
+ */
+async function createWithdrawal(conn, { userId, asset, chain, toAddress, amountUnits, debitUnits, quote = null, meta = {} }) {
+  const amount = money.format(amountUnits, asset);
+  const totalDebit = money.format(debitUnits, asset);
+
+  const [ins] = await conn.query(
+    `INSERT INTO withdrawals
+       (user_id, asset, chain, to_address, amount, total_debit, quote_json, status)
+     VALUES (?, ?, ?, ?, ?, ?, ?, 'requested')`,
+    [userId, asset, chain, toAddress, amount, totalDebit, quote ? JSON.stringify(quote) : null]
+  );
+  const id = ins.insertId;
+
+  await conn.query(
+    `INSERT INTO wallet_balances (user_id, asset, balance)
+     VALUES (?, ?, ?)
+     ON DUPLICATE KEY UPDATE balance = balance + VALUES(balance)`,
+    [userId, asset, money.format(-debitUnits, asset)]
+  );
+
+  const ledgerId = await insertLedgerEntry(conn, {
+    userId,
+    asset,
+    chain,
+    type: 'transfer_out',
+    amount: totalDebit,
+    meta: { kind: 'crypto', ...meta, withdrawal_id: id, to_address: toAddress, amount_usdt: amount },
+  });
+
+  const review = WITHDRAW_REVIEW_MIN_USDT > 0 && amountUnits >= money.parse(WITHDRAW_REVIEW_MIN_USDT, asset);
+  const status = review ? 'pending_review' : 'queued';
+  await transition(conn, id, status, { debit_ledger_id: ledgerId });
+
+  return { id, status, ledgerId };
+}
+
+/**
+ * failed -> refunded: credits total_debit back with a 'refund' ledger entry.
+ * Safe to call twice (second call is a no-op).
+ */
+async function refundWithdrawal(db, id, { reason = null } = {}) {
+  const conn = await db.getConnection();
+  try {
+    await conn.beginTransaction();
+
+    const [[w]] = await conn.query('SELECT * FROM withdrawals WHERE id=? FOR UPDATE', [id]);
+    if (!w) throw new Error('WITHDRAWAL_NOT_FOUND');
+    if (w.status === 'refunded') {
+      await conn.rollback();
+      return { refunded: false, ledgerId: w.refund_ledger_id };
+    }
+    if (w.status !== 'failed') throw new Error(`WITHDRAWAL_NOT_FAILED:${w.status}`);
+
+    await conn.query(
+      `INSERT INTO wallet_balances (user_id, asset, balance)
+       VALUES (?, ?, ?)
+       ON DUPLICATE KEY UPDATE balance = balance + VALUES(balance)`,
+      [w.user_id, w.asset, money.format(money.parse(w.total_debit, w.asset), w.asset)]
+    );
+
+    const ledgerId = await insertLedgerEntry(conn, {
+      userId: w.user_id,
+      asset: w.asset,
+      chain: w.chain,
+      type: 'refund',
+      amount: money.format(money.parse(w.total_debit, w.asset), w.asset),
+      refId: w.id,
+      meta: {
+        kind: 'withdrawal_refund',
+        withdrawal_id: w.id,
+        debit_ledger_id: w.debit_ledger_id,
+        tx_hash: w.tx_hash,
+        reason: reason || w.last_error,
+      },
+    });
+
+    await transition(conn, id, 'refunded', { refund_ledger_id: ledgerId });
+    await reverseTransferFees(conn, {
+      debitLedgerId: w.debit_ledger_id,
+      refundLedgerId: ledgerId,
+      reason: reason || w.last_error,
+    });
+    await conn.commit();
+
+    console.log('[WITHDRAW] refunded', { id, userId: w.user_id, amount: String(w.total_debit) });
+    return { refunded: true, ledgerId };
+  } catch (e) {
+    try { await conn.rollback(); } catch (_) {}
+    throw e;
+  } finally {
+    conn.release();
+  }
+}
+
+/** Marks a withdrawal failed (from any live state) and refunds it. */
+async function failAndRefund(db, id, reason) {
+  await transition(db, id, 'failed', { last_error: String(reason || 'FAILED').slice(0, 255) });
+  return refundWithdrawal(db, id, { reason });
+}
+
+async function broadcastQueued(db, { broadcast }) {
+  // Claimed but never finished: the process died mid-send. Outcome unknown.
+  const [stuck] = await db.query(
+    `SELECT id FROM withdrawals
+      WHERE status='queued' AND tx_hash IS NULL
+        AND broadcast_started_at < NOW() - INTERVAL ? MINUTE`,
+    [WITHDRAW_STUCK_MIN]
+  );
+  for (const s of stuck) {
+    await transition(db, s.id, 'pending_review', { last_error: 'BROADCAST_OUTCOME_UNKNOWN' });
+    console.warn('[WITHDRAW] stuck send moved to review', s.id);
+  }
+
+  const [rows] = await db.query(
+    `SELECT id, asset, chain, to_address, amount, attempts, debit_ledger_id
+       FROM withdrawals
+      WHERE status='queued' AND broadcast_started_at IS NULL
+      ORDER BY id ASC
+      LIMIT ?`,
+    [WITHDRAW_BATCH]
+  );
+
+  for (const w of rows) {
+    const [claim] = await db.query(
+      `UPDATE withdrawals
+          SET broadcast_started_at=NOW(), attempts=attempts+1
+        WHERE id=? AND status='queued' AND broadcast_started_at IS NULL`,
+      [w.id]
+    );
+    if (claim.affectedRows !== 1) continue;
+
+    try {
+      const txHash = await broadcast({ id: w.id, to: w.to_address, amountUsdt: String(w.amount), chain: w.chain });
+      await transition(db, w.id, 'broadcast', { tx_hash: txHash, broadcast_at: new Date(), last_error: null });
+      // searchable by hash in the ledger history; best effort, the send is done
+      await annotateLedgerEntry(db, w.debit_ledger_id, { tx_hash: txHash })
+        .catch((e) => console.warn('[WITHDRAW] ledger tx_hash annotate failed', w.id, errText(e)));
+      console.log('[WITHDRAW] broadcast', { id: w.id, txHash });
+    } catch (e) {
+      console.error('[WITHDRAW] broadcast failed', w.id, errText(e));
+
+      if (!isPreBroadcastError(e)) {
+        await transition(db, w.id, 'pending_review', { last_error: errText(e) });
+        continue;
+      }
+      if (w.attempts + 1 >= WITHDRAW_MAX_ATTEMPTS) {
+        await failAndRefund(db, w.id, errText(e));
+        continue;
+      }
+      // release the claim so the next tick retries
+      await db.query(
+        `UPDATE withdrawals SET broadcast_started_at=NULL, last_error=? WHERE id=? AND status='queued'`,
+        [errText(e), w.id]
+      );
+    }
+  }
+}
+
+async function trackBroadcast(db, { getProvider, confirmations, rates }) {
+  const [rows] = await db.query(
+    `SELECT id, chain, tx_hash, debit_ledger_id FROM withdrawals WHERE status='broadcast' ORDER BY id ASC LIMIT ?`,
+    [WITHDRAW_BATCH * 5]
+  );
+
+  for (const w of rows) {
+    try {
+      const ob = await getOutboundTxByRef(db, 'withdrawal', w.id);
+      if (ob?.status === 'failed') {
+        // its nonce went to another transaction: someone has to look
+        await transition(db, w.id, 'pending_review', { last_error: ob.error || 'OUTBOUND_FAILED' });
+        console.warn('[WITHDRAW] outbound tx failed, moved to review', { id: w.id, outbound: ob.id });
+        continue;
+      }
+      if (ob?.tx_hash && ob.tx_hash !== w.tx_hash) {
+        // re-signed with more gas (or an earlier version got mined)
+        await db.query('UPDATE withdrawals SET tx_hash=? WHERE id=?', [ob.tx_hash, w.id]);
+        await annotateLedgerEntry(db, w.debit_ledger_id, { tx_hash: ob.tx_hash })
+          .catch((e) => console.warn('[WITHDRAW] ledger tx_hash annotate failed', w.id, errText(e)));
+        w.tx_hash = ob.tx_hash;
+      }
+
+      const receipt = await getProvider(w.chain).getTransactionReceipt(w.tx_hash);
+      if (!receipt) continue;
+
+      if (receipt.status === 0) {
+        console.warn('[WITHDRAW] tx reverted', { id: w.id, tx: w.tx_hash });
+        await recordGasCost(db, { kind: 'withdrawal', refId: w.id, chain: w.chain, receipt, rates });
+        await failAndRefund(db, w.id, 'TX_REVERTED');
+        continue;
+      }
+
+      const confs = Number(await receipt.confirmations());
+      if (confs >= confirmations) {
+        await transition(db, w.id, 'confirmed', { confirmations: confs, confirmed_at: new Date() });
+        await recordGasCost(db, { kind: 'withdrawal', refId: w.id, chain: w.chain, receipt, rates });
+        console.log('[WITHDRAW] confirmed', { id: w.id, tx: w.tx_hash, confs });
+      } else {
+        await db.query('UPDATE withdrawals SET confirmations=? WHERE id=?', [confs, w.id]);
+      }
+    } catch (e) {
+      console.error('[WITHDRAW] receipt check failed', w.id, errText(e));
+    }
+  }
+}
+
+/**
+ * One worker tick: broadcast queued withdrawals, then advance broadcast ones.
+ *
+ * @param {import('mysql2/promise').Pool} db
+ * @param {object} deps
+ * @param {(a: { id: number, to: string, amountUsdt: string, chain: string }) => Promise<string>} deps.broadcast  returns tx hash
+ * @param {(chain: string) => import('ethers').Provider} deps.getProvider
+ * @param {number} [deps.confirmations=1]
+ * @param {string} [deps.lockName]  MySQL named lock: one broadcasting worker at a time
+ * @param {object} [deps.rates]     rate service, prices the gas of finished sends (lib/house_fees)
+ */
+async function runWithdrawalWorker(db, {
+  broadcast, getProvider, confirmations = 1, lockName = 'withdrawal_worker', rates = null,
+}) {
+  const lockConn = await db.getConnection();
+  try {
+    const [[lk]] = await lockConn.query('SELECT GET_LOCK(?, 15) AS got', [lockName]);
+    if (!lk?.got) return;
+
+    try {
+      await broadcastQueued(db, { broadcast });
+    } finally {
+      await lockConn.query('SELECT RELEASE_LOCK(?)', [lockName]).catch(() => {});
+    }
+  } finally {
+    lockConn.release();
+  }
+
+  await trackBroadcast(db, { getProvider, confirmations, rates });
+}
+
+// DB row -> API shape
+function formatWithdrawal(w) {
+  return {
+    id: w.id,
+    status: w.status,
+    asset: w.asset,
+    chain: w.chain,
+    to_address: w.to_address,
+    amount: String(w.amount),
+    total_debit: String(w.total_debit),
+    tx_hash: w.tx_hash || null,
+    confirmations: Number(w.confirmations || 0),
+    created_at: w.created_at,
+    broadcast_at: w.broadcast_at || null,
+    confirmed_at: w.confirmed_at || null,
+    refunded: w.status === 'refunded',
+  };
+}
+
+module.exports = {
+  STATUSES,
+  transition,
+  createWithdrawal,
+  refundWithdrawal,
+  failAndRefund,
+  runWithdrawalWorker,
+  formatWithdrawal,
+};
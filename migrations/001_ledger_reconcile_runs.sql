@@ -0,0 +1,19 @@
+-- 001_ledger_reconcile_runs.sql
+-- Stores every ledger ↔ wallet_balances reconciliation pass (scheduled or admin-triggered).
+
+CREATE TABLE IF NOT EXISTS ledger_reconcile_runs (
+  id            BIGINT UNSIGNED NOT NULL AUTO_INCREMENT,
+  mode          ENUM('report','repair') NOT NULL DEFAULT 'report',
+  reason_code   VARCHAR(64)  NULL,
+  triggered_by  VARCHAR(64)  NOT NULL,
+  user_id       BIGINT       NULL,          -- NULL = all users
+  pairs_checked INT          NOT NULL DEFAULT 0,
+  drift_count   INT          NOT NULL DEFAULT 0,
+  repaired      INT          NOT NULL DEFAULT 0,
+  report_json   JSON         NULL,
+  error         VARCHAR(255) NULL,
+  started_at    DATETIME     NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  finished_at   DATETIME     NULL,
+  PRIMARY KEY (id),
+  KEY idx_started (started_at)
+);
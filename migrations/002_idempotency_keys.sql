@@ -0,0 +1,20 @@
+-- 002_idempotency_keys.sql
+-- One row per (user, Idempotency-Key) on money-moving POSTs; holds the stored
+-- response so a retried request is answered without running the handler again.
+
+CREATE TABLE IF NOT EXISTS idempotency_keys (
+  id              BIGINT UNSIGNED NOT NULL AUTO_INCREMENT,
+  user_id         BIGINT       NOT NULL,
+  idem_key        VARCHAR(128) NOT NULL,
+  scope           VARCHAR(64)  NOT NULL,          -- e.g. 'wallet.transfer'
+  request_hash    CHAR(64)     NOT NULL,          -- sha256 of method + path + body
+  status          ENUM('pending','completed') NOT NULL DEFAULT 'pending',
+  response_status SMALLINT     NULL,
+  response_body   JSON         NULL,
+  created_at      DATETIME     NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  completed_at    DATETIME     NULL,
+  expires_at      DATETIME     NOT NULL,
+  PRIMARY KEY (id),
+  UNIQUE KEY uq_user_key (user_id, idem_key),
+  KEY idx_expires (expires_at)
+);
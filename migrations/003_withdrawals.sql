@@ -0,0 +1,36 @@
+-- 003_withdrawals.sql
+-- On-chain withdrawals as an explicit state machine (see lib/withdrawals.js).
+--
+--   requested -> pending_review -> queued -> broadcast -> confirmed
+--                     |              |           |
+--                     +------------> failed <----+  -> refunded
+
+CREATE TABLE IF NOT EXISTS withdrawals (
+  id                   BIGINT UNSIGNED NOT NULL AUTO_INCREMENT,
+  user_id              BIGINT         NOT NULL,
+  asset                VARCHAR(16)    NOT NULL,
+  chain                VARCHAR(16)    NOT NULL,
+  to_address           VARCHAR(64)    NOT NULL,
+  amount               DECIMAL(36,18) NOT NULL,          -- sent on-chain
+  total_debit          DECIMAL(36,18) NOT NULL,          -- amount + fees taken from the balance
+  quote_json           JSON           NULL,
+  status               ENUM('requested','pending_review','queued','broadcast',
+                            'confirmed','failed','refunded') NOT NULL DEFAULT 'requested',
+  debit_ledger_id      BIGINT         NULL,
+  refund_ledger_id     BIGINT         NULL,
+  tx_hash              VARCHAR(80)    NULL,
+  confirmations        INT            NOT NULL DEFAULT 0,
+  attempts             INT            NOT NULL DEFAULT 0,
+  broadcast_started_at DATETIME       NULL,              -- set before sending; guards against double-send
+  last_error           VARCHAR(255)   NULL,
+  reviewed_by          VARCHAR(64)    NULL,
+  review_note          VARCHAR(255)   NULL,
+  created_at           DATETIME       NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  updated_at           DATETIME       NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+  broadcast_at         DATETIME       NULL,
+  confirmed_at         DATETIME       NULL,
+  PRIMARY KEY (id),
+  UNIQUE KEY uq_tx_hash (tx_hash),
+  KEY idx_user (user_id, id),
+  KEY idx_status (status, id)
+);
@@ -0,0 +1,34 @@
+-- 004_bank_payouts.sql
+-- Fulfilment queue for kind='bank' transfers (see lib/bank_payouts.js).
+--
+--   pending -> processing (claimed by an operator) -> sent
+--      └───────────┴──> rejected (USDT refunded)
+
+CREATE TABLE IF NOT EXISTS bank_payouts (
+  id               BIGINT UNSIGNED NOT NULL AUTO_INCREMENT,
+  user_id          BIGINT         NOT NULL,
+  debit_ledger_id  BIGINT         NULL,
+  refund_ledger_id BIGINT         NULL,
+  rail             ENUM('instapay','pesonet') NOT NULL,
+  bank_code        VARCHAR(16)    NOT NULL,
+  bank_name        VARCHAR(100)   NOT NULL,
+  account_name     VARCHAR(150)   NOT NULL,
+  account_number   VARCHAR(32)    NOT NULL,
+  amount_usdt      DECIMAL(36,18) NOT NULL,          -- USDT sold (before fees)
+  total_debit_usdt DECIMAL(36,18) NOT NULL,          -- taken from the balance
+  payout_php       DECIMAL(18,2)  NOT NULL,          -- to be sent to the account
+  quote_json       JSON           NULL,
+  status           ENUM('pending','processing','sent','rejected') NOT NULL DEFAULT 'pending',
+  claimed_by       VARCHAR(64)    NULL,
+  claimed_at       DATETIME       NULL,
+  reference_no     VARCHAR(64)    NULL,
+  proof_url        VARCHAR(255)   NULL,
+  sent_at          DATETIME       NULL,
+  reject_reason    VARCHAR(255)   NULL,
+  rejected_at      DATETIME       NULL,
+  created_at       DATETIME       NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  updated_at       DATETIME       NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+  PRIMARY KEY (id),
+  KEY idx_user (user_id, id),
+  KEY idx_status (status, id)
+);
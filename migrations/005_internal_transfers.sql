@@ -0,0 +1,18 @@
+-- 005_internal_transfers.sql
+-- Off-chain user-to-user transfers; each row owns one transfer_out + transfer_in ledger pair.
+
+CREATE TABLE IF NOT EXISTS internal_transfers (
+  id             BIGINT UNSIGNED NOT NULL AUTO_INCREMENT,
+  from_user_id   BIGINT         NOT NULL,
+  to_user_id     BIGINT         NOT NULL,
+  asset          VARCHAR(16)    NOT NULL,
+  amount         DECIMAL(36,18) NOT NULL,
+  resolved_via   ENUM('phone','email','ref_code') NOT NULL,
+  note           VARCHAR(140)   NULL,
+  out_ledger_id  BIGINT         NULL,
+  in_ledger_id   BIGINT         NULL,
+  created_at     DATETIME       NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  PRIMARY KEY (id),
+  KEY idx_from (from_user_id, id),
+  KEY idx_to (to_user_id, id)
+);
@@ -0,0 +1,24 @@
+-- 006_transfer_quotes.sql
+-- Binding transfer quotes: fees and rates are locked at quote time and the
+-- submit must reference the quote by id before it expires (single use).
+
+CREATE TABLE IF NOT EXISTS transfer_quotes (
+  id                CHAR(26)       NOT NULL,            -- 'q_' + 24 hex
+  user_id           BIGINT         NOT NULL,
+  kind              ENUM('crypto','bank') NOT NULL,
+  asset             VARCHAR(16)    NOT NULL,
+  chain             VARCHAR(16)    NULL,
+  amount            DECIMAL(36,18) NOT NULL,
+  total_debit       DECIMAL(36,18) NOT NULL,
+  recv_amount_php   DECIMAL(36,18) NULL,
+  rate_bnb_usdt     DECIMAL(36,18) NULL,
+  rate_usdt_php     DECIMAL(36,18) NULL,
+  to_address        VARCHAR(64)    NULL,
+  quote_json        JSON           NOT NULL,
+  expires_at        DATETIME       NOT NULL,
+  used_at           DATETIME       NULL,
+  created_at        DATETIME       NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  PRIMARY KEY (id),
+  KEY idx_user (user_id, created_at),
+  KEY idx_expires (expires_at)
+);
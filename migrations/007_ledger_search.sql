@@ -0,0 +1,32 @@
+-- 007_ledger_search.sql
+-- Indexes for the filtered ledger history (GET /v1/wallet/ledger, /admin/ledger)
+-- and statements, plus a searchable tx_hash pulled out of meta.
+
+ALTER TABLE wallet_ledger
+  ADD COLUMN tx_hash VARCHAR(80)
+    GENERATED ALWAYS AS (
+      IF(JSON_VALID(meta), LOWER(JSON_UNQUOTE(JSON_EXTRACT(meta, '$.tx_hash'))), NULL)
+    ) VIRTUAL,
+  ADD KEY idx_user_id (user_id, id),
+  ADD KEY idx_user_asset_id (user_id, asset, id),
+  ADD KEY idx_user_type_id (user_id, type, id),
+  ADD KEY idx_user_asset_ts (user_id, asset, ts),
+  ADD KEY idx_user_ts (user_id, ts),
+  ADD KEY idx_ref (ref_id),
+  ADD KEY idx_tx_hash (tx_hash);
+
+-- Backfill tx_hash into deposit / withdrawal ledger meta (new rows carry it)
+UPDATE wallet_ledger l
+  JOIN crypto_deposits d ON d.id = l.ref_id
+   SET l.meta = JSON_SET(l.meta, '$.tx_hash', d.tx_hash)
+ WHERE l.type = 'deposit'
+   AND d.tx_hash IS NOT NULL
+   AND JSON_VALID(l.meta)
+   AND JSON_EXTRACT(l.meta, '$.tx_hash') IS NULL;
+
+UPDATE wallet_ledger l
+  JOIN withdrawals w ON w.debit_ledger_id = l.id
+   SET l.meta = JSON_SET(l.meta, '$.tx_hash', w.tx_hash)
+ WHERE w.tx_hash IS NOT NULL
+   AND JSON_VALID(l.meta)
+   AND JSON_EXTRACT(l.meta, '$.tx_hash') IS NULL;
@@ -0,0 +1,24 @@
+-- 008_rates.sql
+-- Exchange-rate service (lib/rates): every aggregated rate is recorded, and
+-- admins can pin a pair to a manual rate (optionally until expires_at).
+
+CREATE TABLE IF NOT EXISTS rates_history (
+  id           BIGINT UNSIGNED NOT NULL AUTO_INCREMENT,
+  pair         VARCHAR(16)    NOT NULL,                -- 'USDT_PHP', 'BNB_USDT'
+  rate         DECIMAL(36,18) NOT NULL,
+  source       VARCHAR(64)    NOT NULL,                -- 'median' | 'manual'
+  sources_json JSON           NULL,                    -- { coingecko: 58.1, binance: … }
+  created_at   DATETIME       NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  PRIMARY KEY (id),
+  KEY idx_pair_time (pair, created_at)
+);
+
+CREATE TABLE IF NOT EXISTS rate_overrides (
+  pair         VARCHAR(16)    NOT NULL,
+  rate         DECIMAL(36,18) NOT NULL,
+  reason       VARCHAR(255)   NOT NULL,
+  set_by       VARCHAR(64)    NOT NULL,
+  expires_at   DATETIME       NULL,                    -- NULL = until cleared
+  created_at   DATETIME       NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  PRIMARY KEY (pair)
+);
@@ -0,0 +1,51 @@
+-- 009_swap_pairs.sql
+-- Swap pairs managed from /admin/swap-pairs (see lib/swap_pairs.js) and one
+-- row per executed swap (used for the per-user daily limits).
+--
+-- Rates are "quote per 1 base": USDT/VPK at 100 means 1 USDT = 100 VPK.
+--   buy  = base -> quote (user receives quote), rate lowered by buy_spread_bps
+--   sell = quote -> base (user receives base),  rate raised by sell_spread_bps
+-- Limits are expressed in the base asset.
+
+CREATE TABLE IF NOT EXISTS swap_pairs (
+  id               INT UNSIGNED   NOT NULL AUTO_INCREMENT,
+  base_asset       VARCHAR(16)    NOT NULL,
+  quote_asset      VARCHAR(16)    NOT NULL,
+  rate_mode        ENUM('fixed','source') NOT NULL DEFAULT 'fixed',
+  base_rate        DECIMAL(36,18) NULL,                  -- rate_mode='fixed'
+  rate_source      VARCHAR(16)    NULL,                  -- rate_mode='source': lib/rates pair, e.g. 'BNB_USDT'
+  buy_spread_bps   INT UNSIGNED   NOT NULL DEFAULT 0,
+  sell_spread_bps  INT UNSIGNED   NOT NULL DEFAULT 0,
+  fee_bps          INT UNSIGNED   NOT NULL DEFAULT 0,    -- taken from the amount swapped, in the from asset
+  min_base_amount  DECIMAL(36,18) NULL,
+  max_base_amount  DECIMAL(36,18) NULL,
+  daily_limit_base DECIMAL(36,18) NULL,                  -- per user, per calendar day
+  enabled          TINYINT(1)     NOT NULL DEFAULT 1,
+  updated_by       VARCHAR(64)    NULL,
+  created_at       DATETIME       NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  updated_at       DATETIME       NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+  PRIMARY KEY (id),
+  UNIQUE KEY uq_pair (base_asset, quote_asset)
+);
+
+CREATE TABLE IF NOT EXISTS swaps (
+  id           BIGINT UNSIGNED NOT NULL AUTO_INCREMENT,
+  user_id      BIGINT         NOT NULL,
+  pair_id      INT UNSIGNED   NOT NULL,
+  side         ENUM('buy','sell') NOT NULL,
+  from_asset   VARCHAR(16)    NOT NULL,
+  to_asset     VARCHAR(16)    NOT NULL,
+  from_amount  DECIMAL(36,18) NOT NULL,                  -- gross, fee included
+  fee_amount   DECIMAL(36,18) NOT NULL DEFAULT 0,        -- in from_asset
+  to_amount    DECIMAL(36,18) NOT NULL,
+  base_amount  DECIMAL(36,18) NOT NULL,                  -- counted against limits
+  mid_rate     DECIMAL(36,18) NOT NULL,
+  rate         DECIMAL(36,18) NOT NULL,                  -- after spread
+  created_at   DATETIME       NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  PRIMARY KEY (id),
+  KEY idx_user_pair_time (user_id, pair_id, created_at)
+);
+
+-- Same behaviour as the old hard-coded RATE_USDT_TO_VPK = 100
+INSERT IGNORE INTO swap_pairs (base_asset, quote_asset, rate_mode, base_rate, updated_by)
+VALUES ('USDT', 'VPK', 'fixed', 100, 'migration');
@@ -0,0 +1,29 @@
+-- 010_swap_quotes.sql
+-- Two-phase swaps: POST /v1/wallet/swap/quote locks the price, POST
+-- /v1/wallet/swap { quote_id } executes exactly that quote (single use).
+
+CREATE TABLE IF NOT EXISTS swap_quotes (
+  id           VARCHAR(32)    NOT NULL,                -- 'sq_' + 24 hex
+  user_id      BIGINT         NOT NULL,
+  pair_id      INT UNSIGNED   NOT NULL,
+  side         ENUM('buy','sell') NOT NULL,
+  from_asset   VARCHAR(16)    NOT NULL,
+  to_asset     VARCHAR(16)    NOT NULL,
+  from_amount  DECIMAL(36,18) NOT NULL,
+  fee_amount   DECIMAL(36,18) NOT NULL DEFAULT 0,
+  to_amount    DECIMAL(36,18) NOT NULL,
+  base_amount  DECIMAL(36,18) NOT NULL,
+  mid_rate     DECIMAL(36,18) NOT NULL,
+  rate         VARCHAR(48)    NOT NULL,                -- exact decimal string used for pricing
+  expires_at   DATETIME       NOT NULL,
+  used_at      DATETIME       NULL,
+  swap_id      BIGINT UNSIGNED NULL,
+  created_at   DATETIME       NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  PRIMARY KEY (id),
+  KEY idx_user (user_id, created_at),
+  KEY idx_expires (expires_at)
+);
+
+ALTER TABLE swaps
+  ADD COLUMN quote_id VARCHAR(32) NULL AFTER pair_id,
+  ADD UNIQUE KEY uq_quote (quote_id);
@@ -0,0 +1,30 @@
+-- 011_house_fees.sql
+-- House revenue (lib/house_fees.js).
+--
+-- Transfer fees are credited to the house account (HOUSE_USER_ID, default 0)
+-- as wallet_ledger 'fee_income' rows (ref_id = the payer's debit row) and
+-- reversed with 'fee_reversal' when the transfer is refunded; no new table.
+--
+-- gas_costs: BNB actually paid for our own transactions, priced in USDT at
+-- the BNB_USDT rate when recorded (fee_usdt NULL if no rate was known).
+
+CREATE TABLE IF NOT EXISTS gas_costs (
+  id            BIGINT UNSIGNED NOT NULL AUTO_INCREMENT,
+  kind          ENUM('withdrawal','sweep','gas_topup') NOT NULL,
+  ref_id        BIGINT UNSIGNED NULL,                 -- withdrawals.id / crypto_deposits.id
+  chain         VARCHAR(16)    NOT NULL DEFAULT 'BSC',
+  tx_hash       VARCHAR(66)    NOT NULL,
+  from_address  VARCHAR(64)    NULL,
+  status        ENUM('ok','reverted') NOT NULL DEFAULT 'ok',
+  gas_used      BIGINT UNSIGNED NOT NULL,
+  gas_price_wei DECIMAL(38,0)  NOT NULL,
+  fee_bnb       DECIMAL(36,18) NOT NULL,
+  value_bnb     DECIMAL(36,18) NOT NULL DEFAULT 0,    -- BNB moved (top-ups), not a cost
+  bnb_usdt      DECIMAL(36,18) NULL,
+  fee_usdt      DECIMAL(36,18) NULL,
+  created_at    DATETIME       NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  PRIMARY KEY (id),
+  UNIQUE KEY uq_tx (tx_hash),
+  KEY idx_created (created_at, kind),
+  KEY idx_ref (kind, ref_id)
+);
@@ -0,0 +1,10 @@
+-- 012_chains.sql
+-- Multi-chain EVM support (lib/chains). Gas costs are kept in the chain's own
+-- gas token (BNB, POL, ETH) instead of assuming BNB.
+
+ALTER TABLE gas_costs
+  ADD COLUMN gas_asset VARCHAR(8) NOT NULL DEFAULT 'BNB' AFTER chain,
+  RENAME COLUMN fee_bnb TO fee_native,
+  RENAME COLUMN value_bnb TO value_native,
+  RENAME COLUMN bnb_usdt TO gas_rate_usdt;
+
@@ -0,0 +1,41 @@
+-- 013_deposit_watcher.sql
+-- Cursor-based deposit watcher (bsc_watcher.js --chain KEY).
+--
+-- chain_cursors: last block fully scanned per chain, with its hash so a reorg
+-- at the tip is noticed on the next pass.
+-- chain_deposit_logs: every token Transfer to an open deposit address, keyed
+-- by (chain, tx_hash, log_index) and pinned to the block hash it was seen in.
+--   seen      -> counted towards confirmations, not credited yet
+--   credited  -> deposit credited from this log
+--   orphaned  -> block hash changed (reorg); deposit reopened / credit reversed
+--   unmatched -> transfer to an address whose intent was already claimed
+
+CREATE TABLE IF NOT EXISTS chain_cursors (
+  chain        VARCHAR(16)     NOT NULL,
+  block_number BIGINT UNSIGNED NOT NULL,
+  block_hash   VARCHAR(66)     NOT NULL,
+  updated_at   DATETIME        NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+  PRIMARY KEY (chain)
+);
+
+CREATE TABLE IF NOT EXISTS chain_deposit_logs (
+  id           BIGINT UNSIGNED NOT NULL AUTO_INCREMENT,
+  chain        VARCHAR(16)     NOT NULL,
+  tx_hash      VARCHAR(66)     NOT NULL,
+  log_index    INT UNSIGNED    NOT NULL,
+  block_number BIGINT UNSIGNED NOT NULL,
+  block_hash   VARCHAR(66)     NOT NULL,
+  asset        VARCHAR(16)     NOT NULL,
+  token        VARCHAR(64)     NOT NULL,              -- token contract
+  from_address VARCHAR(64)     NULL,
+  to_address   VARCHAR(64)     NOT NULL,
+  amount       DECIMAL(36,18)  NOT NULL,
+  deposit_id   BIGINT UNSIGNED NULL,
+  status       ENUM('seen','credited','orphaned','unmatched') NOT NULL DEFAULT 'seen',
+  created_at   DATETIME        NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  updated_at   DATETIME        NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+  PRIMARY KEY (id),
+  UNIQUE KEY uq_log (chain, tx_hash, log_index),
+  KEY idx_status (chain, status, block_number),
+  KEY idx_deposit (deposit_id)
+);
@@ -0,0 +1,60 @@
+-- 014_deposit_addresses.sql
+-- One permanent deposit address per user and chain (lib/deposit_addresses.js).
+--
+-- HD indexes come from deposit_address_seq, one global counter shared by every
+-- EVM chain, so two users never get the same address on any chain. Addresses
+-- handed out before this migration are kept (is_current = NULL) and still
+-- watched; the most recent one per user / chain becomes the current one.
+--
+-- crypto_deposits changes from "one intent per address request" to "one row
+-- per incoming transfer log" (chain, tx_hash, log_index). Intents that never
+-- received anything are closed as 'expired'.
+
+CREATE TABLE IF NOT EXISTS deposit_address_seq (
+  id         TINYINT UNSIGNED NOT NULL,
+  next_index INT UNSIGNED     NOT NULL,
+  PRIMARY KEY (id)
+);
+
+INSERT IGNORE INTO deposit_address_seq (id, next_index)
+SELECT 1, COALESCE(MAX(address_index), -1) + 1 FROM crypto_deposits;
+
+CREATE TABLE IF NOT EXISTS deposit_addresses (
+  id            BIGINT UNSIGNED NOT NULL AUTO_INCREMENT,
+  user_id       BIGINT UNSIGNED NOT NULL,
+  chain         VARCHAR(16)     NOT NULL,
+  address       VARCHAR(64)     NOT NULL,
+  address_index INT UNSIGNED    NOT NULL,
+  is_current    TINYINT(1)      NULL DEFAULT 1,       -- 1 = the user's address; NULL = older, still watched
+  created_at    DATETIME        NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  PRIMARY KEY (id),
+  UNIQUE KEY uq_user_chain (user_id, chain, is_current),
+  UNIQUE KEY uq_chain_address (chain, address),
+  KEY idx_chain (chain, id)
+);
+
+-- every address already issued, newest first: the first per user / chain is current
+INSERT IGNORE INTO deposit_addresses (user_id, chain, address, address_index, is_current, created_at)
+SELECT d.user_id, d.chain, LOWER(d.address), d.address_index,
+       IF(d.id = (SELECT MAX(x.id) FROM crypto_deposits x
+                   WHERE x.user_id = d.user_id AND x.chain = d.chain AND x.address_index IS NOT NULL),
+          1, NULL),
+       d.created_at
+  FROM crypto_deposits d
+ WHERE d.address IS NOT NULL AND d.address_index IS NOT NULL
+ ORDER BY d.id DESC;
+
+ALTER TABLE crypto_deposits
+  MODIFY COLUMN status VARCHAR(16) NOT NULL DEFAULT 'pending',
+  ADD COLUMN deposit_address_id BIGINT UNSIGNED NULL AFTER address_index,
+  ADD COLUMN log_index INT UNSIGNED NULL AFTER tx_hash,
+  ADD UNIQUE KEY uq_deposit_log (chain, tx_hash, log_index),
+  ADD KEY idx_user_deposits (user_id, id);
+
+UPDATE crypto_deposits d
+  JOIN deposit_addresses a ON a.chain = d.chain AND a.address = LOWER(d.address)
+   SET d.deposit_address_id = a.id;
+
+UPDATE crypto_deposits
+   SET status = 'expired'
+ WHERE status IN ('pending', 'seen') AND tx_hash IS NULL;
@@ -0,0 +1,37 @@
+-- 015_deposit_tokens.sql
+-- Token registry for deposits (lib/deposit_tokens.js, /admin/deposit-tokens).
+--
+-- One row per token accepted on a chain; contract NULL = the chain's native
+-- coin (BNB on BSC). symbol is the wallet_balances asset the deposit is
+-- credited to. Transfers below min_deposit are recorded but not credited.
+-- Tokens configured only through env (KEY_USDT_CONTRACT, lib/chains) are
+-- accepted too; a row with the same symbol overrides them.
+
+CREATE TABLE IF NOT EXISTS deposit_tokens (
+  id          BIGINT UNSIGNED  NOT NULL AUTO_INCREMENT,
+  chain       VARCHAR(16)      NOT NULL,
+  symbol      VARCHAR(16)      NOT NULL,
+  contract    VARCHAR(64)      NULL,                  -- NULL = native coin
+  decimals    TINYINT UNSIGNED NOT NULL DEFAULT 18,
+  enabled     TINYINT(1)       NOT NULL DEFAULT 1,
+  min_deposit DECIMAL(36,18)   NOT NULL DEFAULT 0,
+  updated_by  VARCHAR(64)      NULL,
+  created_at  DATETIME         NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  updated_at  DATETIME         NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+  PRIMARY KEY (id),
+  UNIQUE KEY uq_chain_symbol (chain, symbol),
+  UNIQUE KEY uq_chain_contract (chain, contract)
+);
+
+INSERT IGNORE INTO deposit_tokens (chain, symbol, contract, decimals, enabled, min_deposit, updated_by) VALUES
+  ('BSC', 'USDC',  '0x8ac76a51cc950d9822d68b83fe1ad97b32cd580d', 18, 1, 1,     'migration'),
+  ('BSC', 'FDUSD', '0xc5f0f7b66764f6ec8c8dff7ba683102295e16409', 18, 1, 1,     'migration'),
+  ('BSC', 'BNB',   NULL,                                        18, 1, 0.001, 'migration');
+
+-- native transfers have no log: they are recorded with log_index -1
+ALTER TABLE chain_deposit_logs
+  MODIFY COLUMN log_index INT NOT NULL,
+  MODIFY COLUMN status ENUM('seen','credited','orphaned','unmatched','below_min') NOT NULL DEFAULT 'seen';
+
+ALTER TABLE crypto_deposits
+  MODIFY COLUMN log_index INT NULL;
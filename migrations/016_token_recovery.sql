@@ -0,0 +1,65 @@
+-- 016_token_recovery.sql
+-- Tokens sent to our deposit addresses that we do not credit
+-- (lib/token_recovery.js, /admin/token-recovery).
+--
+-- unsupported_transfers: the recovery queue. The watcher records every
+-- ERC-20 / ERC-721 / ERC-1155 transfer into a deposit address from a contract
+-- outside the deposit token registry. sub_index numbers the ids of one
+-- ERC-1155 TransferBatch log (0 otherwise).
+-- token_recoveries: audit record of every recovery attempt (no wallet_ledger
+-- rows: nothing was ever credited).
+
+CREATE TABLE IF NOT EXISTS unsupported_transfers (
+  id                 BIGINT UNSIGNED NOT NULL AUTO_INCREMENT,
+  chain              VARCHAR(16)     NOT NULL,
+  tx_hash            VARCHAR(66)     NOT NULL,
+  log_index          INT             NOT NULL,
+  sub_index          INT UNSIGNED    NOT NULL DEFAULT 0,
+  block_number       BIGINT UNSIGNED NOT NULL,
+  block_hash         VARCHAR(66)     NOT NULL,
+  standard           ENUM('erc20','erc721','erc1155') NOT NULL,
+  token_contract     VARCHAR(64)     NOT NULL,
+  token_symbol       VARCHAR(32)     NULL,              -- as reported by the contract, untrusted
+  token_decimals     TINYINT UNSIGNED NULL,
+  token_id           VARCHAR(80)     NULL,              -- NFTs
+  raw_amount         DECIMAL(65,0)   NOT NULL,          -- on-chain integer (1 for ERC-721)
+  from_address       VARCHAR(64)     NULL,
+  to_address         VARCHAR(64)     NOT NULL,
+  deposit_address_id BIGINT UNSIGNED NULL,
+  user_id            BIGINT UNSIGNED NULL,
+  status             ENUM('detected','recovering','recovered','failed','ignored') NOT NULL DEFAULT 'detected',
+  recovery_tx_hash   VARCHAR(66)     NULL,
+  error              VARCHAR(255)    NULL,              -- last failed recovery
+  note               VARCHAR(255)    NULL,              -- why it was ignored
+  resolved_by        VARCHAR(64)     NULL,
+  resolved_at        DATETIME        NULL,
+  created_at         DATETIME        NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  updated_at         DATETIME        NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+  PRIMARY KEY (id),
+  UNIQUE KEY uq_transfer (chain, tx_hash, log_index, sub_index),
+  KEY idx_status (status, id),
+  KEY idx_contract (chain, token_contract)
+);
+
+CREATE TABLE IF NOT EXISTS token_recoveries (
+  id                BIGINT UNSIGNED NOT NULL AUTO_INCREMENT,
+  transfer_id       BIGINT UNSIGNED NOT NULL,
+  chain             VARCHAR(16)     NOT NULL,
+  standard          ENUM('erc20','erc721','erc1155') NOT NULL,
+  token_contract    VARCHAR(64)     NOT NULL,
+  token_id          VARCHAR(80)     NULL,
+  raw_amount        DECIMAL(65,0)   NOT NULL,
+  from_address      VARCHAR(64)     NOT NULL,
+  to_address        VARCHAR(64)     NOT NULL,
+  gas_topup_tx_hash VARCHAR(66)     NULL,
+  tx_hash           VARCHAR(66)     NULL,
+  status            ENUM('sent','failed') NOT NULL,
+  error             VARCHAR(255)    NULL,
+  admin_ref         VARCHAR(64)     NOT NULL,
+  created_at        DATETIME        NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  PRIMARY KEY (id),
+  KEY idx_transfer (transfer_id)
+);
+
+ALTER TABLE gas_costs
+  MODIFY COLUMN kind ENUM('withdrawal','sweep','gas_topup','recovery') NOT NULL;
@@ -0,0 +1,22 @@
+-- 017_deposit_intents.sql
+-- Deposit intents (lib/deposit_intents.js): POST /v1/deposits/crypto creates a
+-- 'pending' crypto_deposits row without a tx, optionally with amount_expected,
+-- that lapses at expires_at. The watcher fills the open intent of the address
+-- and asset with the first transfer to it; one that does not match the
+-- expected amount is flagged for review (payment_flag / review_status).
+
+ALTER TABLE crypto_deposits
+  ADD COLUMN expires_at     DATETIME    NULL AFTER status,
+  ADD COLUMN payment_flag   VARCHAR(16) NULL AFTER expires_at,   -- underpaid | overpaid
+  ADD COLUMN review_status  VARCHAR(16) NULL AFTER payment_flag, -- open | resolved
+  ADD COLUMN review_note    VARCHAR(255) NULL AFTER review_status,
+  ADD COLUMN reviewed_by    VARCHAR(64) NULL AFTER review_note,
+  ADD COLUMN reviewed_at    DATETIME    NULL AFTER reviewed_by,
+  ADD KEY idx_open_intents (deposit_address_id, asset, status, expires_at),
+  ADD KEY idx_intent_expiry (status, expires_at),
+  ADD KEY idx_review (review_status, id);
+
+-- pending rows without a tx from before this migration have no expiry
+UPDATE crypto_deposits
+   SET status = 'expired'
+ WHERE status = 'pending' AND tx_hash IS NULL;
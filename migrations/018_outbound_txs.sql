@@ -0,0 +1,61 @@
+-- 018_outbound_txs.sql
+-- Outbound transactions of the hot wallets (lib/outbound_txs.js): withdrawals,
+-- stake splits and gas top-ups are queued here and sent one chain at a time,
+-- so nonces never collide.
+--
+-- outbound_txs: one row per logical send, unique per (purpose, ref_id).
+--   queued -> signed -> broadcast -> confirmed | reverted; failed = never
+--   signed (nothing went out) or its nonce was used by another transaction.
+-- outbound_tx_attempts: every signed version (the first one and each gas
+--   bump, all with the same nonce); any of them may be the one mined.
+-- outbound_nonces: next nonce per chain + sender.
+
+CREATE TABLE IF NOT EXISTS outbound_nonces (
+  chain      VARCHAR(16)     NOT NULL,
+  address    VARCHAR(64)     NOT NULL,
+  next_nonce BIGINT UNSIGNED NOT NULL,
+  updated_at DATETIME        NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+  PRIMARY KEY (chain, address)
+);
+
+CREATE TABLE IF NOT EXISTS outbound_txs (
+  id             BIGINT UNSIGNED NOT NULL AUTO_INCREMENT,
+  chain          VARCHAR(16)     NOT NULL,
+  purpose        VARCHAR(32)     NOT NULL,            -- withdrawal | stake_split | gas_topup
+  ref_id         VARCHAR(64)     NOT NULL,
+  from_address   VARCHAR(64)     NOT NULL,
+  to_address     VARCHAR(64)     NOT NULL,
+  value_wei      DECIMAL(65,0)   NOT NULL DEFAULT 0,
+  data           TEXT            NULL,
+  gas_limit      BIGINT UNSIGNED NULL,
+  nonce          BIGINT UNSIGNED NULL,
+  gas_price_wei  DECIMAL(65,0)   NULL,                -- latest attempt
+  raw_tx         TEXT            NULL,                -- latest attempt, rebroadcast as is
+  tx_hash        VARCHAR(66)     NULL,                -- latest attempt, then the one mined
+  status         ENUM('queued','signed','broadcast','confirmed','reverted','failed') NOT NULL DEFAULT 'queued',
+  attempts       INT UNSIGNED    NOT NULL DEFAULT 0,
+  block_number   BIGINT UNSIGNED NULL,
+  confirmations  INT UNSIGNED    NOT NULL DEFAULT 0,
+  error          VARCHAR(255)    NULL,
+  broadcast_at   DATETIME        NULL,
+  last_sent_at   DATETIME        NULL,
+  confirmed_at   DATETIME        NULL,
+  created_at     DATETIME        NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  updated_at     DATETIME        NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+  PRIMARY KEY (id),
+  UNIQUE KEY uq_purpose_ref (purpose, ref_id),
+  UNIQUE KEY uq_sender_nonce (chain, from_address, nonce),
+  KEY idx_status (status, chain, id)
+);
+
+CREATE TABLE IF NOT EXISTS outbound_tx_attempts (
+  id             BIGINT UNSIGNED NOT NULL AUTO_INCREMENT,
+  outbound_tx_id BIGINT UNSIGNED NOT NULL,
+  tx_hash        VARCHAR(66)     NOT NULL,
+  gas_price_wei  DECIMAL(65,0)   NOT NULL,
+  raw_tx         TEXT            NOT NULL,
+  created_at     DATETIME        NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  PRIMARY KEY (id),
+  UNIQUE KEY uq_hash (tx_hash),
+  KEY idx_outbound (outbound_tx_id, id)
+);
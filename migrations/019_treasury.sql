@@ -0,0 +1,67 @@
+-- 019_treasury.sql
+-- Solvency snapshots (lib/treasury.js): what we owe users per asset against
+-- what we hold on chain, with the coverage ratio and alerts below threshold.
+--
+-- treasury_snapshots: one row per run (schedule or admin); report_json holds
+--   the per chain / address holdings behind the totals, errors_json the
+--   balance reads that failed.
+-- treasury_snapshot_assets: per asset totals of a run (the trend).
+-- treasury_alerts: one active (open / acknowledged) alert per asset at most;
+--   resolved by the first snapshot back above threshold.
+
+CREATE TABLE IF NOT EXISTS treasury_snapshots (
+  id            BIGINT UNSIGNED NOT NULL AUTO_INCREMENT,
+  triggered_by  VARCHAR(64)  NOT NULL,
+  assets_count  INT          NOT NULL DEFAULT 0,
+  below_count   INT          NOT NULL DEFAULT 0,
+  report_json   JSON         NULL,
+  errors_json   JSON         NULL,
+  error         VARCHAR(255) NULL,
+  started_at    DATETIME     NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  finished_at   DATETIME     NULL,
+  PRIMARY KEY (id),
+  KEY idx_started (started_at)
+);
+
+CREATE TABLE IF NOT EXISTS treasury_snapshot_assets (
+  snapshot_id          BIGINT UNSIGNED NOT NULL,
+  asset                VARCHAR(16)     NOT NULL,
+  owed_balances        DECIMAL(36,18)  NOT NULL DEFAULT 0,
+  owed_referrals       DECIMAL(36,18)  NOT NULL DEFAULT 0,   -- pending referral_events
+  owed_reward_credits  DECIMAL(36,18)  NOT NULL DEFAULT 0,   -- claimable reward_credits
+  owed_withdrawals     DECIMAL(36,18)  NOT NULL DEFAULT 0,   -- debited, not yet sent
+  owed_total           DECIMAL(36,18)  NOT NULL DEFAULT 0,
+  held_hot             DECIMAL(36,18)  NOT NULL DEFAULT 0,
+  held_sweep           DECIMAL(36,18)  NOT NULL DEFAULT 0,   -- sweep targets other than the hot wallet
+  held_deposits        DECIMAL(36,18)  NOT NULL DEFAULT 0,   -- unswept deposit addresses
+  held_total           DECIMAL(36,18)  NOT NULL DEFAULT 0,
+  onchain              TINYINT(1)      NOT NULL DEFAULT 1,   -- 0 = off-chain asset (PHP, …): no coverage
+  incomplete           TINYINT(1)      NOT NULL DEFAULT 0,   -- some balance reads failed
+  coverage             DECIMAL(20,4)   NULL,                 -- held / owed; NULL if nothing owed or off-chain
+  min_coverage         DECIMAL(20,4)   NOT NULL,
+  below_threshold      TINYINT(1)      NOT NULL DEFAULT 0,
+  PRIMARY KEY (snapshot_id, asset),
+  KEY idx_asset (asset, snapshot_id)
+);
+
+CREATE TABLE IF NOT EXISTS treasury_alerts (
+  id                BIGINT UNSIGNED NOT NULL AUTO_INCREMENT,
+  asset             VARCHAR(16)     NOT NULL,
+  status            ENUM('open','acknowledged','resolved') NOT NULL DEFAULT 'open',
+  first_snapshot_id BIGINT UNSIGNED NOT NULL,
+  last_snapshot_id  BIGINT UNSIGNED NOT NULL,
+  coverage          DECIMAL(20,4)   NOT NULL,              -- latest
+  lowest_coverage   DECIMAL(20,4)   NOT NULL,
+  min_coverage      DECIMAL(20,4)   NOT NULL,
+  owed_total        DECIMAL(36,18)  NOT NULL,
+  held_total        DECIMAL(36,18)  NOT NULL,
+  acknowledged_by   VARCHAR(64)     NULL,
+  acknowledged_at   DATETIME        NULL,
+  note              VARCHAR(255)    NULL,
+  resolved_at       DATETIME        NULL,
+  created_at        DATETIME        NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  updated_at        DATETIME        NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+  PRIMARY KEY (id),
+  KEY idx_asset_status (asset, status),
+  KEY idx_status (status, id)
+);
@@ -0,0 +1,52 @@
+-- 020_treasury_rebalance.sql
+-- Hot / cold rebalancing (lib/treasury_rebalance.js).
+--
+-- treasury_targets: hot wallet floor and ceiling per chain + asset
+--   (/admin/treasury/targets). Above the ceiling the excess moves to the
+--   chain's cold wallet (KEY_COLD_WALLET_ADDRESS) through the outbound tx
+--   queue (outbound_txs purpose 'rebalance'); below the floor an admin top-up
+--   request is opened, since the cold wallet cannot sign here.
+-- treasury_movements: every movement and top-up request.
+--   hot_to_cold:  pending -> sent -> confirmed | failed
+--   cold_to_hot:  requested -> completed (admin, with the tx) | cancelled |
+--                 resolved (the balance came back above the floor on its own)
+
+CREATE TABLE IF NOT EXISTS treasury_targets (
+  id           BIGINT UNSIGNED NOT NULL AUTO_INCREMENT,
+  chain        VARCHAR(16)     NOT NULL,
+  asset        VARCHAR(16)     NOT NULL,
+  hot_floor    DECIMAL(36,18)  NOT NULL,
+  hot_ceiling  DECIMAL(36,18)  NOT NULL,
+  enabled      TINYINT(1)      NOT NULL DEFAULT 1,
+  updated_by   VARCHAR(64)     NULL,
+  created_at   DATETIME        NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  updated_at   DATETIME        NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+  PRIMARY KEY (id),
+  UNIQUE KEY uq_chain_asset (chain, asset)
+);
+
+CREATE TABLE IF NOT EXISTS treasury_movements (
+  id              BIGINT UNSIGNED NOT NULL AUTO_INCREMENT,
+  chain           VARCHAR(16)     NOT NULL,
+  asset           VARCHAR(16)     NOT NULL,
+  direction       ENUM('hot_to_cold','cold_to_hot') NOT NULL,
+  amount          DECIMAL(36,18)  NOT NULL,
+  from_address    VARCHAR(64)     NULL,
+  to_address      VARCHAR(64)     NULL,
+  hot_balance     DECIMAL(36,18)  NOT NULL,                 -- when decided
+  hot_floor       DECIMAL(36,18)  NOT NULL,
+  hot_ceiling     DECIMAL(36,18)  NOT NULL,
+  status          ENUM('pending','sent','confirmed','failed','requested','completed','cancelled','resolved') NOT NULL,
+  outbound_tx_id  BIGINT UNSIGNED NULL,
+  tx_hash         VARCHAR(66)     NULL,
+  error           VARCHAR(255)    NULL,
+  requested_by    VARCHAR(64)     NOT NULL,                 -- 'schedule' | 'admin:<id>'
+  resolved_by     VARCHAR(64)     NULL,
+  resolved_at     DATETIME        NULL,
+  note            VARCHAR(255)    NULL,
+  created_at      DATETIME        NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  updated_at      DATETIME        NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+  PRIMARY KEY (id),
+  KEY idx_chain_asset_status (chain, asset, status),
+  KEY idx_status (status, id)
+);
@@ -0,0 +1,37 @@
+-- 021_deposit_sweeps.sql
+-- One sweep engine (lib/sweeper.js) for the API server and workers/sweeper.js.
+--
+-- crypto_deposits.sweep_status is the only sweep state; sweep_next_at defers a
+-- row (below its threshold, after a failure, or while a top-up / transfer is in
+-- flight). The CLI sweeper used to keep its own state in `swept` and in
+-- status = 'sweeping' / 'swept', which hid swept deposits from everything
+-- reading status = 'credited': those rows move to sweep_status and back to
+-- 'credited', and `swept` is dropped.
+
+ALTER TABLE crypto_deposits
+  ADD COLUMN sweep_next_at DATETIME NULL AFTER sweep_status,
+  ADD KEY idx_sweep_queue (chain, status, sweep_status, sweep_next_at);
+
+UPDATE crypto_deposits
+   SET sweep_status = 'swept',
+       swept_at = COALESCE(swept_at, updated_at, NOW())
+ WHERE (swept = 1 OR status = 'swept')
+   AND COALESCE(sweep_status, '') <> 'swept';
+
+-- legacy transfers never confirmed: settled from their receipt on the next run
+UPDATE crypto_deposits
+   SET sweep_status = 'sweeping'
+ WHERE status = 'sweeping' AND sweep_tx_hash IS NOT NULL
+   AND COALESCE(sweep_status, '') <> 'swept';
+
+UPDATE crypto_deposits
+   SET status = 'credited'
+ WHERE status IN ('sweeping', 'swept');
+
+-- in flight when the server stopped: resolved by the first run
+UPDATE crypto_deposits
+   SET sweep_next_at = NOW()
+ WHERE sweep_status IN ('topping_up', 'sweeping');
+
+ALTER TABLE crypto_deposits
+  DROP COLUMN swept;
@@ -0,0 +1,8 @@
+-- 022_treasury_cold_holdings.sql
+-- Solvency snapshots (lib/treasury.js) count cold storage: the chain's cold
+-- wallet (KEY_COLD_WALLET_ADDRESS) and every address the rebalancer moved hot
+-- wallet excess to (confirmed hot_to_cold treasury_movements). Without it each
+-- automatic move lowered "held" by the amount moved.
+
+ALTER TABLE treasury_snapshot_assets
+  ADD COLUMN held_cold DECIMAL(36,18) NOT NULL DEFAULT 0 AFTER held_sweep;   -- cold wallets
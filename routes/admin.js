@@ -10,7 +10,7 @@ const AIRDROP_TRIGGER_UNITS = Number(process.env.AIRDROP_TRIGGER_UNITS || 110);
  * @param {object} opts
  * @param {import('mysql2/promise').Pool} opts.db
  * @param {string} opts.JWT_SECRET          - main app JWT secret
- * @param {Function} [opts.creditDepositAndWebhook] - optional helper from server.js
+ * @param {Function} [opts.creditDepositAndWebhook] - optional, creditDeposit of lib/deposits
  */
 module.exports = function makeAdminRouter({ db, JWT_SECRET, creditDepositAndWebhook }) {
   const router = express.Router();
@@ -631,6 +631,68 @@ router.get('/wallet/users', requireAdmin, async (req, res) => {
     }
   });
 
+  // GET /admin/deposits/review?status=open|resolved
+  // Intents paid with a different amount than expected (lib/deposit_intents)
+  router.get('/deposits/review', requireAdmin, async (req, res) => {
+    try {
+      const status = req.query.status === 'resolved' ? 'resolved' : 'open';
+      const [rows] = await db.query(
+        `SELECT d.id,
+                d.user_id,
+                u.full_name,
+                u.phone,
+                u.email,
+                d.chain,
+                d.asset,
+                d.address,
+                d.tx_hash,
+                d.amount_expected,
+                d.amount_received,
+                d.payment_flag,
+                d.status,
+                d.review_status,
+                d.review_note,
+                d.reviewed_by,
+                d.reviewed_at,
+                d.created_at
+           FROM crypto_deposits d
+           LEFT JOIN users u ON u.id = d.user_id
+          WHERE d.review_status=?
+          ORDER BY d.id DESC
+          LIMIT 200`,
+        [status]
+      );
+      res.json(rows);
+    } catch (e) {
+      console.error('[ADMIN] deposits/review', e);
+      res.status(500).json({ error: 'SERVER_ERR' });
+    }
+  });
+
+  // POST /admin/deposits/:id/review { note } – close a payment flag
+  router.post('/deposits/:id/review', requireAdmin, async (req, res) => {
+    try {
+      const depositId = Number(req.params.id);
+      if (!depositId) return res.status(400).json({ error: 'BAD_ID' });
+
+      const parsed = z.object({ note: z.string().trim().min(1).max(255) }).safeParse(req.body || {});
+      if (!parsed.success) return res.status(400).json({ error: 'BAD_BODY' });
+
+      const [r] = await db.query(
+        `UPDATE crypto_deposits
+            SET review_status='resolved', review_note=?, reviewed_by=?, reviewed_at=NOW()
+          WHERE id=? AND review_status='open'`,
+        [parsed.data.note, `admin:${req.adminId}`, depositId]
+      );
+      if (!r.affectedRows) return res.status(409).json({ error: 'NOT_OPEN' });
+
+      res.json({ ok: true, depositId });
+    } catch (e) {
+      console.error('[ADMIN] deposits review', e);
+      res.status(500).json({ error: 'SERVER_ERR' });
+    }
+  });
+
   // POST /admin/deposits/:id/credit – manual credit (superadmin only)
   router.post(
     '/deposits/:id/credit',
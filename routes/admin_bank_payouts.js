@@ -0,0 +1,219 @@
+// /server/routes/admin_bank_payouts.js (CommonJS)
+// Operator queue for bank payouts (see lib/bank_payouts.js)
+const express = require('express');
+const path = require('path');
+const fs = require('fs/promises');
+const crypto = require('crypto');
+const { z } = require('zod');
+const {
+  claimPayout,
+  releasePayout,
+  markPayoutSent,
+  rejectPayout,
+  notifyBankPayout,
+} = require('../lib/bank_payouts');
+
+const PAYOUT_PROOF_ROOT =
+  process.env.PAYOUT_PROOF_ROOT ||
+  path.join(__dirname, '..', 'uploads', 'payouts');
+
+const PAYOUT_PROOF_PREFIX =
+  process.env.PAYOUT_PROOF_PREFIX || '/uploads/payouts';
+
+const PAYOUT_PROOF_MAX_BYTES = Number(process.env.PAYOUT_PROOF_MAX_BYTES || 5_000_000);
+
+const STATUSES = ['pending', 'processing', 'sent', 'rejected'];
+
+module.exports = function makeAdminBankPayoutsRouter({ db, requireAdmin }) {
+  if (!db) throw new Error('makeAdminBankPayoutsRouter: db is required');
+  if (typeof requireAdmin !== 'function') {
+    throw new Error('makeAdminBankPayoutsRouter: requireAdmin is required');
+  }
+
+  const r = express.Router();
+  r.use(requireAdmin);
+
+  const adminRef = (req) => `admin:${req.adminId}`;
+  const isSuper = (req) => req.adminRole === 'superadmin';
+
+  const parseId = (req) => {
+    const id = Number(req.params.id);
+    return Number.isFinite(id) && id > 0 ? id : null;
+  };
+
+  // base64 (optionally a data URL) -> saved file URL; png / jpeg / pdf only
+  async function saveProof(base64Str, payoutId) {
+    const cleaned = String(base64Str || '').replace(/^data:[^;]+;base64,/, '');
+    const buf = Buffer.from(cleaned, 'base64');
+    if (!buf.length) throw Object.assign(new Error('BAD_PROOF_IMAGE'), { statusCode: 400 });
+    if (buf.length > PAYOUT_PROOF_MAX_BYTES) {
+      throw Object.assign(new Error('PROOF_TOO_LARGE'), { statusCode: 413 });
+    }
+
+    let ext = null;
+    if (buf[0] === 0xff && buf[1] === 0xd8) ext = 'jpg';
+    else if (buf.slice(0, 4).toString('hex') === '89504e47') ext = 'png';
+    else if (buf.slice(0, 4).toString() === '%PDF') ext = 'pdf';
+    if (!ext) throw Object.assign(new Error('BAD_PROOF_IMAGE'), { statusCode: 400 });
+
+    const fileName = `p${payoutId}-${crypto.randomBytes(8).toString('hex')}.${ext}`;
+    await fs.mkdir(PAYOUT_PROOF_ROOT, { recursive: true });
+    await fs.writeFile(path.join(PAYOUT_PROOF_ROOT, fileName), buf);
+    return `${PAYOUT_PROOF_PREFIX}/${fileName}`;
+  }
+
+  // GET /admin/bank-payouts?status=pending&limit=&offset=
+  r.get('/', async (req, res) => {
+    const status = req.query.status ? String(req.query.status) : null;
+    if (status && !STATUSES.includes(status)) return res.status(400).json({ error: 'BAD_STATUS' });
+
+    const limit = Math.min(200, Math.max(1, Number(req.query.limit || 50)));
+    const offset = Math.max(0, Number(req.query.offset || 0));
+
+    try {
+      const [rows] = await db.query(
+        `SELECT p.*, u.email, u.full_name
+           FROM bank_payouts p
+           LEFT JOIN users u ON u.id = p.user_id
+          ${status ? 'WHERE p.status=?' : ''}
+          ORDER BY ${status === 'pending' ? 'p.id ASC' : 'p.id DESC'}
+          LIMIT ? OFFSET ?`,
+        status ? [status, limit, offset] : [limit, offset]
+      );
+
+      const [counts] = await db.query(
+        'SELECT status, COUNT(*) AS n FROM bank_payouts GROUP BY status'
+      );
+
+      return res.json({
+        items: rows,
+        counts: Object.fromEntries(counts.map((c) => [c.status, Number(c.n)])),
+        limit,
+        offset,
+      });
+    } catch (e) {
+      console.error('[admin bank-payouts] list error:', e);
+      return res.status(500).json({ error: 'SERVER_ERR' });
+    }
+  });
+
+  // GET /admin/bank-payouts/:id
+  r.get('/:id', async (req, res) => {
+    const id = parseId(req);
+    if (!id) return res.status(400).json({ error: 'BAD_ID' });
+
+    try {
+      const [[row]] = await db.query(
+        `SELECT p.*, u.email, u.full_name, u.phone
+           FROM bank_payouts p
+           LEFT JOIN users u ON u.id = p.user_id
+          WHERE p.id=?`,
+        [id]
+      );
+      if (!row) return res.status(404).json({ error: 'NOT_FOUND' });
+      return res.json(row);
+    } catch (e) {
+      console.error('[admin bank-payouts] detail error:', e);
+      return res.status(500).json({ error: 'SERVER_ERR' });
+    }
+  });
+
+  // POST /admin/bank-payouts/:id/claim – pending -> processing (mine)
+  r.post('/:id/claim', async (req, res) => {
+    const id = parseId(req);
+    if (!id) return res.status(400).json({ error: 'BAD_ID' });
+
+    try {
+      const ok = await claimPayout(db, id, adminRef(req));
+      if (!ok) return res.status(409).json({ error: 'BAD_STATE' });
+
+      notifyBankPayout(db, id);
+      return res.json({ ok: true, id, status: 'processing', claimed_by: adminRef(req) });
+    } catch (e) {
+      console.error('[admin bank-payouts] claim error:', e);
+      return res.status(500).json({ error: 'SERVER_ERR' });
+    }
+  });
+
+  // POST /admin/bank-payouts/:id/release – processing -> pending
+  r.post('/:id/release', async (req, res) => {
+    const id = parseId(req);
+    if (!id) return res.status(400).json({ error: 'BAD_ID' });
+
+    try {
+      const ok = await releasePayout(db, id, adminRef(req), { force: isSuper(req) });
+      if (!ok) return res.status(409).json({ error: 'BAD_STATE' });
+      return res.json({ ok: true, id, status: 'pending' });
+    } catch (e) {
+      console.error('[admin bank-payouts] release error:', e);
+      return res.status(500).json({ error: 'SERVER_ERR' });
+    }
+  });
+
+  // POST /admin/bank-payouts/:id/sent { reference_no, proof_image_base64 }
+  r.post('/:id/sent', async (req, res) => {
+    const id = parseId(req);
+    if (!id) return res.status(400).json({ error: 'BAD_ID' });
+
+    const parsed = z.object({
+      reference_no: z.string().trim().min(4).max(64),
+      proof_image_base64: z.string().min(16),
+    }).safeParse(req.body || {});
+    if (!parsed.success) return res.status(400).json({ error: 'BAD_BODY' });
+
+    try {
+      const [[p]] = await db.query('SELECT status, claimed_by FROM bank_payouts WHERE id=?', [id]);
+      if (!p) return res.status(404).json({ error: 'NOT_FOUND' });
+      if (p.status !== 'processing') return res.status(409).json({ error: 'BAD_STATE' });
+      if (p.claimed_by !== adminRef(req) && !isSuper(req)) {
+        return res.status(403).json({ error: 'CLAIMED_BY_OTHER', claimed_by: p.claimed_by });
+      }
+
+      const proofUrl = await saveProof(parsed.data.proof_image_base64, id);
+
+      const ok = await markPayoutSent(db, id, adminRef(req), {
+        referenceNo: parsed.data.reference_no,
+        proofUrl,
+        force: isSuper(req),
+      });
+      if (!ok) return res.status(409).json({ error: 'BAD_STATE' });
+
+      notifyBankPayout(db, id);
+      return res.json({ ok: true, id, status: 'sent', reference_no: parsed.data.reference_no, proof_url: proofUrl });
+    } catch (e) {
+      if (e?.statusCode) return res.status(e.statusCode).json({ error: e.message });
+      console.error('[admin bank-payouts] sent error:', e);
+      return res.status(500).json({ error: 'SERVER_ERR' });
+    }
+  });
+
+  // POST /admin/bank-payouts/:id/reject { reason } – refunds the USDT
+  r.post('/:id/reject', async (req, res) => {
+    const id = parseId(req);
+    if (!id) return res.status(400).json({ error: 'BAD_ID' });
+
+    const parsed = z.object({
+      reason: z.string().trim().min(3).max(255),
+    }).safeParse(req.body || {});
+    if (!parsed.success) return res.status(400).json({ error: 'BAD_BODY' });
+
+    try {
+      const [[p]] = await db.query('SELECT status, claimed_by FROM bank_payouts WHERE id=?', [id]);
+      if (!p) return res.status(404).json({ error: 'NOT_FOUND' });
+      if (p.status === 'processing' && p.claimed_by !== adminRef(req) && !isSuper(req)) {
+        return res.status(403).json({ error: 'CLAIMED_BY_OTHER', claimed_by: p.claimed_by });
+      }
+
+      const out = await rejectPayout(db, id, { reason: parsed.data.reason, adminRef: adminRef(req) });
+
+      notifyBankPayout(db, id);
+      return res.json({ ok: true, id, status: 'rejected', refund_ledger_id: out.refundLedgerId });
+    } catch (e) {
+      if (/^PAYOUT_BAD_STATE/.test(e?.message || '')) return res.status(409).json({ error: 'BAD_STATE' });
+      console.error('[admin bank-payouts] reject error:', e);
+      return res.status(500).json({ error: 'SERVER_ERR' });
+    }
+  });
+
+  return r;
+};
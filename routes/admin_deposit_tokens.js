@@ -0,0 +1,121 @@
+// /server/routes/admin_deposit_tokens.js (CommonJS)
+// Deposit token registry (lib/deposit_tokens.js). Reads for any admin,
+// changes for superadmin only; the watcher picks changes up on its next pass.
+const express = require('express');
+const { z } = require('zod');
+const { isAddress } = require('ethers');
+const money = require('../lib/money');
+const { CHAIN_KEYS, normChain } = require('../lib/chains');
+const { listDepositTokens, formatDepositToken } = require('../lib/deposit_tokens');
+
+const decimal = z.union([z.number().nonnegative(), z.string().regex(/^\d+(\.\d+)?$/)]).transform(String);
+
+const tokenFields = {
+  decimals: z.number().int().min(0).max(36),
+  enabled: z.boolean(),
+  min_deposit: decimal,
+};
+
+module.exports = function makeAdminDepositTokensRouter({ db, requireAdmin }) {
+  if (!db) throw new Error('makeAdminDepositTokensRouter: db is required');
+  if (typeof requireAdmin !== 'function') {
+    throw new Error('makeAdminDepositTokensRouter: requireAdmin is required');
+  }
+
+  const r = express.Router();
+  r.use(requireAdmin);
+
+  const adminRef = (req) => `admin:${req.adminId}`;
+  const superOnly = (req, res, next) => (
+    req.adminRole === 'superadmin' ? next() : res.status(403).json({ error: 'FORBIDDEN' })
+  );
+
+  // GET /admin/deposit-tokens?chain=BSC
+  r.get('/', async (req, res) => {
+    try {
+      const chains = req.query.chain ? [normChain(req.query.chain)] : CHAIN_KEYS;
+      const items = [];
+      for (const chain of chains) {
+        const tokens = await listDepositTokens(db, chain, { enabledOnly: false });
+        items.push(...tokens.map(formatDepositToken));
+      }
+      return res.json({ items });
+    } catch (e) {
+      console.error('[admin deposit-tokens] list error:', e);
+      return res.status(500).json({ error: 'SERVER_ERR' });
+    }
+  });
+
+  // POST /admin/deposit-tokens { chain, symbol, contract | null, decimals, enabled?, min_deposit? }
+  r.post('/', superOnly, async (req, res) => {
+    const parsed = z.object({
+      chain: z.string().trim().min(1).transform(normChain),
+      symbol: z.string().trim().toUpperCase(),
+      contract: z.string().trim().toLowerCase().nullable(),
+      ...tokenFields,
+      enabled: tokenFields.enabled.optional().default(true),
+      min_deposit: tokenFields.min_deposit.optional().default('0'),
+    }).safeParse(req.body || {});
+    if (!parsed.success) return res.status(400).json({ error: 'BAD_BODY' });
+
+    const t = parsed.data;
+    if (!CHAIN_KEYS.includes(t.chain)) return res.status(400).json({ error: 'UNSUPPORTED_CHAIN' });
+    // the symbol is the wallet asset credited, so it must be one money.js knows
+    if (!money.hasAsset(t.symbol)) return res.status(400).json({ error: 'UNKNOWN_ASSET' });
+    if (t.contract != null && !isAddress(t.contract)) return res.status(400).json({ error: 'BAD_CONTRACT' });
+
+    try {
+      if (t.contract == null) {
+        const [[native]] = await db.query(
+          'SELECT id FROM deposit_tokens WHERE chain=? AND contract IS NULL LIMIT 1',
+          [t.chain]
+        );
+        if (native) return res.status(409).json({ error: 'NATIVE_EXISTS', id: native.id });
+      }
+
+      const [ins] = await db.query(
+        `INSERT INTO deposit_tokens (chain, symbol, contract, decimals, enabled, min_deposit, updated_by)
+         VALUES (?, ?, ?, ?, ?, ?, ?)`,
+        [t.chain, t.symbol, t.contract, t.decimals, t.enabled ? 1 : 0, t.min_deposit, adminRef(req)]
+      );
+      console.warn('[DEPOSIT TOKENS] created', { id: ins.insertId, by: adminRef(req), ...t });
+      return res.json({ ok: true, id: ins.insertId });
+    } catch (e) {
+      if (e?.code === 'ER_DUP_ENTRY') return res.status(409).json({ error: 'TOKEN_EXISTS' });
+      console.error('[admin deposit-tokens] create error:', e);
+      return res.status(500).json({ error: 'SERVER_ERR' });
+    }
+  });
+
+  // PATCH /admin/deposit-tokens/:id { decimals?, enabled?, min_deposit? }
+  r.patch('/:id', superOnly, async (req, res) => {
+    const id = Number(req.params.id);
+    if (!Number.isFinite(id) || id <= 0) return res.status(400).json({ error: 'BAD_ID' });
+
+    const parsed = z.object(tokenFields).partial().strict().safeParse(req.body || {});
+    if (!parsed.success || !Object.keys(parsed.data).length) {
+      return res.status(400).json({ error: 'BAD_BODY' });
+    }
+    const patch = parsed.data;
+
+    try {
+      const [[cur]] = await db.query('SELECT id FROM deposit_tokens WHERE id=?', [id]);
+      if (!cur) return res.status(404).json({ error: 'NOT_FOUND' });
+
+      const cols = Object.keys(patch);
+      const vals = cols.map((c) => (c === 'enabled' ? (patch[c] ? 1 : 0) : patch[c]));
+      await db.query(
+        `UPDATE deposit_tokens SET ${cols.map((c) => `${c}=?`).join(', ')}, updated_by=? WHERE id=?`,
+        [...vals, adminRef(req), id]
+      );
+
+      console.warn('[DEPOSIT TOKENS] updated', { id, by: adminRef(req), patch });
+      return res.json({ ok: true, id });
+    } catch (e) {
+      console.error('[admin deposit-tokens] update error:', e);
+      return res.status(500).json({ error: 'SERVER_ERR' });
+    }
+  });
+
+  return r;
+};
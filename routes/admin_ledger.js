@@ -0,0 +1,41 @@
+// /server/routes/admin_ledger.js (CommonJS)
+// Support search over wallet_ledger (same filters as GET /v1/wallet/ledger)
+//   GET /admin/ledger?tx_hash=0x…
+//   GET /admin/ledger?ref_id=123&type=deposit
+//   GET /admin/ledger?user_id=42&type=withdraw,refund&days=30
+const express = require('express');
+const { parseLedgerFilters, queryLedger } = require('../lib/ledger_query');
+
+module.exports = function makeAdminLedgerRouter({ db, requireAdmin }) {
+  if (!db) throw new Error('makeAdminLedgerRouter: db is required');
+  if (typeof requireAdmin !== 'function') {
+    throw new Error('makeAdminLedgerRouter: requireAdmin is required');
+  }
+
+  const r = express.Router();
+  r.use(requireAdmin);
+
+  r.get('/', async (req, res) => {
+    const parsed = parseLedgerFilters(req.query);
+    if (!parsed.ok) return res.status(400).json({ error: parsed.error });
+
+    // each of these hits an index; anything else would scan every user's rows
+    const f = parsed.filters;
+    if (!f.userId && !f.txHash && !f.refId) return res.status(400).json({ error: 'FILTER_REQUIRED' });
+
+    try {
+      const page = await queryLedger(db, {
+        filters: f,
+        cursor: req.query.cursor || null,
+        limit: req.query.limit,
+      });
+      return res.json(page);
+    } catch (e) {
+      if (e?.statusCode) return res.status(e.statusCode).json({ error: e.message });
+      console.error('[admin ledger] search error:', e);
+      return res.status(500).json({ error: 'SERVER_ERR' });
+    }
+  });
+
+  return r;
+};
@@ -0,0 +1,86 @@
+// /server/routes/admin_outbound_txs.js (CommonJS)
+// Hot wallet send queue (lib/outbound_txs.js): withdrawals, stake splits and
+// gas top-ups with their nonce, gas price versions and status. Any admin can
+// read it; forcing a gas bump is superadmin only.
+const express = require('express');
+const { z } = require('zod');
+const { normChain } = require('../lib/chains');
+const {
+  STATUSES,
+  PURPOSES,
+  listOutboundTxs,
+  getOutboundTx,
+  bumpOutboundTx,
+} = require('../lib/outbound_txs');
+
+module.exports = function makeAdminOutboundTxsRouter({ db, requireAdmin }) {
+  if (!db) throw new Error('makeAdminOutboundTxsRouter: db is required');
+  if (typeof requireAdmin !== 'function') {
+    throw new Error('makeAdminOutboundTxsRouter: requireAdmin is required');
+  }
+
+  const r = express.Router();
+  r.use(requireAdmin);
+
+  const adminRef = (req) => `admin:${req.adminId}`;
+  const superOnly = (req, res, next) => (
+    req.adminRole === 'superadmin' ? next() : res.status(403).json({ error: 'FORBIDDEN' })
+  );
+
+  const parseId = (req) => {
+    const id = Number(req.params.id);
+    return Number.isFinite(id) && id > 0 ? id : null;
+  };
+
+  // GET /admin/outbound-txs?status=broadcast&purpose=withdrawal&chain=BSC&before=&limit=
+  r.get('/', async (req, res) => {
+    const parsed = z.object({
+      status: z.enum(STATUSES).optional(),
+      purpose: z.enum(PURPOSES).optional(),
+      chain: z.string().trim().min(1).transform(normChain).optional(),
+      before: z.coerce.number().int().nonnegative().optional(),
+      limit: z.coerce.number().int().positive().optional(),
+    }).safeParse(req.query || {});
+    if (!parsed.success) return res.status(400).json({ error: 'BAD_QUERY' });
+
+    try {
+      return res.json(await listOutboundTxs(db, parsed.data));
+    } catch (e) {
+      console.error('[admin outbound-txs] list error:', e);
+      return res.status(500).json({ error: 'SERVER_ERR' });
+    }
+  });
+
+  // GET /admin/outbound-txs/:id  (with every signed version)
+  r.get('/:id', async (req, res) => {
+    const id = parseId(req);
+    if (!id) return res.status(400).json({ error: 'BAD_ID' });
+    try {
+      const tx = await getOutboundTx(db, id);
+      if (!tx) return res.status(404).json({ error: 'NOT_FOUND' });
+      return res.json(tx);
+    } catch (e) {
+      console.error('[admin outbound-txs] get error:', e);
+      return res.status(500).json({ error: 'SERVER_ERR' });
+    }
+  });
+
+  // POST /admin/outbound-txs/:id/bump  (re-sign a stuck tx with a higher gas price now)
+  r.post('/:id/bump', superOnly, async (req, res) => {
+    const id = parseId(req);
+    if (!id) return res.status(400).json({ error: 'BAD_ID' });
+    try {
+      const txHash = await bumpOutboundTx(db, id);
+      console.warn('[OUTBOUND] bump by admin', { id, by: adminRef(req), tx: txHash });
+      return res.json({ ok: true, id, tx_hash: txHash, rebroadcast_only: txHash == null });
+    } catch (e) {
+      if (e?.code === 'OUTBOUND_NOT_FOUND') return res.status(404).json({ error: 'NOT_FOUND' });
+      if (e?.code === 'BAD_STATUS') return res.status(409).json({ error: 'BAD_STATUS', status: e.status });
+      if (e?.code === 'OUTBOUND_BUSY') return res.status(409).json({ error: 'OUTBOUND_BUSY' });
+      console.error('[admin outbound-txs] bump error:', e);
+      return res.status(500).json({ error: 'SERVER_ERR' });
+    }
+  });
+
+  return r;
+};
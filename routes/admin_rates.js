@@ -0,0 +1,90 @@
+// /server/routes/admin_rates.js (CommonJS)
+// Manual rate overrides (superadmin). An override replaces the provider
+// median for its pair until cleared or until expires_at.
+const express = require('express');
+const { z } = require('zod');
+
+module.exports = function makeAdminRatesRouter({ db, requireAdmin, rates }) {
+  if (!db) throw new Error('makeAdminRatesRouter: db is required');
+  if (typeof requireAdmin !== 'function') {
+    throw new Error('makeAdminRatesRouter: requireAdmin is required');
+  }
+  if (!rates) throw new Error('makeAdminRatesRouter: rates is required');
+
+  const r = express.Router();
+  r.use(requireAdmin);
+
+  const adminRef = (req) => `admin:${req.adminId}`;
+
+  // GET /admin/rates – live rates, providers and active overrides
+  r.get('/', async (_req, res) => {
+    try {
+      const [overrides] = await db.query(
+        `SELECT pair, rate, reason, set_by, expires_at, created_at
+           FROM rate_overrides
+          WHERE expires_at IS NULL OR expires_at > NOW()`
+      );
+      return res.json({
+        providers: rates.providers,
+        current: await rates.current(),
+        overrides,
+      });
+    } catch (e) {
+      console.error('[admin rates] list error:', e);
+      return res.status(500).json({ error: 'SERVER_ERR' });
+    }
+  });
+
+  // PUT /admin/rates/override { pair, rate, reason, ttl_minutes? }
+  r.put('/override', async (req, res) => {
+    if (req.adminRole !== 'superadmin') return res.status(403).json({ error: 'FORBIDDEN' });
+
+    const parsed = z.object({
+      pair: z.string().transform((s) => s.toUpperCase()),
+      rate: z.number().positive(),
+      reason: z.string().trim().min(3).max(255),
+      ttl_minutes: z.number().int().positive().max(7 * 24 * 60).optional(),
+    }).safeParse(req.body || {});
+    if (!parsed.success) return res.status(400).json({ error: 'BAD_BODY' });
+
+    const { pair, rate, reason, ttl_minutes: ttl } = parsed.data;
+    if (!rates.pairs.includes(pair)) return res.status(400).json({ error: 'BAD_PAIR' });
+
+    try {
+      await db.query(
+        `INSERT INTO rate_overrides (pair, rate, reason, set_by, expires_at)
+         VALUES (?, ?, ?, ?, ${ttl ? 'NOW() + INTERVAL ? MINUTE' : 'NULL'})
+         ON DUPLICATE KEY UPDATE
+           rate=VALUES(rate), reason=VALUES(reason), set_by=VALUES(set_by),
+           expires_at=VALUES(expires_at), created_at=NOW()`,
+        ttl ? [pair, rate, reason, adminRef(req), ttl] : [pair, rate, reason, adminRef(req)]
+      );
+      rates.invalidate(pair);
+      console.warn('[RATES] override set', { pair, rate, by: adminRef(req), ttl_minutes: ttl || null, reason });
+      return res.json({ ok: true, pair, rate, expires_in_minutes: ttl || null });
+    } catch (e) {
+      console.error('[admin rates] override error:', e);
+      return res.status(500).json({ error: 'SERVER_ERR' });
+    }
+  });
+
+  // DELETE /admin/rates/override/:pair
+  r.delete('/override/:pair', async (req, res) => {
+    if (req.adminRole !== 'superadmin') return res.status(403).json({ error: 'FORBIDDEN' });
+
+    const pair = String(req.params.pair || '').toUpperCase();
+    if (!rates.pairs.includes(pair)) return res.status(400).json({ error: 'BAD_PAIR' });
+
+    try {
+      const [del] = await db.query('DELETE FROM rate_overrides WHERE pair=?', [pair]);
+      rates.invalidate(pair);
+      console.warn('[RATES] override cleared', { pair, by: adminRef(req) });
+      return res.json({ ok: true, pair, cleared: del.affectedRows === 1 });
+    } catch (e) {
+      console.error('[admin rates] clear error:', e);
+      return res.status(500).json({ error: 'SERVER_ERR' });
+    }
+  });
+
+  return r;
+};
@@ -0,0 +1,114 @@
+// /server/routes/admin_reconcile.js (CommonJS)
+// Admin view of ledger ↔ wallet_balances drift (see lib/reconcile.js)
+const express = require('express');
+const { z } = require('zod');
+const { findDrift, runReconciliation } = require('../lib/reconcile');
+
+module.exports = function makeAdminReconcileRouter({ db, requireAdmin }) {
+  if (!db) throw new Error('makeAdminReconcileRouter: db is required');
+  if (typeof requireAdmin !== 'function') {
+    throw new Error('makeAdminReconcileRouter: requireAdmin is required');
+  }
+
+  const r = express.Router();
+  r.use(requireAdmin);
+
+  const safeJson = (v) => {
+    if (v == null) return null;
+    if (typeof v === 'object') return v;
+    try { return JSON.parse(v); } catch (_) { return null; }
+  };
+
+  // GET /admin/reconcile/drift?userId= – live drift report (nothing persisted)
+  r.get('/drift', async (req, res) => {
+    const userId = req.query.userId ? Number(req.query.userId) : null;
+    if (userId != null && (!Number.isFinite(userId) || userId <= 0)) {
+      return res.status(400).json({ error: 'BAD_USER_ID' });
+    }
+
+    try {
+      const out = await findDrift(db, { userId });
+      return res.json({
+        pairs_checked: out.pairsChecked,
+        drift_count: out.drift.length,
+        drift: out.drift,
+        checked_at: new Date().toISOString(),
+      });
+    } catch (e) {
+      console.error('[admin reconcile] drift error:', e);
+      return res.status(500).json({ error: 'SERVER_ERR' });
+    }
+  });
+
+  // POST /admin/reconcile/run { repair?, reason_code?, userId? }
+  // repair=true writes correcting ledger entries (superadmin only)
+  r.post('/run', async (req, res) => {
+    const parsed = z.object({
+      repair: z.boolean().optional().default(false),
+      reason_code: z.string().regex(/^[A-Z0-9_]{3,64}$/).optional(),
+      userId: z.union([z.number().int().positive(), z.string().regex(/^\d+$/).transform(Number)]).optional(),
+    }).safeParse(req.body || {});
+    if (!parsed.success) return res.status(400).json({ error: 'BAD_BODY' });
+
+    const { repair, reason_code, userId } = parsed.data;
+
+    if (repair && req.adminRole !== 'superadmin') {
+      return res.status(403).json({ error: 'FORBIDDEN' });
+    }
+    if (repair && !reason_code) {
+      return res.status(400).json({ error: 'REASON_CODE_REQUIRED' });
+    }
+
+    try {
+      const out = await runReconciliation(db, {
+        repair,
+        reasonCode: reason_code || null,
+        userId: userId || null,
+        triggeredBy: `admin:${req.adminId}`,
+      });
+      return res.json({ ok: true, ...out });
+    } catch (e) {
+      console.error('[admin reconcile] run error:', e);
+      return res.status(500).json({ error: 'SERVER_ERR' });
+    }
+  });
+
+  // GET /admin/reconcile/runs?limit=&offset=
+  r.get('/runs', async (req, res) => {
+    const limit = Math.min(200, Math.max(1, Number(req.query.limit || 50)));
+    const offset = Math.max(0, Number(req.query.offset || 0));
+
+    try {
+      const [rows] = await db.query(
+        `SELECT id, mode, reason_code, triggered_by, user_id, pairs_checked,
+                drift_count, repaired, error, started_at, finished_at
+           FROM ledger_reconcile_runs
+          ORDER BY id DESC
+          LIMIT ? OFFSET ?`,
+        [limit, offset]
+      );
+      return res.json({ runs: rows, limit, offset });
+    } catch (e) {
+      console.error('[admin reconcile] runs error:', e);
+      return res.status(500).json({ error: 'SERVER_ERR' });
+    }
+  });
+
+  // GET /admin/reconcile/runs/:id – full drift report of one run
+  r.get('/runs/:id', async (req, res) => {
+    const id = Number(req.params.id);
+    if (!Number.isFinite(id) || id <= 0) return res.status(400).json({ error: 'BAD_ID' });
+
+    try {
+      const [[row]] = await db.query(`SELECT * FROM ledger_reconcile_runs WHERE id=?`, [id]);
+      if (!row) return res.status(404).json({ error: 'NOT_FOUND' });
+
+      return res.json({ ...row, report_json: undefined, drift: safeJson(row.report_json) || [] });
+    } catch (e) {
+      console.error('[admin reconcile] run detail error:', e);
+      return res.status(500).json({ error: 'SERVER_ERR' });
+    }
+  });
+
+  return r;
+};
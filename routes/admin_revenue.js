@@ -0,0 +1,36 @@
+// /server/routes/admin_revenue.js (CommonJS)
+// Finance view: transfer fees collected by the house vs gas actually spent
+// (lib/house_fees.js), per day.
+//   GET /admin/revenue?month=2026-09 | from=2026-09-01&to=2026-09-30   (default: this month)
+const express = require('express');
+const { parseStatementRange } = require('../lib/statements');
+const { revenueReport } = require('../lib/house_fees');
+
+module.exports = function makeAdminRevenueRouter({ db, requireAdmin }) {
+  if (!db) throw new Error('makeAdminRevenueRouter: db is required');
+  if (typeof requireAdmin !== 'function') {
+    throw new Error('makeAdminRevenueRouter: requireAdmin is required');
+  }
+
+  const r = express.Router();
+  r.use(requireAdmin);
+
+  r.get('/', async (req, res) => {
+    const q = req.query || {};
+    const range = parseStatementRange({
+      month: q.month ? String(q.month) : (q.from || q.to ? null : new Date().toISOString().slice(0, 7)),
+      from: q.from ? String(q.from) : null,
+      to: q.to ? String(q.to) : null,
+    });
+    if (!range.ok) return res.status(400).json({ error: range.error });
+
+    try {
+      return res.json(await revenueReport(db, { from: range.from, to: range.to }));
+    } catch (e) {
+      console.error('[admin revenue] error:', e);
+      return res.status(500).json({ error: 'SERVER_ERR' });
+    }
+  });
+
+  return r;
+};
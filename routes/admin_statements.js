@@ -0,0 +1,37 @@
+// /server/routes/admin_statements.js (CommonJS)
+// Support view of a user's statement (same query params as /v1/wallet/statement)
+//   GET /admin/statements/:userId?asset=USDT&month=2026-09&format=pdf
+const express = require('express');
+const { parseStatementQuery } = require('./statements');
+const { buildStatement, sendStatement } = require('../lib/statements');
+
+module.exports = function makeAdminStatementsRouter({ db, requireAdmin }) {
+  if (!db) throw new Error('makeAdminStatementsRouter: db is required');
+  if (typeof requireAdmin !== 'function') {
+    throw new Error('makeAdminStatementsRouter: requireAdmin is required');
+  }
+
+  const r = express.Router();
+  r.use(requireAdmin);
+
+  r.get('/:userId', async (req, res) => {
+    const userId = Number(req.params.userId);
+    if (!Number.isFinite(userId) || userId <= 0) return res.status(400).json({ error: 'BAD_ID' });
+
+    const q = parseStatementQuery(req.query);
+    if (!q.ok) return res.status(400).json({ error: q.error });
+
+    try {
+      const st = await buildStatement(db, { userId, asset: q.asset, from: q.from, to: q.to });
+      console.log('[admin statement]', `admin:${req.adminId}`, 'user', userId, q.asset, q.from, q.to, q.format);
+      return sendStatement(res, st, q.format);
+    } catch (e) {
+      if (e?.message === 'STATEMENT_TOO_LARGE') return res.status(413).json({ error: 'STATEMENT_TOO_LARGE' });
+      if (e?.message === 'STATEMENT_USER_NOT_FOUND') return res.status(404).json({ error: 'NOT_FOUND' });
+      console.error('[admin statement] error:', e);
+      return res.status(500).json({ error: 'SERVER_ERR' });
+    }
+  });
+
+  return r;
+};
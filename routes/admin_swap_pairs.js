@@ -0,0 +1,149 @@
+// /server/routes/admin_swap_pairs.js (CommonJS)
+// Swap pair configuration (lib/swap_pairs.js). Reads for any admin, changes
+// for superadmin only; swaps pick changes up on the next request.
+const express = require('express');
+const { z } = require('zod');
+const money = require('../lib/money');
+const { listSwapPairs, formatSwapPair } = require('../lib/swap_pairs');
+
+const decimal = z.union([z.number().nonnegative(), z.string().regex(/^\d+(\.\d+)?$/)]).transform(String);
+const bps = z.number().int().min(0).max(5000);
+
+const pairFields = {
+  rate_mode: z.enum(['fixed', 'source']),
+  base_rate: decimal.nullable(),
+  rate_source: z.string().trim().toUpperCase().max(16).nullable(),
+  buy_spread_bps: bps,
+  sell_spread_bps: bps,
+  fee_bps: bps,
+  min_base_amount: decimal.nullable(),
+  max_base_amount: decimal.nullable(),
+  daily_limit_base: decimal.nullable(),
+  enabled: z.boolean(),
+};
+
+module.exports = function makeAdminSwapPairsRouter({ db, requireAdmin, rates }) {
+  if (!db) throw new Error('makeAdminSwapPairsRouter: db is required');
+  if (typeof requireAdmin !== 'function') {
+    throw new Error('makeAdminSwapPairsRouter: requireAdmin is required');
+  }
+
+  const r = express.Router();
+  r.use(requireAdmin);
+
+  const adminRef = (req) => `admin:${req.adminId}`;
+  const superOnly = (req, res, next) => (
+    req.adminRole === 'superadmin' ? next() : res.status(403).json({ error: 'FORBIDDEN' })
+  );
+
+  // Cross-field checks shared by create + update; returns an error code or null
+  function checkPair(p) {
+    if (!money.hasAsset(p.base_asset) || !money.hasAsset(p.quote_asset)) return 'UNKNOWN_ASSET';
+    if (p.base_asset === p.quote_asset) return 'BAD_PAIR';
+    if (p.rate_mode === 'fixed' && !(Number(p.base_rate) > 0)) return 'BASE_RATE_REQUIRED';
+    if (p.rate_mode === 'source' && !(rates && rates.pairs.includes(p.rate_source))) return 'BAD_RATE_SOURCE';
+    if (p.min_base_amount != null && p.max_base_amount != null &&
+        Number(p.min_base_amount) > Number(p.max_base_amount)) return 'BAD_LIMITS';
+    return null;
+  }
+
+  // GET /admin/swap-pairs
+  r.get('/', async (_req, res) => {
+    try {
+      const rows = await listSwapPairs(db);
+      const items = await Promise.all(rows.map(async (p) => ({
+        ...(await formatSwapPair(p, rates)),
+        rate_mode: p.rate_mode,
+        base_rate: p.base_rate == null ? null : Number(p.base_rate),
+        rate_source: p.rate_source,
+        buy_spread_bps: Number(p.buy_spread_bps),
+        sell_spread_bps: Number(p.sell_spread_bps),
+        updated_by: p.updated_by,
+        updated_at: p.updated_at,
+      })));
+      return res.json({ items });
+    } catch (e) {
+      console.error('[admin swap-pairs] list error:', e);
+      return res.status(500).json({ error: 'SERVER_ERR' });
+    }
+  });
+
+  // POST /admin/swap-pairs { base_asset, quote_asset, rate_mode, base_rate | rate_source, … }
+  r.post('/', superOnly, async (req, res) => {
+    const parsed = z.object({
+      base_asset: z.string().trim().toUpperCase(),
+      quote_asset: z.string().trim().toUpperCase(),
+      ...pairFields,
+      base_rate: pairFields.base_rate.optional().default(null),
+      rate_source: pairFields.rate_source.optional().default(null),
+      buy_spread_bps: bps.optional().default(0),
+      sell_spread_bps: bps.optional().default(0),
+      fee_bps: bps.optional().default(0),
+      min_base_amount: pairFields.min_base_amount.optional().default(null),
+      max_base_amount: pairFields.max_base_amount.optional().default(null),
+      daily_limit_base: pairFields.daily_limit_base.optional().default(null),
+      enabled: z.boolean().optional().default(true),
+    }).safeParse(req.body || {});
+    if (!parsed.success) return res.status(400).json({ error: 'BAD_BODY' });
+
+    const p = parsed.data;
+    const bad = checkPair(p);
+    if (bad) return res.status(400).json({ error: bad });
+
+    try {
+      const [ins] = await db.query(
+        `INSERT INTO swap_pairs
+           (base_asset, quote_asset, rate_mode, base_rate, rate_source, buy_spread_bps,
+            sell_spread_bps, fee_bps, min_base_amount, max_base_amount, daily_limit_base,
+            enabled, updated_by)
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+        [
+          p.base_asset, p.quote_asset, p.rate_mode, p.base_rate, p.rate_source, p.buy_spread_bps,
+          p.sell_spread_bps, p.fee_bps, p.min_base_amount, p.max_base_amount, p.daily_limit_base,
+          p.enabled ? 1 : 0, adminRef(req),
+        ]
+      );
+      console.warn('[SWAP PAIRS] created', { id: ins.insertId, by: adminRef(req), ...p });
+      return res.json({ ok: true, id: ins.insertId });
+    } catch (e) {
+      if (e?.code === 'ER_DUP_ENTRY') return res.status(409).json({ error: 'PAIR_EXISTS' });
+      console.error('[admin swap-pairs] create error:', e);
+      return res.status(500).json({ error: 'SERVER_ERR' });
+    }
+  });
+
+  // PATCH /admin/swap-pairs/:id { any of the pair fields }
+  r.patch('/:id', superOnly, async (req, res) => {
+    const id = Number(req.params.id);
+    if (!Number.isFinite(id) || id <= 0) return res.status(400).json({ error: 'BAD_ID' });
+
+    const parsed = z.object(pairFields).partial().strict().safeParse(req.body || {});
+    if (!parsed.success || !Object.keys(parsed.data).length) {
+      return res.status(400).json({ error: 'BAD_BODY' });
+    }
+    const patch = parsed.data;
+
+    try {
+      const [[cur]] = await db.query('SELECT * FROM swap_pairs WHERE id=?', [id]);
+      if (!cur) return res.status(404).json({ error: 'NOT_FOUND' });
+
+      const bad = checkPair({ ...cur, ...patch });
+      if (bad) return res.status(400).json({ error: bad });
+
+      const cols = Object.keys(patch);
+      const vals = cols.map((c) => (c === 'enabled' ? (patch[c] ? 1 : 0) : patch[c]));
+      await db.query(
+        `UPDATE swap_pairs SET ${cols.map((c) => `${c}=?`).join(', ')}, updated_by=? WHERE id=?`,
+        [...vals, adminRef(req), id]
+      );
+
+      console.warn('[SWAP PAIRS] updated', { id, by: adminRef(req), patch });
+      return res.json({ ok: true, id });
+    } catch (e) {
+      console.error('[admin swap-pairs] update error:', e);
+      return res.status(500).json({ error: 'SERVER_ERR' });
+    }
+  });
+
+  return r;
+};
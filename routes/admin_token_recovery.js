@@ -0,0 +1,108 @@
+// /server/routes/admin_token_recovery.js (CommonJS)
+// Recovery queue of unsupported tokens / NFTs sent to deposit addresses
+// (lib/token_recovery.js). Any admin can read it; recovering or ignoring an
+// item is superadmin only.
+const express = require('express');
+const { z } = require('zod');
+const { normChain } = require('../lib/chains');
+const {
+  STATUSES,
+  listUnsupportedTransfers,
+  getUnsupportedTransfer,
+  recoverUnsupportedTransfer,
+  ignoreUnsupportedTransfer,
+} = require('../lib/token_recovery');
+
+module.exports = function makeAdminTokenRecoveryRouter({ db, requireAdmin, rates = null }) {
+  if (!db) throw new Error('makeAdminTokenRecoveryRouter: db is required');
+  if (typeof requireAdmin !== 'function') {
+    throw new Error('makeAdminTokenRecoveryRouter: requireAdmin is required');
+  }
+
+  const r = express.Router();
+  r.use(requireAdmin);
+
+  const adminRef = (req) => `admin:${req.adminId}`;
+  const superOnly = (req, res, next) => (
+    req.adminRole === 'superadmin' ? next() : res.status(403).json({ error: 'FORBIDDEN' })
+  );
+
+  const parseId = (req) => {
+    const id = Number(req.params.id);
+    return Number.isFinite(id) && id > 0 ? id : null;
+  };
+
+  const sendError = (res, e, what) => {
+    if (e?.statusCode && e.statusCode < 500) {
+      return res.status(e.statusCode).json({ error: e.message, status: e.status, held: e.held, needed: e.needed, cap: e.cap });
+    }
+    console.error(`[admin token-recovery] ${what} error:`, e?.detail || e);
+    return res.status(e?.statusCode || 500).json({ error: e?.statusCode ? e.message : 'SERVER_ERR', detail: e?.detail });
+  };
+
+  // GET /admin/token-recovery?status=detected&chain=BSC&before=&limit=
+  r.get('/', async (req, res) => {
+    const parsed = z.object({
+      status: z.enum(STATUSES).optional(),
+      chain: z.string().trim().min(1).transform(normChain).optional(),
+      before: z.coerce.number().int().nonnegative().optional(),
+      limit: z.coerce.number().int().positive().optional(),
+    }).safeParse(req.query || {});
+    if (!parsed.success) return res.status(400).json({ error: 'BAD_QUERY' });
+
+    try {
+      return res.json(await listUnsupportedTransfers(db, parsed.data));
+    } catch (e) {
+      return sendError(res, e, 'list');
+    }
+  });
+
+  // GET /admin/token-recovery/:id  (with its recovery attempts)
+  r.get('/:id', async (req, res) => {
+    const id = parseId(req);
+    if (!id) return res.status(400).json({ error: 'BAD_ID' });
+    try {
+      const item = await getUnsupportedTransfer(db, id);
+      if (!item) return res.status(404).json({ error: 'NOT_FOUND' });
+      return res.json(item);
+    } catch (e) {
+      return sendError(res, e, 'get');
+    }
+  });
+
+  // POST /admin/token-recovery/:id/recover { to? }  (default: the chain's recovery address)
+  r.post('/:id/recover', superOnly, async (req, res) => {
+    const id = parseId(req);
+    if (!id) return res.status(400).json({ error: 'BAD_ID' });
+    const parsed = z.object({ to: z.string().trim().min(1).optional() }).safeParse(req.body || {});
+    if (!parsed.success) return res.status(400).json({ error: 'BAD_BODY' });
+
+    try {
+      const out = await recoverUnsupportedTransfer(db, {
+        id,
+        to: parsed.data.to || null,
+        adminRef: adminRef(req),
+        rates,
+      });
+      return res.json(out);
+    } catch (e) {
+      return sendError(res, e, 'recover');
+    }
+  });
+
+  // POST /admin/token-recovery/:id/ignore { note? }
+  r.post('/:id/ignore', superOnly, async (req, res) => {
+    const id = parseId(req);
+    if (!id) return res.status(400).json({ error: 'BAD_ID' });
+    const parsed = z.object({ note: z.string().trim().max(255).optional() }).safeParse(req.body || {});
+    if (!parsed.success) return res.status(400).json({ error: 'BAD_BODY' });
+
+    try {
+      return res.json(await ignoreUnsupportedTransfer(db, { id, adminRef: adminRef(req), note: parsed.data.note || null }));
+    } catch (e) {
+      return sendError(res, e, 'ignore');
+    }
+  });
+
+  return r;
+};
@@ -0,0 +1,272 @@
+// /server/routes/admin_treasury.js (CommonJS)
+// Treasury solvency (lib/treasury.js): owed vs. held per asset, coverage
+// trend and low-coverage alerts; hot / cold rebalancing
+// (lib/treasury_rebalance.js): targets, movements log, top-up requests.
+// Reads for any admin; targets, rebalance runs and top-up requests are
+// superadmin only.
+const express = require('express');
+const { z } = require('zod');
+const { normChain } = require('../lib/chains');
+const {
+  ALERT_STATUSES,
+  runTreasurySnapshot,
+  getTreasurySnapshot,
+  treasuryHistory,
+  listTreasuryAlerts,
+  acknowledgeTreasuryAlert,
+} = require('../lib/treasury');
+const {
+  MOVEMENT_STATUSES,
+  listTreasuryTargets,
+  setTreasuryTarget,
+  runRebalance,
+  listTreasuryMovements,
+  completeTopupRequest,
+  cancelTopupRequest,
+} = require('../lib/treasury_rebalance');
+
+const decimal = z.union([z.number().nonnegative(), z.string().regex(/^\d+(\.\d+)?$/)]).transform(String);
+
+module.exports = function makeAdminTreasuryRouter({ db, requireAdmin }) {
+  if (!db) throw new Error('makeAdminTreasuryRouter: db is required');
+  if (typeof requireAdmin !== 'function') {
+    throw new Error('makeAdminTreasuryRouter: requireAdmin is required');
+  }
+
+  const r = express.Router();
+  r.use(requireAdmin);
+
+  const adminRef = (req) => `admin:${req.adminId}`;
+  const superOnly = (req, res, next) => (
+    req.adminRole === 'superadmin' ? next() : res.status(403).json({ error: 'FORBIDDEN' })
+  );
+
+  const sendError = (res, e, what) => {
+    if (e?.statusCode && e.statusCode < 500) return res.status(e.statusCode).json({ error: e.message, status: e.status });
+    console.error(`[admin treasury] ${what} error:`, e);
+    return res.status(500).json({ error: 'SERVER_ERR' });
+  };
+
+  const parseId = (req) => {
+    const id = Number(req.params.id);
+    return Number.isFinite(id) && id > 0 ? id : null;
+  };
+
+  // GET /admin/treasury – latest snapshot (per asset breakdown, holdings) + active alerts
+  r.get('/', async (req, res) => {
+    try {
+      const snapshot = await getTreasurySnapshot(db);
+      const alerts = await listTreasuryAlerts(db);
+      return res.json({ snapshot, alerts });
+    } catch (e) {
+      console.error('[admin treasury] summary error:', e);
+      return res.status(500).json({ error: 'SERVER_ERR' });
+    }
+  });
+
+  // GET /admin/treasury/history?asset=USDT&days=30 – coverage trend
+  r.get('/history', async (req, res) => {
+    const parsed = z.object({
+      asset: z.string().trim().min(1).max(16).toUpperCase(),
+      days: z.coerce.number().int().min(1).max(365).optional().default(30),
+    }).safeParse(req.query || {});
+    if (!parsed.success) return res.status(400).json({ error: 'BAD_QUERY' });
+
+    try {
+      const points = await treasuryHistory(db, parsed.data);
+      return res.json({ asset: parsed.data.asset, days: parsed.data.days, points });
+    } catch (e) {
+      console.error('[admin treasury] history error:', e);
+      return res.status(500).json({ error: 'SERVER_ERR' });
+    }
+  });
+
+  // GET /admin/treasury/snapshots?limit=&offset=
+  r.get('/snapshots', async (req, res) => {
+    const limit = Math.min(200, Math.max(1, Number(req.query.limit || 50)));
+    const offset = Math.max(0, Number(req.query.offset || 0));
+
+    try {
+      const [rows] = await db.query(
+        `SELECT id, triggered_by, assets_count, below_count, error, started_at, finished_at
+           FROM treasury_snapshots
+          ORDER BY id DESC
+          LIMIT ? OFFSET ?`,
+        [limit, offset]
+      );
+      return res.json({ snapshots: rows, limit, offset });
+    } catch (e) {
+      console.error('[admin treasury] snapshots error:', e);
+      return res.status(500).json({ error: 'SERVER_ERR' });
+    }
+  });
+
+  // GET /admin/treasury/snapshots/:id
+  r.get('/snapshots/:id', async (req, res) => {
+    const id = parseId(req);
+    if (!id) return res.status(400).json({ error: 'BAD_ID' });
+    try {
+      const snap = await getTreasurySnapshot(db, id);
+      if (!snap) return res.status(404).json({ error: 'NOT_FOUND' });
+      return res.json(snap);
+    } catch (e) {
+      console.error('[admin treasury] snapshot error:', e);
+      return res.status(500).json({ error: 'SERVER_ERR' });
+    }
+  });
+
+  // POST /admin/treasury/snapshot – take one now (reads only)
+  r.post('/snapshot', async (req, res) => {
+    try {
+      const out = await runTreasurySnapshot(db, { triggeredBy: adminRef(req) });
+      return res.json({ ok: true, ...(await getTreasurySnapshot(db, out.snapshotId)) });
+    } catch (e) {
+      console.error('[admin treasury] snapshot run error:', e);
+      return res.status(500).json({ error: 'SERVER_ERR' });
+    }
+  });
+
+  // GET /admin/treasury/alerts?status=  (default: open + acknowledged)
+  r.get('/alerts', async (req, res) => {
+    const parsed = z.object({
+      status: z.enum(ALERT_STATUSES).optional(),
+      limit: z.coerce.number().int().min(1).max(200).optional().default(50),
+    }).safeParse(req.query || {});
+    if (!parsed.success) return res.status(400).json({ error: 'BAD_QUERY' });
+
+    try {
+      return res.json({ alerts: await listTreasuryAlerts(db, parsed.data) });
+    } catch (e) {
+      console.error('[admin treasury] alerts error:', e);
+      return res.status(500).json({ error: 'SERVER_ERR' });
+    }
+  });
+
+  // POST /admin/treasury/alerts/:id/ack { note? }
+  r.post('/alerts/:id/ack', async (req, res) => {
+    const id = parseId(req);
+    if (!id) return res.status(400).json({ error: 'BAD_ID' });
+    const parsed = z.object({ note: z.string().trim().max(255).optional() }).safeParse(req.body || {});
+    if (!parsed.success) return res.status(400).json({ error: 'BAD_BODY' });
+
+    try {
+      const ok = await acknowledgeTreasuryAlert(db, { id, adminRef: adminRef(req), note: parsed.data.note || null });
+      if (!ok) return res.status(409).json({ error: 'BAD_STATE' });
+      console.warn('[TREASURY] alert acknowledged', { id, by: adminRef(req) });
+      return res.json({ ok: true, id, status: 'acknowledged' });
+    } catch (e) {
+      console.error('[admin treasury] ack error:', e);
+      return res.status(500).json({ error: 'SERVER_ERR' });
+    }
+  });
+
+  /* ───────────── Rebalancing ───────────── */
+
+  // GET /admin/treasury/targets
+  r.get('/targets', async (req, res) => {
+    try {
+      return res.json({ items: await listTreasuryTargets(db) });
+    } catch (e) {
+      return sendError(res, e, 'targets');
+    }
+  });
+
+  // PUT /admin/treasury/targets { chain, asset, hot_floor, hot_ceiling, enabled? }
+  r.put('/targets', superOnly, async (req, res) => {
+    const parsed = z.object({
+      chain: z.string().trim().min(1).transform(normChain),
+      asset: z.string().trim().min(1).max(16).toUpperCase(),
+      hot_floor: decimal,
+      hot_ceiling: decimal,
+      enabled: z.boolean().optional().default(true),
+    }).safeParse(req.body || {});
+    if (!parsed.success) return res.status(400).json({ error: 'BAD_BODY' });
+    const t = parsed.data;
+
+    try {
+      const target = await setTreasuryTarget(db, {
+        chain: t.chain,
+        asset: t.asset,
+        hotFloor: t.hot_floor,
+        hotCeiling: t.hot_ceiling,
+        enabled: t.enabled,
+        adminRef: adminRef(req),
+      });
+      return res.json({ ok: true, target });
+    } catch (e) {
+      if (/^MONEY_/.test(String(e?.message))) return res.status(400).json({ error: 'BAD_AMOUNT' });
+      return sendError(res, e, 'set target');
+    }
+  });
+
+  // POST /admin/treasury/rebalance – run a pass now
+  r.post('/rebalance', superOnly, async (req, res) => {
+    try {
+      const out = await runRebalance(db, { requestedBy: adminRef(req) });
+      if (out.skipped) return res.status(409).json({ error: 'REBALANCE_RUNNING' });
+      return res.json({ ok: true, results: out.results });
+    } catch (e) {
+      return sendError(res, e, 'rebalance');
+    }
+  });
+
+  // GET /admin/treasury/movements?chain=&asset=&direction=&status=&before=&limit=
+  r.get('/movements', async (req, res) => {
+    const parsed = z.object({
+      chain: z.string().trim().min(1).transform(normChain).optional(),
+      asset: z.string().trim().min(1).max(16).toUpperCase().optional(),
+      direction: z.enum(['hot_to_cold', 'cold_to_hot']).optional(),
+      status: z.enum(MOVEMENT_STATUSES).optional(),
+      before: z.coerce.number().int().nonnegative().optional(),
+      limit: z.coerce.number().int().positive().optional(),
+    }).safeParse(req.query || {});
+    if (!parsed.success) return res.status(400).json({ error: 'BAD_QUERY' });
+
+    try {
+      return res.json(await listTreasuryMovements(db, parsed.data));
+    } catch (e) {
+      return sendError(res, e, 'movements');
+    }
+  });
+
+  // POST /admin/treasury/movements/:id/complete { tx_hash?, amount?, note? } – top-up sent from cold
+  r.post('/movements/:id/complete', superOnly, async (req, res) => {
+    const id = parseId(req);
+    if (!id) return res.status(400).json({ error: 'BAD_ID' });
+    const parsed = z.object({
+      tx_hash: z.string().trim().regex(/^0x[0-9a-fA-F]{64}$/).optional(),
+      amount: decimal.optional(),
+      note: z.string().trim().max(255).optional(),
+    }).safeParse(req.body || {});
+    if (!parsed.success) return res.status(400).json({ error: 'BAD_BODY' });
+
+    try {
+      return res.json(await completeTopupRequest(db, {
+        id,
+        adminRef: adminRef(req),
+        txHash: parsed.data.tx_hash ? parsed.data.tx_hash.toLowerCase() : null,
+        amount: parsed.data.amount ?? null,
+        note: parsed.data.note || null,
+      }));
+    } catch (e) {
+      if (/^MONEY_/.test(String(e?.message))) return res.status(400).json({ error: 'BAD_AMOUNT' });
+      return sendError(res, e, 'complete');
+    }
+  });
+
+  // POST /admin/treasury/movements/:id/cancel { note? }
+  r.post('/movements/:id/cancel', superOnly, async (req, res) => {
+    const id = parseId(req);
+    if (!id) return res.status(400).json({ error: 'BAD_ID' });
+    const parsed = z.object({ note: z.string().trim().max(255).optional() }).safeParse(req.body || {});
+    if (!parsed.success) return res.status(400).json({ error: 'BAD_BODY' });
+
+    try {
+      return res.json(await cancelTopupRequest(db, { id, adminRef: adminRef(req), note: parsed.data.note || null }));
+    } catch (e) {
+      return sendError(res, e, 'cancel');
+    }
+  });
+
+  return r;
+};
@@ -0,0 +1,112 @@
+// /server/routes/admin_withdrawals.js (CommonJS)
+// Admin review queue for withdrawals (see lib/withdrawals.js)
+const express = require('express');
+const { z } = require('zod');
+const { STATUSES, transition, failAndRefund, refundWithdrawal } = require('../lib/withdrawals');
+
+module.exports = function makeAdminWithdrawalsRouter({ db, requireAdmin }) {
+  if (!db) throw new Error('makeAdminWithdrawalsRouter: db is required');
+  if (typeof requireAdmin !== 'function') {
+    throw new Error('makeAdminWithdrawalsRouter: requireAdmin is required');
+  }
+
+  const r = express.Router();
+  r.use(requireAdmin);
+
+  const noteSchema = z.object({ note: z.string().max(255).optional() });
+
+  const parseId = (req) => {
+    const id = Number(req.params.id);
+    return Number.isFinite(id) && id > 0 ? id : null;
+  };
+
+  // GET /admin/withdrawals?status=pending_review&limit=&offset=
+  r.get('/', async (req, res) => {
+    const status = req.query.status ? String(req.query.status) : null;
+    if (status && !STATUSES.includes(status)) return res.status(400).json({ error: 'BAD_STATUS' });
+
+    const limit = Math.min(200, Math.max(1, Number(req.query.limit || 50)));
+    const offset = Math.max(0, Number(req.query.offset || 0));
+
+    try {
+      const [rows] = await db.query(
+        `SELECT w.*, u.email
+           FROM withdrawals w
+           LEFT JOIN users u ON u.id = w.user_id
+          ${status ? 'WHERE w.status=?' : ''}
+          ORDER BY w.id DESC
+          LIMIT ? OFFSET ?`,
+        status ? [status, limit, offset] : [limit, offset]
+      );
+      return res.json({ items: rows, limit, offset });
+    } catch (e) {
+      console.error('[admin withdrawals] list error:', e);
+      return res.status(500).json({ error: 'SERVER_ERR' });
+    }
+  });
+
+  // POST /admin/withdrawals/:id/approve – pending_review -> queued
+  r.post('/:id/approve', async (req, res) => {
+    const id = parseId(req);
+    if (!id) return res.status(400).json({ error: 'BAD_ID' });
+    const parsed = noteSchema.safeParse(req.body || {});
+    if (!parsed.success) return res.status(400).json({ error: 'BAD_BODY' });
+
+    try {
+      // clearing broadcast_started_at re-arms a send that was parked as "outcome unknown"
+      const ok = await transition(db, id, 'queued', {
+        broadcast_started_at: null,
+        reviewed_by: `admin:${req.adminId}`,
+        review_note: parsed.data.note || null,
+      });
+      if (!ok) return res.status(409).json({ error: 'BAD_STATE' });
+      return res.json({ ok: true, id, status: 'queued' });
+    } catch (e) {
+      console.error('[admin withdrawals] approve error:', e);
+      return res.status(500).json({ error: 'SERVER_ERR' });
+    }
+  });
+
+  // POST /admin/withdrawals/:id/reject – pending_review -> failed -> refunded
+  r.post('/:id/reject', async (req, res) => {
+    const id = parseId(req);
+    if (!id) return res.status(400).json({ error: 'BAD_ID' });
+    const parsed = noteSchema.safeParse(req.body || {});
+    if (!parsed.success) return res.status(400).json({ error: 'BAD_BODY' });
+
+    try {
+      const [[w]] = await db.query('SELECT status FROM withdrawals WHERE id=?', [id]);
+      if (!w) return res.status(404).json({ error: 'NOT_FOUND' });
+      if (w.status !== 'pending_review') return res.status(409).json({ error: 'BAD_STATE' });
+
+      await db.query(
+        'UPDATE withdrawals SET reviewed_by=?, review_note=? WHERE id=?',
+        [`admin:${req.adminId}`, parsed.data.note || null, id]
+      );
+      const out = await failAndRefund(db, id, parsed.data.note || 'REJECTED_BY_ADMIN');
+      return res.json({ ok: true, id, status: 'refunded', refund_ledger_id: out.ledgerId });
+    } catch (e) {
+      console.error('[admin withdrawals] reject error:', e);
+      return res.status(500).json({ error: 'SERVER_ERR' });
+    }
+  });
+
+  // POST /admin/withdrawals/:id/refund – retry the refund of a failed row
+  r.post('/:id/refund', async (req, res) => {
+    const id = parseId(req);
+    if (!id) return res.status(400).json({ error: 'BAD_ID' });
+
+    try {
+      const out = await refundWithdrawal(db, id);
+      return res.json({ ok: true, id, ...out });
+    } catch (e) {
+      if (/^WITHDRAWAL_NOT_(FOUND|FAILED)/.test(e?.message || '')) {
+        return res.status(409).json({ error: 'BAD_STATE' });
+      }
+      console.error('[admin withdrawals] refund error:', e);
+      return res.status(500).json({ error: 'SERVER_ERR' });
+    }
+  });
+
+  return r;
+};
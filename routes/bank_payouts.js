@@ -0,0 +1,63 @@
+// /server/routes/bank_payouts.js (CommonJS)
+// User-facing bank payout status + supported banks / e-wallets
+const express = require('express');
+const { formatBankPayout } = require('../lib/bank_payouts');
+const { listInstitutions, INSTAPAY_MAX_PHP } = require('../lib/ph_banks');
+
+module.exports = function makeBankPayoutsRouter({ db, requireAuth }) {
+  if (!db) throw new Error('makeBankPayoutsRouter: db is required');
+  if (typeof requireAuth !== 'function') {
+    throw new Error('makeBankPayoutsRouter: requireAuth is required');
+  }
+
+  const r = express.Router();
+  r.use(requireAuth);
+
+  // GET /v1/bank-payouts/banks
+  r.get('/banks', (_req, res) => {
+    res.json({ items: listInstitutions(), instapay_max_php: INSTAPAY_MAX_PHP });
+  });
+
+  // GET /v1/bank-payouts?limit=&before=
+  r.get('/', async (req, res) => {
+    const limit = Math.min(100, Math.max(1, Number(req.query.limit || 20)));
+    const before = Number(req.query.before || 0);
+
+    try {
+      const [rows] = await db.query(
+        `SELECT * FROM bank_payouts
+          WHERE user_id=?${before > 0 ? ' AND id < ?' : ''}
+          ORDER BY id DESC
+          LIMIT ?`,
+        before > 0 ? [req.userId, before, limit] : [req.userId, limit]
+      );
+      return res.json({
+        items: rows.map(formatBankPayout),
+        next_before: rows.length === limit ? rows[rows.length - 1].id : null,
+      });
+    } catch (e) {
+      console.error('[bank-payouts] list error:', e);
+      return res.status(500).json({ error: 'SERVER_ERR' });
+    }
+  });
+
+  // GET /v1/bank-payouts/:id
+  r.get('/:id', async (req, res) => {
+    const id = Number(req.params.id);
+    if (!Number.isFinite(id) || id <= 0) return res.status(400).json({ error: 'BAD_ID' });
+
+    try {
+      const [[row]] = await db.query(
+        'SELECT * FROM bank_payouts WHERE id=? AND user_id=?',
+        [id, req.userId]
+      );
+      if (!row) return res.status(404).json({ error: 'NOT_FOUND' });
+      return res.json(formatBankPayout(row));
+    } catch (e) {
+      console.error('[bank-payouts] detail error:', e);
+      return res.status(500).json({ error: 'SERVER_ERR' });
+    }
+  });
+
+  return r;
+};
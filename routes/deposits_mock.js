@@ -9,6 +9,7 @@
 
 const express = require('express');
 const mysql = require('mysql2/promise');
+const { makeDepositService } = require('../lib/deposits');
 
 module.exports = function makeDepositsMock(requireAuth, poolArg) {
   const router = express.Router();
@@ -35,6 +36,7 @@ module.exports = function makeDepositsMock(requireAuth, poolArg) {
       waitForConnections: true,
       connectionLimit: 10,
     });
+  const deposits = makeDepositService({ db: pool });
 
   // In-memory mirror of live intents: id -> { userId, chain, asset, address, status, conf, amountReceived }
   const depot = new Map();
@@ -49,8 +51,8 @@ module.exports = function makeDepositsMock(requireAuth, poolArg) {
       INSERT INTO crypto_deposits
         (user_id, chain, asset, network_symbol, address, address_index,
          amount_expected, tx_hash, amount_received, confirmations, required_confirmations,
-         status, swept, created_at, updated_at)
-      VALUES (?, ?, ?, ?, ?, 0, NULL, NULL, NULL, 0, ?, 'pending', 0, NOW(), NOW())
+         status, created_at, updated_at)
+      VALUES (?, ?, ?, ?, ?, 0, NULL, NULL, NULL, 0, ?, 'pending', NOW(), NOW())
     `;
     const [r] = await pool.query(sql, [userId, chain, asset, network_symbol, address, required]);
     return r.insertId;
@@ -68,65 +70,17 @@ module.exports = function makeDepositsMock(requireAuth, poolArg) {
     await pool.query(sql, [status, confirmations, amount_received, amount_received, id]);
   }
 
-  // Idempotent wallet credit. Reads user/asset/chain from crypto_deposits.
-  async function creditWalletTxDb({ depositId, amount, required }) {
-    const conn = await pool.getConnection();
-    try {
-      await conn.beginTransaction();
-
-      const [depRows] = await conn.query(
-        `SELECT user_id, asset, chain FROM crypto_deposits WHERE id = ? FOR UPDATE`,
-        [depositId]
-      );
-      if (!depRows.length) throw new Error('deposit_not_found');
-      const { user_id: userId, asset, chain } = depRows[0];
-
-      // If ledger already has this deposit, no-op (idempotent)
-      const [exists] = await conn.query(
-        `SELECT id FROM wallet_ledger WHERE type='deposit' AND ref_id=? LIMIT 1`,
-        [depositId]
-      );
-      if (exists.length) {
-        await conn.commit();
-        return;
-      }
-
-      // Upsert wallet_balances (ensure UNIQUE(user_id, asset) exists for best behavior)
-      await conn.query(
-        `INSERT INTO wallet_balances (user_id, asset, balance)
-         VALUES (?, ?, ?)
-         ON DUPLICATE KEY UPDATE balance = balance + VALUES(balance)`,
-        [userId, asset, amount]
-      );
-
-      // Insert ledger row
-      await conn.query(
-        `INSERT INTO wallet_ledger (user_id, ts, asset, chain, type, amount, ref_id, meta)
-         VALUES (?, NOW(), ?, ?, 'deposit', ?, ?, ?)`,
-        [userId, asset, chain, amount, depositId, JSON.stringify({ mock: true })]
-      );
-
-      // Mark deposit credited (don’t clobber existing tx/amount if already set)
-      await conn.query(
-        `UPDATE crypto_deposits
-            SET status='credited',
-                confirmations = GREATEST(COALESCE(confirmations,0), ?),
-                amount_received = COALESCE(amount_received, ?),
-                tx_hash = COALESCE(tx_hash, ?),
-                updated_at = NOW()
-          WHERE id = ?`,
-        [required, amount, `MOCK-TX-${depositId}`, depositId]
-      );
-
-      await conn.commit();
-      console.log('[MOCK] Credited deposit -> ledger/balance', { depositId, userId, asset, amount });
-    } catch (e) {
-      await conn.rollback();
-      console.error('[MOCK] creditWalletTxDb error', e);
-      throw e;
-    } finally {
-      conn.release();
-    }
+  // Idempotent wallet credit through the shared deposit service (lib/deposits),
+  // post-credit hooks included
+  async function creditWalletTxDb({ depositId, amount }) {
+    const out = await deposits.creditDeposit({
+      depositId,
+      amount,
+      txHash: `MOCK-TX-${depositId}`,
+      source: 'mock',
+      meta: { mock: true },
+    });
+    if (out.credited) console.log('[MOCK] Credited deposit -> ledger/balance', { depositId, amount: out.amount });
   }
 
   /* ───────────── Routes ───────────── */
@@ -179,7 +133,6 @@ if (d.conf >= REQUIRED) {
   await creditWalletTxDb({
     depositId: id,
     amount: d.amountReceived,
-    required: REQUIRED,
   });
 }
 
@@ -221,7 +174,7 @@ if (d.conf >= REQUIRED) {
       else { d.status = 'credited'; d.conf = REQUIRED; if (amount != null) d.amountReceived = String(amount); }
 
       if (d.status === 'credited' && d.amountReceived) {
-        await creditWalletTxDb({ depositId: id, amount: d.amountReceived, required: REQUIRED });
+        await creditWalletTxDb({ depositId: id, amount: d.amountReceived });
       }
 
       await mirrorDeposit({ id, status: d.status, confirmations: d.conf, amount_received: d.amountReceived });
@@ -243,7 +196,7 @@ if (d.conf >= REQUIRED) {
       d.amountReceived = amount;
       depot.set(depositId, d);
 
-      await creditWalletTxDb({ depositId, amount, required: REQUIRED });
+      await creditWalletTxDb({ depositId, amount });
 
       res.json({ ok: true, id: depositId, state: d });
     } catch (err) {
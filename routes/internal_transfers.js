@@ -0,0 +1,252 @@
+// /server/routes/internal_transfers.js (CommonJS)
+// Off-chain user-to-user transfers (USDT / VPK). No network fee: balances move
+// inside one DB transaction with a paired transfer_out / transfer_in ledger entry.
+//
+//   POST /v1/wallet/internal/preview { to, asset, amount }  -> masked recipient
+//   POST /v1/wallet/internal         { to, asset, amount, note? }
+//
+// `to` is a PH mobile number, an email or a referral code.
+const express = require('express');
+const { z } = require('zod');
+const money = require('../lib/money');
+const { insertLedgerEntry } = require('../lib/ledger');
+
+const INTERNAL_ASSETS = ['USDT', 'VPK'];
+
+function maskWord(w) {
+  if (w.length <= 2) return `${w[0]}*`;
+  return w.slice(0, 2) + '*'.repeat(w.length - 2);
+}
+
+// "Juan Dela Cruz" -> "Ju** De** Cr**"
+function maskName(fullName) {
+  const words = String(fullName || '').trim().split(/\s+/).filter(Boolean);
+  return words.length ? words.map(maskWord).join(' ') : null;
+}
+
+function maskPhone(phone) {
+  const s = String(phone || '');
+  return s.length > 7 ? `${s.slice(0, 6)}***${s.slice(-4)}` : null;
+}
+
+function maskEmail(email) {
+  const [local, domain] = String(email || '').split('@');
+  if (!local || !domain) return null;
+  return `${local[0]}***@${domain}`;
+}
+
+module.exports = function makeInternalTransfersRouter({ db, requireAuth, canonicalizePH, idempotent }) {
+  if (!db) throw new Error('makeInternalTransfersRouter: db is required');
+  if (typeof requireAuth !== 'function') {
+    throw new Error('makeInternalTransfersRouter: requireAuth is required');
+  }
+  if (typeof canonicalizePH !== 'function') {
+    throw new Error('makeInternalTransfersRouter: canonicalizePH is required');
+  }
+
+  const _idem = (typeof idempotent === 'function') ? idempotent : () => (_req, _res, next) => next();
+
+  const router = express.Router();
+  router.use(requireAuth);
+
+  const bodySchema = z.object({
+    to: z.string().trim().min(3).max(190),
+    asset: z.string().default('USDT'),
+    amount: z.union([z.number(), z.string()]),
+    note: z.string().trim().max(140).optional(),
+  });
+
+  // phone -> email -> ref_code, decided by the shape of `to`
+  async function resolveRecipient(conn, to) {
+    let via;
+    let sql;
+    let arg;
+
+    if (to.includes('@')) {
+      via = 'email';
+      sql = 'SELECT id, full_name, phone, email FROM users WHERE LOWER(email)=LOWER(?) LIMIT 1';
+      arg = to;
+    } else if (/^\+?[\d\s-]{10,16}$/.test(to)) {
+      via = 'phone';
+      try { arg = canonicalizePH(to); } catch (_) { return { error: 'BAD_PHONE' }; }
+      sql = 'SELECT id, full_name, phone, email FROM users WHERE phone=? LIMIT 1';
+    } else {
+      via = 'ref_code';
+      sql = 'SELECT id, full_name, phone, email FROM users WHERE ref_code=? LIMIT 1';
+      arg = to.toUpperCase();
+    }
+
+    const [[u]] = await conn.query(sql, [arg]);
+    if (!u) return { error: 'RECIPIENT_NOT_FOUND' };
+    return { user: u, via };
+  }
+
+  function recipientView(u, via) {
+    return {
+      masked_name: maskName(u.full_name),
+      masked_handle: via === 'email' ? maskEmail(u.email) : maskPhone(u.phone),
+      resolved_via: via,
+    };
+  }
+
+  // Shared validation for preview + submit
+  async function prepare(conn, req) {
+    const parsed = bodySchema.safeParse(req.body || {});
+    if (!parsed.success) return { status: 400, error: 'BAD_BODY' };
+
+    const body = parsed.data;
+    const asset = String(body.asset).trim().toUpperCase() === 'MHV' ? 'VPK' : String(body.asset).trim().toUpperCase();
+    if (!INTERNAL_ASSETS.includes(asset)) return { status: 400, error: 'ASSET_NOT_SUPPORTED' };
+
+    let units;
+    try {
+      units = money.parse(body.amount, asset, { strict: true });
+    } catch (_) {
+      return { status: 400, error: 'BAD_AMOUNT' };
+    }
+    if (units <= 0n) return { status: 400, error: 'BAD_AMOUNT' };
+
+    const r = await resolveRecipient(conn, body.to);
+    if (r.error) return { status: r.error === 'BAD_PHONE' ? 400 : 404, error: r.error };
+    if (Number(r.user.id) === Number(req.userId)) return { status: 400, error: 'CANNOT_SEND_TO_SELF' };
+
+    return { body, asset, units, recipient: r.user, via: r.via };
+  }
+
+  // POST /v1/wallet/internal/preview
+  router.post('/preview', async (req, res) => {
+    try {
+      const p = await prepare(db, req);
+      if (p.error) return res.status(p.status).json({ error: p.error });
+
+      const amount = money.format(p.units, p.asset);
+      return res.json({
+        ok: true,
+        recipient: recipientView(p.recipient, p.via),
+        asset: p.asset,
+        amount: Number(amount),
+        network_fee: 0,
+        fee: 0,
+        total_debit: Number(amount),
+        recv_amount: Number(amount),
+      });
+    } catch (e) {
+      console.error('[internal transfer] preview error:', e);
+      return res.status(500).json({ error: 'SERVER_ERR' });
+    }
+  });
+
+  // POST /v1/wallet/internal
+  router.post('/', _idem('wallet.internal'), async (req, res) => {
+    const conn = await db.getConnection();
+    try {
+      const p = await prepare(conn, req);
+      if (p.error) return res.status(p.status).json({ error: p.error });
+
+      const fromId = Number(req.userId);
+      const toId = Number(p.recipient.id);
+      const amount = money.format(p.units, p.asset);
+
+      await conn.beginTransaction();
+
+      // make sure both rows exist, then lock them, always in user id order:
+      // the upserts already take row locks, so they must not run sender first
+      // (two users sending to each other at the same time would deadlock)
+      for (const uid of [fromId, toId].sort((a, b) => a - b)) {
+        await conn.query(
+          `INSERT INTO wallet_balances (user_id, asset, balance)
+           VALUES (?, ?, 0)
+           ON DUPLICATE KEY UPDATE balance = balance`,
+          [uid, p.asset]
+        );
+      }
+      const [locked] = await conn.query(
+        `SELECT user_id, balance
+           FROM wallet_balances
+          WHERE user_id IN (?, ?) AND asset=?
+          ORDER BY user_id
+          FOR UPDATE`,
+        [fromId, toId, p.asset]
+      );
+
+      const senderRow = locked.find((r) => Number(r.user_id) === fromId);
+      const senderBal = money.parse(senderRow?.balance || 0, p.asset);
+      if (senderBal < p.units) {
+        await conn.rollback();
+        return res.status(400).json({
+          error: 'INSUFFICIENT_FUNDS',
+          needed: Number(amount),
+          balance: money.toNumber(senderBal, p.asset),
+        });
+      }
+
+      const [ins] = await conn.query(
+        `INSERT INTO internal_transfers (from_user_id, to_user_id, asset, amount, resolved_via, note)
+         VALUES (?, ?, ?, ?, ?, ?)`,
+        [fromId, toId, p.asset, amount, p.via, p.body.note || null]
+      );
+      const transferId = ins.insertId;
+
+      await conn.query(
+        'UPDATE wallet_balances SET balance = balance - ? WHERE user_id=? AND asset=?',
+        [amount, fromId, p.asset]
+      );
+      await conn.query(
+        'UPDATE wallet_balances SET balance = balance + ? WHERE user_id=? AND asset=?',
+        [amount, toId, p.asset]
+      );
+
+      const meta = {
+        kind: 'internal',
+        internal_transfer_id: transferId,
+        from_user_id: fromId,
+        to_user_id: toId,
+        resolved_via: p.via,
+        note: p.body.note || null,
+      };
+
+      const outId = await insertLedgerEntry(conn, {
+        userId: fromId,
+        asset: p.asset,
+        chain: 'INTERNAL',
+        type: 'transfer_out',
+        amount,
+        meta,
+      });
+      const inId = await insertLedgerEntry(conn, {
+        userId: toId,
+        asset: p.asset,
+        chain: 'INTERNAL',
+        type: 'transfer_in',
+        amount,
+        refId: transferId,
+        meta,
+      });
+
+      await conn.query(
+        'UPDATE internal_transfers SET out_ledger_id=?, in_ledger_id=? WHERE id=?',
+        [outId, inId, transferId]
+      );
+
+      await conn.commit();
+
+      return res.json({
+        ok: true,
+        id: transferId,
+        asset: p.asset,
+        amount: Number(amount),
+        network_fee: 0,
+        recipient: recipientView(p.recipient, p.via),
+        balance: money.toNumber(senderBal - p.units, p.asset),
+      });
+    } catch (e) {
+      try { await conn.rollback(); } catch (_) {}
+      console.error('[internal transfer] error:', e);
+      return res.status(500).json({ error: 'TRANSFER_FAILED' });
+    } finally {
+      conn.release();
+    }
+  });
+
+  return router;
+};
@@ -0,0 +1,44 @@
+// /server/routes/rates.js (CommonJS)
+// Public exchange rates (lib/rates)
+//   GET /v1/rates
+//   GET /v1/rates/history?pair=USDT_PHP&hours=24&points=200
+const express = require('express');
+
+module.exports = function makeRatesRouter({ rates }) {
+  if (!rates) throw new Error('makeRatesRouter: rates is required');
+
+  const r = express.Router();
+
+  r.get('/', async (_req, res) => {
+    try {
+      const current = await rates.current();
+      res.setHeader('Cache-Control', 'public, max-age=30');
+      return res.json({
+        rates: Object.fromEntries(Object.entries(current).map(([k, v]) => [k, v ? v.rate : null])),
+        details: current,
+      });
+    } catch (e) {
+      console.error('[rates] current error:', e);
+      return res.status(500).json({ error: 'SERVER_ERR' });
+    }
+  });
+
+  r.get('/history', async (req, res) => {
+    const pair = String(req.query.pair || 'USDT_PHP').toUpperCase();
+    if (!rates.pairs.includes(pair)) return res.status(400).json({ error: 'BAD_PAIR' });
+
+    const hours = Math.min(24 * 90, Math.max(1, Number(req.query.hours || 24)));
+    const points = Math.min(1000, Math.max(10, Number(req.query.points || 200)));
+    if (!Number.isFinite(hours) || !Number.isFinite(points)) return res.status(400).json({ error: 'BAD_RANGE' });
+
+    try {
+      res.setHeader('Cache-Control', 'public, max-age=60');
+      return res.json(await rates.history(pair, { hours, points }));
+    } catch (e) {
+      console.error('[rates] history error:', e);
+      return res.status(500).json({ error: 'SERVER_ERR' });
+    }
+  });
+
+  return r;
+};
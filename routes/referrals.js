@@ -1,20 +1,17 @@
 // routes/referrals.js
 const express = require('express');
+const { insertLedgerEntry } = require('../lib/ledger');
+const money = require('../lib/money');
+const {
+  REF_CONVERSION_RATE,
+  REF_STAKING_RATE,
+  REF_DEPOSIT_RATE,
+  isValidType,
+  awardReferral,
+} = require('../lib/referrals');
 
-const REF_CONVERSION_RATE = Number(process.env.REF_CONVERSION_RATE || 0.005); // 0.5%
-const REF_STAKING_RATE    = Number(process.env.REF_STAKING_RATE || 0.10);    // 10%
 const REF_BASE_URL        = process.env.REF_BASE_URL || 'https://Vegapunks.com';
 
-// Company wallet user id (optional)
-const REF_COMPANY_USER_ID = Number(process.env.REF_COMPANY_USER_ID || 0);
-
-// Multi-level nominal shares (sum to 10)
-const LVL1_SHARE    = 4.5; // 4.5%
-const LVL2_SHARE    = 2.5; // 2.5%
-const LVL3_SHARE    = 1.5; // 1.5%
-const COMPANY_SHARE = 1.5; // 1.5%
-const TOTAL_SHARE   = LVL1_SHARE + LVL2_SHARE + LVL3_SHARE + COMPANY_SHARE; // 10
-
 function randCode() {
   // e.g. "PH1-ABCD12"
   const chars = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
@@ -53,23 +50,6 @@ function pickAppBase(req) {
   return REF_BASE_URL;
 }
 
-function isValidType(t) {
-  return t === 'conversion' || t === 'staking_reward';
-}
-
-function isValidAsset(a) {
-  return a === 'PHP' || a === 'USDT';
-}
-
-function parseMeta(input) {
-  if (!input) return {};
-  if (typeof input === 'object') return input;
-  if (typeof input === 'string') {
-    try { return JSON.parse(input); } catch { return { raw: input }; }
-  }
-  return {};
-}
-
 function levelWhereAndParams(level) {
   // meta might store level as number (1) or string ("1")
   if (!level || !['1', '2', '3', 'company'].includes(level)) return { sql: '', params: [] };
@@ -97,215 +77,9 @@ function selectLevelSql() {
   `;
 }
 
-/**
- * Core award helper
- * - 3 levels + company with roll-up
- * - idempotent per beneficiary: (referee_id, type, source_ref, referrer_id)
- */
-async function awardReferral(db, { refereeId, type, asset, baseAmount, sourceRef, meta = null }) {
-  // ── Validate input ───────────────────────────────────────────────
-  const tRaw = String(type || '').trim();
-  const aRaw = String(asset || 'USDT').trim().toUpperCase();
-  const amt  = Number(baseAmount);
-
-  const t = isValidType(tRaw) ? tRaw : null;
-  const a = isValidAsset(aRaw) ? aRaw : 'USDT';
-
-  if (!t || !Number.isFinite(amt) || amt <= 0) {
-    return { ok: false, reason: 'BAD_INPUT' };
-  }
-
-  // ── Resolve 3-level upline chain ─────────────────────────────────
-  // u0 = referee, u0.referrer_id = level 1
-  const [rows] = await db.query(
-    `SELECT
-       u0.referrer_id AS lvl1_id,
-       u1.referrer_id AS lvl2_id,
-       u2.referrer_id AS lvl3_id
-     FROM users u0
-     LEFT JOIN users u1 ON u1.id = u0.referrer_id
-     LEFT JOIN users u2 ON u2.id = u1.referrer_id
-     WHERE u0.id = ?
-     LIMIT 1`,
-    [refereeId]
-  );
-
-  const chain = rows[0] || {};
-  const lvl1Id = chain.lvl1_id || null;
-  const lvl2Id = chain.lvl2_id || null;
-  const lvl3Id = chain.lvl3_id || null;
-
-  const companyId =
-    Number.isFinite(REF_COMPANY_USER_ID) && REF_COMPANY_USER_ID > 0
-      ? REF_COMPANY_USER_ID
-      : null;
-
-  if (!lvl1Id && !lvl2Id && !lvl3Id && !companyId) {
-    return { ok: false, reason: 'NO_RECIPIENTS' };
-  }
-
-  // ── Total referral pool rate ─────────────────────────────────────
-  const totalRate = (t === 'conversion') ? REF_CONVERSION_RATE : REF_STAKING_RATE;
-  if (!Number.isFinite(totalRate) || totalRate <= 0) {
-    return { ok: false, reason: 'NO_RATE' };
-  }
-
-  const pool = amt * totalRate;
-  if (!Number.isFinite(pool) || pool <= 0) {
-    return { ok: false, reason: 'NO_COMMISSION' };
-  }
-
-  // ── Normalize meta + build deterministic source_ref ──────────────
-  const metaObj = parseMeta(meta);
-
-  let src = (sourceRef ?? '').toString().trim();
-  if (!src) {
-    const det =
-      metaObj.orderId || metaObj.order_id ||
-      metaObj.txHash  || metaObj.tx_hash  ||
-      metaObj.tx      || metaObj.reference || metaObj.ref;
-    src = det ? `${t}:${String(det)}` : `${t}:${refereeId}:${Date.now()}`; // last resort
-  }
-
-  // ── Read existing beneficiary rows for this trigger ──────────────
-  // (Do NOT early-return — we allow filling missing levels later)
-  const [existing] = await db.query(
-    `SELECT id, referrer_id
-       FROM referral_events
-      WHERE referee_id=? AND type=? AND source_ref=?`,
-    [refereeId, t, src]
-  );
-  const existingSet = new Set(existing.map(r => Number(r.referrer_id)));
-  const firstExistingId = existing[0]?.id || null;
-
-  // ── Build effective weights (roll missing levels → company) ──────
-  const weights = {};
-  let totalEffectiveWeight = 0;
-
-  if (lvl1Id) { weights.lvl1 = LVL1_SHARE; totalEffectiveWeight += LVL1_SHARE; }
-  if (lvl2Id) { weights.lvl2 = LVL2_SHARE; totalEffectiveWeight += LVL2_SHARE; }
-  if (lvl3Id) { weights.lvl3 = LVL3_SHARE; totalEffectiveWeight += LVL3_SHARE; }
-
-  if (companyId) {
-    let coW = COMPANY_SHARE;
-    if (!lvl1Id) coW += LVL1_SHARE;
-    if (!lvl2Id) coW += LVL2_SHARE;
-    if (!lvl3Id) coW += LVL3_SHARE;
-
-    weights.company = coW;
-    totalEffectiveWeight += coW;
-  }
-
-  if (!totalEffectiveWeight || totalEffectiveWeight <= 0) {
-    return { ok: false, reason: 'NO_EFFECTIVE_WEIGHTS' };
-  }
-
-  function calcShare(weight) {
-    const raw = pool * (weight / totalEffectiveWeight);
-    if (a === 'PHP') return Math.round(raw * 100) / 100;   // 2 dp
-    return Math.round(raw * 1e8) / 1e8;                   // 8 dp
-  }
-
-  function buildMeta(levelLabel) {
-    return JSON.stringify({ ...metaObj, level: levelLabel });
-  }
-
-  const events = [];
-
-  // Level 1
-  let lvl1Commission = 0;
-  if (lvl1Id && weights.lvl1) {
-    const c1 = calcShare(weights.lvl1);
-    if (c1 > 0) {
-      lvl1Commission = c1;
-      events.push({ referrerId: lvl1Id, commission: c1, metaJson: buildMeta(1), level: 'lvl1' });
-    }
-  }
-
-  // Level 2
-  if (lvl2Id && weights.lvl2) {
-    const c2 = calcShare(weights.lvl2);
-    if (c2 > 0) {
-      events.push({ referrerId: lvl2Id, commission: c2, metaJson: buildMeta(2), level: 'lvl2' });
-    }
-  }
-
-  // Level 3
-  if (lvl3Id && weights.lvl3) {
-    const c3 = calcShare(weights.lvl3);
-    if (c3 > 0) {
-      events.push({ referrerId: lvl3Id, commission: c3, metaJson: buildMeta(3), level: 'lvl3' });
-    }
-  }
-
-  // Company
-  let companyCommission = 0;
-  if (companyId && weights.company) {
-    const cc = calcShare(weights.company);
-    if (cc > 0) {
-      companyCommission = cc;
-      events.push({ referrerId: companyId, commission: cc, metaJson: buildMeta('company'), level: 'company' });
-    }
-  }
-
-  if (!events.length) {
-    return { ok: false, reason: 'NO_COMMISSION_EVENTS' };
-  }
-
-  // ── Insert events (idempotent per beneficiary) ───────────────────
-  let firstId = null;
-  let inserted = 0;
-
-  for (const ev of events) {
-    // skip if already exists for this beneficiary (fast path)
-    if (existingSet.has(Number(ev.referrerId))) {
-      if (!firstId) firstId = firstExistingId;
-      continue;
-    }
-
-    const [ins] = await db.query(
-      `INSERT IGNORE INTO referral_events
-         (referee_id, referrer_id, type, asset, base_amount,
-          commission_amount, status, source_ref, meta)
-       VALUES (?,?,?,?,?,?, 'pending', ?, ?)`,
-      [refereeId, ev.referrerId, t, a, amt, ev.commission, src, ev.metaJson]
-    );
-
-    if (ins.affectedRows === 1) {
-      inserted++;
-      if (!firstId && ins.insertId) firstId = ins.insertId;
-    }
-  }
-
-  if (!firstId && firstExistingId) firstId = firstExistingId;
-
-  return {
-    ok: true,
-    duplicate: inserted === 0 && existing.length > 0,
-    id: firstId,
-    commission: lvl1Commission, // backward compatibility
-    asset: a,
-    referrerId: lvl1Id || companyId || null,
-    breakdown: {
-      pool,
-      weights: {
-        lvl1: weights.lvl1 || 0,
-        lvl2: weights.lvl2 || 0,
-        lvl3: weights.lvl3 || 0,
-        company: weights.company || 0,
-        totalEffectiveWeight,
-        nominalTotal: TOTAL_SHARE,
-      },
-      level1: lvl1Commission,
-      level2: events.find(e => e.level === 'lvl2')?.commission || 0,
-      level3: events.find(e => e.level === 'lvl3')?.commission || 0,
-      company: companyCommission,
-    },
-  };
-}
-
-module.exports = function makeReferralRoutes({ db, requireAuth, USDT_PHP_RATE }) {
+module.exports = function makeReferralRoutes({ db, requireAuth, rates, idempotent }) {
   const router = express.Router();
+  const _idem = (typeof idempotent === 'function') ? idempotent : () => (_req, _res, next) => next();
 
   // Disable caching for ALL referral endpoints (important for Flutter Web)
   router.use((req, res, next) => {
@@ -494,6 +268,7 @@ module.exports = function makeReferralRoutes({ db, requireAuth, USDT_PHP_RATE })
       );
 
       const appBase = pickAppBase(req);
+      const usdtPhpRate = await rates.getRate('USDT_PHP').catch(() => null);
 
       res.json({
         code,
@@ -509,9 +284,10 @@ module.exports = function makeReferralRoutes({ db, requireAuth, USDT_PHP_RATE })
         conversionRate: REF_CONVERSION_RATE,
         stakingBonusRate: REF_STAKING_RATE,
 
-        estPendingPHPIncludingUSDT:
-          Number(agg.pending_php || 0) + Number(agg.pending_usdt || 0) * USDT_PHP_RATE,
-        usdtPhpRate: USDT_PHP_RATE,
+        estPendingPHPIncludingUSDT: usdtPhpRate
+          ? Number(agg.pending_php || 0) + Number(agg.pending_usdt || 0) * usdtPhpRate
+          : null,
+        usdtPhpRate,
 
         totalEvents: Number(counts?.total_events || 0),
 
@@ -523,7 +299,7 @@ module.exports = function makeReferralRoutes({ db, requireAuth, USDT_PHP_RATE })
           level3Share: 0.015,
           companyShare: 0.015,
           totalShare: 0.10,
-          appliesTo: ['conversion', 'staking_reward'],
+          appliesTo: REF_DEPOSIT_RATE > 0 ? ['conversion', 'staking_reward', 'deposit'] : ['conversion', 'staking_reward'],
         },
       });
     } catch (e) {
@@ -539,7 +315,7 @@ module.exports = function makeReferralRoutes({ db, requireAuth, USDT_PHP_RATE })
       const limit  = Math.min(200, Math.max(1, Number(req.query.limit || 50)));
       const offset = Math.max(0, Number(req.query.offset || 0));
 
-      const type   = String(req.query.type || '').trim();     // conversion | staking_reward
+      const type   = String(req.query.type || '').trim();     // conversion | staking_reward | deposit
       const status = String(req.query.status || '').trim();   // pending | credited
       const level  = String(req.query.level || '').trim();    // 1 | 2 | 3 | company
 
@@ -664,7 +440,9 @@ module.exports = function makeReferralRoutes({ db, requireAuth, USDT_PHP_RATE })
   });
 
   // Claim all pending (credits wallet; PHP → convert to USDT at current rate)
-  router.post('/claim', requireAuth, async (req, res) => {
+  router.post('/claim', requireAuth, _idem('referrals.claim'), async (req, res) => {
+    // live rate, fetched before any row is locked; only needed when PHP is pending
+    const usdtPhpRate = await rates.getRate('USDT_PHP').catch(() => null);
     const conn = await db.getConnection();
     try {
       await conn.beginTransaction();
@@ -687,17 +465,27 @@ module.exports = function makeReferralRoutes({ db, requireAuth, USDT_PHP_RATE })
         [req.userId]
       );
 
-      const pendingPHP  = Number(agg.pending_php || 0);
-      const pendingUSDT = Number(agg.pending_usdt || 0);
+      const phpUnits  = money.parse(agg.pending_php || 0, 'PHP');
+      const usdtUnits = money.parse(agg.pending_usdt || 0, 'USDT');
+      const pendingPHP  = money.format(phpUnits, 'PHP');
+      const pendingUSDT = money.format(usdtUnits, 'USDT');
       const minPHP  = Number(process.env.REF_MIN_PHP  || 50);
       const minUSDT = Number(process.env.REF_MIN_USDT || 1);
 
-      if (pendingPHP < minPHP && pendingUSDT < minUSDT) {
+      if (phpUnits < money.parse(minPHP, 'PHP') && usdtUnits < money.parse(minUSDT, 'USDT')) {
         await conn.rollback();
         return res.status(400).json({ error: 'MIN_NOT_MET', minPHP, minUSDT });
       }
 
-      const addUsdt = pendingUSDT + (pendingPHP > 0 ? (pendingPHP / USDT_PHP_RATE) : 0);
+      if (phpUnits > 0n && !usdtPhpRate) {
+        await conn.rollback();
+        return res.status(503).json({ error: 'RATE_UNAVAILABLE' });
+      }
+
+      const fromPhpUnits = phpUnits > 0n
+        ? money.convertInverse(phpUnits, 'PHP', usdtPhpRate, 'USDT', money.ROUND_DOWN)
+        : 0n;
+      const addUsdt = money.format(usdtUnits + fromPhpUnits, 'USDT');
 
       const [claimIns] = await conn.query(
         `INSERT INTO referral_claims (referrer_id, asset, amount, status, meta)
@@ -720,14 +508,22 @@ module.exports = function makeReferralRoutes({ db, requireAuth, USDT_PHP_RATE })
         [req.userId, 'USDT', addUsdt]
       );
 
-      await conn.query(
-        `INSERT INTO wallet_ledger (user_id, ts, asset, chain, type, amount, ref_id, meta)
-         VALUES (?, NOW(), 'USDT', NULL, 'referral_bonus', ?, ?, JSON_OBJECT('from_php', ?, 'rate', ?, 'events', ?))`,
-        [req.userId, addUsdt, claimId, pendingPHP, USDT_PHP_RATE, JSON.stringify(evRows.map(r => r.id))]
-      );
+      await insertLedgerEntry(conn, {
+        userId: req.userId,
+        asset: 'USDT',
+        type: 'referral_bonus',
+        amount: addUsdt,
+        refId: claimId,
+        meta: {
+          from_php: pendingPHP,
+          rate: phpUnits > 0n ? usdtPhpRate : null,
+          rate_pair: 'USDT_PHP',
+          events: JSON.stringify(evRows.map(r => r.id)),
+        },
+      });
 
       await conn.commit();
-      res.json({ ok: true, claimId, creditedUSDT: addUsdt, eventsClaimed: evRows.length });
+      res.json({ ok: true, claimId, creditedUSDT: Number(addUsdt), eventsClaimed: evRows.length });
     } catch (e) {
       try { await conn.rollback(); } catch {}
       console.error('claim', e);
@@ -1,6 +1,8 @@
 // /server/routes/reward_credits.js (CommonJS)
 const express = require('express');
 const { evaluateRewardCreditsForUser } = require('../lib/reward_credits');
+const { insertLedgerEntry } = require('../lib/ledger');
+const money = require('../lib/money');
 
 function makeRewardCreditsRouter({ db, requireAuth }) {
   if (!db) throw new Error('reward_credits: db is required');
@@ -102,11 +104,13 @@ function makeRewardCreditsRouter({ db, requireAuth }) {
         return res.status(400).json({ error: 'NOT_CLAIMABLE', status: c.status });
       }
 
-      const amt = Number(c.amount_usdt);
-      if (!Number.isFinite(amt) || amt <= 0) {
+      let amtUnits = 0n;
+      try { amtUnits = money.parse(c.amount_usdt, 'USDT'); } catch (_) {}
+      if (amtUnits <= 0n) {
         await conn.rollback();
         return res.status(400).json({ error: 'BAD_AMOUNT' });
       }
+      const amt = money.format(amtUnits, 'USDT');
 
       // ✅ idempotency: filter by user_id + accept old numeric ref_id too
       const refNew = creditRefId(creditId);
@@ -128,7 +132,7 @@ function makeRewardCreditsRouter({ db, requireAuth }) {
           [creditId]
         );
         await conn.commit();
-        return res.json({ ok: true, already: true, claimed_usdt: amt });
+        return res.json({ ok: true, already: true, claimed_usdt: Number(amt) });
       }
 
       // credit wallet
@@ -139,12 +143,15 @@ function makeRewardCreditsRouter({ db, requireAuth }) {
         [userId, amt]
       );
 
-      await conn.query(
-        `INSERT INTO wallet_ledger
-           (user_id, ts, asset, chain, type, amount, ref_id, meta)
-         VALUES (?, NOW(), 'USDT', 'SYSTEM', 'reward_credit', ?, ?, ?)`,
-        [userId, amt, refNew, JSON.stringify({ creditId, title: c.title || null })]
-      );
+      await insertLedgerEntry(conn, {
+        userId,
+        asset: 'USDT',
+        chain: 'SYSTEM',
+        type: 'reward_credit',
+        amount: amt,
+        refId: refNew,
+        meta: { creditId, title: c.title || null },
+      });
 
       await conn.query(
         `UPDATE reward_credits
@@ -154,7 +161,7 @@ function makeRewardCreditsRouter({ db, requireAuth }) {
       );
 
       await conn.commit();
-      return res.json({ ok: true, claimed_usdt: amt });
+      return res.json({ ok: true, claimed_usdt: Number(amt) });
     } catch (e) {
       await conn.rollback();
       console.error('claim reward credit error:', e);
@@ -4,13 +4,16 @@ const STAKE_UNIT_USDT = 9.0;                  // reference value per unit (for c
 const STAKE_UNIT      = STAKE_UNIT_USDT;      // backward-compat alias
 const DEFAULT_MULT    = 3.0;
 
-// VPK staking config
-const VPK_PER_USDT    = 100.0;                // 1 USDT = 100 VPK (must match app & swap)
-const STAKE_UNIT_VPK  = STAKE_UNIT_USDT * VPK_PER_USDT; // 900 VPK locked per unit
+// VPK staking config: VPK locked per unit follows the USDT/VPK swap pair
+// (900 VPK at 1 USDT = 100 VPK); the default only applies if the pair is missing
+const DEFAULT_VPK_PER_USDT = 100.0;
 
 const express = require('express');
 const { z } = require('zod');
 const crypto = require('crypto');
+const { insertLedgerEntry } = require('../lib/ledger');
+const money = require('../lib/money');
+const { getPairMidRate } = require('../lib/swap_pairs');
 
 // Airdrop policy…
 const AIRDROP_TRIGGER_UNITS = 60;
@@ -22,11 +25,12 @@ const NEW_PICK = 4;
 const META_COOLDOWN_MINUTES = Number(process.env.STAKING_META_COOLDOWN_MINUTES || 5);
 
 // ⬇⬇ factory
-module.exports = function makeStakingRoutes({ db, requireAuth, awardReferral, distributeStakeSplits }) {
+module.exports = function makeStakingRoutes({ db, requireAuth, awardReferral, distributeStakeSplits, idempotent, rates }) {
   const router = express.Router();
   router.use(requireAuth);
 
   const _award = (typeof awardReferral === 'function') ? awardReferral : null;
+  const _idem = (typeof idempotent === 'function') ? idempotent : () => (_req, _res, next) => next();
 
   /* ───────────────────────── helpers ───────────────────────── */
 
@@ -190,13 +194,17 @@ module.exports = function makeStakingRoutes({ db, requireAuth, awardReferral, di
             );
             if (!pos || pos.status !== 'active') continue;
 
-            const capLeft = Math.max(0, Number(pos.cap_usdt) - Number(pos.credited_usdt));
+            const capLeft = money.max(
+              0n,
+              money.parse(pos.cap_usdt || 0, 'USDT') - money.parse(pos.credited_usdt || 0, 'USDT')
+            );
             const unitAmt = Number(pos.unit_amount_usdt || STAKE_UNIT);
             const mult    = Number(pos.cap_multiplier   || DEFAULT_MULT);
-            const perWin  = unitAmt * mult;
-            const creditAmt = Math.min(perWin, capLeft);
+            const perWin  = money.mulDiv(money.parse(unitAmt, 'USDT'), mult, 1, money.ROUND_DOWN);
+            const creditUnits = money.min(perWin, capLeft);
 
-            if (creditAmt <= 0) continue;
+            if (creditUnits <= 0n) continue;
+            const creditAmt = money.format(creditUnits, 'USDT');
 
             await conn.query(
               `UPDATE wallet_balances
@@ -213,26 +221,23 @@ module.exports = function makeStakingRoutes({ db, requireAuth, awardReferral, di
             );
             const recipientId = ri.insertId;
 
-            await conn.query(
-              `INSERT INTO wallet_ledger
-                 (user_id, ts, asset, chain, type, amount, ref_id, meta)
-               VALUES (?, NOW(), 'USDT', NULL, 'transfer_in', ?, ?, ?)`,
-              [
-                w.user_id,
-                creditAmt,
-                recipientId,
-                JSON.stringify({
-                  kind: 'airdrop_reward',
-                  airdrop_id: airdropId,
-                  recipient_id: recipientId,
-                  consumed_units: 1,
-                  per_unit_amount: unitAmt,
-                  per_unit_multiplier: mult,
-                  payout_usdt: creditAmt,
-                  cohort: oldWinners.includes(w) ? 'old' : `new${AIRDROP_TRIGGER_UNITS}`,
-                }),
-              ]
-            );
+            await insertLedgerEntry(conn, {
+              userId: w.user_id,
+              asset: 'USDT',
+              type: 'transfer_in',
+              amount: creditAmt,
+              refId: recipientId,
+              meta: {
+                kind: 'airdrop_reward',
+                airdrop_id: airdropId,
+                recipient_id: recipientId,
+                consumed_units: 1,
+                per_unit_amount: unitAmt,
+                per_unit_multiplier: mult,
+                payout_usdt: creditAmt,
+                cohort: oldWinners.includes(w) ? 'old' : `new${AIRDROP_TRIGGER_UNITS}`,
+              },
+            });
 
             let stat = rewardStatsByUser.get(w.user_id);
             if (!stat) {
@@ -389,7 +394,7 @@ module.exports = function makeStakingRoutes({ db, requireAuth, awardReferral, di
   });
 
   // Staking locks VPK (900 VPK per unit ≈ 9 USDT); rewards/caps are still in USDT.
-  router.post('/positions', async (req, res, next) => {
+  router.post('/positions', _idem('staking.position'), async (req, res, next) => {
     const schema = z.object({
       amount: z.union([z.number(), z.string()]).optional(),   // optional: amount in VPK
       units:  z.union([z.number(), z.string()]).optional(),
@@ -407,26 +412,45 @@ module.exports = function makeStakingRoutes({ db, requireAuth, awardReferral, di
     const body    = parsed.data;
     const program = body.program || 'mining_airdrop_v1';
     const mult    = Number(body.cap_multiplier ?? DEFAULT_MULT);
+    if (!Number.isFinite(mult) || mult <= 0) {
+      return res.status(400).json({ error: 'BAD_BODY' });
+    }
+
+    let unitVpkUnits;
+    try {
+      const vpkPerUsdt = await getPairMidRate(db, 'USDT', 'VPK', { rates, fallback: DEFAULT_VPK_PER_USDT });
+      unitVpkUnits = money.convert(money.parse(STAKE_UNIT_USDT, 'USDT'), 'USDT', vpkPerUsdt, 'VPK', money.ROUND_UP);
+    } catch (e) {
+      if (e?.statusCode) return res.status(e.statusCode).json({ error: e.message });
+      return next(e);
+    }
+    const unitVpk = money.toNumber(unitVpkUnits, 'VPK');
 
     let units = 0;
     if (body.units != null) {
       units = Math.floor(Number(body.units));
     } else {
-      const amtVpk = Number(body.amount);
-      if (!Number.isFinite(amtVpk)) {
+      let amtVpk;
+      try {
+        amtVpk = money.parse(body.amount, 'VPK', { rounding: money.ROUND_DOWN });
+      } catch (_) {
         return res.status(400).json({ error: 'BAD_BODY' });
       }
-      units = Math.floor(amtVpk / STAKE_UNIT_VPK);
+      units = Number(amtVpk / unitVpkUnits);
     }
 
     if (!Number.isFinite(units) || units < 1) {
-      return res.status(400).json({ error: 'MIN_900_VPK' });
+      return res.status(400).json({ error: 'MIN_900_VPK', min_vpk: unitVpk });
     }
 
     const unitAmtUsdt  = STAKE_UNIT_USDT;
     const stakeUsdtVal = units * unitAmtUsdt;
-    const stakeVpk     = units * STAKE_UNIT_VPK;
-    const capTotalUsdt = stakeUsdtVal * mult;
+    const stakeVpkUnits = BigInt(units) * unitVpkUnits;
+    const stakeVpk     = money.format(stakeVpkUnits, 'VPK');
+    const capTotalUsdt = money.format(
+      money.mulDiv(money.parse(stakeUsdtVal, 'USDT'), mult, 1, money.ROUND_DOWN),
+      'USDT'
+    );
 
     const conn = await db.getConnection();
     let posId;
@@ -447,15 +471,15 @@ module.exports = function makeStakingRoutes({ db, requireAuth, awardReferral, di
           WHERE user_id=? AND asset='VPK' FOR UPDATE`,
         [req.userId]
       );
-      const currentVpk = Number(bal?.balance || 0);
+      const currentVpk = money.parse(bal?.balance || 0, 'VPK');
 
-      if (currentVpk < stakeVpk) {
+      if (currentVpk < stakeVpkUnits) {
         await conn.rollback();
         return res.status(400).json({
           error: 'INSUFFICIENT_FUNDS',
           asset: 'VPK',
-          need: stakeVpk,
-          have: currentVpk,
+          need: money.toNumber(stakeVpkUnits, 'VPK'),
+          have: money.toNumber(currentVpk, 'VPK'),
         });
       }
 
@@ -475,27 +499,24 @@ module.exports = function makeStakingRoutes({ db, requireAuth, awardReferral, di
       );
       posId = ins.insertId;
 
-      // IMPORTANT: amount must be POSITIVE; wallet.js signs by type
-      await conn.query(
-        `INSERT INTO wallet_ledger
-           (user_id, ts, asset, chain, type, amount, ref_id, meta)
-         VALUES (?, NOW(), 'VPK', NULL, 'stake_lock', ?, ?, ?)`,
-        [
-          req.userId,
-          stakeVpk,
-          posId,
-          JSON.stringify({
-            kind: 'stake_lock',
-            position_id: posId,
-            units,
-            stake_vpk: stakeVpk,
-            unit_vpk: STAKE_UNIT_VPK,
-            stake_usdt_value: stakeUsdtVal,
-            unit_usdt_value: unitAmtUsdt,
-            cap_multiplier: mult,
-          }),
-        ]
-      );
+      // stake_lock is a debit: the registry stores it negative
+      await insertLedgerEntry(conn, {
+        userId: req.userId,
+        asset: 'VPK',
+        type: 'stake_lock',
+        amount: stakeVpk,
+        refId: posId,
+        meta: {
+          kind: 'stake_lock',
+          position_id: posId,
+          units,
+          stake_vpk: money.toNumber(stakeVpkUnits, 'VPK'),
+          unit_vpk: unitVpk,
+          stake_usdt_value: stakeUsdtVal,
+          unit_usdt_value: unitAmtUsdt,
+          cap_multiplier: mult,
+        },
+      });
 
       await conn.commit();
     } catch (e) {
@@ -528,9 +549,9 @@ module.exports = function makeStakingRoutes({ db, requireAuth, awardReferral, di
         unit_amount_usdt: unitAmtUsdt,
         amount_usdt: stakeUsdtVal,
         cap_multiplier: mult,
-        cap_usdt: capTotalUsdt,
+        cap_usdt: Number(capTotalUsdt),
         credited_usdt: 0,
-        remaining_usdt: capTotalUsdt,
+        remaining_usdt: Number(capTotalUsdt),
         status: 'active',
       },
     });
@@ -0,0 +1,60 @@
+// /server/routes/statements.js (CommonJS)
+// GET /v1/wallet/statement?asset=USDT&month=2026-09[&format=csv|pdf]
+// GET /v1/wallet/statement?asset=USDT&from=2026-09-01&to=2026-09-30[&format=csv|pdf]
+const express = require('express');
+const money = require('../lib/money');
+const {
+  FORMATS,
+  parseStatementRange,
+  buildStatement,
+  sendStatement,
+} = require('../lib/statements');
+
+// Shared with routes/admin_statements.js
+function parseStatementQuery(q) {
+  const raw = String(q.asset || 'USDT').trim().toUpperCase();
+  const asset = raw === 'MHV' ? 'VPK' : raw;
+  if (!money.hasAsset(asset)) return { ok: false, error: 'BAD_ASSET' };
+
+  const format = String(q.format || 'json').toLowerCase();
+  if (!FORMATS.includes(format)) return { ok: false, error: 'BAD_FORMAT' };
+
+  const range = parseStatementRange({
+    month: q.month ? String(q.month) : null,
+    from: q.from ? String(q.from) : null,
+    to: q.to ? String(q.to) : null,
+  });
+  if (!range.ok) return range;
+
+  return { ok: true, asset, format, from: range.from, to: range.to };
+}
+
+function makeStatementsRouter({ db, requireAuth }) {
+  if (!db) throw new Error('makeStatementsRouter: db is required');
+  if (typeof requireAuth !== 'function') {
+    throw new Error('makeStatementsRouter: requireAuth is required');
+  }
+
+  const r = express.Router();
+  r.use(requireAuth);
+
+  r.get('/', async (req, res) => {
+    const q = parseStatementQuery(req.query);
+    if (!q.ok) return res.status(400).json({ error: q.error });
+
+    try {
+      const st = await buildStatement(db, { userId: req.userId, asset: q.asset, from: q.from, to: q.to });
+      return sendStatement(res, st, q.format);
+    } catch (e) {
+      if (e?.message === 'STATEMENT_TOO_LARGE') return res.status(413).json({ error: 'STATEMENT_TOO_LARGE' });
+      if (e?.message === 'STATEMENT_USER_NOT_FOUND') return res.status(404).json({ error: 'NOT_FOUND' });
+      console.error('[statement] error:', e);
+      return res.status(500).json({ error: 'SERVER_ERR' });
+    }
+  });
+
+  return r;
+}
+
+module.exports = makeStatementsRouter;
+module.exports.parseStatementQuery = parseStatementQuery;
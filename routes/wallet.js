@@ -2,61 +2,22 @@
 // Factory that builds a wallet router with injected mysql2/promise pool and auth middleware.
 
 const express = require('express');
-// If you're on Node < 18, ensure you installed: npm install node-fetch
-const fetch = require('node-fetch');
+const { formatLedgerRow } = require('../lib/ledger');
+const money = require('../lib/money');
+const { prepareSwap, executeSwap, getPairMidRate } = require('../lib/swap_pairs');
 
-// Fallback from .env (for when API fails)
-const FALLBACK_USDT_PHP = Number(process.env.USDT_PHP_RATE || 58.0);
-
-// VPK is an in-house token
-// 0.01 USDT = 1 VPK  =>  1 USDT = 100 VPK
-const RATE_USDT_TO_VPK = 100;
-
-// Simple in-memory cache
-let _cachedRate = FALLBACK_USDT_PHP;
-let _cachedAt = 0; // timestamp in ms
-
-// How long to keep a rate before refreshing
-const RATE_TTL_MS = 60 * 1000; // 1 minute
-
-async function getUsdtPhpRate() {
-  const now = Date.now();
-
-  if (now - _cachedAt < RATE_TTL_MS && _cachedRate) {
-    return _cachedRate;
-  }
-
-  try {
-    const url =
-      'https://api.coingecko.com/api/v3/simple/price?ids=tether&vs_currencies=php';
-
-    const res = await fetch(url);
-    if (!res.ok) throw new Error(`HTTP ${res.status}`);
-
-    const data = await res.json();
-    const rate = Number(data?.tether?.php);
-
-    if (!Number.isFinite(rate) || rate <= 0) {
-      throw new Error('Invalid rate from API');
-    }
-
-    _cachedRate = rate;
-    _cachedAt = now;
-
-    return rate;
-  } catch (err) {
-    console.error('getUsdtPhpRate failed, using fallback:', err.message);
-    return FALLBACK_USDT_PHP;
-  }
-}
+// VPK is an in-house token; its USDT rate lives in swap_pairs
+const DEFAULT_USDT_TO_VPK = 100;
 
 function toNum(x) {
   const n = Number(x);
   return Number.isFinite(n) ? n : 0;
 }
 
-module.exports = function makeWalletRouter(db, requireAuth) {
+// rates: lib/rates service (optional; PHP totals are null without it)
+module.exports = function makeWalletRouter(db, requireAuth, idempotent, rates) {
   const router = express.Router();
+  const _idem = (typeof idempotent === 'function') ? idempotent : () => (_req, _res, next) => next();
 
   if (typeof requireAuth === 'function') {
     router.use(requireAuth);
@@ -72,7 +33,7 @@ module.exports = function makeWalletRouter(db, requireAuth) {
    *   totals: {
    *     USDT,
    *     VPK,
-   *     TOTAL_USDT_EQ, // USDT + VPK/100
+   *     TOTAL_USDT_EQ, // USDT + VPK at the USDT/VPK mid rate
    *     PHP
    *   },
    *   rates: { USDT_PHP }
@@ -102,8 +63,9 @@ module.exports = function makeWalletRouter(db, requireAuth) {
       const usdt = toNum(usdtRow?.balance);
       const vpk  = toNum(vpkRow?.balance);
 
-      const totalUsdtEq = usdt + (vpk / RATE_USDT_TO_VPK);
-      const usdtPhpRate = await getUsdtPhpRate();
+      const vpkPerUsdt = Number(await getPairMidRate(db, 'USDT', 'VPK', { rates, fallback: DEFAULT_USDT_TO_VPK }));
+      const totalUsdtEq = usdt + (vpk / vpkPerUsdt);
+      const usdtPhpRate = rates ? await rates.getRate('USDT_PHP').catch(() => null) : null;
 
       res.json({
         balances,
@@ -111,7 +73,7 @@ module.exports = function makeWalletRouter(db, requireAuth) {
           USDT: usdt,
           VPK: vpk,
           TOTAL_USDT_EQ: totalUsdtEq,
-          PHP: totalUsdtEq * usdtPhpRate,
+          PHP: usdtPhpRate ? totalUsdtEq * usdtPhpRate : null,
         },
         rates: {
           USDT_PHP: usdtPhpRate,
@@ -149,58 +111,13 @@ module.exports = function makeWalletRouter(db, requireAuth) {
       const hasMore = rows.length > pageSize;
       const data = rows.slice(0, pageSize);
 
-      const PLUS = new Set([
-        'deposit',
-        'refund',
-        'transfer_in',
-        'stake_payout',
-        'stake_refund',
-        'stake_referral',
-        'referral_reward',
-        'referral_bonus',
-        'swap_in',
-      ]);
-
-      const MINUS = new Set([
-        'withdraw',
-        'transfer_out',
-        'purchase',
-        'fee',
-        'stake_lock',
-        'swap_out',
-      ]);
-
+      // amounts are stored with their canonical sign (lib/ledger.js)
       const items = data.map((r) => {
-        let meta = null;
-        try {
-          meta =
-            r.meta == null
-              ? null
-              : typeof r.meta === 'string'
-              ? JSON.parse(r.meta)
-              : r.meta;
-        } catch {
-          meta = null;
-        }
-
-        const base = toNum(r.amount);
-        const signed =
-          PLUS.has(r.type) ? base :
-          MINUS.has(r.type) ? -base : base;
-
+        const row = formatLedgerRow(r);
         const tsIso =
           r.ts instanceof Date ? r.ts.toISOString() : new Date(r.ts).toISOString();
 
-        return {
-          id: r.id,
-          ts: tsIso,
-          asset: r.asset,
-          chain: r.chain,
-          type: r.type,
-          amount: signed,
-          ref_id: r.ref_id,
-          meta,
-        };
+        return { ...row, ts: tsIso, amount: toNum(r.amount) };
       });
 
       res.json({
@@ -214,121 +131,48 @@ module.exports = function makeWalletRouter(db, requireAuth) {
 
   /**
    * POST /v1/wallet/swap
-   * Body: { from_asset: 'USDT'|'VPK', to_asset: 'VPK'|'USDT', amount: <number in from_asset> }
+   * Body: { from_asset, to_asset, amount: <number in from_asset> }
    *
-   * Rate:
-   *   1 USDT = 100 VPK
+   * Rate, spread, fee and limits: swap_pairs (lib/swap_pairs.js)
    */
-  router.post('/v1/wallet/swap', async (req, res, next) => {
+  router.post('/v1/wallet/swap', _idem('wallet.swap'), async (req, res, next) => {
     const userId = req.userId;
     const body = req.body || {};
 
-    const fromAsset = String(body.from_asset || '').toUpperCase();
-    const toAsset   = String(body.to_asset   || '').toUpperCase();
-    const amountFrom = Number(body.amount);
-
-    const supported =
-      (fromAsset === 'USDT' && toAsset === 'VPK') ||
-      (fromAsset === 'VPK' && toAsset === 'USDT');
-
-    if (!supported) {
-      return res.status(400).json({ error: 'PAIR_NOT_SUPPORTED' });
-    }
-
-    if (!Number.isFinite(amountFrom) || amountFrom <= 0) {
-      return res.status(400).json({ error: 'BAD_AMOUNT' });
-    }
-
-    let amountUsdt = 0;
-    let amountVpk = 0;
-
-    if (fromAsset === 'USDT') {
-      amountUsdt = amountFrom;
-      amountVpk = amountUsdt * RATE_USDT_TO_VPK;
-    } else {
-      amountVpk = amountFrom;
-      amountUsdt = RATE_USDT_TO_VPK === 0 ? 0 : (amountVpk / RATE_USDT_TO_VPK);
-    }
-
-    let conn;
     try {
-      conn = await db.getConnection();
-      await conn.beginTransaction();
-
-      const [[row]] = await conn.query(
-        `SELECT COALESCE(SUM(balance),0) AS bal
-           FROM wallet_balances
-          WHERE user_id = ? AND asset = ?`,
-        [userId, fromAsset]
-      );
-
-      const currentBal = toNum(row?.bal);
-      if (currentBal + 1e-9 < amountFrom) {
-        await conn.rollback();
-        return res.status(400).json({
-          error: 'INSUFFICIENT_FUNDS',
-          balance: currentBal,
-        });
-      }
-
-      // Debit from_asset
-      await conn.query(
-        `INSERT INTO wallet_balances (user_id, asset, balance)
-         VALUES (?, ?, ?)
-         ON DUPLICATE KEY UPDATE balance = balance + VALUES(balance)`,
-        [userId, fromAsset, -amountFrom]
-      );
-
-      // Credit to_asset
-      const creditTo = (toAsset === 'USDT') ? amountUsdt : amountVpk;
-      await conn.query(
-        `INSERT INTO wallet_balances (user_id, asset, balance)
-         VALUES (?, ?, ?)
-         ON DUPLICATE KEY UPDATE balance = balance + VALUES(balance)`,
-        [userId, toAsset, creditTo]
-      );
-
-      const meta = JSON.stringify({
-        pair: `${fromAsset}->${toAsset}`,
-        rate_usdt_to_vpk: RATE_USDT_TO_VPK,
-        amount_usdt: amountUsdt,
-        amount_vpk: amountVpk,
+      const swap = await prepareSwap(db, {
+        fromAsset: body.from_asset,
+        toAsset: body.to_asset,
+        amount: body.amount,
+        rates,
       });
+      const { fromAsset, toAsset } = swap;
 
-      // Ledger: from out
-      await conn.query(
-        `INSERT INTO wallet_ledger
-           (user_id, ts, asset, chain, type, amount, ref_id, meta)
-         VALUES (?, NOW(), ?, ?, ?, ?, NULL, ?)`,
-        [userId, fromAsset, 'BSC', 'swap_out', amountFrom, meta]
-      );
-
-      // Ledger: to in
-      await conn.query(
-        `INSERT INTO wallet_ledger
-           (user_id, ts, asset, chain, type, amount, ref_id, meta)
-         VALUES (?, NOW(), ?, ?, ?, ?, NULL, ?)`,
-        [userId, toAsset, 'BSC', 'swap_in', creditTo, meta]
-      );
+      const amountFrom = money.format(swap.fromUnits, fromAsset);
+      const creditTo = money.format(swap.toUnits, toAsset);
+      const amountUsdt = fromAsset === 'USDT' ? amountFrom : creditTo;
+      const amountVpk = fromAsset === 'VPK' ? amountFrom : creditTo;
 
-      await conn.commit();
+      const done = await executeSwap(db, {
+        userId,
+        swap,
+        meta: { rate_usdt_to_vpk: Number(swap.midRate), amount_usdt: amountUsdt, amount_vpk: amountVpk },
+      });
 
       res.json({
         ok: true,
+        swap_id: done.swapId,
         from_asset: fromAsset,
         to_asset: toAsset,
-        amount_from: amountFrom,
-        amount_usdt: amountUsdt,
-        amount_vpk: amountVpk,
-        rate: RATE_USDT_TO_VPK,
+        amount_from: Number(amountFrom),
+        amount_usdt: Number(amountUsdt),
+        amount_vpk: Number(amountVpk),
+        fee: money.toNumber(done.feeUnits, fromAsset),
+        rate: Number(done.rate),
       });
     } catch (e) {
-      if (conn) {
-        try { await conn.rollback(); } catch (_) {}
-      }
+      if (e?.statusCode) return res.status(e.statusCode).json({ error: e.message, ...(e.extra || {}) });
       next(e);
-    } finally {
-      if (conn) conn.release();
     }
   });
 
@@ -0,0 +1,58 @@
+// /server/routes/withdrawals.js (CommonJS)
+// User-facing withdrawal status (rows are created by POST /v1/wallet/transfer)
+const express = require('express');
+const { formatWithdrawal } = require('../lib/withdrawals');
+
+module.exports = function makeWithdrawalsRouter({ db, requireAuth }) {
+  if (!db) throw new Error('makeWithdrawalsRouter: db is required');
+  if (typeof requireAuth !== 'function') {
+    throw new Error('makeWithdrawalsRouter: requireAuth is required');
+  }
+
+  const r = express.Router();
+  r.use(requireAuth);
+
+  // GET /v1/withdrawals?limit=&before= – newest first
+  r.get('/', async (req, res) => {
+    const limit = Math.min(100, Math.max(1, Number(req.query.limit || 20)));
+    const before = Number(req.query.before || 0);
+
+    try {
+      const [rows] = await db.query(
+        `SELECT * FROM withdrawals
+          WHERE user_id=?${before > 0 ? ' AND id < ?' : ''}
+          ORDER BY id DESC
+          LIMIT ?`,
+        before > 0 ? [req.userId, before, limit] : [req.userId, limit]
+      );
+      return res.json({
+        items: rows.map(formatWithdrawal),
+        next_before: rows.length === limit ? rows[rows.length - 1].id : null,
+      });
+    } catch (e) {
+      console.error('[withdrawals] list error:', e);
+      return res.status(500).json({ error: 'SERVER_ERR' });
+    }
+  });
+
+  // GET /v1/withdrawals/:id – status polling
+  r.get('/:id', async (req, res) => {
+    const id = Number(req.params.id);
+    if (!Number.isFinite(id) || id <= 0) return res.status(400).json({ error: 'BAD_ID' });
+
+    try {
+      const [[row]] = await db.query(
+        'SELECT * FROM withdrawals WHERE id=? AND user_id=?',
+        [id, req.userId]
+      );
+      if (!row) return res.status(404).json({ error: 'NOT_FOUND' });
+
+      return res.json(formatWithdrawal(row));
+    } catch (e) {
+      console.error('[withdrawals] detail error:', e);
+      return res.status(500).json({ error: 'SERVER_ERR' });
+    }
+  });
+
+  return r;
+};
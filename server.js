@@ -31,8 +31,6 @@ try {
   console.warn('[BOOT] dns.setDefaultResultOrder not supported on this Node:', e?.message || e);
 }
 
-const nodeCrypto = require('crypto');
-
 // ✅ Polyfill fetch for Node < 18 (only used if global fetch is missing)
 if (typeof globalThis.fetch !== 'function') {
   globalThis.fetch = (...args) =>
@@ -54,16 +52,72 @@ const makeKycRoutes = require('./routes/kyc');
 const makeAdminRouter = require('./routes/admin'); // 👈 NEW
 const makeAdminRewardCreditsRouter = require('./routes/admin_reward_credits');
 const makeRewardCreditsRouter = require('./routes/reward_credits');
+const makeAdminReconcileRouter = require('./routes/admin_reconcile');
+const makeAdminWithdrawalsRouter = require('./routes/admin_withdrawals');
+const makeWithdrawalsRouter = require('./routes/withdrawals');
+const makeAdminBankPayoutsRouter = require('./routes/admin_bank_payouts');
+const makeBankPayoutsRouter = require('./routes/bank_payouts');
+const makeInternalTransfersRouter = require('./routes/internal_transfers');
+const makeStatementsRouter = require('./routes/statements');
+const makeAdminStatementsRouter = require('./routes/admin_statements');
+const makeAdminLedgerRouter = require('./routes/admin_ledger');
+const makeRatesRouter = require('./routes/rates');
+const makeAdminRatesRouter = require('./routes/admin_rates');
+const makeAdminSwapPairsRouter = require('./routes/admin_swap_pairs');
+const makeAdminRevenueRouter = require('./routes/admin_revenue');
+const makeAdminDepositTokensRouter = require('./routes/admin_deposit_tokens');
+const makeAdminTokenRecoveryRouter = require('./routes/admin_token_recovery');
+const makeAdminOutboundTxsRouter = require('./routes/admin_outbound_txs');
+const makeAdminTreasuryRouter = require('./routes/admin_treasury');
 const { evaluateRewardCreditsForUser } = require('./lib/reward_credits');
+const { runReconciliation } = require('./lib/reconcile');
+const { runTreasurySnapshot } = require('./lib/treasury');
+const { runRebalance } = require('./lib/treasury_rebalance');
+const { insertLedgerEntry } = require('./lib/ledger');
+const { parseLedgerFilters, queryLedger } = require('./lib/ledger_query');
+const { makeRateService, purgeRatesHistory } = require('./lib/rates');
+const {
+  normSwapAsset,
+  prepareSwap,
+  executeSwap,
+  listSwapPairs,
+  formatSwapPair,
+  getPairMidRate,
+} = require('./lib/swap_pairs');
+const money = require('./lib/money');
+const { makeIdempotency, purgeExpiredKeys } = require('./lib/idempotency');
+const { createWithdrawal, runWithdrawalWorker } = require('./lib/withdrawals');
+const { createBankPayout, notifyBankPayout } = require('./lib/bank_payouts');
+const { validatePayoutAccount } = require('./lib/ph_banks');
+const {
+  createTransferQuote,
+  loadTransferQuote,
+  useTransferQuote,
+  quoteDriftBps,
+  purgeExpiredQuotes,
+} = require('./lib/transfer_quotes');
+const { createSwapQuote, loadSwapQuote, purgeExpiredSwapQuotes } = require('./lib/swap_quotes');
+const { bookTransferFees } = require('./lib/house_fees');
+const { normChain, getChain, listChains, describeChain } = require('./lib/chains');
+const {
+  getOrCreateDepositAddress,
+  listDepositAddresses,
+  listUserDeposits,
+} = require('./lib/deposit_addresses');
+const { listDepositTokens, belowMin } = require('./lib/deposit_tokens');
+const { createDepositIntent, expireStaleIntents } = require('./lib/deposit_intents');
+const { makeDepositService, sweepHook } = require('./lib/deposits');
+const {
+  erc20TransferData,
+  sendOutboundTx,
+  waitForOutboundTx,
+  runOutboundWorker,
+} = require('./lib/outbound_txs');
+const { runSweeper, sweepDeposit } = require('./lib/sweeper');
 
 // ethers v6
 const {
-  HDNodeWallet,
-  JsonRpcProvider,
-  Wallet,
-  Contract,
   parseUnits,
-  formatUnits,
   isAddress,
 } = require('ethers');
 
@@ -75,21 +129,12 @@ const makeAuthEmailRouter = require('./routes/auth/email'); // PUBLIC email OTP
 let makeReferralRoutes = null; // optional (wrap in try/catch below)
 try { makeReferralRoutes = require('./routes/referrals'); } catch { /* ok in dev */ }
 
-const USDT_PHP_RATE = Number(process.env.USDT_PHP_RATE || 58.0);
-const DEPOSIT_WEBHOOK_URL = process.env.DEPOSIT_WEBHOOK_URL || '';
-const DEPOSIT_WEBHOOK_SECRET = process.env.DEPOSIT_WEBHOOK_SECRET || '';
-
-const USDT_CONTRACT = process.env.USDT_CONTRACT;
-const USDT_DECIMALS = Number(process.env.USDT_DECIMALS || 18);
-const HOT_WALLET_PK = process.env.HOT_WALLET_PK;      // 🔑 company hot wallet
+// Chain RPCs, token contracts, hot wallet key: lib/chains (KEY_RPC, KEY_USDT_CONTRACT, HOT_WALLET_PK, …)
 const WITHDRAW_CONFS = Number(process.env.CONFIRMATIONS_REQUIRED || 1);
 
+// Deposit sweeps (lib/sweeper.js: thresholds, top-up budget, DEPOSIT_SWEEP_* tuning)
 const DEPOSIT_SWEEP_ENABLED = process.env.DEPOSIT_SWEEP_ENABLED === '1';
-const DEPOSIT_SWEEP_TO_ADDRESS = (process.env.DEPOSIT_SWEEP_TO_ADDRESS || '').trim();
-const DEPOSIT_SWEEP_MIN_USDT = Number(process.env.DEPOSIT_SWEEP_MIN_USDT || 0);
-const DEPOSIT_SWEEP_MAX_TOPUP_BNB = Number(process.env.DEPOSIT_SWEEP_MAX_TOPUP_BNB || 0.01);
-const DEPOSIT_SWEEP_GAS_BUFFER_PCT = Number(process.env.DEPOSIT_SWEEP_GAS_BUFFER_PCT || 1.25);
-const DEPOSIT_SWEEP_CONFS = Number(process.env.DEPOSIT_SWEEP_CONFS || WITHDRAW_CONFS || 1);
+const DEPOSIT_SWEEP_INTERVAL_MS = Number(process.env.DEPOSIT_SWEEP_INTERVAL_MS || 15_000);
 
 // ── Stake split recipients (USDT) ──
 const SPLIT_REF_LEAD_ADDR = (process.env.SPLIT_REF_LEAD_ADDR || '').trim();
@@ -101,6 +146,19 @@ const SPLIT_NINO_ADDR = (process.env.SPLIT_NINO_ADDR || '').trim();
 // How many confirmations to wait for split txs (keep low so staking isn't slow)
 const SPLIT_WAIT_CONFS = Number(process.env.SPLIT_WAIT_CONFS || 1);
 
+// Withdrawal worker (broadcast + confirmation tracking; '0' disables)
+const WITHDRAW_WORKER_ENABLED = process.env.WITHDRAW_WORKER_ENABLED !== '0';
+const WITHDRAW_WORKER_INTERVAL_MS = Number(process.env.WITHDRAW_WORKER_INTERVAL_MS || 15_000);
+
+// Ledger ↔ balance reconciliation (report only; 0 disables the schedule)
+const RECONCILE_INTERVAL_MIN = Number(process.env.RECONCILE_INTERVAL_MIN || 60);
+
+// Treasury solvency snapshots (0 disables the schedule)
+const TREASURY_SNAPSHOT_INTERVAL_MIN = Number(process.env.TREASURY_SNAPSHOT_INTERVAL_MIN || 60);
+
+// Hot / cold rebalancing against /admin/treasury/targets (0 disables the schedule)
+const TREASURY_REBALANCE_INTERVAL_MIN = Number(process.env.TREASURY_REBALANCE_INTERVAL_MIN || 10);
+
 /* ───────────────────────── App / Config ───────────────────────── */
 const app = express();
 app.use(cors({ origin: true, credentials: true }));
@@ -135,8 +193,9 @@ const NETWORK_FEE_MARKUP = Number(process.env.NETWORK_FEE_MARKUP || 1.10);  // +
 const MIN_NETWORK_FEE_USDT = Number(process.env.MIN_NETWORK_FEE_USDT || 0.15);
 const MAX_NETWORK_FEE_USDT = Number(process.env.MAX_NETWORK_FEE_USDT || 1.0);
 
-// BSC provider (for live gasPrice)
-const bscProvider = new JsonRpcProvider(process.env.BSC_RPC);
+// Swaps without a quote_id are priced live until every client quotes first
+const SWAP_QUOTE_REQUIRED = process.env.SWAP_QUOTE_REQUIRED === '1';
+
 
 app.get('/', (req, res) => res.status(200).send('OK'));
 app.get('/health', (req, res) => res.json({ ok: true }));
@@ -150,6 +209,14 @@ const db = mysql.createPool({
   connectionLimit: 10,
 });
 
+// Idempotency-Key middleware for money-moving POSTs
+const idempotent = makeIdempotency({ db });
+const rates = makeRateService({ db });
+
+// Deposit crediting (lib/deposits): reward credits, referral commission,
+// notifications and webhook after every credit; the sweep hook is added here
+const deposits = makeDepositService({ db }).use('sweep', sweepHook(triggerDepositSweep));
+
 /* ───────────────────────── Asset normalization ─────────────────────────
    ✅ MHV is accepted as an alias of VPK for backward compatibility.
 */
@@ -159,115 +226,6 @@ function normAsset(a) {
   return x;
 }
 
-// Idempotent credit of a deposit + webhook (LIVE mode)
-async function creditDepositAndWebhook({ depositId, amount, txHash, meta }) {
-  const conn = await db.getConnection();
-  let webhookPayload = null;
-
-  try {
-    await conn.beginTransaction();
-
-    const [depRows] = await conn.query(
-      `SELECT id, user_id, asset, chain, amount_received,
-              confirmations, required_confirmations, tx_hash
-         FROM crypto_deposits
-        WHERE id = ?
-        FOR UPDATE`,
-      [depositId]
-    );
-
-    if (!depRows.length) throw new Error('deposit_not_found');
-
-    const dep = depRows[0];
-    const userId = dep.user_id;
-    const asset = dep.asset;
-    const chain = dep.chain;
-
-    // Idempotency: if already in ledger, no-op
-    const [exists] = await conn.query(
-      `SELECT id
-         FROM wallet_ledger
-        WHERE type = 'deposit'
-          AND ref_id = ?
-        LIMIT 1`,
-      [depositId]
-    );
-
-    if (exists.length) {
-      await conn.commit();
-      console.log('[DEPOSIT] already credited, skip', { depositId });
-      return;
-    }
-
-    // Decide final amount (from argument or stored)
-    const amtNum = Number(amount != null ? amount : dep.amount_received);
-
-    if (!Number.isFinite(amtNum) || amtNum <= 0) {
-      throw new Error('invalid_amount');
-    }
-
-    // Upsert wallet balance
-    await conn.query(
-      `INSERT INTO wallet_balances (user_id, asset, balance)
-       VALUES (?, ?, ?)
-       ON DUPLICATE KEY UPDATE balance = balance + VALUES(balance)`,
-      [userId, asset, amtNum]
-    );
-
-    // Insert ledger entry
-    const ledgerMeta = Object.assign({}, meta || {}, { live: true });
-
-    await conn.query(
-      `INSERT INTO wallet_ledger
-         (user_id, ts, asset, chain, type, amount, ref_id, meta)
-       VALUES
-         (?, NOW(), ?, ?, 'deposit', ?, ?, ?)`,
-      [userId, asset, chain, amtNum, depositId, JSON.stringify(ledgerMeta)]
-    );
-
-    // Mark deposit as credited
-    await conn.query(
-      `UPDATE crypto_deposits
-          SET status           = 'credited',
-              amount_received  = COALESCE(amount_received, ?),
-              confirmations    = GREATEST(COALESCE(confirmations,0), required_confirmations),
-              tx_hash          = COALESCE(tx_hash, ?),
-              updated_at       = NOW()
-        WHERE id = ?`,
-      [amtNum, txHash || dep.tx_hash || `MANUAL-${depositId}`, depositId]
-    );
-
-    await conn.commit();
-
-    webhookPayload = {
-      depositId,
-      userId,
-      asset,
-      chain,
-      amount: amtNum.toString(),
-      tx_hash: txHash || dep.tx_hash || null,
-      status: 'credited',
-    };
-
-    console.log('[DEPOSIT] credited', webhookPayload);
-
-    triggerDepositSweep(depositId);
-  } catch (err) {
-    await conn.rollback();
-    console.error('[DEPOSIT] creditDepositAndWebhook error', err);
-    throw err;
-  } finally {
-    conn.release();
-  }
-
-  // Fire webhook OUTSIDE the transaction
-  if (webhookPayload) {
-    sendDepositWebhook(webhookPayload).catch((err) => {
-      console.error('[WEBHOOK] deposit -> async error', err);
-    });
-  }
-}
-
 /* ───────────────────────── Firebase Admin init ─────────────────────────
    ✅ Hostinger-friendly: supports FIREBASE_ADMIN_B64 env var (base64 JSON)
    ✅ Local/VPS fallback: GOOGLE_APPLICATION_CREDENTIALS / FIREBASE_ADMIN_KEY / ./serviceAccountKey.json
@@ -329,7 +287,7 @@ function requireAdmin(req, res, next) {
 const adminRouter = makeAdminRouter({
   db,
   JWT_SECRET,
-  creditDepositAndWebhook,
+  creditDepositAndWebhook: deposits.creditDeposit,
 });
 
 // mount admin router
@@ -344,218 +302,187 @@ app.use(
   })
 );
 
-app.use('/v1/reward-credits', makeRewardCreditsRouter({ db, requireAuth }));
-app.use('/v1/rewards',        makeRewardCreditsRouter({ db, requireAuth })); // ✅ Flutter uses this
-
-function normSource(input) {
-  const s = String(input || 'any').toLowerCase();
-  return (s === 'coinsph' || s === 'binance' || s === 'any') ? s : 'any';
-}
-
-// Canonicalize PH numbers to E.164 (+63…)
-function canonicalizePH(phoneInput) {
-  const d = String(phoneInput || '').replace(/\D/g, '');
-  if (!d) throw new Error('BAD_PHONE');
-  if (d.length === 11 && d.startsWith('0')) return `+63${d.slice(1)}`;
-  if (d.length === 10 && d.startsWith('9')) return `+63${d}`;
-  if (d.length === 12 && d.startsWith('63')) return `+${d}`;
-  if (String(phoneInput).startsWith('+63') && d.length === 12) return `+${d}`;
-  throw new Error('BAD_PHONE_PH');
-}
-
-// ethers v6-safe derivation (derive in one call with full path)
-function deriveEvmAddress(index) {
-  const m = process.env.HD_MNEMONIC;
-  if (!m) throw new Error('HD_MNEMONIC missing');
-  const acct = Number(process.env.HD_ACCOUNT || 0);
-  const path = `m/44'/60'/${acct}'/0/${index}`; // BIP44 EVM
-  const wallet = HDNodeWallet.fromPhrase(m, undefined, path);
-  return wallet.address; // checksummed 0x…
-}
-
-// Webhook sender
-async function sendDepositWebhook(payload) {
-  if (!DEPOSIT_WEBHOOK_URL) {
-    console.log('[WEBHOOK] DEPOSIT_WEBHOOK_URL not set, skipping webhook');
-    return;
-  }
-
-  const wrapper = {
-    event: 'wallet.deposit.credited',
-    ts: Date.now(),
-    data: payload,
-  };
-
-  const body = JSON.stringify(wrapper);
-  const headers = { 'content-type': 'application/json' };
+app.use(
+  '/admin/reconcile',
+  makeAdminReconcileRouter({
+    db,
+    requireAdmin: adminRouter.requireAdmin,
+  })
+);
 
-  if (DEPOSIT_WEBHOOK_SECRET) {
-    const sig = nodeCrypto
-      .createHmac('sha256', DEPOSIT_WEBHOOK_SECRET)
-      .update(body)
-      .digest('hex');
+app.use(
+  '/admin/withdrawals',
+  makeAdminWithdrawalsRouter({
+    db,
+    requireAdmin: adminRouter.requireAdmin,
+  })
+);
 
-    headers['x-ph1taka-signature'] = sig;
-  }
+app.use(
+  '/admin/bank-payouts',
+  makeAdminBankPayoutsRouter({
+    db,
+    requireAdmin: adminRouter.requireAdmin,
+  })
+);
 
-  try {
-    await fetch(DEPOSIT_WEBHOOK_URL, { method: 'POST', headers, body });
-    console.log('[WEBHOOK] deposit -> sent', payload);
-  } catch (err) {
-    console.error('[WEBHOOK] deposit -> FAILED', err);
-  }
-}
+app.use(
+  '/admin/statements',
+  makeAdminStatementsRouter({
+    db,
+    requireAdmin: adminRouter.requireAdmin,
+  })
+);
 
-/* ───────────────────────── Rates + Fee helpers ───────────────────────── */
-/* ───────────────────────── USDT→PHP live rate helper ───────────────────────── */
+app.use(
+  '/admin/ledger',
+  makeAdminLedgerRouter({
+    db,
+    requireAdmin: adminRouter.requireAdmin,
+  })
+);
 
-const FALLBACK_USDT_PHP = USDT_PHP_RATE; // from .env, e.g. 58
+app.use(
+  '/admin/rates',
+  makeAdminRatesRouter({
+    db,
+    requireAdmin: adminRouter.requireAdmin,
+    rates,
+  })
+);
 
-let _usdtPhpCache = FALLBACK_USDT_PHP;
-let _usdtPhpCacheTs = 0;
-const USDT_PHP_TTL_MS = 60_000; // 1 minute cache
+app.use(
+  '/admin/swap-pairs',
+  makeAdminSwapPairsRouter({
+    db,
+    requireAdmin: adminRouter.requireAdmin,
+    rates,
+  })
+);
 
-async function getUsdtPhpRate() {
-  const now = Date.now();
+app.use(
+  '/admin/revenue',
+  makeAdminRevenueRouter({
+    db,
+    requireAdmin: adminRouter.requireAdmin,
+  })
+);
 
-  // Use cached value if still fresh
-  if (now - _usdtPhpCacheTs < USDT_PHP_TTL_MS && _usdtPhpCache) {
-    return _usdtPhpCache;
-  }
+app.use(
+  '/admin/deposit-tokens',
+  makeAdminDepositTokensRouter({
+    db,
+    requireAdmin: adminRouter.requireAdmin,
+  })
+);
 
-  try {
-    const resp = await fetch(
-      'https://api.coingecko.com/api/v3/simple/price?ids=tether&vs_currencies=php'
-    );
+app.use(
+  '/admin/token-recovery',
+  makeAdminTokenRecoveryRouter({
+    db,
+    requireAdmin: adminRouter.requireAdmin,
+    rates,
+  })
+);
 
-    if (!resp.ok) throw new Error(`HTTP ${resp.status}`);
+app.use(
+  '/admin/outbound-txs',
+  makeAdminOutboundTxsRouter({
+    db,
+    requireAdmin: adminRouter.requireAdmin,
+  })
+);
 
-    const data = await resp.json();
-    const rate = Number(data?.tether?.php);
+app.use(
+  '/admin/treasury',
+  makeAdminTreasuryRouter({
+    db,
+    requireAdmin: adminRouter.requireAdmin,
+  })
+);
 
-    if (!Number.isFinite(rate) || rate <= 0) {
-      throw new Error('Bad rate from API');
-    }
+app.use('/v1/withdrawals', makeWithdrawalsRouter({ db, requireAuth }));
+app.use('/v1/bank-payouts', makeBankPayoutsRouter({ db, requireAuth }));
+app.use('/v1/wallet/statement', makeStatementsRouter({ db, requireAuth }));
+app.use('/v1/rates', makeRatesRouter({ rates })); // public
+app.use('/v1/reward-credits', makeRewardCreditsRouter({ db, requireAuth }));
+app.use('/v1/rewards',        makeRewardCreditsRouter({ db, requireAuth })); // ✅ Flutter uses this
 
-    _usdtPhpCache = rate;
-    _usdtPhpCacheTs = now;
-    return rate;
-  } catch (err) {
-    console.error('[RATES] getUsdtPhpRate failed, using fallback:', err.message);
-    return FALLBACK_USDT_PHP;
-  }
+// Canonicalize PH numbers to E.164 (+63…)
+function canonicalizePH(phoneInput) {
+  const d = String(phoneInput || '').replace(/\D/g, '');
+  if (!d) throw new Error('BAD_PHONE');
+  if (d.length === 11 && d.startsWith('0')) return `+63${d.slice(1)}`;
+  if (d.length === 10 && d.startsWith('9')) return `+63${d}`;
+  if (d.length === 12 && d.startsWith('63')) return `+${d}`;
+  if (String(phoneInput).startsWith('+63') && d.length === 12) return `+${d}`;
+  throw new Error('BAD_PHONE_PH');
 }
 
-// cache Binance rates for 60s
-let _ratesCache = null;
-let _ratesCacheTs = 0;
-
-async function getRates() {
-  const now = Date.now();
-  if (_ratesCache && now - _ratesCacheTs < 60_000) return _ratesCache;
-
-  let bnbUsdt = 600; // sane fallback
-  try {
-    const resp = await fetch('https://api.binance.com/api/v3/ticker/price?symbol=BNBUSDT');
-    if (resp.ok) {
-      const j = await resp.json();
-      bnbUsdt = parseFloat(j.price);
-    }
-  } catch (err) {
-    console.error('[RATES] Failed to fetch BNB/USDT from Binance, using fallback 600', err);
-  }
-
-  // 🔥 live USDT→PHP instead of static .env
-  const usdtPhp = await getUsdtPhpRate();
-
-  _ratesCache = { BNB_USDT: bnbUsdt, USDT_PHP: usdtPhp };
-  _ratesCacheTs = now;
-  return _ratesCache;
-}
+/* ───────────────────────── Rates + Fee helpers ───────────────────────── */
+// Live rates come from lib/rates (`rates`, created next to the db pool)
 
-// Approximate live gas (BSC) → USDT
+// Approximate live gas on the chain (lib/chains) → USDT
 async function quoteCryptoTransfer({ chain, amountUsdt }) {
-  const chainNorm = (chain || 'BSC').toUpperCase();
-  if (chainNorm !== 'BSC') throw new Error('UNSUPPORTED_CHAIN');
-
-  let gasPriceWei;
-  try {
-    const feeData = await bscProvider.getFeeData();
-    gasPriceWei =
-      feeData.gasPrice ??
-      feeData.maxFeePerGas ??
-      BigInt(3_000_000_000); // 3 gwei fallback
-  } catch (err) {
-    console.error('[GAS] getFeeData failed, using fallback 3 gwei', err);
-    gasPriceWei = BigInt(3_000_000_000);
-  }
+  const c = getChain(chain);
+  if (!c.supports('USDT')) throw new Error('UNSUPPORTED_CHAIN');
 
-  const gasLimit = BigInt(80_000);
-  const feeWei = gasPriceWei * gasLimit;
+  const feeWei = (await c.gasPriceWei()) * c.transferGasLimit;
 
-  const feeBnb = Number(feeWei) / 1e18;
-  const rates = await getRates();
-  const bnbUsdt = rates.BNB_USDT || 600;
+  const feeGas = money.fromChainUnits(feeWei, c.gasAsset, 18, money.ROUND_UP);
+  const gasUsdt = await rates.getRate(c.gasRatePair);
 
-  let networkFeeUsdt = feeBnb * bnbUsdt * NETWORK_FEE_MARKUP;
+  // fees are rounded up (in the house's favour), received amounts down
+  let networkFee = money.convert(feeGas, c.gasAsset, gasUsdt, 'USDT', money.ROUND_UP);
+  networkFee = money.mulDiv(networkFee, NETWORK_FEE_MARKUP, 1, money.ROUND_UP);
 
-  networkFeeUsdt = Math.max(
-    MIN_NETWORK_FEE_USDT,
-    Math.min(MAX_NETWORK_FEE_USDT, networkFeeUsdt),
+  networkFee = money.max(
+    money.parse(c.minNetworkFeeUsdt ?? MIN_NETWORK_FEE_USDT, 'USDT'),
+    money.min(money.parse(c.maxNetworkFeeUsdt ?? MAX_NETWORK_FEE_USDT, 'USDT'), networkFee),
   );
 
-  const totalDebitUsdt = amountUsdt + networkFeeUsdt;
+  const amount = money.parse(amountUsdt, 'USDT');
+  const totalDebit = amount + networkFee;
 
   return {
-    network_fee_usdt: networkFeeUsdt,
+    network_fee_usdt: money.toNumber(networkFee, 'USDT'),
     conversion_fee_usdt: 0,
     send_fee_usdt: 0,
-    total_debit_usdt: totalDebitUsdt,
-    recv_amount_usdt: amountUsdt,
+    total_debit_usdt: money.toNumber(totalDebit, 'USDT'),
+    recv_amount_usdt: money.toNumber(amount, 'USDT'),
     recv_amount_php: null,
+    chain: c.key,
+    gas_asset: c.gasAsset,
+    rate_gas_usdt: gasUsdt,
+    rate_bnb_usdt: c.gasAsset === 'BNB' ? gasUsdt : null,
+    rate_usdt_php: null,
   };
 }
 
 async function quoteBankTransfer({ amountUsdt }) {
-  const rates = await getRates();
-  const usdtPhp = rates.USDT_PHP || USDT_PHP_RATE || 58.0;
+  const usdtPhp = await rates.getRate('USDT_PHP');
 
-  const conversionFeeUsdt = amountUsdt * BANK_CONVERSION_FEE_PCT;
-  const sendFeeUsdt = BANK_SEND_FEE_USDT;
-  const totalDebitUsdt = amountUsdt + conversionFeeUsdt + sendFeeUsdt;
-  const recvPhp = amountUsdt * usdtPhp;
+  const amount = money.parse(amountUsdt, 'USDT');
+  const conversionFee = money.mulDiv(amount, BANK_CONVERSION_FEE_PCT, 1, money.ROUND_UP);
+  const sendFee = money.parse(BANK_SEND_FEE_USDT, 'USDT');
+  const totalDebit = amount + conversionFee + sendFee;
+  const recvPhp = money.convert(amount, 'USDT', usdtPhp, 'PHP', money.ROUND_DOWN);
 
   return {
     network_fee_usdt: 0,
-    conversion_fee_usdt: conversionFeeUsdt,
-    send_fee_usdt: sendFeeUsdt,
-    total_debit_usdt: totalDebitUsdt,
+    conversion_fee_usdt: money.toNumber(conversionFee, 'USDT'),
+    send_fee_usdt: money.toNumber(sendFee, 'USDT'),
+    total_debit_usdt: money.toNumber(totalDebit, 'USDT'),
     recv_amount_usdt: null,
-    recv_amount_php: recvPhp,
+    recv_amount_php: money.toNumber(recvPhp, 'PHP'),
+    rate_bnb_usdt: null,
+    rate_usdt_php: usdtPhp,
   };
 }
 
 /* ───────────────────────── On-chain USDT send helpers ───────────────────────── */
-
-const ERC20_ABI = [
-  "function transfer(address to, uint256 value) external returns (bool)",
-  "function balanceOf(address owner) view returns (uint256)"
-];
-
-function getHotWallet() {
-  if (!HOT_WALLET_PK) throw new Error('HOT_WALLET_PK missing in env');
-
-  const pk = HOT_WALLET_PK.trim().replace(/^"|"$/g, '');
-  if (!/^0x[0-9a-fA-F]{64}$/.test(pk)) {
-    throw new Error('HOT_WALLET_PK format invalid – must be 0x + 64 hex chars');
-  }
-  return new Wallet(pk, bscProvider);
-}
-
-function getUsdtContract(signerOrProvider) {
-  if (!USDT_CONTRACT) throw new Error('USDT_CONTRACT missing in env');
-  return new Contract(USDT_CONTRACT, ERC20_ABI, signerOrProvider);
-}
+// Per-chain wallets / contracts come from the registry (lib/chains); every
+// hot wallet send goes through the outbound tx queue (lib/outbound_txs)
 
 // ───────────────────────── Stake → USDT split (hot wallet) ─────────────────────────
 const STAKE_UNIT_USDT = 9.0;
@@ -577,254 +504,116 @@ async function distributeStakeSplits({ positionId, userId, units }) {
   const u = BigInt(Math.floor(Number(units || 0)));
   if (u <= 0n) return { ok: true, skipped: true };
 
-  const unitWei = parseUnits(String(STAKE_UNIT_USDT), USDT_DECIMALS);
+  // stake splits are paid from the BSC hot wallet
+  const bsc = getChain('BSC');
+  const usdtToken = bsc.token('USDT');
+  const unitWei = parseUnits(String(STAKE_UNIT_USDT), usdtToken.decimals);
   const totalWei = u * unitWei;
 
-  const [[lk]] = await db.query(`SELECT GET_LOCK('hotwallet_usdt_split', 15) AS got`);
-  if (!lk?.got) throw new Error('HOTWALLET_SPLIT_LOCK_TIMEOUT');
-
-  try {
-    for (const s of _SPLITS) {
-      const to = s.to();
-      const amtWei = (totalWei * s.num) / s.den;
-
-      await db.query(
-        `INSERT INTO stake_split_transfers
-           (position_id, user_id, label, to_address, amount_wei, status)
-         VALUES (?, ?, ?, ?, ?, 'pending')
-         ON DUPLICATE KEY UPDATE
-           to_address=VALUES(to_address),
-           amount_wei=VALUES(amount_wei)`,
-        [positionId, userId, s.label, to, amtWei.toString()]
-      );
-    }
+  for (const s of _SPLITS) {
+    const to = s.to();
+    const amtWei = (totalWei * s.num) / s.den;
 
-    const [rows] = await db.query(
-      `SELECT id, label, to_address, amount_wei, tx_hash, status
-         FROM stake_split_transfers
-        WHERE position_id=?
-        ORDER BY id ASC`,
-      [positionId]
+    await db.query(
+      `INSERT INTO stake_split_transfers
+         (position_id, user_id, label, to_address, amount_wei, status)
+       VALUES (?, ?, ?, ?, ?, 'pending')
+       ON DUPLICATE KEY UPDATE
+         to_address=VALUES(to_address),
+         amount_wei=VALUES(amount_wei)`,
+      [positionId, userId, s.label, to, amtWei.toString()]
     );
+  }
 
-    const wallet = getHotWallet();
-    const usdt = getUsdtContract(wallet);
+  const [rows] = await db.query(
+    `SELECT id, label, to_address, amount_wei, tx_hash, status
+       FROM stake_split_transfers
+      WHERE position_id=?
+      ORDER BY id ASC`,
+    [positionId]
+  );
 
-    const sent = [];
-    for (const r of rows) {
-      if (r.status === 'sent' && r.tx_hash) continue;
+  const sent = [];
+  for (const r of rows) {
+    if (r.status === 'sent' && r.tx_hash) continue;
 
-      const amt = BigInt(r.amount_wei || '0');
-      if (amt <= 0n) {
-        await db.query(
-          `UPDATE stake_split_transfers SET status='sent', last_error=NULL WHERE id=?`,
-          [r.id]
-        );
-        continue;
-      }
+    const amt = BigInt(r.amount_wei || '0');
+    if (amt <= 0n) {
+      await db.query(
+        `UPDATE stake_split_transfers SET status='sent', last_error=NULL WHERE id=?`,
+        [r.id]
+      );
+      continue;
+    }
 
-      try {
-        const tx = await usdt.transfer(r.to_address, amt);
+    // one outbound tx per split row: a retry picks up the same send (lib/outbound_txs)
+    try {
+      const tx = await sendOutboundTx(db, {
+        chain: bsc.key,
+        purpose: 'stake_split',
+        refId: r.id,
+        to: usdtToken.address,
+        data: erc20TransferData(r.to_address, amt),
+      });
 
-        await db.query(
-          `UPDATE stake_split_transfers
-              SET tx_hash=?, status='sent', last_error=NULL
-            WHERE id=?`,
-          [tx.hash, r.id]
-        );
+      await db.query(
+        `UPDATE stake_split_transfers
+            SET tx_hash=?, status='sent', last_error=NULL
+          WHERE id=?`,
+        [tx.tx_hash, r.id]
+      );
 
-        if (SPLIT_WAIT_CONFS > 0) await tx.wait(SPLIT_WAIT_CONFS);
+      if (SPLIT_WAIT_CONFS > 0) await waitForOutboundTx(db, tx.id, { confirmations: SPLIT_WAIT_CONFS });
 
-        sent.push({ label: r.label, to: r.to_address, txHash: tx.hash });
-      } catch (e) {
-        await db.query(
-          `UPDATE stake_split_transfers
-              SET status='failed', last_error=?
-            WHERE id=?`,
-          [String(e?.message || e), r.id]
-        );
-      }
+      sent.push({ label: r.label, to: r.to_address, txHash: tx.tx_hash });
+    } catch (e) {
+      await db.query(
+        `UPDATE stake_split_transfers
+            SET status='failed', last_error=?
+          WHERE id=?`,
+        [String(e?.detail || e?.message || e).slice(0, 255), r.id]
+      );
     }
-
-    const sumWei = rows.reduce((acc, r) => acc + BigInt(r.amount_wei || '0'), 0n);
-    const remainderWei = totalWei - sumWei;
-
-    return { ok: true, totalWei: totalWei.toString(), remainderWei: remainderWei.toString(), sent };
-  } finally {
-    await db.query(`SELECT RELEASE_LOCK('hotwallet_usdt_split')`);
   }
-}
-
-async function sendUsdtFromHotWallet({ to, amountUsdt }) {
-  if (!to || !to.startsWith('0x') || to.length !== 42) throw new Error('BAD_TO_ADDRESS');
-
-  const wallet = getHotWallet();
-  const usdt = getUsdtContract(wallet);
-  const amountWei = parseUnits(amountUsdt.toString(), USDT_DECIMALS);
 
-  console.log('[WITHDRAW] sending', amountUsdt, 'USDT ->', to);
-
-  const tx = await usdt.transfer(to, amountWei);
-  console.log('[WITHDRAW] broadcasted', tx.hash);
-
-  const receipt = await tx.wait(WITHDRAW_CONFS);
-  console.log('[WITHDRAW] confirmed', {
-    hash: tx.hash,
-    blockNumber: receipt.blockNumber,
-    status: receipt.status ?? 'unknown',
-  });
+  const sumWei = rows.reduce((acc, r) => acc + BigInt(r.amount_wei || '0'), 0n);
+  const remainderWei = totalWei - sumWei;
 
-  return { txHash: tx.hash, blockNumber: receipt.blockNumber };
+  return { ok: true, totalWei: totalWei.toString(), remainderWei: remainderWei.toString(), sent };
 }
 
-/* ───────────────────────── Deposit sweep helpers ───────────────────────── */
-
-function getSweepToAddress() {
-  if (DEPOSIT_SWEEP_TO_ADDRESS) return DEPOSIT_SWEEP_TO_ADDRESS;
-  return getHotWallet().address;
-}
-
-function deriveEvmWallet(index) {
-  const m = process.env.HD_MNEMONIC;
-  if (!m) throw new Error('HD_MNEMONIC missing');
-
-  const acct = Number(process.env.HD_ACCOUNT || 0);
-  const path = `m/44'/60'/${acct}'/0/${index}`;
-  const w = HDNodeWallet.fromPhrase(m, undefined, path);
-  return w.connect(bscProvider);
-}
-
-function _bnbToWei(bnb) {
-  return BigInt(Math.floor(Number(bnb) * 1e18));
-}
-
-async function ensureDepositHasGas({ depositSigner }) {
-  let gasPriceWei;
-  try {
-    const feeData = await bscProvider.getFeeData();
-    gasPriceWei =
-      feeData.gasPrice ??
-      feeData.maxFeePerGas ??
-      BigInt(3_000_000_000);
-  } catch {
-    gasPriceWei = BigInt(3_000_000_000);
-  }
-
-  const gasLimit = BigInt(80_000);
-
-  const bufferBps = BigInt(Math.max(10000, Math.round(DEPOSIT_SWEEP_GAS_BUFFER_PCT * 10000)));
-  const neededWei = (gasPriceWei * gasLimit * bufferBps) / BigInt(10000);
+// Broadcast only: confirmations are tracked by the withdrawal worker. The
+// withdrawal id keys the outbound tx, so a retried withdrawal never sends twice.
+async function broadcastUsdtFromHotWallet({ id, to, amountUsdt, chain = 'BSC' }) {
+  if (!isAddress(to)) throw new Error('BAD_TO_ADDRESS');
 
-  const bnbBalWei = await bscProvider.getBalance(depositSigner.address);
-  if (bnbBalWei >= neededWei) return { toppedUp: false, neededWei, bnbBalWei };
+  const c = getChain(chain);
+  if (!c.supports('USDT')) throw new Error(`USDT_CONTRACT missing for ${c.key}`);
+  const amountWei = c.toTokenUnits('USDT', money.parse(amountUsdt, 'USDT'));
 
-  const diffWei = neededWei - bnbBalWei;
+  console.log('[WITHDRAW] sending', amountUsdt, 'USDT ->', to, 'on', c.key);
 
-  const maxTopupWei = _bnbToWei(DEPOSIT_SWEEP_MAX_TOPUP_BNB);
-  if (diffWei > maxTopupWei) {
-    throw new Error(`NEEDS_MANUAL_GAS_TOPUP (required>${DEPOSIT_SWEEP_MAX_TOPUP_BNB} BNB cap)`);
-  }
-
-  const hot = getHotWallet();
-  const tx = await hot.sendTransaction({ to: depositSigner.address, value: diffWei });
-  await tx.wait(1);
-
-  return { toppedUp: true, neededWei, bnbBalWei, topupTxHash: tx.hash };
+  const tx = await sendOutboundTx(db, {
+    chain: c.key,
+    purpose: 'withdrawal',
+    refId: id,
+    to: c.token('USDT').address,
+    data: erc20TransferData(to, amountWei),
+  });
+  return tx.tx_hash;
 }
 
-async function sweepDepositToHotWallet(depositId) {
-  const [rows] = await db.query(
-    `SELECT id, chain, asset, address, address_index, amount_received, status,
-            sweep_status, sweep_tx_hash
-       FROM crypto_deposits
-      WHERE id=? LIMIT 1`,
-    [depositId]
-  );
-  const d = rows[0];
-  if (!d) throw new Error('deposit_not_found');
-  if (d.status !== 'credited') return { skipped: true, reason: 'not_credited' };
-
-  const chain = String(d.chain || '').toUpperCase();
-  const asset = String(d.asset || '').toUpperCase();
-  if (chain !== 'BSC' || asset !== 'USDT') return { skipped: true, reason: 'unsupported_chain_or_asset' };
-
-  if (d.sweep_status === 'swept' && d.sweep_tx_hash) {
-    return { skipped: true, reason: 'already_swept', sweep_tx_hash: d.sweep_tx_hash };
-  }
-
-  await db.query(
-    `UPDATE crypto_deposits
-        SET sweep_status='queued', sweep_error=NULL
-      WHERE id=? AND (sweep_status IS NULL OR sweep_status IN ('failed','queued'))`,
-    [depositId]
-  );
-
-  const to = getSweepToAddress();
-  const depositSigner = deriveEvmWallet(Number(d.address_index || 0));
-
-  if (String(d.address || '').toLowerCase() !== depositSigner.address.toLowerCase()) {
-    throw new Error(`DERIVED_ADDRESS_MISMATCH db=${d.address} derived=${depositSigner.address}`);
-  }
-
-  const usdtRead = getUsdtContract(bscProvider);
-  const balWei = await usdtRead.balanceOf(depositSigner.address);
-
-  if (balWei <= 0n) throw new Error('NO_USDT_ONCHAIN');
-
-  const minWei = (DEPOSIT_SWEEP_MIN_USDT > 0)
-    ? parseUnits(String(DEPOSIT_SWEEP_MIN_USDT), USDT_DECIMALS)
-    : 0n;
-
-  if (balWei < minWei) {
-    return { skipped: true, reason: 'below_min_onchain', balance_usdt: formatUnits(balWei, USDT_DECIMALS) };
-  }
-
-  await db.query(`UPDATE crypto_deposits SET sweep_status='topping_up' WHERE id=?`, [depositId]);
-  const gasInfo = await ensureDepositHasGas({ depositSigner });
-
-  await db.query(`UPDATE crypto_deposits SET sweep_status='sweeping' WHERE id=?`, [depositId]);
-
-  const usdtWrite = getUsdtContract(depositSigner);
-  const tx = await usdtWrite.transfer(to, balWei);
-  const receipt = await tx.wait(DEPOSIT_SWEEP_CONFS);
-
-  await db.query(
-    `UPDATE crypto_deposits
-        SET sweep_status='swept',
-            sweep_tx_hash=?,
-            swept_at=NOW(),
-            sweep_error=NULL
-      WHERE id=?`,
-    [tx.hash, depositId]
-  );
-
-  return {
-    ok: true,
-    depositId,
-    from: depositSigner.address,
-    to,
-    swept_usdt: formatUnits(balWei, USDT_DECIMALS),
-    sweep_tx_hash: tx.hash,
-    blockNumber: receipt.blockNumber,
-    gas_topup: gasInfo,
-  };
-}
+/* ───────────────────────── Deposit sweep trigger ───────────────────────── */
 
+// post-credit hook: sweep the deposit's address now (lib/sweeper.js records
+// failures on the rows; the sweep schedule retries them)
 async function triggerDepositSweep(depositId) {
   if (!DEPOSIT_SWEEP_ENABLED) return;
   try {
-    const out = await sweepDepositToHotWallet(depositId);
-    console.log('[SWEEP] done', out);
+    const out = await sweepDeposit(db, depositId, { rates });
+    console.log('[SWEEP] done', depositId, out);
   } catch (err) {
     console.error('[SWEEP] failed', depositId, err?.message || err);
-    try {
-      await db.query(
-        `UPDATE crypto_deposits
-            SET sweep_status='failed', sweep_error=LEFT(?,255)
-          WHERE id=?`,
-        [String(err?.message || err), depositId]
-      );
-    } catch (_) {}
   }
 }
 
@@ -1023,7 +812,7 @@ let referralsRouter = null;
 let awardReferral = null;
 
 if (makeReferralRoutes) {
-  referralsRouter = makeReferralRoutes({ db, requireAuth, USDT_PHP_RATE });
+  referralsRouter = makeReferralRoutes({ db, requireAuth, rates, idempotent });
   awardReferral = referralsRouter._award;
   app.use('/v1/referrals', referralsRouter);
   console.log('[ROUTE] /v1/referrals enabled');
@@ -1032,8 +821,9 @@ if (makeReferralRoutes) {
 }
 
 // 2) Staking + KYC
-app.use('/v1/staking', makeStakingRoutes({ db, requireAuth, awardReferral, distributeStakeSplits }));
+app.use('/v1/staking', makeStakingRoutes({ db, requireAuth, awardReferral, distributeStakeSplits, idempotent, rates }));
 app.use(makeKycRoutes(db, requireAuth));
+app.use('/v1/wallet/internal', makeInternalTransfersRouter({ db, requireAuth, canonicalizePH, idempotent }));
 
 setInterval(async () => {
   try {
@@ -1075,35 +865,53 @@ if (process.env.MOCK_DEPOSITS === '1') {
         return res.status(500).json({ error: 'HD_MNEMONIC missing on server' });
       }
       const asset = (req.body?.asset || 'USDT').toUpperCase();
-      const chain = (req.body?.chain || 'BSC').toUpperCase();
-      const safeSource = normSource(req.body?.source);
-
-      const requiredConfs = chain === 'POLY' ? 64 : 12;
-
-      const [[row]] = await db.query(
-        'SELECT IFNULL(MAX(address_index), -1) + 1 AS nextIdx FROM crypto_deposits WHERE chain=?',
-        [chain]
-      );
-      const idx = Number(row.nextIdx || 0);
 
-      const address = deriveEvmAddress(idx);
+      let c;
+      try {
+        c = getChain(req.body?.chain);
+      } catch (_) {
+        return res.status(400).json({ error: 'UNSUPPORTED_CHAIN' });
+      }
+      const chain = c.key;
+      const tokens = await listDepositTokens(db, chain);
+      const token = tokens.find((t) => t.symbol === asset);
+      if (!token) return res.status(400).json({ error: 'UNSUPPORTED_ASSET' });
+
+      // optional amount the user means to send (goes into the payment URI)
+      let amountUnits = null;
+      if (req.body?.amount != null && req.body.amount !== '') {
+        try {
+          amountUnits = money.parse(req.body.amount, asset, { strict: true });
+        } catch (_) {
+          return res.status(400).json({ error: 'BAD_AMOUNT' });
+        }
+        if (amountUnits <= 0n) return res.status(400).json({ error: 'BAD_AMOUNT' });
+        if (belowMin(token, amountUnits)) {
+          return res.status(400).json({ error: 'BELOW_MIN_DEPOSIT', min_deposit: token.minDeposit });
+        }
+      }
 
-      const [ins] = await db.query(
-        `INSERT INTO crypto_deposits
-         (user_id, chain, asset, source, network_symbol, address, address_index,
-          amount_expected, required_confirmations, status)
-         VALUES (?,?,?,?,?,?,?,?,?, 'pending')`,
-        [req.userId, chain, asset, safeSource, chain, address, idx, null, requiredConfs]
-      );
+      // the user's permanent address on this chain; every transfer to it is
+      // credited as its own deposit (GET /v1/deposits), the first one of
+      // `asset` filling this intent
+      const addr = await getOrCreateDepositAddress(db, { userId: req.userId, chain });
+      const intent = await createDepositIntent(db, { userId: req.userId, chain: c, token, addr, amountUnits });
 
       res.json({
-        id: ins.insertId,
+        id: intent.id,
+        deposit_address_id: addr.id,
         chain,
         asset,
-        address,
-        address_index: idx,
-        qr: `ethereum:${address}`,
-        note: `Send only ${asset} on ${chain}. Wrong network = lost funds.`,
+        address: addr.address,
+        address_index: addr.address_index,
+        amount_expected: intent.amount_expected,
+        expires_at: intent.expires_at,
+        required_confirmations: c.confirmations,
+        // any of these can be sent to the same address
+        accepted_assets: tokens.map((t) => t.symbol),
+        payment_uri: intent.payment_uri,
+        qr: intent.payment_uri,
+        note: `Send only ${tokens.map((t) => t.symbol).join(', ')} on ${chain}. Wrong network = lost funds.`,
       });
     } catch (e) {
       console.error('create deposit', e);
@@ -1111,12 +919,55 @@ if (process.env.MOCK_DEPOSITS === '1') {
     }
   });
 
+  // Chains a deposit address can be requested for (lib/chains)
+  app.get('/v1/deposits/chains', requireAuth, async (_req, res) => {
+    try {
+      const items = [];
+      for (const c of listChains()) {
+        const tokens = await listDepositTokens(db, c.key);
+        items.push({ ...describeChain(c), deposit_assets: tokens.map((t) => t.symbol) });
+      }
+      res.json({ items });
+    } catch (e) {
+      console.error('deposit chains', e);
+      res.status(500).json({ error: 'SERVER_ERR' });
+    }
+  });
+
+  // The user's deposit addresses (one per chain)
+  app.get('/v1/deposits/addresses', requireAuth, async (req, res) => {
+    try {
+      res.json({ items: await listDepositAddresses(db, req.userId) });
+    } catch (e) {
+      console.error('deposit addresses', e);
+      res.status(500).json({ error: 'SERVER_ERR' });
+    }
+  });
+
+  // Deposit history: one item per incoming transfer, newest first
+  //   ?chain=BSC&status=credited&limit=20&before=<next_before>
+  app.get('/v1/deposits', requireAuth, async (req, res) => {
+    try {
+      const q = req.query || {};
+      const out = await listUserDeposits(db, req.userId, {
+        chain: q.chain ? normChain(q.chain) : null,
+        status: q.status ? String(q.status).toLowerCase() : null,
+        before: Number(q.before || 0),
+        limit: Number(q.limit || 20),
+      });
+      res.json(out);
+    } catch (e) {
+      console.error('deposit history', e);
+      res.status(500).json({ error: 'SERVER_ERR' });
+    }
+  });
+
   app.get('/v1/deposits/status/:id', requireAuth, async (req, res) => {
     try {
       const id = Number(req.params.id);
       const [rows] = await db.query(
-        `SELECT id, user_id, chain, asset, address, tx_hash, amount_received,
-                confirmations, required_confirmations, status
+        `SELECT id, user_id, chain, asset, address, tx_hash, amount_expected, amount_received,
+                confirmations, required_confirmations, status, expires_at, payment_flag
            FROM crypto_deposits
           WHERE id=? LIMIT 1`,
         [id]
@@ -1138,11 +989,11 @@ if (process.env.MOCK_DEPOSITS === '1') {
       const amount = body.amount;
       const txHash = body.tx_hash;
 
-      await creditDepositAndWebhook({
+      await deposits.creditDeposit({
         depositId,
         amount,
         txHash,
-        meta: { source: 'manual' },
+        source: 'manual',
       });
 
       res.json({ ok: true, depositId });
@@ -1176,16 +1027,18 @@ app.get('/v1/wallet/balances', requireAuth, async (req, res) => {
     const usdt = Number(rows.find((r) => normAsset(r.asset) === 'USDT')?.balance || 0);
     const vpk = Number(rows.find((r) => normAsset(r.asset) === 'VPK')?.balance || 0);
 
-    const vpkAsUsdt = vpk * 0.01;
+    const vpkPerUsdt = Number(await getPairMidRate(db, 'USDT', 'VPK', { rates, fallback: 100 }));
+    const vpkAsUsdt = vpk / vpkPerUsdt;
     const totalUsdt = usdt + vpkAsUsdt;
 
-    const usdtPhp = await getUsdtPhpRate();
+    // balances still load when no fresh rate is available; PHP is just unknown
+    const usdtPhp = await rates.getRate('USDT_PHP').catch(() => null);
 
     res.json({
       balances,
       totals: {
         USDT: totalUsdt,
-        PHP: totalUsdt * usdtPhp,
+        PHP: usdtPhp ? totalUsdt * usdtPhp : null,
         breakdown: {
           USDT: usdt,
           VPK: vpk,
@@ -1201,148 +1054,139 @@ app.get('/v1/wallet/balances', requireAuth, async (req, res) => {
 });
 
 app.get('/v1/wallet/ledger', requireAuth, async (req, res) => {
-  try {
-    const pageSize = Math.min(100, Math.max(1, Number(req.query.limit || 20)));
-    const beforeId = Number(req.query.before || 0);
+  const parsed = parseLedgerFilters(req.query);
+  if (!parsed.ok) return res.status(400).json({ error: parsed.error });
 
-    let sql = `SELECT id, ts, asset, chain, type, amount, ref_id, meta
-                 FROM wallet_ledger
-                WHERE user_id = ?`;
-    const args = [req.userId];
-
-    if (beforeId > 0) { sql += ' AND id < ?'; args.push(beforeId); }
-
-    sql += ' ORDER BY id DESC LIMIT ?';
-    args.push(pageSize + 1);
-
-    const [rows] = await db.query(sql, args);
-    const hasMore = rows.length > pageSize;
-    const data = rows.slice(0, pageSize);
-
-    res.json({
-      items: data.map(r => ({
-        id: r.id,
-        ts: r.ts,
-        asset: r.asset,
-        chain: r.chain,
-        type: r.type,
-        amount: (r.amount ?? 0).toString(),
-        ref_id: r.ref_id,
-        meta: r.meta ? (typeof r.meta === 'string' ? JSON.parse(r.meta) : r.meta) : null,
-      })),
-      next_before: hasMore ? data[data.length - 1].id : null,
+  try {
+    const page = await queryLedger(db, {
+      filters: { ...parsed.filters, userId: req.userId },
+      cursor: req.query.cursor || null,
+      before: Number(req.query.before || 0),
+      limit: req.query.limit,
     });
+    res.json(page);
   } catch (e) {
+    if (e?.statusCode) return res.status(e.statusCode).json({ error: e.message });
     console.error('ledger', e);
     res.status(500).json({ error: 'SERVER_ERR' });
   }
 });
 
-/* ───────────────────────── Wallet swap (USDT ⇄ VPK) ───────────────────────── */
-app.post('/v1/wallet/swap', requireAuth, async (req, res) => {
-  const userId = req.userId;
-  const body = req.body || {};
+/* ───────────────────────── Wallet swap (swap_pairs) ───────────────────────── */
+app.get('/v1/wallet/swap/pairs', requireAuth, async (_req, res) => {
+  try {
+    const pairs = await listSwapPairs(db, { enabledOnly: true });
+    res.json({ items: await Promise.all(pairs.map((p) => formatSwapPair(p, rates))) });
+  } catch (e) {
+    console.error('wallet/swap/pairs', e);
+    res.status(500).json({ error: 'SERVER_ERR' });
+  }
+});
 
-  const fromAsset = normAsset(body.from_asset);
-  const toAsset = normAsset(body.to_asset);
-  const fromAmount = Number(body.amount);
+function swapQuoteView(swap) {
+  const { fromAsset, toAsset } = swap;
+  return {
+    from_asset: fromAsset,
+    to_asset: toAsset,
+    from_amount: money.toNumber(swap.fromUnits, fromAsset),
+    to_amount: money.toNumber(swap.toUnits, toAsset),
+    fee: money.toNumber(swap.feeUnits, fromAsset),
+    fee_asset: fromAsset,
+    mid_rate: Number(swap.midRate),
+    rate: Number(swap.rate),
+  };
+}
 
-  if (!Number.isFinite(fromAmount) || fromAmount <= 0) {
-    return res.status(400).json({ error: 'BAD_AMOUNT' });
-  }
+function sameUnits(amount, asset, units) {
+  try { return money.parse(amount, asset) === units; } catch (_) { return false; }
+}
 
-  const RATE_USDT_TO_VPK = 100;
-  const RATE_VPK_TO_USDT = 1 / RATE_USDT_TO_VPK;
-
-  let creditAmount;
-  let amountUsdt = 0;
-  let amountVpk = 0;
-
-  if (fromAsset === 'USDT' && toAsset === 'VPK') {
-    const vpkOut = fromAmount * RATE_USDT_TO_VPK;
-    creditAmount = vpkOut;
-    amountUsdt = fromAmount;
-    amountVpk = vpkOut;
-  } else if (fromAsset === 'VPK' && toAsset === 'USDT') {
-    const usdtOut = fromAmount * RATE_VPK_TO_USDT;
-    creditAmount = usdtOut;
-    amountUsdt = usdtOut;
-    amountVpk = fromAmount;
-  } else {
-    return res.status(400).json({ error: 'PAIR_NOT_SUPPORTED' });
+// Locks the price for SWAP_QUOTE_TTL_SEC; execute with POST /v1/wallet/swap { quote_id }
+app.post('/v1/wallet/swap/quote', requireAuth, async (req, res) => {
+  const body = req.body || {};
+  try {
+    const swap = await prepareSwap(db, {
+      fromAsset: body.from_asset,
+      toAsset: body.to_asset,
+      amount: body.amount,
+      rates,
+    });
+    const saved = await createSwapQuote(db, { userId: req.userId, swap });
+    return res.json({
+      ok: true,
+      quote_id: saved.id,
+      ...swapQuoteView(swap),
+      expires_at: saved.expiresAt.toISOString(),
+      ttl_sec: saved.ttlSec,
+    });
+  } catch (e) {
+    if (e?.statusCode) return res.status(e.statusCode).json({ error: e.message, ...(e.extra || {}) });
+    console.error('wallet/swap/quote', e);
+    return res.status(500).json({ error: 'SERVER_ERR' });
   }
+});
 
-  let conn;
-  try {
-    conn = await db.getConnection();
-    await conn.beginTransaction();
+// Pair, rate, spread, fee and limits come from swap_pairs (lib/swap_pairs.js).
+// With quote_id the quoted amounts are executed as-is; without one the swap is
+// priced live (older app builds) unless SWAP_QUOTE_REQUIRED=1.
+app.post('/v1/wallet/swap', requireAuth, idempotent('wallet.swap'), async (req, res) => {
+  const userId = req.userId;
+  const body = req.body || {};
 
-    const [rows] = await conn.query(
-      'SELECT balance FROM wallet_balances WHERE user_id=? AND asset=? FOR UPDATE',
-      [userId, fromAsset]
-    );
-    const currentBal = Number(rows[0]?.balance || 0);
+  const quoteId = body.quote_id == null ? '' : String(body.quote_id).trim();
+  if (!quoteId && SWAP_QUOTE_REQUIRED) return res.status(400).json({ error: 'QUOTE_REQUIRED' });
 
-    if (currentBal + 1e-9 < fromAmount) {
-      await conn.rollback();
-      conn.release();
-      return res.status(400).json({ error: 'INSUFFICIENT_FUNDS', balance: currentBal });
+  try {
+    let swap;
+    if (quoteId) {
+      const locked = await loadSwapQuote(db, { quoteId: quoteId.slice(0, 64), userId });
+      if (!locked.ok) return res.status(locked.status).json({ error: locked.error });
+      swap = locked.swap;
+
+      // fields sent next to quote_id must agree with the quote
+      const sameTarget =
+        (body.from_asset == null || normSwapAsset(body.from_asset) === swap.fromAsset) &&
+        (body.to_asset == null || normSwapAsset(body.to_asset) === swap.toAsset) &&
+        (body.amount == null || sameUnits(body.amount, swap.fromAsset, swap.fromUnits));
+      if (!sameTarget) return res.status(400).json({ error: 'QUOTE_MISMATCH' });
+    } else {
+      swap = await prepareSwap(db, {
+        fromAsset: body.from_asset,
+        toAsset: body.to_asset,
+        amount: body.amount,
+        rates,
+      });
+    }
+    const { fromAsset } = swap;
+
+    // older app builds read these from the ledger meta / response
+    const legacy = {};
+    if (swap.pair.base_asset === 'USDT' && swap.pair.quote_asset === 'VPK') {
+      const usdt = fromAsset === 'USDT' ? swap.fromUnits : swap.toUnits;
+      const vpk = fromAsset === 'VPK' ? swap.fromUnits : swap.toUnits;
+      Object.assign(legacy, {
+        rate_usdt_to_vpk: Number(swap.midRate),
+        rate_vpk_to_usdt: 1 / Number(swap.midRate),
+        amount_usdt: money.format(usdt, 'USDT'),
+        amount_vpk: money.format(vpk, 'VPK'),
+        rate_usdt_to_mhv: Number(swap.midRate),
+        rate_mhv_to_usdt: 1 / Number(swap.midRate),
+        amount_mhv: money.format(vpk, 'VPK'),
+      });
     }
 
-    await conn.query(
-      `INSERT INTO wallet_balances (user_id, asset, balance)
-       VALUES (?, ?, ?)
-       ON DUPLICATE KEY UPDATE balance = balance + VALUES(balance)`,
-      [userId, fromAsset, -fromAmount]
-    );
-
-    await conn.query(
-      `INSERT INTO wallet_balances (user_id, asset, balance)
-       VALUES (?, ?, ?)
-       ON DUPLICATE KEY UPDATE balance = balance + VALUES(balance)`,
-      [userId, toAsset, creditAmount]
-    );
-
-    const meta = {
-      pair: `${fromAsset}->${toAsset}`,
-      rate_usdt_to_vpk: RATE_USDT_TO_VPK,
-      rate_vpk_to_usdt: RATE_VPK_TO_USDT,
-      amount_usdt: amountUsdt,
-      amount_vpk: amountVpk,
-      rate_usdt_to_mhv: RATE_USDT_TO_VPK,
-      rate_mhv_to_usdt: RATE_VPK_TO_USDT,
-      amount_mhv: amountVpk,
-    };
-    const metaJson = JSON.stringify(meta);
-
-    await conn.query(
-      `INSERT INTO wallet_ledger
-         (user_id, ts, asset, chain, type, amount, ref_id, meta)
-       VALUES (?, NOW(), ?, ?, 'swap_out', ?, NULL, ?)`,
-      [userId, fromAsset, 'BSC', fromAmount, metaJson]
-    );
-
-    await conn.query(
-      `INSERT INTO wallet_ledger
-         (user_id, ts, asset, chain, type, amount, ref_id, meta)
-       VALUES (?, NOW(), ?, ?, 'swap_in', ?, NULL, ?)`,
-      [userId, toAsset, 'BSC', creditAmount, metaJson]
-    );
-
-    await conn.commit();
-    conn.release();
+    const done = await executeSwap(db, { userId, swap, meta: legacy });
 
     return res.json({
       ok: true,
-      from_asset: fromAsset,
-      to_asset: toAsset,
-      from_amount: fromAmount,
-      to_amount: creditAmount,
-      rate_usdt_to_vpk: RATE_USDT_TO_VPK,
-      rate_vpk_to_usdt: RATE_VPK_TO_USDT,
+      swap_id: done.swapId,
+      quote_id: done.quoteId || null,
+      ...swapQuoteView(done),
+      rate_usdt_to_vpk: legacy.rate_usdt_to_vpk,
+      rate_vpk_to_usdt: legacy.rate_vpk_to_usdt,
     });
   } catch (e) {
-    try { await conn.rollback(); conn.release(); } catch (_) {}
+    if (e?.statusCode) return res.status(e.statusCode).json({ error: e.message, ...(e.extra || {}) });
     console.error('wallet/swap', e);
     return res.status(500).json({ error: 'SWAP_FAILED' });
   }
@@ -1361,40 +1205,65 @@ app.post('/v1/wallet/transfer/quote', requireAuth, async (req, res) => {
 
     if (!parsed.success) return res.status(400).json({ error: 'BAD_BODY' });
 
-    const { kind, asset, chain, amount } = parsed.data;
+    const { kind, asset, chain, amount, to_address: toAddress } = parsed.data;
     const assetNorm = normAsset(asset);
+    const chainNorm = normChain(chain);
     if (assetNorm !== 'USDT') return res.status(400).json({ error: 'ONLY_USDT_SUPPORTED' });
 
+    let amountUnits;
+    try {
+      amountUnits = money.parse(amount, assetNorm, { strict: true });
+    } catch (_) {
+      return res.status(400).json({ error: 'BAD_AMOUNT' });
+    }
+    if (kind === 'crypto' && toAddress && !isAddress(toAddress)) {
+      return res.status(400).json({ error: 'BAD_ADDRESS' });
+    }
+
     let quote;
-    if (kind === 'crypto') quote = await quoteCryptoTransfer({ chain, amountUsdt: amount });
+    if (kind === 'crypto') quote = await quoteCryptoTransfer({ chain: chainNorm, amountUsdt: amount });
     else quote = await quoteBankTransfer({ amountUsdt: amount });
 
-    return res.json(quote);
+    // Locked until expires_at; POST /v1/wallet/transfer charges exactly this
+    const saved = await createTransferQuote(db, {
+      userId: req.userId,
+      kind,
+      asset: assetNorm,
+      chain: kind === 'crypto' ? chainNorm : null,
+      amount: money.format(amountUnits, assetNorm),
+      toAddress: kind === 'crypto' ? (toAddress || null) : null,
+      quote,
+    });
+
+    return res.json({
+      ...quote,
+      quote_id: saved.id,
+      expires_at: saved.expiresAt.toISOString(),
+      ttl_sec: saved.ttlSec,
+    });
   } catch (e) {
+    if (e?.message === 'UNSUPPORTED_CHAIN') return res.status(400).json({ error: 'UNSUPPORTED_CHAIN' });
+    if (e?.message === 'RATE_UNAVAILABLE') return res.status(503).json({ error: 'RATE_UNAVAILABLE' });
     console.error('transfer/quote', e);
     res.status(500).json({ error: 'SERVER_ERR' });
   }
 });
 
 /* ───────────────────────── Wallet transfer submit ───────────────────────── */
-app.post('/v1/wallet/transfer', requireAuth, async (req, res) => {
+app.post('/v1/wallet/transfer', requireAuth, idempotent('wallet.transfer'), async (req, res) => {
   const schema = z.object({
     kind: z.enum(['crypto', 'bank']),
     asset: z.string().default('USDT'),
     chain: z.string().optional(),
     amount: z.number().positive(),
-    quote: z.object({
-      network_fee_usdt: z.number().nullable().optional(),
-      conversion_fee_usdt: z.number().nullable().optional(),
-      send_fee_usdt: z.number().nullable().optional(),
-      total_debit_usdt: z.number().nullable().optional(),
-      recv_amount_usdt: z.number().nullable().optional(),
-      recv_amount_php: z.number().nullable().optional(),
-    }).optional(),
+    quote_id: z.string().trim().min(1).max(64).optional(),
+    max_slippage_bps: z.number().int().min(0).max(10_000).optional(),
     to_address: z.string().optional(),
     bank_name: z.string().optional(),
-    account_name: z.string().optional(),
+    bank_code: z.string().optional(),
+    account_name: z.string().max(150).optional(),
     account_number: z.string().optional(),
+    rail: z.enum(['instapay', 'pesonet']).optional(),
   });
 
   const parsed = schema.safeParse(req.body);
@@ -1403,59 +1272,108 @@ app.post('/v1/wallet/transfer', requireAuth, async (req, res) => {
   const body = parsed.data;
   const userId = req.userId;
   const assetNorm = normAsset(body.asset);
-  const chainNorm = (body.chain || 'BSC').toUpperCase();
+  const chainNorm = normChain(body.chain);
 
   if (assetNorm !== 'USDT') return res.status(400).json({ error: 'ONLY_USDT_SUPPORTED' });
+  if (!body.quote_id) return res.status(400).json({ error: 'QUOTE_REQUIRED' });
 
+  let amountUnits;
   try {
-    let quote;
+    amountUnits = money.parse(body.amount, assetNorm, { strict: true });
+  } catch (_) {
+    return res.status(400).json({ error: 'BAD_AMOUNT' });
+  }
+
+  try {
+    let payoutAccount = null;
     if (body.kind === 'crypto') {
-      if (!body.to_address || body.to_address.length < 25) {
+      if (!body.to_address || !isAddress(body.to_address)) {
         return res.status(400).json({ error: 'BAD_ADDRESS' });
       }
-      quote = await quoteCryptoTransfer({ chain: chainNorm, amountUsdt: body.amount });
-    } else {
-      if (!body.bank_name || !body.account_name || !body.account_number) {
-        return res.status(400).json({ error: 'BANK_DETAILS_INCOMPLETE' });
+    } else if (!body.bank_name || !body.account_name || !body.account_number) {
+      return res.status(400).json({ error: 'BANK_DETAILS_INCOMPLETE' });
+    }
+
+    // The user is charged the quote they confirmed, never a fresh one
+    const locked = await loadTransferQuote(db, {
+      quoteId: body.quote_id,
+      userId,
+      kind: body.kind,
+      asset: assetNorm,
+      chain: chainNorm,
+      amountUnits,
+      toAddress: body.to_address,
+    });
+    if (!locked.ok) return res.status(locked.status).json({ error: locked.error });
+    const quote = locked.quote;
+
+    // Optional guard: refuse if the market has since moved further than the
+    // client is willing to accept (it should re-quote and confirm again)
+    if (body.max_slippage_bps != null) {
+      const live = body.kind === 'crypto'
+        ? await quoteCryptoTransfer({ chain: chainNorm, amountUsdt: body.amount })
+        : await quoteBankTransfer({ amountUsdt: body.amount });
+      const drift = quoteDriftBps(quote, live);
+      if (drift > body.max_slippage_bps) {
+        return res.status(409).json({
+          error: 'SLIPPAGE_EXCEEDED',
+          slippage_bps: drift,
+          max_slippage_bps: body.max_slippage_bps,
+        });
       }
-      quote = await quoteBankTransfer({ amountUsdt: body.amount });
     }
 
-    const totalDebit = quote.total_debit_usdt;
-    if (!Number.isFinite(totalDebit) || totalDebit <= 0) {
+    if (body.kind === 'bank') {
+      payoutAccount = validatePayoutAccount({
+        bank: body.bank_code || body.bank_name,
+        accountNumber: body.account_number,
+        rail: body.rail,
+        amountPhp: quote.recv_amount_php,
+      });
+      if (!payoutAccount.ok) return res.status(400).json({ error: payoutAccount.error });
+    }
+
+    let debitUnits;
+    try {
+      debitUnits = money.parse(quote.total_debit_usdt, assetNorm, { rounding: money.ROUND_UP });
+    } catch (_) {
+      debitUnits = 0n;
+    }
+    if (debitUnits <= 0n) {
       return res.status(400).json({ error: 'BAD_QUOTE' });
     }
+    const totalDebit = money.format(debitUnits, assetNorm);
 
     const conn = await db.getConnection();
     try {
       await conn.beginTransaction();
 
+      if (!(await useTransferQuote(conn, body.quote_id, userId))) {
+        await conn.rollback();
+        conn.release();
+        return res.status(409).json({ error: 'QUOTE_EXPIRED' });
+      }
+
       const [rows] = await conn.query(
         'SELECT balance FROM wallet_balances WHERE user_id=? AND asset=? FOR UPDATE',
         [userId, assetNorm]
       );
-      const currentBal = Number(rows[0]?.balance || 0);
+      const currentBal = money.parse(rows[0]?.balance || 0, assetNorm);
 
-      if (currentBal < totalDebit) {
+      if (currentBal < debitUnits) {
         await conn.rollback();
         conn.release();
         return res.status(400).json({
           error: 'INSUFFICIENT_FUNDS',
-          needed: totalDebit,
-          balance: currentBal,
+          needed: money.toNumber(debitUnits, assetNorm),
+          balance: money.toNumber(currentBal, assetNorm),
         });
       }
 
-      await conn.query(
-        `INSERT INTO wallet_balances (user_id, asset, balance)
-         VALUES (?, ?, ?)
-         ON DUPLICATE KEY UPDATE balance = balance + VALUES(balance)`,
-        [userId, assetNorm, -totalDebit]
-      );
-
       const meta = {
         kind: body.kind,
         chain: chainNorm,
+        quote_id: body.quote_id,
         amount_usdt: body.amount,
         network_fee_usdt: quote.network_fee_usdt,
         conversion_fee_usdt: quote.conversion_fee_usdt,
@@ -1468,48 +1386,92 @@ app.post('/v1/wallet/transfer', requireAuth, async (req, res) => {
         account_number: body.account_number || null,
       };
 
-      const ledgerType = body.kind === 'crypto' ? 'transfer_out' : 'withdraw';
+      // Crypto: debit + withdrawal row; the withdrawal worker broadcasts it
+      // Bank: debit + bank_payouts row; an operator sends the PHP
+      let withdrawal = null;
+      let bankPayoutId = null;
+      if (body.kind === 'crypto') {
+        withdrawal = await createWithdrawal(conn, {
+          userId,
+          asset: assetNorm,
+          chain: chainNorm,
+          toAddress: body.to_address,
+          amountUnits,
+          debitUnits,
+          quote,
+          meta,
+        });
+        await bookTransferFees(conn, {
+          userId,
+          asset: assetNorm,
+          chain: chainNorm,
+          debitLedgerId: withdrawal.ledgerId,
+          quote,
+          meta: { kind: 'crypto', quote_id: body.quote_id, withdrawal_id: withdrawal.id },
+        });
+      } else {
+        await conn.query(
+          `INSERT INTO wallet_balances (user_id, asset, balance)
+           VALUES (?, ?, ?)
+           ON DUPLICATE KEY UPDATE balance = balance + VALUES(balance)`,
+          [userId, assetNorm, money.format(-debitUnits, assetNorm)]
+        );
+
+        Object.assign(meta, {
+          bank_code: payoutAccount.bankCode,
+          bank_name: payoutAccount.bankName,
+          account_number: payoutAccount.accountNumber,
+          rail: payoutAccount.rail,
+        });
+
+        const debitLedgerId = await insertLedgerEntry(conn, {
+          userId,
+          asset: assetNorm,
+          chain: 'BANK',
+          type: 'withdraw',
+          amount: totalDebit,
+          meta,
+        });
 
-      const [ledgerRes] = await conn.query(
-        `INSERT INTO wallet_ledger
-           (user_id, ts, asset, chain, type, amount, ref_id, meta)
-         VALUES (?, NOW(), ?, ?, ?, ?, NULL, ?)`,
-        [
+        bankPayoutId = await createBankPayout(conn, {
           userId,
-          assetNorm,
-          chainNorm,
-          ledgerType,
-          -totalDebit,
-          JSON.stringify(meta),
-        ]
-      );
-      const ledgerId = ledgerRes.insertId;
+          debitLedgerId,
+          rail: payoutAccount.rail,
+          bankCode: payoutAccount.bankCode,
+          bankName: payoutAccount.bankName,
+          accountName: body.account_name,
+          accountNumber: payoutAccount.accountNumber,
+          amountUsdt: money.format(amountUnits, assetNorm),
+          totalDebitUsdt: totalDebit,
+          payoutPhp: money.format(money.parse(quote.recv_amount_php, 'PHP', { rounding: money.ROUND_DOWN }), 'PHP'),
+          quote,
+        });
+        await bookTransferFees(conn, {
+          userId,
+          asset: assetNorm,
+          chain: 'BANK',
+          debitLedgerId,
+          quote,
+          meta: { kind: 'bank', quote_id: body.quote_id, bank_payout_id: bankPayoutId },
+        });
+      }
 
       await evaluateRewardCreditsForUser(conn, userId);
 
       await conn.commit();
       conn.release();
 
-      let txInfo = null;
-      if (body.kind === 'crypto') {
-        try {
-          txInfo = await sendUsdtFromHotWallet({ to: body.to_address, amountUsdt: body.amount });
-          meta.tx_hash = txInfo.txHash;
-
-          await db.query('UPDATE wallet_ledger SET meta=? WHERE id=?', [
-            JSON.stringify(meta),
-            ledgerId,
-          ]);
-        } catch (err) {
-          console.error('[WITHDRAW] on-chain transfer failed', err);
-        }
-      }
+      if (bankPayoutId) notifyBankPayout(db, bankPayoutId);
 
       return res.json({
         ok: true,
         message: body.kind === 'crypto' ? 'Crypto transfer created' : 'Bank transfer created',
+        quote_id: body.quote_id,
         quote,
-        tx_hash: txInfo?.txHash || null,
+        withdrawal_id: withdrawal?.id || null,
+        bank_payout_id: bankPayoutId,
+        status: withdrawal?.status || (bankPayoutId ? 'pending' : null),
+        tx_hash: null,
       });
     } catch (err) {
       try { await conn.rollback(); conn.release(); } catch {}
@@ -1517,6 +1479,8 @@ app.post('/v1/wallet/transfer', requireAuth, async (req, res) => {
       return res.status(500).json({ error: 'TRANSFER_FAILED' });
     }
   } catch (err) {
+    if (err?.message === 'UNSUPPORTED_CHAIN') return res.status(400).json({ error: 'UNSUPPORTED_CHAIN' });
+    if (err?.message === 'RATE_UNAVAILABLE') return res.status(503).json({ error: 'RATE_UNAVAILABLE' });
     console.error('wallet/transfer (outer)', err);
     return res.status(500).json({ error: 'SERVER_ERR' });
   }
@@ -1524,33 +1488,163 @@ app.post('/v1/wallet/transfer', requireAuth, async (req, res) => {
 
 /* ───────────────────────── Sweep loop ───────────────────────── */
 if (DEPOSIT_SWEEP_ENABLED) {
-  console.log('[SWEEP] enabled -> to', getSweepToAddress());
+  for (const c of listChains()) {
+    try {
+      console.log('[SWEEP] enabled', c.key, '-> to', c.sweepTo());
+    } catch (e) {
+      console.warn('[SWEEP]', c.key, 'has no sweep target:', e?.message || e);
+    }
+  }
 
+  let sweepRunning = false;
   setInterval(async () => {
+    if (sweepRunning) return;
+    sweepRunning = true;
     try {
-      const [rows] = await db.query(
-        `SELECT id
-           FROM crypto_deposits
-          WHERE status='credited'
-            AND (sweep_status IS NULL OR sweep_status IN ('failed'))
-          ORDER BY id ASC
-          LIMIT 20`
-      );
-
-      for (const r of rows) {
-        try {
-          const out = await sweepDepositToHotWallet(Number(r.id));
-          if (!out?.skipped) console.log('[SWEEP] loop swept', out);
-        } catch (e) {
-          console.error('[SWEEP] loop item failed', r.id, e?.message || e);
+      const out = await runSweeper(db, { rates });
+      for (const c of out.chains) {
+        for (const it of c.items || []) {
+          if (it.action === 'swept') console.log('[SWEEP] loop swept', it);
+          else if (it.action === 'failed') console.warn('[SWEEP] loop item failed', c.chain, it.asset, it.address, it.reason);
         }
       }
     } catch (e) {
       console.error('[SWEEP] loop error', e?.message || e);
+    } finally {
+      sweepRunning = false;
     }
-  }, 15_000);
+  }, DEPOSIT_SWEEP_INTERVAL_MS);
 }
 
+/* ───────────────────────── Withdrawal worker ───────────────────────── */
+if (WITHDRAW_WORKER_ENABLED) {
+  console.log('[WITHDRAW] worker every', WITHDRAW_WORKER_INTERVAL_MS, 'ms');
+
+  let withdrawRunning = false;
+  setInterval(async () => {
+    if (withdrawRunning) return;
+    withdrawRunning = true;
+    try {
+      await runWithdrawalWorker(db, {
+        broadcast: broadcastUsdtFromHotWallet,
+        getProvider: (chain) => getChain(chain).provider(),
+        confirmations: WITHDRAW_CONFS,
+        rates,
+      });
+    } catch (e) {
+      console.error('[WITHDRAW] worker tick failed', e?.message || e);
+    } finally {
+      withdrawRunning = false;
+    }
+  }, WITHDRAW_WORKER_INTERVAL_MS);
+}
+
+/* ───────────────────────── Outbound tx worker ───────────────────────── */
+// Signs queued hot wallet sends, tracks receipts, rebroadcasts and bumps stuck ones (lib/outbound_txs)
+const OUTBOUND_WORKER_INTERVAL_MS = Number(process.env.OUTBOUND_WORKER_INTERVAL_MS || 15_000);
+let outboundRunning = false;
+setInterval(async () => {
+  if (outboundRunning) return;
+  outboundRunning = true;
+  try {
+    await runOutboundWorker(db);
+  } catch (e) {
+    console.error('[OUTBOUND] worker tick failed', e?.message || e);
+  } finally {
+    outboundRunning = false;
+  }
+}, OUTBOUND_WORKER_INTERVAL_MS);
+
+/* ───────────────────────── Reconciliation schedule ───────────────────────── */
+if (RECONCILE_INTERVAL_MIN > 0) {
+  console.log('[RECONCILE] scheduled every', RECONCILE_INTERVAL_MIN, 'min');
+
+  setInterval(async () => {
+    try {
+      const out = await runReconciliation(db, { triggeredBy: 'schedule' });
+      console.log('[RECONCILE] run', out.runId, 'pairs', out.pairsChecked, 'drift', out.driftCount);
+    } catch (e) {
+      console.error('[RECONCILE] scheduled run failed', e?.message || e);
+    }
+  }, RECONCILE_INTERVAL_MIN * 60_000);
+}
+
+/* ───────────────────────── Treasury snapshot schedule ───────────────────────── */
+if (TREASURY_SNAPSHOT_INTERVAL_MIN > 0) {
+  console.log('[TREASURY] snapshot every', TREASURY_SNAPSHOT_INTERVAL_MIN, 'min');
+
+  setInterval(async () => {
+    try {
+      const out = await runTreasurySnapshot(db, { triggeredBy: 'schedule' });
+      console.log('[TREASURY] snapshot', out.snapshotId, 'assets', out.assets.length, 'below', out.belowCount);
+    } catch (e) {
+      console.error('[TREASURY] scheduled snapshot failed', e?.message || e);
+    }
+  }, TREASURY_SNAPSHOT_INTERVAL_MIN * 60_000);
+}
+
+/* ───────────────────────── Treasury rebalance schedule ───────────────────────── */
+if (TREASURY_REBALANCE_INTERVAL_MIN > 0) {
+  console.log('[REBALANCE] scheduled every', TREASURY_REBALANCE_INTERVAL_MIN, 'min');
+
+  setInterval(async () => {
+    try {
+      const out = await runRebalance(db, { requestedBy: 'schedule' });
+      const acted = (out.results || []).filter((x) => x.action !== 'none');
+      if (acted.length) console.log('[REBALANCE] run', acted);
+    } catch (e) {
+      console.error('[REBALANCE] scheduled run failed', e?.message || e);
+    }
+  }, TREASURY_REBALANCE_INTERVAL_MIN * 60_000);
+}
+
+/* ───────────────────────── Deposit intent expiry ───────────────────────── */
+// Lapsed intents stop being matched by the watchers (lib/deposit_intents)
+const DEPOSIT_INTENT_EXPIRE_MS = Number(process.env.DEPOSIT_INTENT_EXPIRE_MS || 5 * 60_000);
+setInterval(async () => {
+  try {
+    const n = await expireStaleIntents(db);
+    if (n) console.log('[DEPOSIT INTENT] expired', n, 'stale intents');
+  } catch (e) {
+    console.error('[DEPOSIT INTENT] expiry failed', e?.message || e);
+  }
+}, DEPOSIT_INTENT_EXPIRE_MS);
+
+/* ───────────────────────── Rates refresh ───────────────────────── */
+// Keeps the cache warm and rates_history continuous even without traffic
+const RATES_REFRESH_MS = Number(process.env.RATES_REFRESH_MS || 60_000);
+setInterval(() => {
+  rates.refreshAll().catch((e) => console.error('[RATES] refresh failed', e?.message || e));
+}, RATES_REFRESH_MS);
+
+/* ───────────────────────── Cleanup: idempotency keys, quotes, rate history ───────────────────────── */
+setInterval(async () => {
+  try {
+    const n = await purgeExpiredKeys(db);
+    if (n) console.log('[IDEMPOTENCY] purged', n, 'expired keys');
+  } catch (e) {
+    console.error('[IDEMPOTENCY] purge failed', e?.message || e);
+  }
+  try {
+    const n = await purgeExpiredQuotes(db);
+    if (n) console.log('[QUOTES] purged', n, 'expired transfer quotes');
+  } catch (e) {
+    console.error('[QUOTES] purge failed', e?.message || e);
+  }
+  try {
+    const n = await purgeExpiredSwapQuotes(db);
+    if (n) console.log('[QUOTES] purged', n, 'expired swap quotes');
+  } catch (e) {
+    console.error('[QUOTES] swap quote purge failed', e?.message || e);
+  }
+  try {
+    const n = await purgeRatesHistory(db);
+    if (n) console.log('[RATES] purged', n, 'old history rows');
+  } catch (e) {
+    console.error('[RATES] history purge failed', e?.message || e);
+  }
+}, 60 * 60_000);
+
 /* ───────────────────────── Global error handler ─────────────────────────
    ✅ So Flutter always gets JSON back instead of “Failed to submit”
 */
@@ -0,0 +1,70 @@
+// normalize_ledger.js (CommonJS) — one-off backfill: rewrite wallet_ledger
+// amounts to the canonical sign declared in lib/ledger.js.
+//
+//   node workers/normalize_ledger.js          -> dry run (counts only)
+//   node workers/normalize_ledger.js --apply  -> flip wrong-signed rows in batches
+require('dotenv').config();
+
+const mysql = require('mysql2/promise');
+const { LEDGER_TYPES, DEBIT_TYPES, CREDIT_TYPES } = require('../lib/ledger');
+
+const APPLY = process.argv.includes('--apply');
+const BATCH = Number(process.env.NORMALIZE_BATCH || 5000);
+
+(async () => {
+  const db = await mysql.createPool({
+    host: process.env.DB_HOST || '127.0.0.1',
+    user: process.env.DB_USER || 'root',
+    password: process.env.DB_PASS || '',
+    database: process.env.DB_NAME || 'ph1taka',
+    connectionLimit: 2,
+  });
+
+  console.log(APPLY ? '[NORMALIZE] APPLY mode' : '[NORMALIZE] dry run (pass --apply to write)');
+
+  // 1) Types present in the table but unknown to the registry
+  const [types] = await db.query(`SELECT type, COUNT(*) AS n FROM wallet_ledger GROUP BY type`);
+  const unknown = types.filter((t) => !LEDGER_TYPES[t.type]);
+  for (const t of unknown) {
+    console.warn(`  ! unknown ledger type '${t.type}' (${t.n} rows) — add it to lib/ledger.js`);
+  }
+
+  // 2) Wrong-signed rows per type
+  const plan = [
+    ...DEBIT_TYPES.map((type) => ({ type, wrong: 'amount > 0' })),
+    ...CREDIT_TYPES.map((type) => ({ type, wrong: 'amount < 0' })),
+  ];
+
+  let total = 0;
+  for (const p of plan) {
+    const [[c]] = await db.query(
+      `SELECT COUNT(*) AS n FROM wallet_ledger WHERE type=? AND ${p.wrong}`,
+      [p.type]
+    );
+    const n = Number(c?.n || 0);
+    if (!n) continue;
+
+    console.log(`  - ${p.type}: ${n} rows with ${p.wrong}`);
+    total += n;
+
+    if (!APPLY) continue;
+
+    let flipped = 0;
+    for (;;) {
+      const [res] = await db.query(
+        `UPDATE wallet_ledger
+            SET amount = -amount
+          WHERE type=? AND ${p.wrong}
+          ORDER BY id ASC
+          LIMIT ?`,
+        [p.type, BATCH]
+      );
+      flipped += res.affectedRows;
+      if (res.affectedRows < BATCH) break;
+    }
+    console.log(`    flipped ${flipped}`);
+  }
+
+  console.log(`[NORMALIZE] ${total} rows ${APPLY ? 'normalized' : 'would be normalized'}`);
+  process.exit(0);
+})().catch((e) => { console.error(e); process.exit(1); });
@@ -1,207 +1,128 @@
-// sweeper.js (CommonJS) — credit + sweep USDT (BEP-20) on BSC
+// sweeper.js (CommonJS) — credit + sweep deposits from the command line
+//   node workers/sweeper.js [--chain BSC|POLY|ETH] [--dry-run]
+// Default: every configured chain (or SWEEP_CHAIN). Credits go through
+// lib/deposits (same hooks as the API server and watchers); sweeps through
+// lib/sweeper, the engine the API server's sweep schedule uses (same
+// sweep_status state, thresholds and gas top-up budget, DEPOSIT_SWEEP_* / lib/chains).
+// --dry-run writes nothing: it reports what would be credited and swept.
 require('dotenv').config();
 
-const { HDNodeWallet, JsonRpcProvider, Contract, parseUnits } = require('ethers');
 const mysql = require('mysql2/promise');
+const { makeDepositService } = require('../lib/deposits');
+const { getChain } = require('../lib/chains');
+const { getDepositToken, belowMin } = require('../lib/deposit_tokens');
+const { runSweeper } = require('../lib/sweeper');
+const money = require('../lib/money');
 
 // ───────────────── config ─────────────────
-const RPC = process.env.BSC_RPC;                         // https://bsc-dataseed.binance.org
-const USDT = process.env.USDT_BSC;                       // BEP-20 USDT contract
-const TREASURY = process.env.TREASURY_BSC;               // your treasury/safe address
-const GAS_PK = process.env.GAS_PK || null;               // hot key to top up BNB (optional)
-const GAS_TOPUP = process.env.GAS_TOPUP || '0.0003';     // max top-up per address
-const MIN_DEPOSIT = process.env.MIN_DEPOSIT || '0';      // optional: ignore dust (USDT)
-
-if (!RPC || !USDT || !TREASURY || !process.env.HD_MNEMONIC) {
-  console.error('[FATAL] Missing one of: BSC_RPC, USDT_BSC, TREASURY_BSC, HD_MNEMONIC');
-  process.exit(1);
-}
-
-// ───────────────── chain setup ─────────────────
-const provider = new JsonRpcProvider(RPC);
-
-const ERC20_ABI = [
-  'function decimals() view returns (uint8)',
-  'function balanceOf(address) view returns (uint256)',
-  'function transfer(address,uint256) returns (bool)',
-  'function estimateGas()' // placeholder; we use contract.estimateGas.transfer(...)
-];
-
-function walletForIndex(index) {
-  const acct = Number(process.env.HD_ACCOUNT || 0);
-  const path = `m/44'/60'/${acct}'/0/${index}`; // BIP44 EVM
-  return HDNodeWallet.fromPhrase(process.env.HD_MNEMONIC, undefined, path).connect(provider);
-}
-
-function gasSender() {
-  if (!GAS_PK) return null;
-  return (new HDNodeWallet(GAS_PK)).connect(provider);
-}
-
-// ───────────────── helpers ─────────────────
-async function ensureGasForTransfer(depositAddr, tokenContract, fromSigner, tokenAmount) {
-  // estimate ERC-20 transfer gas
-  const gasLimit = await tokenContract.connect(fromSigner).estimateGas.transfer(TREASURY, tokenAmount);
-  const feeData = await provider.getFeeData(); // v6 returns BigInt gasPrice
-  const gasPrice = feeData.gasPrice ?? (await provider.getGasPrice()); // fallback for some RPCs
-  const neededWei = gasLimit * gasPrice;
-
-  const bnbBal = await provider.getBalance(depositAddr);
-
-  // buffer 20%
-  const neededWithBuffer = neededWei + (neededWei / 5n);
-
-  if (bnbBal >= neededWithBuffer) return true;
-
-  // top-up if we have a gas hot wallet
-  const topupper = gasSender();
-  if (!topupper) {
-    console.log(`  - gas insufficient for ${depositAddr}; no GAS_PK set. Will retry next run.`);
-    return false;
+const argChain = process.argv.indexOf('--chain');
+const CHAIN = argChain > 0 ? process.argv[argChain + 1] : (process.env.SWEEP_CHAIN || null);
+const DRY_RUN = process.argv.includes('--dry-run');
+
+let chainKey = null;
+if (CHAIN) {
+  try {
+    chainKey = getChain(CHAIN).key;                      // RPC: lib/chains
+  } catch (e) {
+    console.error(`[FATAL] chain ${CHAIN} not configured (${e.message})`);
+    process.exit(1);
   }
-
-  // send the lesser of (missing amount) vs (GAS_TOPUP)
-  const missing = neededWithBuffer - bnbBal;
-  const maxTop = parseUnits(GAS_TOPUP, 18); // BNB is 18 decimals
-  const toSend = missing > maxTop ? maxTop : missing;
-
-  if (toSend <= 0n) return true;
-
-  console.log(`  - topping up gas ${depositAddr} by ${toSend.toString()} wei`);
-  const tx = await topupper.sendTransaction({ to: depositAddr, value: toSend });
-  await tx.wait();
-  return true;
 }
 
-// ───────────────── main ─────────────────
-(async () => {
-  const db = await mysql.createPool({
-    host: process.env.DB_HOST || '127.0.0.1',
-    user: process.env.DB_USER || 'root',
-    password: process.env.DB_PASS || '',
-    database: process.env.DB_NAME || 'ph1taka',
-    connectionLimit: 5,
-  });
-
-  const usdt = new Contract(USDT, ERC20_ABI, provider);
-  const dec = await usdt.decimals();
-
-  // 1) Pick deposits ready to credit/sweep
-  //    - If not credited yet but already has enough confirmations, we will credit now (idempotent).
-  //    - Then sweep if there is token balance.
+// ───────────────── credit ─────────────────
+// Confirmed transfers the watcher has not credited yet (idempotent).
+async function creditConfirmed(db, deposits) {
   const [rows] = await db.query(
-    `SELECT id, user_id, chain, asset, address, address_index,
-            amount_received, confirmations, required_confirmations,
-            status, tx_hash, COALESCE(swept,0) AS swept
+    `SELECT id, user_id, chain, asset, address, amount_received, confirmations,
+            required_confirmations, status, tx_hash
        FROM crypto_deposits
-      WHERE chain='BSC' AND asset='USDT'
-        AND (status IN ('confirming','confirmed','credited') OR confirmations >= required_confirmations)
-        AND COALESCE(swept,0) = 0
+      WHERE status IN ('seen','confirming','confirmed')
+        AND confirmations >= required_confirmations
+        AND tx_hash IS NOT NULL
+        ${chainKey ? 'AND chain=?' : ''}
       ORDER BY id ASC
-      LIMIT 20`
+      LIMIT 20`,
+    chainKey ? [chainKey] : []
   );
 
-  if (rows.length === 0) {
-    console.log('nothing to process');
-    process.exit(0);
-  }
-
   for (const d of rows) {
     try {
-      console.log(`#${d.id} addr_index=${d.address_index} status=${d.status} conf=${d.confirmations}/${d.required_confirmations}`);
-
-      // 2) CREDIT (idempotent): if enough confs and not yet credited, credit wallet + ledger
-      const enoughConfs = Number(d.confirmations) >= Number(d.required_confirmations);
-      const amtNum = Number(d.amount_received || 0);
-      const minOk = Number(MIN_DEPOSIT) <= 0 ? true : amtNum >= Number(MIN_DEPOSIT);
-
-      if (enoughConfs && d.status !== 'credited' && minOk) {
-        const [res] = await db.query(
-          `UPDATE crypto_deposits
-              SET status='credited'
-            WHERE id=? AND status<>'credited'`,
-          [d.id]
-        );
-        const changed = res.affectedRows > 0;
-
-        if (changed) {
-          // balance upsert
-          await db.query(
-            `INSERT INTO wallet_balances (user_id, asset, balance)
-             VALUES (?, ?, ?)
-             ON DUPLICATE KEY UPDATE balance = balance + VALUES(balance)`,
-            [d.user_id, d.asset, d.amount_received]
-          );
-
-          // ledger row
-          await db.query(
-            `INSERT INTO wallet_ledger (user_id, asset, chain, type, amount, ref_id, meta)
-             VALUES (?, ?, ?, 'deposit', ?, ?, JSON_OBJECT('address', ?, 'credited', TRUE))`,
-            [d.user_id, d.asset, d.chain, d.amount_received, d.id, d.address]
-          );
-
-          console.log(`  - credited user_id=${d.user_id} +${d.amount_received} ${d.asset}`);
-          d.status = 'credited';
-        }
-      } else if (!enoughConfs) {
-        console.log('  - not enough confirmations yet; skipping for now');
-        continue; // don’t try to sweep until credited/confirmed
-      } else if (!minOk) {
-        console.log(`  - below MIN_DEPOSIT (${MIN_DEPOSIT}); skipping credit & sweep`);
-        continue;
-      }
-
-      // 3) SWEEP (after credit). Derive signer for the deposit address.
-      const signer = walletForIndex(d.address_index);
-      const addr = await signer.getAddress();
-
-      // sanity: derived addr should match stored address
-      if (addr.toLowerCase() !== String(d.address).toLowerCase()) {
-        console.warn(`  ! derived address mismatch. expected ${d.address}, got ${addr}. Skipping.`);
+      const token = await getDepositToken(db, d.chain, d.asset);
+      if (!token) {
+        console.log(`#${d.id} ${d.asset} is not in the deposit token registry for ${d.chain}; skipping`);
         continue;
       }
-
-      // token balance
-      const bal = await usdt.balanceOf(addr);
-      if (bal === 0n) {
-        console.log('  - 0 USDT on address; mark swept to avoid reprocessing');
-        await db.query(`UPDATE crypto_deposits SET swept=1, status='swept' WHERE id=?`, [d.id]);
+      const units = money.parse(d.amount_received || 0, d.asset, { rounding: money.ROUND_DOWN });
+      if (units <= 0n || belowMin(token, units)) {
+        console.log(`#${d.id} ${money.format(units, d.asset)} ${d.asset} is below the minimum deposit; skipping`);
         continue;
       }
-
-      // ensure gas
-      const okGas = await ensureGasForTransfer(addr, usdt, signer, bal);
-      if (!okGas) {
-        console.log('  - gas not ready; will retry next run');
+      const amount = money.format(units, d.asset);
+      if (DRY_RUN) {
+        console.log(`#${d.id} would credit user_id=${d.user_id} +${amount} ${d.asset}`);
         continue;
       }
 
-      // sweep all to treasury
-      const usdtWithSigner = usdt.connect(signer);
-      const tx = await usdtWithSigner.transfer(TREASURY, bal);
-      console.log(`  - sweeping ${bal.toString()} raw units (dec=${dec}) → ${TREASURY}, tx=${tx.hash}`);
-
-      await db.query(`UPDATE crypto_deposits SET status='sweeping', tx_hash=? WHERE id=?`, [tx.hash, d.id]);
-
-      const rcpt = await tx.wait();
-      if (rcpt.status !== 1) throw new Error('transfer reverted');
+      const out = await deposits.creditDeposit({
+        depositId: d.id,
+        amount,
+        txHash: d.tx_hash,
+        source: 'sweeper',
+        meta: { address: d.address },
+      });
+      if (out.credited) console.log(`#${d.id} credited user_id=${d.user_id} +${out.amount} ${d.asset}`);
+      if (out.reason === 'orphaned') console.log(`#${d.id} transfer was reorged out; skipping`);
+    } catch (e) {
+      console.error(`credit failed for deposit ${d.id}`, e?.message || e);
+    }
+  }
+}
 
-      await db.query(`UPDATE crypto_deposits SET status='swept', swept=1 WHERE id=?`, [d.id]);
+// ───────────────── report ─────────────────
+function printReport(out) {
+  for (const c of out.chains) {
+    if (c.error) {
+      console.log(`${c.chain}: error ${c.error}`);
+      continue;
+    }
+    if (c.skipped) {
+      console.log(`${c.chain}: skipped (${c.reason})`);
+      continue;
+    }
+    console.log(`${c.chain} -> ${c.to}  top-up budget ${c.topup_budget_left}/${c.topup_budget} per ${c.topup_window_min} min`
+      + (c.settled ? `  settled in flight: ${c.settled}` : ''));
+    if (!c.items.length) console.log('  nothing to sweep');
+    for (const it of c.items) {
+      const line = [
+        `  ${it.action.padEnd(6)} ${it.asset.padEnd(6)} ${it.address}`,
+        `deposits=${it.deposit_ids.length}`,
+        it.balance != null ? `balance=${it.balance}` : null,
+        it.threshold != null ? `threshold=${it.threshold}${it.unpriced ? ' (unpriced)' : ''}` : null,
+        it.gas_cost != null ? `gas=${it.gas_cost}` : null,
+        it.topup && it.topup !== '0.0' ? `topup=${it.topup}` : null,
+        it.reason ? `reason=${it.reason}` : null,
+        it.sweep_tx_hash ? `tx=${it.sweep_tx_hash}` : null,
+      ];
+      console.log(line.filter(Boolean).join('  '));
+    }
+  }
+}
 
-      // optional: ledger entry for sweep (internal ops)
-      // await db.query(
-      //   `INSERT INTO ops_ledger (deposit_id, tx_hash, action) VALUES (?, ?, 'sweep')`,
-      //   [d.id, tx.hash]
-      // );
+// ───────────────── main ─────────────────
+(async () => {
+  const db = await mysql.createPool({
+    host: process.env.DB_HOST || '127.0.0.1',
+    user: process.env.DB_USER || 'root',
+    password: process.env.DB_PASS || '',
+    database: process.env.DB_NAME || 'ph1taka',
+    connectionLimit: 5,
+  });
+  const deposits = makeDepositService({ db });
 
-      console.log('  - swept ✔');
+  console.log(DRY_RUN ? '[SWEEP] dry run (nothing is sent or written)' : '[SWEEP] run');
 
-    } catch (e) {
-      console.error(`sweep/credit failed for deposit ${d.id}`, e);
-      // keep for retry; you could also set an error column with last_error
-      // await db.query(`UPDATE crypto_deposits SET last_error=? WHERE id=?`, [String(e.message||e), d.id]);
-    }
-  }
+  await creditConfirmed(db, deposits);
+  printReport(await runSweeper(db, { chain: chainKey, dryRun: DRY_RUN }));
 
   process.exit(0);
 })().catch(e => { console.error(e); process.exit(1); });